@@ -12,25 +12,32 @@ window.addEventListener('unhandledrejection', (e) => {
 // === CONFIGURATION ===
 const CONFIG = {
     MAX_INPUT_SIZE: 5 * 1024 * 1024, // 5MB
+    MAX_IMPORT_SIZE: 100 * 1024 * 1024, // 100MB, full account exports can be large
     AUTO_SAVE_DELAY: 2000,
-    RENDER_DEBOUNCE: 250,
-    USER_KEYWORDS: ['user', 'you', 'me', 'human', 'prompter'],
-    AI_KEYWORDS: ['ai', 'chatgpt', 'claude', 'gemini', 'grok', 'llama', 'copilot', 'assistant', 'model', 'bot']
+    RENDER_DEBOUNCE: 250
 };
 
-if (typeof marked !== 'undefined') {
-    marked.setOptions({ breaks: true, gfm: true, strikethrough: false });
-} else {
+// Parsing and markdown rendering live in core.js so the embed widget can share them.
+const { Parsers, DOMPURIFY_CONFIG } = window.BubbleScriptCore;
+
+if (typeof marked === 'undefined') {
     console.error('Marked Library not loaded. Check Internet connection or CSP.');
 }
 
 // === STATE MANAGEMENT ===
 const State = {
     renderTimeout: null,
+    pendingRender: null,
+    pendingHistoryLabel: null,
     autoSaveTimeout: null,
     isUpdatingFromPreview: false,
-    speakerColorCache: {},
-    currentThemeIndex: 0
+    paletteSpeakers: [], // Speakers without a roster colour, in order of appearance
+    currentThemeIndex: 0,
+    currentDraftId: null, // Library entry the editor is saving to; null until first save
+    lastCheckedId: null, // Message whose checkbox was clicked last, for shift-click ranges
+    lastRedactionReport: null, // Placeholders from the last redaction, for "Download Report"
+    lockedDraftId: null, // Draft that was open when the library locked, reopened on unlock
+    themeBeforeEdit: null // Theme to go back to when the theme editor closes without saving
 };
 
 // === DOM ELEMENTS (Initialize lazily) ===
@@ -41,12 +48,69 @@ let elements = {};
  */
 const StyleManager = {
     sheet: null,
+    themeSheet: null, // Custom theme rules, rebuilt whenever a theme changes
+    paletteSheet: null, // Generated speaker colours, rebuilt for each theme
     rules: new Set(), // Cache to avoid adding duplicate rules
 
     init() {
-        const styleEl = document.createElement('style');
-        document.head.appendChild(styleEl);
-        this.sheet = styleEl.sheet;
+        // Speaker colours win over theme colours, and roster colours over generated ones.
+        this.themeSheet = this.createSheet();
+        this.paletteSheet = this.createSheet();
+        this.sheet = this.createSheet();
+    },
+
+    /**
+     * Adds an empty stylesheet after the page's own. A constructed sheet isn't
+     * an inline style, so the CSP's style-src allows it without
+     * 'unsafe-inline'; a <style> element is only the fallback for browsers
+     * without adoptedStyleSheets.
+     * @returns {CSSStyleSheet|null}
+     */
+    createSheet() {
+        if ('adoptedStyleSheets' in document && typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype) {
+            const sheet = new CSSStyleSheet();
+            document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+            return sheet;
+        }
+        const style = document.createElement('style');
+        document.head.appendChild(style);
+        return style.sheet;
+    },
+
+    /**
+     * Empties a sheet and fills it with new rules.
+     * @param {CSSStyleSheet} sheet
+     * @param {string[][]} rules - [className, cssText] pairs, as for ensureRule.
+     * @param {string} [media] - A media query to wrap the rules in.
+     */
+    replaceRules(sheet, rules, media = '') {
+        if (!sheet) return;
+        while (sheet.cssRules.length) sheet.deleteRule(0);
+        rules.forEach(([className, cssText]) => {
+            const rule = `.${className} { ${cssText} }`;
+            try {
+                sheet.insertRule(media ? `@media ${media} { ${rule} }` : rule, sheet.cssRules.length);
+            } catch (e) {
+                console.warn('Could not insert rule:', className);
+            }
+        });
+    },
+
+    /**
+     * Replaces every custom theme rule.
+     * @param {string[][]} rules
+     */
+    setThemeRules(rules) {
+        this.replaceRules(this.themeSheet, rules);
+    },
+
+    /**
+     * Replaces the generated speaker colours. They are picked against the
+     * theme's bubbles on screen, so print keeps the bubbles' own text colour.
+     * @param {string[][]} rules
+     */
+    setPaletteRules(rules) {
+        this.replaceRules(this.paletteSheet, rules, 'screen');
     },
 
     ensureRule(className, cssText) {
@@ -60,24 +124,15 @@ const StyleManager = {
 };
 
 // --- Theme Management ---
-const themes = [
-    'light', 
-    'dark', 
-    'ocean-breeze', 
-    'sunset-glow', 
-    'tropical-vibes', 
-    'coral-reef', 
-    'sky-sand', 
-    'citrus-pop', 
-    'lavender-fields', 
-    'aqua-coral', 
-    'berry-burst', 
-    'fresh-lime',
-    'fat-albert' 
-];
-
-// SECURE: Whitelist of valid themes
-const VALID_THEMES = [...themes];
+/**
+ * SECURE: Whitelist of valid themes: the built-ins, then the user's own.
+ * @returns {string[]}
+ */
+function availableThemes() {
+    return [...BubbleScriptCore.THEMES, ...ThemeStore.keys()];
+}
+
+const VALID_LAYOUTS = ['document', 'sms'];
 
 /**
  * Generates a unique, deterministic class name for a speaker and ensures a CSS rule exists for it.
@@ -85,37 +140,36 @@ const VALID_THEMES = [...themes];
  * @returns {string} The CSS class name for the speaker.
  */
 function getClassForSpeaker(speaker) {
-    if (State.speakerColorCache[speaker]) {
-        return State.speakerColorCache[speaker];
+    const profile = SpeakerRoster.find(speaker);
+    if (profile && profile.color) {
+        // Roster colours aren't cached: editing one names a fresh class.
+        const { className, rules } = BubbleScriptCore.speakerColorRules(speaker, profile);
+        rules.forEach(([selector, cssText]) => StyleManager.ensureRule(selector, cssText));
+        return className;
     }
-    // Deterministic hash function to get a consistent value from the speaker's name.
-    let hash = 0;
-    for (let i = 0; i < speaker.length; i++) {
-        hash = speaker.charCodeAt(i) + ((hash << 5) - hash);
+    if (!State.paletteSpeakers.includes(speaker)) {
+        State.paletteSpeakers.push(speaker);
+        refreshSpeakerPalette();
     }
-    const hue = Math.abs(hash) % 360;
-    const className = `speaker-hash-${Math.abs(hash).toString(36)}`;
-    
-    // FIX: Create rules for both the border and the label color
-    const dynamicColor = `hsl(${hue}, 90%, 75%)`;
-    StyleManager.ensureRule(className, `border-color: ${dynamicColor};`);
-    StyleManager.ensureRule(`${className} .speaker-label`, `color: ${dynamicColor};`);
-    State.speakerColorCache[speaker] = className;
-    return className;
+    return BubbleScriptCore.speakerClassName(speaker);
 }
 
-function escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+/**
+ * Rebuilds the generated speaker colours for the active theme's bubbles, so
+ * every label keeps AA contrast. Call it whenever the theme changes.
+ */
+function refreshSpeakerPalette() {
+    const { parseColor, speakerPalette, speakerColorRules, CustomThemes } = BubbleScriptCore;
+    const body = getComputedStyle(document.body);
+    const backgrounds = {
+        ai: parseColor(body.getPropertyValue('--bubble-ai-bg')) || CustomThemes.DEFAULTS.colors.aiBubble,
+        user: parseColor(body.getPropertyValue('--bubble-user-bg')) || CustomThemes.DEFAULTS.colors.userBubble
+    };
+    const palette = speakerPalette(State.paletteSpeakers, backgrounds);
+    StyleManager.setPaletteRules(State.paletteSpeakers.flatMap(speaker =>
+        speakerColorRules(speaker, null, palette.get(speaker)).rules));
 }
 
-// Pre-compile keyword regexes for performance.
-// The following regexes are built from hardcoded keyword lists.
-// While building regex from strings can be a security risk if the input is untrusted,
-// in this case the input is a hardcoded constant, so the risk is minimal.
-// Using a regex is more performant than iterating through the keyword arrays for each line of input.
-const userKeywordRegex = new RegExp(`\\b(${CONFIG.USER_KEYWORDS.map(escapeRegex).join('|')})\\b`, 'i');
-const aiKeywordRegex = new RegExp(`\\b(${CONFIG.AI_KEYWORDS.map(escapeRegex).join('|')})\\b`, 'i');
-
 function init() {
     elements = {
         input: document.getElementById('inputBox'),
@@ -142,9 +196,14 @@ function init() {
     }
 
     StyleManager.init(); // Initialize the dynamic stylesheet
+    ThemeStore.load(); // Custom themes, before the saved theme is checked against them
     const savedTheme = localStorage.getItem('chatTheme');
     // SECURE: Validate saved theme
-    setTheme(VALID_THEMES.includes(savedTheme) ? savedTheme : 'light');
+    setTheme(availableThemes().includes(savedTheme) ? savedTheme : 'light');
+    // A ?layout= link (such as the old Copilot bubble app's address) picks the
+    // layout for this visit only; the saved choice stays for the next one.
+    const linkedLayout = new URLSearchParams(window.location.search).get('layout');
+    setLayout(linkedLayout || localStorage.getItem('chatLayout'), { save: false });
     resetMetaOnReload();
     
     // Set date if still empty after potential reload reset
@@ -152,25 +211,42 @@ function init() {
         const today = new Date();
         elements.date.value = today.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
     }
+    UndoHistory.onChange = updateUndoButtons;
+    UndoHistory.reset();
 
     // --- Event Listeners for Controls (replaces onclick) ---
-    document.getElementById('btnLoad').addEventListener('click', Storage.load);
+    document.getElementById('btnLoad').addEventListener('click', openLibrary);
+    document.getElementById('btnSpeakers').addEventListener('click', openSpeakerModal);
     document.getElementById('btnThemeLight').addEventListener('click', () => setTheme('light'));
     document.getElementById('btnThemeDark').addEventListener('click', () => setTheme('dark'));
     document.getElementById('btnThemeCycle').addEventListener('click', cycleTheme);
+    document.getElementById('btnThemeEdit').addEventListener('click', openThemeModal);
+    document.getElementById('btnLayout').addEventListener('click', () => {
+        setLayout(document.body.classList.contains('layout-sms') ? 'document' : 'sms');
+    });
     document.getElementById('btnSave').addEventListener('click', Storage.save);
     document.getElementById('btnClear').addEventListener('click', clearText);
-    document.getElementById('btnPrint').addEventListener('click', () => window.print());
+    document.getElementById('btnUndo').addEventListener('click', () => { flushPendingInput(); UndoHistory.undo(); });
+    document.getElementById('btnRedo').addEventListener('click', () => { flushPendingInput(); UndoHistory.redo(); });
+    document.getElementById('btnPrint').addEventListener('click', () => downloadExport('pdf'));
     document.getElementById('btnPaste').addEventListener('click', pasteFromClipboard);
     document.getElementById('btnDeleteSelected').addEventListener('click', deleteSelectedBubbles);
+    document.getElementById('btnPrintSelected').addEventListener('click', printSelectedBubbles);
+    initSelectMenu(); // Select all, none, or by text
+    ChatSearch.init(); // Search bar over the preview
     document.getElementById('btnEmbed').addEventListener('click', openEmbedModal);
+    document.getElementById('btnImage').addEventListener('click', openImageModal);
+    document.getElementById('btnImport').addEventListener('click', () => document.getElementById('fileInput').click());
     
     elements.input.addEventListener('input', () => {
         if (elements.input.value.length > CONFIG.MAX_INPUT_SIZE) {
             elements.input.value = elements.input.value.substring(0, CONFIG.MAX_INPUT_SIZE);
             showToast(`Input truncated to ${(CONFIG.MAX_INPUT_SIZE / 1024 / 1024).toFixed(1)}MB limit`);
         }
-        handleInput(true); // Debounce rendering
+        // A paste arrives as an input event; record it as its own undo step rather than as typing.
+        const label = State.pendingHistoryLabel || 'Typing';
+        State.pendingHistoryLabel = null;
+        handleInput(true, label); // Debounce rendering
     });
     // Handle rich text pasting by converting it to clean plain text
     elements.input.addEventListener('paste', handlePaste);
@@ -188,14 +264,15 @@ function init() {
     // 2. Sanitize any input (typing, drag-drop, etc.) in real-time.
     elements.output.addEventListener('input', (e) => {
         if (e.target && e.target.matches('.markdown-body[contenteditable="true"]')) {
+            // Only a bubble that was actually changed is written back when it loses focus.
+            e.target.dataset.edited = 'true';
             // Immediately sanitize any pasted/edited content
             if (typeof DOMPurify === 'undefined') return;
-            const clean = DOMPurify.sanitize(e.target.innerHTML, {
-                ALLOWED_TAGS: ['p', 'br', 'strong', 'em', 'code', 'pre', 'ul', 'ol', 'li', 'blockquote'],
-                ALLOWED_ATTR: ['class'],
-                ALLOW_DATA_ATTR: false
-            });
-            if (clean !== e.target.innerHTML) {
+            // Same profile as rendering, so nothing the renderer produced is ever "removed".
+            const clean = DOMPurify.sanitize(e.target.innerHTML, DOMPURIFY_CONFIG);
+            // DOMPurify re-adds the attributes it keeps in reverse order, so a second
+            // pass restores the original markup exactly when nothing was removed.
+            if (DOMPurify.sanitize(clean, DOMPURIFY_CONFIG) !== e.target.innerHTML) {
                 e.target.innerHTML = clean;
                 // Reposition cursor at the end after sanitization
                 const range = document.createRange();
@@ -217,11 +294,18 @@ function init() {
         }
     });
 
+    // App-level undo/redo. Bubbles, the title and the meta inputs keep their native undo
+    // while focused; their edits are recorded as a single step when they lose focus.
+    document.addEventListener('keydown', handleUndoShortcut);
+    elements.title.addEventListener('blur', () => UndoHistory.record('Edit title'));
+    elements.date.addEventListener('change', () => UndoHistory.record('Edit date'));
+    elements.source.addEventListener('change', () => UndoHistory.record('Edit source'));
+
     // Use event delegation to handle edits within the preview pane
     elements.output.addEventListener('blur', (e) => {
         // When a user clicks away from an edited bubble, update the source text
         if (e.target && e.target.matches('.markdown-body[contenteditable="true"]')) {
-            updateSourceFromPreview();
+            updateSourceFromPreview(e.target);
         }
     }, true); // Use capture phase to ensure the event is caught reliably.
 
@@ -245,6 +329,18 @@ function init() {
     elements.output.addEventListener('change', (e) => {
         if (e.target.matches('.delete-checkbox')) toggleDeleteButtonVisibility();
     });
+    // Shift-click ticks (or clears) every bubble between the last one clicked and this one.
+    elements.output.addEventListener('click', (e) => {
+        if (!e.target.matches('.delete-checkbox')) return;
+        const boxes = Array.from(elements.output.querySelectorAll('.delete-checkbox'));
+        const last = boxes.findIndex(box => box.dataset.id === State.lastCheckedId);
+        const current = boxes.indexOf(e.target);
+        if (e.shiftKey && last !== -1) {
+            boxes.slice(Math.min(last, current), Math.max(last, current) + 1)
+                .forEach(box => { box.checked = e.target.checked; });
+        }
+        State.lastCheckedId = e.target.dataset.id;
+    });
     // Add confirmation before leaving the page if there's unsaved text
     window.addEventListener('beforeunload', (e) => {
         // Clear all pending timers to prevent memory leaks on unload
@@ -259,11 +355,22 @@ function init() {
     }); 
     
     initEmbedModal(); // Initialize the embed modal listeners
+    initFileImport(); // File picker, drag-and-drop and the conversation picker
+    initDownloadMenu(); // HTML, Markdown and JSON downloads
+    initImageModal(); // PNG/SVG export options
+    initCodeTools(); // Copy and line-number controls for code blocks
+    initVault(); // Encryption, the lock screen and auto-lock; before the library is read
+    initLibraryModal(); // Conversation library dialog and legacy draft migration
+    initSpeakerModal(); // Speaker roster and saved profiles
+    initThemeModal(); // Custom theme editor, import and export
+    initRedactModal(); // Placeholders for emails, keys and other sensitive text
+    initParseTools(); // Parse report and split/merge/reassign corrections
 }
 
 function setTheme(theme) {
     // SECURE: Validate theme against whitelist
-    if (!VALID_THEMES.includes(theme)) {
+    const valid = availableThemes();
+    if (!valid.includes(theme)) {
         console.warn(`Invalid theme: ${theme}. Defaulting to light.`);
         theme = 'light';
     }
@@ -274,22 +381,43 @@ function setTheme(theme) {
     );
     document.body.classList.remove(...classesToRemove);
 
-    if (theme !== 'light') {
-        const className = theme === 'dark' ? 'dark-mode' : `theme-${theme}`;
-        document.body.classList.add(className);
-    }
-    
+    const className = BubbleScriptCore.themeClass(theme);
+    if (className) document.body.classList.add(className);
+    refreshSpeakerPalette();
+
     localStorage.setItem('chatTheme', theme);
-    const themeIndex = VALID_THEMES.indexOf(theme);
+    const themeIndex = valid.indexOf(theme);
     State.currentThemeIndex = themeIndex !== -1 ? themeIndex : 0;
 }
 
 function cycleTheme() {
-    State.currentThemeIndex = (State.currentThemeIndex + 1) % themes.length;
-    const nextTheme = themes[State.currentThemeIndex];
+    const valid = availableThemes();
+    State.currentThemeIndex = (State.currentThemeIndex + 1) % valid.length;
+    const nextTheme = valid[State.currentThemeIndex];
     setTheme(nextTheme);
 }
 
+/**
+ * @returns {string} The active theme's key.
+ */
+function currentTheme() {
+    return availableThemes()[State.currentThemeIndex] || 'light';
+}
+
+/**
+ * Switches between the document layout and the compact SMS-style thread.
+ * @param {'document'|'sms'} layout - Anything else falls back to 'document'.
+ * @param {Object} [options]
+ * @param {boolean} [options.save=true] - Remember the layout for later visits.
+ */
+function setLayout(layout, { save = true } = {}) {
+    // SECURE: Validate layout against whitelist
+    if (!VALID_LAYOUTS.includes(layout)) layout = 'document';
+    document.body.classList.toggle('layout-sms', layout === 'sms');
+    document.getElementById('btnLayout').setAttribute('aria-pressed', String(layout === 'sms'));
+    if (save) localStorage.setItem('chatLayout', layout);
+}
+
 function resetMetaOnReload() {
   const wasReload = performance.getEntriesByType('navigation')[0]?.type === 'reload';
   if (wasReload) {
@@ -340,7 +468,7 @@ async function pasteFromClipboard() {
                 const currentText = input.value;
                 input.value = currentText.substring(0, selStart) + pastedText + currentText.substring(selEnd);
                 input.selectionStart = input.selectionEnd = selStart + pastedText.length;
-                handleInput();
+                handleInput(false, 'Paste');
             } else {
                 showToast('No text found on clipboard.');
             }
@@ -356,21 +484,9 @@ async function pasteFromClipboard() {
 
 }
 
-/**
- * A hardened DOMPurify configuration that follows the principle of least privilege.
- */
-const DOMPURIFY_CONFIG = {
-    ALLOWED_TAGS: ['p', 'br', 'strong', 'em', 'code', 'pre', 'ul', 'ol', 'li', 'blockquote', 'h1', 'h2', 'h3', 'a'],
-    ALLOWED_ATTR: {
-        'a': ['href', 'title'],
-        'code': ['class']
-    },
-    ALLOWED_URI_REGEXP: /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|sms|cid|xmpp):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i,
-    ALLOW_DATA_ATTR: false
-};
-
 function handlePaste(e) {
     e.preventDefault();
+    State.pendingHistoryLabel = 'Paste';
     const cd = e.clipboardData || window.clipboardData;
     let pastedText = '';
 
@@ -414,234 +530,136 @@ function convertHtmlToPreserveBreaks(htmlString) {
     return text.trim();
 }
 
-function handleInput(debounce = false) {
+/**
+ * Re-parses the textarea into the model and re-renders.
+ * @param {boolean} [debounce=false] - Wait for a pause in typing before processing.
+ * @param {string} [historyLabel='Typing'] - Undo step label; typing steps are coalesced.
+ */
+function handleInput(debounce = false, historyLabel = 'Typing') {
     if (State.renderTimeout) {
         clearTimeout(State.renderTimeout);
         State.renderTimeout = null;
     }
 
     const process = () => {
-        const text = elements.input.value;
-        elements.count.textContent = `${text.length.toLocaleString()} chars`;
-        
-        // Parse once, use twice for performance.
-        const segments = Parser.parseSegments(text);
-        Renderer.renderChat(text, segments);
-        updateMetadata(text, segments);
-        Storage.scheduleAutoSave();
         State.renderTimeout = null;
+        State.pendingRender = null;
+        // The textarea changed, so re-parse it and reconcile into the model (ids are kept).
+        Transcript.syncFromSegments(ParseCorrections.parse(elements.input.value));
+        updateFormatSelect();
+        refreshViews();
+        UndoHistory.record(historyLabel, { coalesce: historyLabel === 'Typing' });
     };
 
     if (debounce) {
+        State.pendingRender = process;
         State.renderTimeout = setTimeout(process, CONFIG.RENDER_DEBOUNCE);
     } else {
         process();
     }
 }
 
-function updateMetadata(text, segments = null) {
-    if (!segments) segments = Parser.parseSegments(text);
-
-    // 1. Detect LLM source only if it's the default or empty
-    if (elements.source.value === 'Enter Source Here' || elements.source.value === 'AI Assistant' || !elements.source.value) {
-        const aiSegments = segments.filter(s => s.type === 'ai');
-        let detectedSource = null;
-        if (aiSegments.length > 0) {
-            // Find the first AI speaker that isn't just "AI"
-            const specificAi = aiSegments.find(s => s.speaker.toLowerCase() !== 'ai' && s.speaker.toLowerCase() !== 'assistant');
-            if (specificAi) {
-                detectedSource = specificAi.speaker;
-            } else if (aiSegments.length > 0) {
-                detectedSource = aiSegments[0].speaker; // Fallback to the first one, e.g., "AI"
-            }
-        }
-
-        if (detectedSource) {
-            elements.source.value = detectedSource;
-        } else {
-            elements.source.value = 'AI Assistant';
-        }
-    }
+/**
+ * Re-renders the preview and metadata from the transcript model.
+ * @param {object} [options]
+ * @param {boolean} [options.syncText=false] - Also regenerate the textarea from the model,
+ *   for changes that originate in the preview rather than the textarea.
+ */
+function refreshViews({ syncText = false } = {}) {
+    if (syncText) elements.input.value = Transcript.toText();
+    const text = elements.input.value;
+    elements.count.textContent = `${text.length.toLocaleString()} chars`;
+    Renderer.renderChat(text, Transcript.messages);
+    updateMetadata(text, Transcript.messages);
+    ChatSearch.refresh();
+    Storage.scheduleAutoSave();
+}
 
-    // 2. Detect Topic only if it's the default or empty
-    if (elements.title.textContent === 'Enter Title Here' || elements.title.textContent === 'Conversation Log' || !elements.title.textContent) {
-        let potentialTitle = "Conversation Log";
-        const lines = text.trim().split('\n');
-
-        if (lines.length > 0) {
-            const firstSignificantLine = lines.find(l => l.trim().length > 0) || '';
-            // A "heading" is a good title candidate.
-            if (firstSignificantLine.trim().startsWith('#')) {
-                potentialTitle = firstSignificantLine.trim().replace(/^#+\s*/, '').trim();
-            } else {
-                // Otherwise, find the first bit of user content.
-                const userSegments = segments.filter(s => s.type === 'user' && s.content.trim().length > 0);
-                if (userSegments.length > 0) {
-                    const firstUserContent = userSegments[0].content.trim();
-                    // Take the first line of the user's message
-                    potentialTitle = firstUserContent.split('\n')[0].trim();
-                    // Truncate if it's too long
-                    if (potentialTitle.length > 60) {
-                        potentialTitle = potentialTitle.substring(0, 57) + "...";
-                    }
-                }
-                // If we still have nothing, don't change from default
-                if (potentialTitle.trim() === '...' || potentialTitle.trim() === '') potentialTitle = "Conversation Log";
-            }
-        }
-        elements.title.textContent = potentialTitle;
+/**
+ * Runs a debounced re-render immediately, so pending typing is in the model
+ * (and the undo history) before anything else reads it.
+ */
+function flushPendingInput() {
+    if (State.pendingRender) {
+        clearTimeout(State.renderTimeout);
+        State.pendingRender();
     }
 }
 
-// === PARSER MODULE ===
-const Parser = {
-parseSegments(text) {
-    // This function combines multiple parsing strategies to create a list of chat segments.
-    let segments = this.parseByLabels(text);
+function updateUndoButtons() {
+    const undoBtn = document.getElementById('btnUndo');
+    const redoBtn = document.getElementById('btnRedo');
+    undoBtn.disabled = !UndoHistory.canUndo();
+    redoBtn.disabled = !UndoHistory.canRedo();
+    const { entries, index } = UndoHistory;
+    undoBtn.title = UndoHistory.canUndo() ? `Undo ${entries[index].label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = UndoHistory.canRedo() ? `Redo ${entries[index + 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
 
-    const hasKnownLabels = segments.some(s => s.type === 'user' || s.type === 'ai');
-    if (segments.length < 2 || !hasKnownLabels) {
-        const alternateSegments = this.parseByAlternatingTurns(text);
-        if (alternateSegments.length > 1) {
-            segments = alternateSegments;
-        }
-    }
-    
-    if (segments.length < 2) {
-         const heuristicSegments = this.parseByHeuristicSplit(text);
-         if (heuristicSegments.length > 1) {
-             segments = heuristicSegments;
-         }
-    }
-    
-    return segments.filter(seg => seg.content.trim());
-},
+/**
+ * Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (Cmd on macOS) for the app-level history.
+ */
+function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || key === 'y';
+    if (!isUndo && !isRedo) return;
 
-parseByLabels(text) {
-    const lines = text.split('\n');
-    const segments = [];
-    let currentSegment = { type: 'unknown', speaker: 'Unknown', content: '' };
-
-    // --- Hardened Speaker Detection ---
-    const permissiveSpeakerRegex = /^([^:\n]{1,100}):\s+/; // SECURE: Prevents ReDoS
-    const keywordSpeakerRegex = new RegExp(`^(\\*\\*|##\\s|)?(\\s*)(${[...CONFIG.USER_KEYWORDS, ...CONFIG.AI_KEYWORDS].join('|')})(\\*\\*|:|\\s+said)?`, 'i');
-
-    lines.forEach(line => {
-        let match = line.match(permissiveSpeakerRegex);
-        let speakerName, isUser, isAi;
-
-        let originalPrefix = '';
-        if (match && match[1]) { 
-            speakerName = match[1].trim();
-            const lowerSpeaker = speakerName.toLowerCase();
-            isUser = userKeywordRegex.test(lowerSpeaker);
-            isAi = aiKeywordRegex.test(lowerSpeaker);
-            originalPrefix = match[0];
-
-        } else { 
-            match = line.match(keywordSpeakerRegex);
-            if (match && match[3]) {
-                speakerName = match[3];
-                const lowerSpeaker = speakerName.toLowerCase();
-                isUser = CONFIG.USER_KEYWORDS.includes(lowerSpeaker);
-                isAi = true; 
-                originalPrefix = match[0];
-            }
-        }
+    // Leave native undo to fields whose edits are only recorded once they lose focus.
+    const target = e.target;
+    if (target !== elements.input && target.closest && target.closest('[contenteditable="true"], input')) return;
 
-        if (speakerName) {
-            if (currentSegment.content.trim()) {
-                segments.push(currentSegment);
-            }
-            const speakerType = isUser ? 'user' : 'ai';
-            let cleanLine = line.replace(match[0], '').trim();
-
-            currentSegment = {
-                type: speakerType,
-                speaker: speakerName.charAt(0).toUpperCase() + speakerName.slice(1), 
-                content: cleanLine + '\n',
-                originalPrefix: originalPrefix
-            };
-        } else {
-            currentSegment.content += line + '\n';
-        }
-    });
+    e.preventDefault();
+    flushPendingInput();
+    if (isUndo) UndoHistory.undo();
+    else UndoHistory.redo();
+}
 
-    if (currentSegment.content.trim()) {
-        segments.push(currentSegment);
-    }
-    if (segments.length > 0 && !segments[0].originalPrefix) {
-        segments[0].originalPrefix = '';
+function updateMetadata(text, messages = Transcript.messages) {
+    // 1. Detect LLM source only if it's the default or empty
+    if (elements.source.value === 'Enter Source Here' || elements.source.value === 'AI Assistant' || !elements.source.value) {
+        elements.source.value = BubbleScriptCore.detectSource(messages);
     }
 
-    if (segments.length > 1 && segments[0].type === 'unknown') {
-        const firstKnownSegment = segments[1];
-        if (firstKnownSegment.type === 'ai') {
-            segments[0].type = 'user';
-            segments[0].speaker = 'User';
-        } else if (firstKnownSegment.type === 'user') {
-            segments[0].type = 'ai';
-            segments[0].speaker = 'Assistant';
-        }
+    // 2. Detect Topic only if it's the default or empty
+    if (elements.title.textContent === 'Enter Title Here' || elements.title.textContent === 'Conversation Log' || !elements.title.textContent) {
+        elements.title.textContent = BubbleScriptCore.detectTitle(text, messages);
     }
-    
-    return segments;
-},
-
-parseByAlternatingTurns(text) {
-    const blocks = text.trim().split(/\n\s*\n+/);
-    if (blocks.length < 2) return [];
-    const segments = [];
-    let isUserTurn = true;
-    blocks.forEach(block => {
-        const content = block.trim();
-        if (content) {
-            segments.push({
-                type: isUserTurn ? 'user' : 'ai',
-                speaker: isUserTurn ? 'User' : 'Assistant',
-                content: content
-            });
-            isUserTurn = !isUserTurn;
-        }
-    });
-    return segments;
-},
-
-parseByHeuristicSplit(text) {
-    const blocks = text.trim().split(/\n\s*\n+/);
-    if (blocks.length < 2) return [];
-
-    return blocks.map((block, i) => ({
-        type: i % 2 === 0 ? 'user' : 'ai',
-        speaker: i % 2 === 0 ? 'User' : 'Assistant',
-        content: block.trim()
-    })).filter(seg => seg.content);
 }
-}; 
 
 // === RENDERER MODULE ===
 const Renderer = {
-renderChat(text, segments = null) {
+/**
+ * Renders the transcript into the preview, reusing rows keyed by message id.
+ * @param {string} text - The raw source text, used for the single-document fallback.
+ * @param {object[]} messages - Messages from the Transcript model.
+ */
+renderChat(text, messages = Transcript.messages) {
+    const { getParticipants, isMultiParty } = BubbleScriptCore;
+    const participants = messages.length > 1
+        ? getParticipants(messages.map(msg => ({ type: msg.role, kind: msg.kind, speaker: msg.speaker })), SpeakerRoster.speakers)
+        : [];
+    const multiParty = isMultiParty(participants);
+    this.renderLegend(multiParty ? participants : []);
+    const boundaries = this.renderParseReport(text, messages);
+
     if (!text.trim()) {
         elements.output.innerHTML = '<p class="preview-placeholder">Preview will appear here...</p>';
         return;
     }
 
-    if (!segments) segments = Parser.parseSegments(text);
-    
     if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
         elements.output.innerHTML = '<p class="error-message">Error: A critical library (Marked or DOMPurify) is not loaded.</p>';
         return;
     }
 
-    if (segments.length <= 1) {
-        const safeHTML = DOMPurify.sanitize(marked.parse(text), DOMPURIFY_CONFIG);
+    if (messages.length <= 1) {
+        const safeHTML = BubbleScriptCore.renderMarkdown(text);
         elements.output.innerHTML = `<div class="markdown-body standard-doc">${safeHTML}</div>`;
         return;
     }
 
-    // Virtual DOM approach - only update changed bubbles
-    const existingBubbles = elements.output.querySelectorAll('.chat-row');
     let container = elements.output.querySelector('.chat-container');
     if (!container) {
         container = document.createElement('div');
@@ -649,65 +667,172 @@ renderChat(text, segments = null) {
         elements.output.innerHTML = '';
         elements.output.appendChild(container);
     }
-    
-    segments.forEach((seg, index) => {
-        if (!seg.content.trim()) return;
-        
-        let row = existingBubbles[index];
-        const needsUpdate = !row || 
-            row.dataset.speaker !== seg.speaker ||
-            row.dataset.content !== seg.content;
-        
+
+    // Virtual DOM approach - only rebuild rows whose message changed
+    const existingRows = new Map();
+    container.querySelectorAll(':scope > .chat-row').forEach(row => existingRows.set(row.dataset.id, row));
+
+    const bySpeaker = new Map(participants.map(p => [p.speaker, p]));
+    messages.forEach((msg, index) => {
+        let row = existingRows.get(msg.id);
+        existingRows.delete(msg.id);
+        // In multi-party layouts a row's lane depends on the other speakers too.
+        const participant = multiParty ? bySpeaker.get(msg.speaker) : null;
+        const needsUpdate = !row ||
+            row.dataset.speaker !== msg.speaker ||
+            row.dataset.role !== msg.role ||
+            row.dataset.kind !== msg.kind ||
+            row.dataset.content !== msg.content ||
+            row.dataset.lane !== (participant ? String(participant.lane) : '');
+
         if (needsUpdate) {
-            const rawHtml = marked.parse(seg.content);
-            const safeHtml = DOMPurify.sanitize(rawHtml, DOMPURIFY_CONFIG);
-            const alignClass = seg.type === 'user' ? 'user' : 'ai';
-            
-            const newRow = document.createElement('div');
-            newRow.className = `chat-row ${alignClass}`;
-            newRow.dataset.speaker = seg.speaker; 
-            newRow.dataset.content = seg.content; 
-            newRow.innerHTML = `
-                <div class="chat-bubble">
-                    <div class="speaker-label">${seg.speaker}</div>
-                    <div class="markdown-body" contenteditable="true" data-index="${index}">${safeHtml}</div>
-                    <input type="checkbox" class="delete-checkbox" data-index="${index}" aria-label="Select this message for deletion">
-                </div>
-            `;
-            
-            const isDarkMode = document.body.classList.contains('dark-mode');
-            if (isDarkMode && seg.type !== 'unknown') {
-                const speakerClass = getClassForSpeaker(seg.speaker);
-                const bubble = newRow.querySelector('.chat-bubble');
-                bubble.classList.add(speakerClass);
-            }
-            if (row) {
-                container.replaceChild(newRow, row);
-            } else {
-                container.appendChild(newRow);
-            }
+            // An edited system, tool or reasoning message stays expanded.
+            const details = row && row.querySelector('.kind-details');
+            const newRow = this.createRow(msg, participant, { open: !!(details && details.open) });
+            if (row) row.replaceWith(newRow);
+            row = newRow;
+        }
+        const boundary = boundaries.get(msg.id);
+        if (boundary) row.dataset.confidence = String(Math.round(boundary.confidence * 100));
+        else delete row.dataset.confidence;
+        row.classList.toggle('low-confidence', !!boundary && boundary.confidence < BubbleScriptCore.AMBIGUOUS_BELOW);
+        // Keep DOM order in step with the model without touching rows already in place.
+        if (container.children[index] !== row) {
+            container.insertBefore(row, container.children[index] || null);
         }
     });
-    
-    while (container.children.length > segments.filter(s => s.content.trim()).length) {
-        container.removeChild(container.lastChild);
+
+    existingRows.forEach(row => row.remove());
+},
+
+/**
+ * Builds the row for one message.
+ * @param {object} msg - A Transcript message.
+ * @param {object|null} [participant] - The speaker's participant entry in a
+ *   multi-party layout, which puts the row in the speaker's lane instead of on
+ *   the user or assistant side.
+ * @param {object} [options]
+ * @param {boolean} [options.open=false] - Expand a system, tool or reasoning message.
+ */
+createRow(msg, participant = null, { open = false } = {}) {
+    const profile = SpeakerRoster.find(msg.speaker);
+    const row = document.createElement('div');
+    row.className = participant
+        ? `chat-row party lane-${participant.lane}`
+        : `chat-row ${msg.role === 'user' ? 'user' : 'ai'}`;
+    if (profile) row.classList.add(`role-${profile.role}`);
+    if (msg.kind !== 'message') row.classList.add(`kind-${msg.kind}`);
+    row.dataset.id = msg.id;
+    row.dataset.speaker = msg.speaker;
+    row.dataset.role = msg.role;
+    row.dataset.kind = msg.kind;
+    row.dataset.content = msg.content;
+    row.dataset.lane = participant ? String(participant.lane) : '';
+    row.innerHTML = BubbleScriptCore.renderBubble({ speaker: msg.speaker, kind: msg.kind, content: msg.content }, {
+        editable: true,
+        id: msg.id,
+        className: getClassForSpeaker(msg.speaker),
+        avatar: participant ? participant.avatar : (profile && profile.avatar) || '',
+        open
+    });
+    return row;
+},
+
+/**
+ * Fills in the parse report, when it is open: the format and strategy the parser used,
+ * and each doubtful boundary with a link to its bubble.
+ * @param {string} text - The source text.
+ * @param {object[]} messages - Messages from the Transcript model.
+ * @returns {Map<string, object>} Boundary confidence by message id; empty while the report is closed.
+ */
+renderParseReport(text, messages) {
+    const panel = document.getElementById('parseReport');
+    if (!ParseCorrections.reportVisible || !text.trim()) {
+        panel.hidden = true;
+        return new Map();
     }
+    const { report, byId } = ParseCorrections.diagnose(text, messages);
+    const summary = document.createElement('p');
+    summary.className = 'parse-summary';
+    const lowest = report.segments.reduce((min, seg) => Math.min(min, seg.confidence), 1);
+    const strategy = BubbleScriptCore.PARSE_STRATEGIES[report.strategy];
+    summary.textContent = `${report.label}${strategy ? ` (${strategy.toLowerCase()})` : ''}` +
+        `${ParseCorrections.format === 'auto' ? ', detected automatically' : ', chosen by you'}: ` +
+        `${report.segments.length} message${report.segments.length === 1 ? '' : 's'}, ` +
+        `lowest boundary confidence ${Math.round(lowest * 100)}%.`;
+
+    const list = document.createElement('ul');
+    list.className = 'parse-ambiguous';
+    report.ambiguous.forEach(item => {
+        const li = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-link';
+        button.textContent = `Line ${item.line}: ${item.speaker} (${Math.round(item.confidence * 100)}%)`;
+        const msg = messages[item.index];
+        if (msg) button.dataset.id = msg.id;
+        const reason = document.createElement('span');
+        reason.className = 'parse-reason';
+        reason.textContent = item.reason;
+        li.append(button, reason);
+        list.appendChild(li);
+    });
+    const parts = [summary];
+    if (report.ambiguous.length) {
+        const heading = document.createElement('p');
+        heading.textContent = 'Check these boundaries, then split, merge or reassign the bubbles that are wrong:';
+        parts.push(heading, list);
+    }
+    if (ParseCorrections.continuations.length) {
+        const corrections = document.createElement('p');
+        const count = ParseCorrections.continuations.length;
+        corrections.textContent = `${count} label-like line${count === 1 ? ' is' : 's are'} kept as content by your merges. `;
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'btn-link';
+        reset.id = 'btnResetCorrections';
+        reset.textContent = 'Forget them';
+        corrections.appendChild(reset);
+        parts.push(corrections);
+    }
+    document.getElementById('parseReportBody').replaceChildren(...parts);
+    panel.hidden = false;
+    return byId;
+},
+
+/**
+ * Lists the participants in the document header, or hides the legend when
+ * given none (two-sided chats don't need one).
+ * @param {object[]} participants - From BubbleScriptCore.getParticipants.
+ */
+renderLegend(participants) {
+    const legend = document.getElementById('participantLegend');
+    const html = participants.length
+        ? BubbleScriptCore.renderLegend(participants, { className: p => getClassForSpeaker(p.speaker) })
+        : '';
+    if (legend.innerHTML !== html) legend.innerHTML = html;
+    legend.hidden = !participants.length;
 }
 }; 
 
 /**
- * Toggles the visibility of the "Delete Selected" button based on checkbox states.
+ * Toggles the visibility of the "Delete Selected" and "Print Selected" buttons based on checkbox states.
  */
 function toggleDeleteButtonVisibility() {
     const checkedBoxes = elements.output.querySelectorAll('.delete-checkbox:checked');
     const deleteBtn = document.getElementById('btnDeleteSelected');
+    const printBtn = document.getElementById('btnPrintSelected');
     
     if (checkedBoxes.length > 0) {
         deleteBtn.style.display = 'inline-flex';
         deleteBtn.textContent = `Delete Selected (${checkedBoxes.length})`;
+        printBtn.style.display = 'inline-flex';
+        printBtn.textContent = `Print Selected (${checkedBoxes.length})`;
     } else {
         deleteBtn.style.display = 'none';
+        printBtn.style.display = 'none';
     }
+    ExportSelection.apply();
 
     // Add a visual style to the parent row of checked bubbles
     const allCheckboxes = elements.output.querySelectorAll('.delete-checkbox');
@@ -729,20 +854,412 @@ function deleteSelectedBubbles() {
         return;
     }
 
-    const indicesToDelete = new Set(Array.from(checkedBoxes).map(cb => parseInt(cb.dataset.index, 10)));
-    
-    const segments = Parser.parseSegments(elements.input.value);
-    let newText = '';
+    Transcript.remove(Array.from(checkedBoxes).map(cb => cb.dataset.id));
+    refreshViews({ syncText: true });
+    UndoHistory.record('Delete messages');
+    toggleDeleteButtonVisibility();
+}
+
+/**
+ * Prints only the bubbles that have been selected via checkbox. The print
+ * stylesheet hides the others while `print-selected` is on the body.
+ */
+function printSelectedBubbles() {
+    if (!elements.output.querySelector('.delete-checkbox:checked')) {
+        showToast("No bubbles selected to print.");
+        return;
+    }
+    flushPendingInput();
+    const container = elements.output.querySelector('.chat-container');
+    const markers = [];
+    if (container) {
+        const rows = Array.from(container.querySelectorAll(':scope > .chat-row'))
+            .filter(row => ExportKinds.includes(row.dataset.kind));
+        const nodes = selectedRowsWithMarkers(rows);
+        nodes.forEach((node, i) => {
+            if (node.classList.contains('chat-row')) return;
+            node.classList.add('print-marker');
+            const next = nodes[i + 1];
+            container.insertBefore(node, next || null);
+            markers.push(node);
+        });
+    }
+    document.body.classList.add('print-selected');
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('print-selected');
+        markers.forEach(marker => marker.remove());
+    }, { once: true });
+    window.print();
+}
+
+/**
+ * The selected chat rows in order, with a marker in place of each run of
+ * rows left out (unless the Download menu turned markers off).
+ * @param {HTMLElement[]} rows - Chat rows, already filtered by kind.
+ * @returns {HTMLElement[]} Selected rows and new, unattached marker elements.
+ */
+function selectedRowsWithMarkers(rows) {
+    const nodes = [];
+    let omitted = 0;
+    const flush = () => {
+        if (omitted && ExportSelection.markOmitted) {
+            const holder = document.createElement('div');
+            holder.innerHTML = BubbleScriptCore.renderOmitted(omitted);
+            nodes.push(holder.firstElementChild);
+        }
+        omitted = 0;
+    };
+    rows.forEach(row => {
+        if (row.querySelector('.delete-checkbox:checked')) {
+            flush();
+            nodes.push(row);
+        } else {
+            omitted++;
+        }
+    });
+    flush();
+    return nodes;
+}
+
+/**
+ * Ticks the bubbles whose messages pass the test.
+ * @param {function(object): boolean} test - Called with each Transcript message.
+ * @param {boolean} [extend=false] - Add to the current selection instead of replacing it.
+ * @returns {number} How many bubbles are selected now.
+ */
+function selectMessages(test, extend = false) {
+    const byId = new Map(Transcript.messages.map(msg => [msg.id, msg]));
+    const boxes = elements.output.querySelectorAll('.delete-checkbox');
+    boxes.forEach(box => {
+        const msg = byId.get(box.dataset.id);
+        box.checked = (extend && box.checked) || (!!msg && test(msg));
+    });
+    toggleDeleteButtonVisibility();
+    return elements.output.querySelectorAll('.delete-checkbox:checked').length;
+}
+
+/**
+ * Wires up the Select menu: all, none, invert, or every message containing some text.
+ */
+function initSelectMenu() {
+    const toggle = document.getElementById('btnSelect');
+    const menu = document.getElementById('selectOptions');
+    const search = document.getElementById('selectSearch');
+
+    const setOpen = (open) => {
+        menu.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+    };
 
-    segments.forEach((segment, index) => {
-        if (!indicesToDelete.has(index)) {
-            // Reconstruct the text from the segments we want to keep
-            newText += (segment.originalPrefix || '') + segment.content.trim() + '\n\n';
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        flushPendingInput();
+        setOpen(menu.hidden);
+    });
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-select]');
+        if (!item) return;
+        setOpen(false);
+        if (item.dataset.select === 'all') {
+            selectMessages(() => true);
+        } else if (item.dataset.select === 'none') {
+            selectMessages(() => false);
+        } else if (item.dataset.select === 'invert') {
+            const selected = new Set(Array.from(elements.output.querySelectorAll('.delete-checkbox:checked'), box => box.dataset.id));
+            selectMessages(msg => !selected.has(msg.id));
+        }
+    });
+    document.getElementById('selectSearchForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const query = search.value.trim().toLowerCase();
+        if (!query) return;
+        const count = selectMessages(msg => msg.content.toLowerCase().includes(query));
+        showToast(count ? `Selected ${count} message${count === 1 ? '' : 's'} containing "${search.value.trim()}"` : 'No messages contain that text.');
+        setOpen(false);
+    });
+    document.addEventListener('click', (e) => {
+        if (!menu.hidden && !e.target.closest('#selectMenu')) setOpen(false);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !menu.hidden) {
+            setOpen(false);
+            toggle.focus();
         }
     });
+}
+
+// === SEARCH ===
+
+/**
+ * The search bar over the preview. It searches the rendered text of each
+ * bubble, including collapsed system, tool and reasoning messages, and can
+ * be narrowed to one speaker or side. Matches are marked with the CSS Custom
+ * Highlight API, so the rows themselves are never rewritten.
+ *
+ * "Only matching" hides the other messages and makes the matching ones the
+ * selection, with "Only selected messages" on, so downloads, prints and
+ * images take what is shown.
+ */
+const ChatSearch = {
+    MAX_MATCHES: 5000,
+
+    query: '',
+    caseSensitive: false,
+    regex: false,
+    filter: '', // '', 'role:user', 'role:ai' or 'speaker:<name>'
+    onlyMatching: false,
+    matches: [], // { row, range } in document order; range is null for a whole message
+    current: -1,
+
+    init() {
+        const input = document.getElementById('searchInput');
+        let timeout = null;
+        input.addEventListener('input', () => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => {
+                this.query = input.value;
+                this.run();
+            }, CONFIG.RENDER_DEBOUNCE);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(timeout);
+                if (this.query !== input.value) {
+                    this.query = input.value;
+                    this.run();
+                }
+                this.step(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape' && input.value) {
+                e.preventDefault();
+                input.value = '';
+                this.query = '';
+                this.run();
+            }
+        });
+        [['searchCase', 'caseSensitive'], ['searchRegex', 'regex']].forEach(([id, option]) => {
+            const button = document.getElementById(id);
+            button.addEventListener('click', () => {
+                this[option] = !this[option];
+                button.setAttribute('aria-pressed', String(this[option]));
+                this.run();
+            });
+        });
+        document.getElementById('searchFilter').addEventListener('change', (e) => {
+            this.filter = e.target.value;
+            this.run();
+        });
+        document.getElementById('searchPrev').addEventListener('click', () => this.step(-1));
+        document.getElementById('searchNext').addEventListener('click', () => this.step(1));
+        document.getElementById('searchOnly').addEventListener('click', () => this.setOnlyMatching(!this.onlyMatching));
+        this.updateFilterOptions();
+    },
+
+    isActive() {
+        return !!(this.query || this.filter);
+    },
+
+    /**
+     * @returns {RegExp|null} Null when there is no query.
+     * @throws {SyntaxError} If the query is an invalid regular expression.
+     */
+    pattern() {
+        if (!this.query) return null;
+        const source = this.regex ? this.query : this.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, this.caseSensitive ? 'g' : 'gi');
+    },
+
+    passesFilter(msg) {
+        if (!this.filter) return true;
+        if (this.filter.startsWith('role:')) return msg.role === this.filter.slice(5);
+        return msg.speaker === this.filter.slice(8);
+    },
 
-    elements.input.value = newText.trim();
-    handleInput(false); // Re-render the chat immediately
+    /**
+     * Lists the conversation's speakers in the filter, keeping the choice
+     * while that speaker is still there.
+     */
+    updateFilterOptions() {
+        const select = document.getElementById('searchFilter');
+        const options = [['', 'All messages'], ['role:user', 'User side'], ['role:ai', 'AI side']];
+        [...new Set(Transcript.messages.map(msg => msg.speaker))].forEach(speaker => options.push([`speaker:${speaker}`, speaker]));
+        if (!options.some(([value]) => value === this.filter)) this.filter = '';
+        select.innerHTML = '';
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.filter;
+    },
+
+    /**
+     * Re-runs the search after the preview was re-rendered.
+     */
+    refresh() {
+        this.updateFilterOptions();
+        this.run({ keepPosition: true });
+    },
+
+    /**
+     * Finds every match and highlights them.
+     * @param {object} [options]
+     * @param {boolean} [options.keepPosition=false] - Stay near the current match instead of going back to the first.
+     */
+    run({ keepPosition = false } = {}) {
+        const input = document.getElementById('searchInput');
+        const previousRow = keepPosition && this.matches[this.current] ? this.matches[this.current].row : null;
+        this.matches = [];
+        this.current = -1;
+
+        let pattern = null;
+        try {
+            pattern = this.pattern();
+            input.removeAttribute('aria-invalid');
+        } catch (e) {
+            input.setAttribute('aria-invalid', 'true');
+        }
+
+        const container = elements.output.querySelector('.chat-container');
+        const byId = new Map(Transcript.messages.map(msg => [msg.id, msg]));
+        const targets = container
+            ? Array.from(container.querySelectorAll(':scope > .chat-row')).filter(row => this.passesFilter(byId.get(row.dataset.id) || {}))
+            : Array.from(elements.output.querySelectorAll('.standard-doc'));
+        if (this.isActive() && !input.hasAttribute('aria-invalid')) {
+            for (const row of targets) {
+                if (!pattern) {
+                    this.matches.push({ row, range: null });
+                    continue;
+                }
+                const body = row.classList.contains('standard-doc') ? row : row.querySelector('.markdown-body');
+                if (!body) continue;
+                const { text, rangeFor } = indexText(body);
+                for (const match of text.matchAll(pattern)) {
+                    if (!match[0]) continue;
+                    this.matches.push({ row, range: rangeFor(match.index, match.index + match[0].length) });
+                    if (this.matches.length >= this.MAX_MATCHES) break;
+                }
+                if (this.matches.length >= this.MAX_MATCHES) break;
+            }
+        }
+
+        if (this.matches.length) {
+            const near = previousRow ? this.matches.findIndex(match => match.row === previousRow) : -1;
+            this.current = near === -1 ? 0 : near;
+        }
+        this.applyFilter();
+        this.show({ scroll: !keepPosition });
+    },
+
+    /**
+     * Moves to the next (1) or previous (-1) match, wrapping around.
+     */
+    step(direction) {
+        if (!this.matches.length) return;
+        this.current = (this.current + direction + this.matches.length) % this.matches.length;
+        this.show({ scroll: true });
+    },
+
+    /**
+     * Paints the highlights, the count and the current match.
+     */
+    show({ scroll = false } = {}) {
+        const count = document.getElementById('searchCount');
+        const input = document.getElementById('searchInput');
+        const total = this.matches.length;
+        if (input.hasAttribute('aria-invalid')) count.textContent = 'Invalid pattern';
+        else if (!this.isActive()) count.textContent = '';
+        else if (!total) count.textContent = 'No matches';
+        else count.textContent = `${this.current + 1} of ${total}${total >= this.MAX_MATCHES ? '+' : ''}`;
+        document.getElementById('searchPrev').disabled = total < 2;
+        document.getElementById('searchNext').disabled = total < 2;
+
+        elements.output.querySelectorAll('.search-current').forEach(row => row.classList.remove('search-current'));
+        const current = this.matches[this.current];
+        if (current) {
+            current.row.classList.add('search-current');
+            // A match in a collapsed system, tool or reasoning message can't be seen until it opens.
+            const details = current.row.querySelector('.kind-details');
+            if (details && current.range) details.open = true;
+            if (scroll && current.row.scrollIntoView) {
+                (current.range ? current.range.startContainer.parentElement : current.row).scrollIntoView({ block: 'center' });
+            }
+        }
+
+        if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight !== 'function') return;
+        const ranges = this.matches.filter(match => match.range).map(match => match.range);
+        CSS.highlights.set('search-match', new Highlight(...ranges));
+        if (current && current.range) CSS.highlights.set('search-current', new Highlight(current.range));
+        else CSS.highlights.delete('search-current');
+    },
+
+    setOnlyMatching(on) {
+        this.onlyMatching = on;
+        document.getElementById('searchOnly').setAttribute('aria-pressed', String(on));
+        ExportSelection.selectedOnly = on;
+        this.applyFilter();
+        ExportSelection.apply();
+    },
+
+    /**
+     * In "only matching" mode, hides the other messages and selects the matching ones.
+     */
+    applyFilter() {
+        const container = elements.output.querySelector('.chat-container');
+        if (!container) return;
+        const matched = new Set(this.matches.map(match => match.row.dataset.id));
+        const filtering = this.onlyMatching && this.isActive();
+        container.querySelectorAll(':scope > .chat-row').forEach(row => {
+            row.classList.toggle('search-hidden', filtering && !matched.has(row.dataset.id));
+        });
+        if (filtering) selectMessages(msg => matched.has(msg.id));
+    }
+};
+
+/**
+ * Resolves the public URL of widget.js.
+ * This logic ensures the URL is correct whether running locally or on a live server.
+ * @returns {string}
+ */
+function getWidgetUrl() {
+    if (window.location.protocol === 'file:') {
+        // When running locally, construct the expected GitHub Pages URL.
+        // Assumes the repo structure is 'Shawny-P.github.io/bubblescript/'.
+        return 'https://shawny-p.github.io/bubblescript/widget.js';
+    }
+    // When on a live server, create the URL relative to the current page.
+    return new URL('widget.js', window.location.href).href;
+}
+
+/**
+ * Builds an embed snippet that carries the current conversation and its metadata.
+ * The messages go in as JSON, as the preview shows them: with parse
+ * corrections and roster names, roles, colours and avatars, and without
+ * the kinds left out in the Download menu. Metadata goes into attributes,
+ * so it is HTML-escaped rather than trusted.
+ * @returns {string} The HTML snippet to paste into a host page.
+ */
+function buildEmbedCode() {
+    const { escapeHtml } = BubbleScriptCore;
+    flushPendingInput();
+    const data = {
+        segments: Transcript.toSegments()
+            .filter(seg => ExportKinds.includes(seg.kind))
+            .map(({ type, kind, speaker, content }) => (kind === 'message' ? { type, speaker, content } : { type, kind, speaker, content })),
+        roster: SpeakerRoster.speakers
+    };
+    // SECURE: No "<" survives in the JSON, so the message text can't close the script block.
+    const json = JSON.stringify(data).replace(/</g, '\\u003c');
+    const attrs = [
+        `data-title="${escapeHtml(elements.title.textContent.trim())}"`,
+        `data-date="${escapeHtml(elements.date.value.trim())}"`,
+        `data-source="${escapeHtml(elements.source.value.trim())}"`
+    ];
+    return `<div class="bubblescript-widget" ${attrs.join(' ')}>\n` +
+        `<script type="application/json">${json}<\/script>\n` +
+        `</div>\n` +
+        `<script src="${getWidgetUrl()}" defer><\/script>`;
 }
 
 /**
@@ -754,29 +1271,12 @@ function initEmbedModal() {
     const copyBtn = document.getElementById('copyEmbedCode');
     const codeEl = document.getElementById('embedCode');
 
-    // --- Generate a production-ready embed URL ---
-    // This logic ensures the URL is correct whether running locally or on a live server.
-    let widgetUrl;
-    const isLocal = window.location.protocol === 'file:';
-    
-    if (isLocal) {
-        // When running locally, construct the expected GitHub Pages URL.
-        // Assumes the repo structure is 'Shawny-P.github.io/bubblescript/'.
-        widgetUrl = 'https://shawny-p.github.io/bubblescript/widget.js';
-    } else {
-        // When on a live server, create the URL relative to the current page.
-        widgetUrl = new URL('widget.js', window.location.href).href;
-    }
-
-    const embedCode = `<script src="${widgetUrl}" defer><\/script>`;
-    codeEl.textContent = embedCode;
-
     closeBtn.addEventListener('click', () => {
         modal.style.display = 'none';
     });
 
     copyBtn.addEventListener('click', () => {
-        navigator.clipboard.writeText(embedCode).then(() => {
+        navigator.clipboard.writeText(codeEl.textContent).then(() => {
             showToast('Embed code copied to clipboard!');
         }, () => {
             showToast('Failed to copy code.');
@@ -792,204 +1292,2406 @@ function initEmbedModal() {
 }
 
 function openEmbedModal() {
+    if (!elements.input.value.trim()) {
+        showToast('Paste a conversation first to generate an embed snippet.');
+        return;
+    }
+    // Regenerate on every open so the snippet reflects the current conversation.
+    document.getElementById('embedCode').textContent = buildEmbedCode();
     document.getElementById('embedModal').style.display = 'flex';
 }
 
-function convertBubbleHtmlToText(bubbleNode) {
-    if (typeof DOMPurify === 'undefined') return bubbleNode.textContent;
-    
-    const safeFragment = DOMPurify.sanitize(bubbleNode.innerHTML, { ...DOMPURIFY_CONFIG, RETURN_DOM_FRAGMENT: true });
+// === FILE IMPORT ===
 
-    safeFragment.querySelectorAll('pre').forEach(pre => {
-        const code = pre.querySelector('code');
-        const lang = code ? (Array.from(code.classList).find(c => c.startsWith('language-')) || '').replace('language-', '') : '';
-        const codeText = pre.textContent;
-        pre.replaceWith(document.createTextNode(`\n\`\`\`${lang}\n${codeText}\n\`\`\`\n`));
+/**
+ * Wires up the file picker, drag-and-drop onto the editor pane and the
+ * conversation picker used for multi-conversation exports.
+ */
+function initFileImport() {
+    const fileInput = document.getElementById('fileInput');
+    const editorPane = document.querySelector('.editor-pane');
+    const modal = document.getElementById('importModal');
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importFile(fileInput.files[0]);
+        fileInput.value = ''; // Allow re-importing the same file
     });
-    
-    safeFragment.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
-    
-    safeFragment.querySelectorAll('p, ul, ol, blockquote').forEach(block => {
-        if (block.previousSibling) {
-            block.before(document.createTextNode('\n'));
-        }
+
+    editorPane.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        editorPane.classList.add('drag-over');
+    });
+    editorPane.addEventListener('dragleave', (e) => {
+        if (!editorPane.contains(e.relatedTarget)) editorPane.classList.remove('drag-over');
+    });
+    editorPane.addEventListener('drop', (e) => {
+        editorPane.classList.remove('drag-over');
+        if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        importFile(e.dataTransfer.files[0]);
+    });
+
+    document.getElementById('closeImportModal').addEventListener('click', closeImportModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeImportModal();
+    });
+    document.getElementById('importSearch').addEventListener('input', (e) => {
+        const query = e.target.value.trim().toLowerCase();
+        document.querySelectorAll('#importList li').forEach(li => {
+            li.hidden = query && !li.dataset.title.includes(query);
+        });
     });
-    return safeFragment.textContent.trim();
 }
 
-function updateSourceFromPreview() {
-    if (State.isUpdatingFromPreview) return;
-    State.isUpdatingFromPreview = true;
+/**
+ * Reads a dropped or picked file. JSON files go through the importers and
+ * Markdown exported by BubbleScript keeps its speakers; other text and
+ * markdown are inserted as-is for the regular parser.
+ * @param {File} file
+ */
+async function importFile(file) {
+    if (file.size > CONFIG.MAX_IMPORT_SIZE) {
+        showToast(`File too large (max ${CONFIG.MAX_IMPORT_SIZE / 1024 / 1024}MB)`);
+        return;
+    }
+    try {
+        const text = await file.text();
+        const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+        const isMarkdown = /\.(md|markdown)$/i.test(file.name) || file.type === 'text/markdown';
+
+        // Markdown exported by this app keeps its speakers and metadata.
+        const exported = isMarkdown ? BubbleScriptCore.Importers.importMarkdown(text) : null;
+        if (exported) {
+            loadImportedConversation(exported);
+            return;
+        }
 
-    const segments = Parser.parseSegments(elements.input.value);
-    const bubbles = elements.output.querySelectorAll('.markdown-body[contenteditable="true"]');
+        if (!isJson) {
+            State.currentDraftId = null; // An import starts a new library entry
+            elements.input.value = text.substring(0, CONFIG.MAX_INPUT_SIZE);
+            if (text.length > CONFIG.MAX_INPUT_SIZE) showToast('File truncated to the 5MB input limit');
+            handleInput(false, 'Import');
+            return;
+        }
 
-    if (segments.length !== bubbles.length) {
-        showToast("Preview out of sync. Re-rendering from source.");
-        State.isUpdatingFromPreview = false;
-        handleInput(false); 
-        return;
+        const { format, conversations } = BubbleScriptCore.Importers.importJson(text);
+        if (conversations.length === 1) {
+            loadImportedConversation(conversations[0]);
+        } else {
+            openImportModal(format, conversations);
+        }
+    } catch (e) {
+        console.error('Import failed:', e);
+        showToast('Import failed: ' + e.message);
+    }
+}
+
+/**
+ * Replaces the editor contents with an imported conversation.
+ * @param {object} conv - A normalized conversation from BubbleScriptCore.Importers.
+ */
+function loadImportedConversation(conv) {
+    // Load segments straight into the model so timestamps and model names are kept.
+    State.currentDraftId = null; // An import starts a new library entry
+    ParseCorrections.set([]);
+    ParseCorrections.format = 'auto';
+    Transcript.load(conv.segments);
+    if (Transcript.toText().length > CONFIG.MAX_INPUT_SIZE) {
+        Transcript.syncFromSegments(ParseCorrections.parse(Transcript.toText().substring(0, CONFIG.MAX_INPUT_SIZE)));
+        showToast('Conversation truncated to the 5MB input limit');
+    }
+
+    elements.title.textContent = conv.title;
+    elements.source.value = conv.source;
+    if (conv.date) {
+        elements.date.value = conv.date;
+    } else if (conv.createdAt) {
+        elements.date.value = new Date(conv.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
     }
+    refreshViews({ syncText: true });
+    UndoHistory.record('Import');
+    showToast(`Imported "${conv.title}" (${conv.segments.length} messages)`);
+}
 
-    let updatedText = '';
-    segments.forEach((segment, index) => {
-        const bubbleNode = bubbles[index];
-        const newContent = convertBubbleHtmlToText(bubbleNode);
-        updatedText += (segment.originalPrefix || '') + newContent + '\n\n';
+function openImportModal(format, conversations) {
+    const list = document.getElementById('importList');
+    const search = document.getElementById('importSearch');
+    document.getElementById('importModalTitle').textContent = `Choose a ${format} Conversation (${conversations.length})`;
+    list.innerHTML = '';
+    search.value = '';
+
+    // Newest first, matching how the vendors list them.
+    const sorted = [...conversations].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    sorted.forEach(conv => {
+        const li = document.createElement('li');
+        li.dataset.title = conv.title.toLowerCase();
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'import-item';
+        button.setAttribute('role', 'option');
+
+        const title = document.createElement('span');
+        title.className = 'import-item-title';
+        title.textContent = conv.title;
+        const meta = document.createElement('span');
+        meta.className = 'import-item-meta';
+        const date = conv.createdAt ? new Date(conv.createdAt).toLocaleDateString() : 'Undated';
+        meta.textContent = `${date} · ${conv.segments.length} messages · ${conv.source}`;
+
+        button.append(title, meta);
+        button.addEventListener('click', () => {
+            closeImportModal();
+            loadImportedConversation(conv);
+        });
+        li.appendChild(button);
+        list.appendChild(li);
     });
-    elements.input.value = updatedText.trim();
-    Storage.scheduleAutoSave();
 
-    setTimeout(() => { State.isUpdatingFromPreview = false; }, 100);
+    document.getElementById('importModal').style.display = 'flex';
+    search.focus();
 }
 
-// === STORAGE MODULE ===
-const Storage = {
-// Storage size limits
-MAX_INPUT_SIZE: 5 * 1024 * 1024,    // 5MB
-MAX_TITLE_SIZE: 500,                 // 500 chars
-MAX_FIELD_SIZE: 200,                 // 200 chars
+function closeImportModal() {
+    document.getElementById('importModal').style.display = 'none';
+    document.getElementById('importList').innerHTML = '';
+}
 
-save() {
-    try {
-        const storageSize = JSON.stringify(localStorage).length;
-        if (storageSize > 10 * 1024 * 1024) { 
-            showToast("Storage limit reached. Please clear old data.");
-            return;
+// === DOWNLOADS ===
+
+/**
+ * Which message kinds (system prompts, tool calls, tool results, reasoning)
+ * are left out of downloads, prints and images. Plain messages always go in.
+ * The choice is remembered, and mirrored as `exclude-kind-*` classes on the
+ * body for the print stylesheet.
+ */
+const ExportKinds = {
+    STORAGE_KEY: 'chatExportKinds',
+    excluded: new Set(),
+
+    load() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+        } catch (e) {
+            console.warn('Could not read export settings:', e);
         }
-        
-        const data = {
-            input: elements.input.value.substring(0, this.MAX_INPUT_SIZE),
-            title: elements.title.textContent.substring(0, this.MAX_TITLE_SIZE),
-            date: elements.date.value.substring(0, this.MAX_FIELD_SIZE),
-            source: elements.source.value.substring(0, this.MAX_FIELD_SIZE),
-            timestamp: Date.now()
-        };
-        localStorage.setItem('chatExporter_save', JSON.stringify(data));
-        showToast("Draft saved successfully");
-    } catch (e) {
-        console.error("Save failed:", e);
-        showToast("Failed to save: " + e.message);
+        const kinds = Array.isArray(stored) ? stored : [];
+        this.excluded = new Set(kinds.filter(kind => kind !== 'message' && BubbleScriptCore.MESSAGE_KINDS.includes(kind)));
+        this.apply();
+    },
+
+    toggle(kind) {
+        if (this.excluded.has(kind)) this.excluded.delete(kind);
+        else this.excluded.add(kind);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify([...this.excluded]));
+        this.apply();
+    },
+
+    includes(kind) {
+        return !this.excluded.has(kind || 'message');
+    },
+
+    apply() {
+        BubbleScriptCore.MESSAGE_KINDS.forEach(kind => {
+            document.body.classList.toggle(`exclude-kind-${kind}`, this.excluded.has(kind));
+        });
+        document.querySelectorAll('#downloadOptions [data-kind]').forEach(item => {
+            item.setAttribute('aria-checked', String(this.includes(item.dataset.kind)));
+        });
     }
-},
-load() {
-    try {
-        const autoSaveData = JSON.parse(localStorage.getItem('chatExporter_auto'));
-        const manualSaveData = JSON.parse(localStorage.getItem('chatExporter_save'));
+};
+
+/**
+ * Whether downloads and prints take only the ticked bubbles, and whether the
+ * messages left out are marked in their place. The marker choice is
+ * remembered; "only selected" holds for this visit.
+ */
+const ExportSelection = {
+    STORAGE_KEY: 'chatExportOmitted',
+    selectedOnly: false,
+    markOmitted: true,
+
+    load() {
+        this.markOmitted = localStorage.getItem(this.STORAGE_KEY) !== 'off';
+        this.apply();
+    },
+
+    toggle(option) {
+        if (option === 'selectedOnly') {
+            this.selectedOnly = !this.selectedOnly;
+        } else if (option === 'markOmitted') {
+            this.markOmitted = !this.markOmitted;
+            localStorage.setItem(this.STORAGE_KEY, this.markOmitted ? 'on' : 'off');
+        }
+        this.apply();
+    },
+
+    /**
+     * Ids of the ticked messages, or null when exports take everything.
+     * @returns {Set<string>|null}
+     */
+    selectedIds() {
+        if (!this.selectedOnly) return null;
+        const ids = new Set(Array.from(elements.output.querySelectorAll('.delete-checkbox:checked'), box => box.dataset.id));
+        return ids.size ? ids : null;
+    },
+
+    apply() {
+        const hasSelection = !!elements.output.querySelector('.delete-checkbox:checked');
+        document.querySelectorAll('#downloadOptions [data-option]').forEach(item => {
+            item.setAttribute('aria-checked', String(this[item.dataset.option]));
+        });
+        const selectedItem = document.querySelector('#downloadOptions [data-option="selectedOnly"]');
+        if (selectedItem) selectedItem.setAttribute('aria-disabled', String(!hasSelection));
+    }
+};
+
+/**
+ * Wires up the Download menu next to "Export PDF".
+ */
+function initDownloadMenu() {
+    const toggle = document.getElementById('btnDownload');
+    const menu = document.getElementById('downloadOptions');
 
-        const dataToLoad = (autoSaveData && autoSaveData.timestamp > (manualSaveData?.timestamp || 0))
-            ? autoSaveData 
-            : manualSaveData;
+    const setOpen = (open) => {
+        menu.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+    };
 
-        if (!dataToLoad) {
-            showToast("No saved draft found");
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setOpen(menu.hidden);
+    });
+    menu.addEventListener('click', (e) => {
+        // The kind checkboxes stay in the open menu so several can be flipped.
+        const kindItem = e.target.closest('[data-kind]');
+        if (kindItem) {
+            e.stopPropagation();
+            ExportKinds.toggle(kindItem.dataset.kind);
             return;
         }
-        
-        if (typeof dataToLoad !== 'object' || dataToLoad === null) {
-            throw new Error('Invalid data format');
+        const optionItem = e.target.closest('[data-option]');
+        if (optionItem) {
+            e.stopPropagation();
+            if (optionItem.getAttribute('aria-disabled') !== 'true') ExportSelection.toggle(optionItem.dataset.option);
+            return;
         }
-        
-        if (typeof dataToLoad.input !== 'string' || 
-            typeof dataToLoad.title !== 'string' ||
-            typeof dataToLoad.date !== 'string' ||
-            typeof dataToLoad.source !== 'string') {
-            throw new Error('Invalid data structure');
+        const item = e.target.closest('[data-format]');
+        if (!item) return;
+        setOpen(false);
+        downloadExport(item.dataset.format);
+    });
+    document.addEventListener('click', (e) => {
+        if (!menu.hidden && !e.target.closest('#downloadMenu')) setOpen(false);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !menu.hidden) {
+            setOpen(false);
+            toggle.focus();
         }
-        
-        if (dataToLoad.input.length > this.MAX_INPUT_SIZE) {
-            throw new Error('Input data too large');
+    });
+    ExportKinds.load();
+    ExportSelection.load();
+
+    // Collapsed system, tool and reasoning messages print in full.
+    let expanded = [];
+    window.addEventListener('beforeprint', () => {
+        expanded = Array.from(elements.output.querySelectorAll('.kind-details:not([open])'));
+        expanded.forEach(details => { details.open = true; });
+    });
+    window.addEventListener('afterprint', () => {
+        expanded.forEach(details => { details.open = false; });
+        expanded = [];
+    });
+}
+
+/**
+ * Collects the current conversation in the shape the exporters expect.
+ * @returns {object}
+ */
+function collectExportDocument() {
+    flushPendingInput();
+    const selected = ExportSelection.selectedIds();
+    const all = Transcript.toSegments();
+    const segments = [];
+    let omitted = 0;
+    Transcript.messages.forEach((msg, index) => {
+        if (!ExportKinds.includes(msg.kind)) return;
+        if (selected && !selected.has(msg.id)) {
+            omitted++;
+            return;
         }
-        if (dataToLoad.title.length > this.MAX_TITLE_SIZE) {
-            throw new Error('Title too large');
+        const seg = all[index];
+        if (omitted && ExportSelection.markOmitted) seg.omittedBefore = omitted;
+        omitted = 0;
+        segments.push(seg);
+    });
+    return {
+        title: elements.title.textContent.trim() || 'Conversation Log',
+        date: elements.date.value.trim(),
+        source: elements.source.value.trim(),
+        segments,
+        omittedAfter: ExportSelection.markOmitted ? omitted : 0,
+        roster: SpeakerRoster.speakers
+    };
+}
+
+/**
+ * Reads the text of every stylesheet on the page, including the dynamic
+ * speaker-colour rules. Cross-origin sheets can't be read and are skipped.
+ * @returns {string}
+ */
+function collectPageCss() {
+    // Adopted sheets (see StyleManager) aren't listed in document.styleSheets.
+    return [...document.styleSheets, ...(document.adoptedStyleSheets || [])].map(sheet => {
+        try {
+            return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+        } catch (e) {
+            return '';
         }
-        if (dataToLoad.date.length > this.MAX_FIELD_SIZE ||
-            dataToLoad.source.length > this.MAX_FIELD_SIZE) {
-            throw new Error('Field data too large');
+    }).join('\n');
+}
+
+/**
+ * Builds and downloads the current conversation in the given format.
+ * @param {'pdf'|'pdf-toc'|'html'|'md'|'json'|'print'} format
+ */
+function downloadExport(format) {
+    if (format === 'print') {
+        if (ExportSelection.selectedIds()) printSelectedBubbles();
+        else window.print();
+        return;
+    }
+    const { Exporters, Pdf } = BubbleScriptCore;
+    const doc = collectExportDocument();
+    if (!doc.segments.length) {
+        showToast('Nothing to download yet.');
+        return;
+    }
+
+    try {
+        let content, type;
+        let extension = format;
+        if (format === 'pdf' || format === 'pdf-toc') {
+            // The PDF's built-in fonts would print emoji, CJK and the like as "?";
+            // the print dialog uses the browser's fonts, which have them.
+            const missing = Pdf.unsupportedCharacters(doc);
+            if (missing.length) {
+                showToast(`The PDF fonts can't show ${missing.slice(0, 5).join(' ')}${missing.length > 5 ? ' …' : ''}, so printing instead. Choose "Save as PDF" in the print dialog.`);
+                downloadExport('print');
+                return;
+            }
+            content = Pdf.build(doc, { toc: format === 'pdf-toc' });
+            type = 'application/pdf';
+            extension = 'pdf';
+        } else if (format === 'html') {
+            content = Exporters.toHtml(doc, {
+                css: collectPageCss(),
+                bodyClass: document.body.className,
+                bubbleClass: seg => getClassForSpeaker(seg.speaker)
+            });
+            type = 'text/html';
+        } else if (format === 'md') {
+            content = Exporters.toMarkdown(doc);
+            type = 'text/markdown';
+        } else if (format === 'json') {
+            content = Exporters.toJson(doc);
+            type = 'application/json';
+        } else {
+            return;
         }
-        
-        // SECURE: Sanitize all loaded data before using it to prevent stored XSS.
-        const cleanTitle = DOMPurify.sanitize(dataToLoad.title, {
-            ALLOWED_TAGS: [],
-            ALLOWED_ATTR: []
-        }).trim();
-        const cleanSource = DOMPurify.sanitize(dataToLoad.source, {
-            ALLOWED_TAGS: [],
-            ALLOWED_ATTR: []
-        }).trim();
-        const cleanDate = DOMPurify.sanitize(dataToLoad.date, {
-            ALLOWED_TAGS: [],
-            ALLOWED_ATTR: []
-        }).trim();
-        
-        elements.input.value = dataToLoad.input;
-        elements.title.textContent = cleanTitle || 'Conversation Log';
-        elements.date.value = cleanDate || new Date().toLocaleDateString();
-        elements.source.value = cleanSource || 'AI Assistant';
-        
-        handleInput();
-        showToast("Draft loaded");
+        downloadFile(Exporters.fileName(doc.title, extension), content, type);
     } catch (e) {
-        console.error("Failed to load draft:", e);
-        showToast("Failed to load draft: " + e.message);
-        localStorage.removeItem('chatExporter_auto');
-        localStorage.removeItem('chatExporter_save');
+        console.error('Download failed:', e);
+        showToast('Download failed: ' + e.message);
     }
-},
-scheduleAutoSave() {
-    if (State.autoSaveTimeout) {
-        clearTimeout(State.autoSaveTimeout);
-        State.autoSaveTimeout = null;
+}
+
+/**
+ * Saves text or binary content through a temporary download link.
+ */
+function downloadFile(fileName, content, type) {
+    const blobType = typeof content === 'string' ? `${type};charset=utf-8` : type;
+    const url = URL.createObjectURL(new Blob([content], { type: blobType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// === IMAGE EXPORT DIALOG ===
+
+function initImageModal() {
+    const modal = document.getElementById('imageModal');
+    const format = document.getElementById('imageFormat');
+
+    document.getElementById('closeImageModal').addEventListener('click', closeImageModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeImageModal();
+    });
+    // SVG scales to any size, so pixel density only applies to PNG.
+    format.addEventListener('change', () => {
+        document.getElementById('imageDensity').disabled = format.value === 'svg';
+    });
+    document.getElementById('imageForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        exportImages();
+    });
+}
+
+function openImageModal() {
+    flushPendingInput();
+    if (!Transcript.messages.length) {
+        showToast('Paste a conversation first to export an image.');
+        return;
     }
-    
-    State.autoSaveTimeout = setTimeout(() => {
+    // Default to the selection when there is one.
+    const selectedOnly = document.getElementById('imageSelectedOnly');
+    const hasSelection = !!elements.output.querySelector('.delete-checkbox:checked');
+    selectedOnly.checked = hasSelection;
+    selectedOnly.disabled = !hasSelection;
+    document.getElementById('imageModal').style.display = 'flex';
+}
+
+function closeImageModal() {
+    document.getElementById('imageModal').style.display = 'none';
+}
+
+async function exportImages() {
+    const button = document.getElementById('btnImageExport');
+    const format = document.getElementById('imageFormat').value;
+    const width = Math.min(Math.max(parseInt(document.getElementById('imageWidth').value, 10) || 800, 320), 4000);
+    const split = document.getElementById('imageSplit').checked;
+    const splitHeight = Math.max(parseInt(document.getElementById('imageSplitHeight').value, 10) || 2000, 400);
+
+    button.disabled = true;
+    try {
+        const blobs = await ImageExport.render({
+            format,
+            width,
+            density: Number(document.getElementById('imageDensity').value) || 1,
+            selectedOnly: document.getElementById('imageSelectedOnly').checked,
+            splitHeight: split ? splitHeight : null
+        });
+        const title = elements.title.textContent.trim();
+        blobs.forEach((blob, i) => {
+            const name = blobs.length > 1 ? `${title || 'conversation'} ${i + 1}` : title;
+            downloadFile(BubbleScriptCore.Exporters.fileName(name, format), blob, blob.type);
+        });
+        closeImageModal();
+        showToast(blobs.length > 1 ? `Exported ${blobs.length} images` : 'Image exported');
+    } catch (e) {
+        console.error('Image export failed:', e);
+        showToast('Image export failed: ' + e.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// === CODE BLOCK TOOLS ===
+
+/**
+ * One floating toolbar serves every code block: it moves to whichever <pre>
+ * the pointer is over. Keeping it outside the bubbles means the buttons never
+ * end up in contenteditable content or in the text synced back from it.
+ */
+function initCodeTools() {
+    const sheet = document.getElementById('document-sheet');
+    const tools = document.createElement('div');
+    tools.className = 'code-tools';
+    tools.hidden = true;
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.textContent = 'Copy';
+    copyButton.title = 'Copy this code block';
+
+    const linesButton = document.createElement('button');
+    linesButton.type = 'button';
+    linesButton.textContent = 'Line numbers';
+    linesButton.title = 'Show line numbers in all code blocks';
+
+    tools.append(copyButton, linesButton);
+    sheet.appendChild(tools);
+
+    const setLineNumbers = (enabled) => {
+        document.body.classList.toggle('code-line-numbers', enabled);
+        linesButton.setAttribute('aria-pressed', String(enabled));
+        localStorage.setItem('chatLineNumbers', enabled ? 'on' : 'off');
+    };
+    setLineNumbers(localStorage.getItem('chatLineNumbers') === 'on');
+
+    let activePre = null;
+    const hide = () => {
+        activePre = null;
+        tools.hidden = true;
+    };
+
+    sheet.addEventListener('mouseover', (e) => {
+        if (tools.contains(e.target)) return;
+        const pre = elements.output.contains(e.target) ? e.target.closest('pre') : null;
+        if (!pre) return hide();
+        if (pre === activePre) return;
+        activePre = pre;
+        // The toolbar lives in the sheet, so it scrolls along with the block.
+        const sheetRect = sheet.getBoundingClientRect();
+        const preRect = pre.getBoundingClientRect();
+        tools.style.top = `${preRect.top - sheetRect.top + 6}px`;
+        tools.style.right = `${sheetRect.right - preRect.right + 6}px`;
+        tools.hidden = false;
+    });
+    sheet.addEventListener('mouseleave', hide);
+
+    copyButton.addEventListener('click', async () => {
+        if (!activePre || !activePre.isConnected) return hide();
+        const code = activePre.querySelector('code') || activePre;
         try {
-            const storageSize = JSON.stringify(localStorage).length;
-            if (storageSize > 10 * 1024 * 1024) {
-                console.warn("Storage quota approaching limit");
-                elements.status.textContent = "Storage nearly full";
-                return;
-            }
-            
-            const data = {
-                input: elements.input.value.substring(0, this.MAX_INPUT_SIZE),
-                title: elements.title.textContent.substring(0, this.MAX_TITLE_SIZE),
-                date: elements.date.value.substring(0, this.MAX_FIELD_SIZE),
-                source: elements.source.value.substring(0, this.MAX_FIELD_SIZE),
-                timestamp: Date.now()
-            };
-            localStorage.setItem('chatExporter_auto', JSON.stringify(data));
-            elements.status.textContent = "Auto-saved";
-            elements.status.classList.add('saved');
+            await navigator.clipboard.writeText(code.textContent);
+            showToast('Code copied to clipboard');
         } catch (e) {
-            if (e.name === 'QuotaExceededError') {
-                elements.status.textContent = "Save failed: Storage full";
-                showToast("Storage quota exceeded. Please export or clear data.");
-            } else {
-                console.error("Auto-save failed:", e);
-                elements.status.textContent = "Save failed";
+            console.error('Copy failed:', e);
+            showToast('Could not copy the code: ' + e.message);
+        }
+    });
+
+    linesButton.addEventListener('click', () => {
+        setLineNumbers(!document.body.classList.contains('code-line-numbers'));
+    });
+}
+
+function convertBubbleHtmlToText(bubbleNode) {
+    if (typeof DOMPurify === 'undefined') return bubbleNode.textContent;
+    const { mathDelimiterIndexes } = BubbleScriptCore;
+
+    const safeFragment = DOMPurify.sanitize(bubbleNode.innerHTML, { ...DOMPURIFY_CONFIG, RETURN_DOM_FRAGMENT: true });
+
+    // Line breaks first, so a <br> typed inside a code block stays in its text.
+    safeFragment.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+
+    // A literal $ must stay literal when the source is parsed again, but only a
+    // $ that would open a formula needs the backslash. Formulas can span
+    // formatting, so each paragraph's text is checked as a whole.
+    const paragraphs = new Map();
+    const walker = document.createTreeWalker(safeFragment, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const parent = node.parentElement;
+        if (parent && parent.closest('pre, math')) continue;
+        const block = (parent && parent.closest('p, li, td, th, h1, h2, h3, h4, h5, h6, blockquote')) || safeFragment;
+        if (!paragraphs.has(block)) paragraphs.set(block, []);
+        paragraphs.get(block).push(node);
+    }
+    const codeOf = node => (node && node.parentElement && node.parentElement.closest('code')) || null;
+    paragraphs.forEach(nodes => {
+        // Checked as it will be written: inline code between backticks, as it stands.
+        let source = '';
+        const code = [];
+        const starts = nodes.map((node, n) => {
+            const inCode = codeOf(node);
+            if (inCode && codeOf(nodes[n - 1]) !== inCode) {
+                code.push([source.length]);
+                source += '`';
+            }
+            const start = source.length;
+            source += node.data;
+            if (inCode && codeOf(nodes[n + 1]) !== inCode) {
+                source += '`';
+                code[code.length - 1].push(source.length);
             }
+            return start;
+        });
+        const indexes = mathDelimiterIndexes(source, code);
+        nodes.forEach((node, n) => {
+            const own = indexes.filter(i => i >= starts[n] && i < starts[n] + node.data.length).map(i => i - starts[n]);
+            if (codeOf(node) || !own.length) return;
+            node.data = own.reduceRight((out, i) => out.slice(0, i) + '\\' + out.slice(i), node.data);
+        });
+    });
+
+    // Rendered math goes back to its TeX source, kept in the formula's annotation.
+    safeFragment.querySelectorAll('math').forEach(math => {
+        const annotation = math.querySelector('annotation[encoding="application/x-tex"]');
+        const tex = annotation ? annotation.textContent : math.textContent;
+        const source = math.getAttribute('display') === 'block' ? `\n$$\n${tex}\n$$\n` : `$${tex}$`;
+        math.replaceWith(document.createTextNode(source));
+    });
+
+    // Highlighted code is nested token spans; textContent flattens it back to the source.
+    safeFragment.querySelectorAll('pre').forEach(pre => {
+        const code = pre.querySelector('code');
+        const lang = code ? (Array.from(code.classList).find(c => c.startsWith('language-')) || '').replace('language-', '') : '';
+        const codeText = pre.textContent;
+        pre.replaceWith(document.createTextNode(`\n\`\`\`${lang}\n${codeText}\n\`\`\`\n`));
+    });
+    safeFragment.querySelectorAll('code').forEach(code => code.replaceWith(`\`${code.textContent}\``));
+
+    // Inline formatting, before the tables that flatten their cells to text.
+    safeFragment.querySelectorAll('img').forEach(img => {
+        const title = img.getAttribute('title');
+        img.replaceWith(`![${img.getAttribute('alt') || ''}](${img.getAttribute('src') || ''}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`);
+    });
+    safeFragment.querySelectorAll('a').forEach(a => {
+        const href = a.getAttribute('href') || '';
+        const text = a.textContent;
+        const title = a.getAttribute('title');
+        // A bare URL or address that marked linked on its own stays bare.
+        if (!title && (href === text || href === `mailto:${text}`)) {
+            a.replaceWith(text);
+            return;
         }
-        setTimeout(() => {
-            elements.status.textContent = "";
-            elements.status.classList.remove('saved');
-        }, 3000);
-        State.autoSaveTimeout = null;
-    }, CONFIG.AUTO_SAVE_DELAY);
+        const target = /[\s()<>]/.test(href) ? `<${href}>` : href;
+        a.replaceWith(`[${text}](${target}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`);
+    });
+    const wrap = (selector, marker) => safeFragment.querySelectorAll(selector).forEach(el => {
+        if (!el.textContent.trim()) return;
+        el.prepend(marker);
+        el.append(marker);
+    });
+    wrap('strong, b', '**');
+    wrap('em, i', '*');
+    wrap('del, s', '~~');
+
+    // Block-level GFM elements: tables, rules, headings and task boxes.
+    safeFragment.querySelectorAll('table').forEach(table => {
+        const rows = Array.from(table.rows, row =>
+            `| ${Array.from(row.cells, cell => cell.textContent.trim().replace(/\|/g, '\\|')).join(' | ')} |`);
+        const rules = { left: ':--', center: ':-:', right: '--:' };
+        const divider = Array.from(table.rows[0] ? table.rows[0].cells : [], cell => rules[cell.getAttribute('align')] || '---');
+        if (rows.length) rows.splice(1, 0, `| ${divider.join(' | ')} |`);
+        table.replaceWith(`\n${rows.join('\n')}\n`);
+    });
+    safeFragment.querySelectorAll('hr').forEach(hr => hr.replaceWith('\n---\n'));
+    safeFragment.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+        heading.prepend('#'.repeat(Number(heading.tagName[1])) + ' ');
+    });
+    safeFragment.querySelectorAll('input[type="checkbox"]').forEach(box => box.replaceWith(box.hasAttribute('checked') ? '[x]' : '[ ]'));
+    
+    safeFragment.querySelectorAll('p, ul, ol, blockquote, h1, h2, h3, h4, h5, h6').forEach(block => {
+        if (block.previousSibling) {
+            block.before(document.createTextNode('\n'));
+        }
+    });
+
+    // After the block breaks, so a list item's marker stays on the same line as its first paragraph.
+    safeFragment.querySelectorAll('li').forEach(li => {
+        const list = li.parentElement;
+        const index = Array.from(list.children).indexOf(li);
+        li.prepend(list.tagName === 'OL' ? `${(Number(list.getAttribute('start')) || 1) + index}. ` : '- ');
+        const previous = li.previousSibling;
+        if (previous && !(previous.nodeType === Node.TEXT_NODE && previous.data.endsWith('\n'))) li.before('\n');
+    });
+
+    // Quotes last, innermost first, once their content is text: each line gets its marker.
+    Array.from(safeFragment.querySelectorAll('blockquote')).reverse().forEach(quote => {
+        const lines = quote.textContent.trim().split('\n');
+        quote.replaceWith(lines.map(line => (line ? `> ${line}` : '>')).join('\n'));
+    });
+    return safeFragment.textContent.trim();
 }
-}; 
 
-function clearText() {
-    elements.input.value = '';
-    resetFields();
-    handleInput();
+/**
+ * Writes an edited bubble back into the model by message id and regenerates the source text.
+ * A bubble that only had focus, with no input event, is left alone: its
+ * message keeps the exact source it was rendered from.
+ * @param {HTMLElement} bubbleNode - The contenteditable .markdown-body that lost focus.
+ */
+function updateSourceFromPreview(bubbleNode) {
+    if (State.isUpdatingFromPreview || bubbleNode.dataset.edited !== 'true') return;
+    delete bubbleNode.dataset.edited;
+    State.isUpdatingFromPreview = true;
+
+    try {
+        const id = bubbleNode.dataset.id;
+        if (!Transcript.get(id)) {
+            // The row was replaced while it had focus (e.g. by a re-parse); nothing to write back.
+            return;
+        }
+        if (Transcript.update(id, convertBubbleHtmlToText(bubbleNode))) {
+            refreshViews({ syncText: true });
+            UndoHistory.record('Edit message');
+        }
+    } finally {
+        State.isUpdatingFromPreview = false;
+    }
 }
 
-function showToast(msg) {
-    const t = document.getElementById('toast');
-    t.innerText = msg;
-    t.classList.add('show');
-    setTimeout(() => t.classList.remove('show'), 3000);
+// === STORAGE MODULE ===
+const Storage = {
+// Storage size limits
+MAX_INPUT_SIZE: 5 * 1024 * 1024,    // 5MB
+MAX_TITLE_SIZE: 500,                 // 500 chars
+MAX_FIELD_SIZE: 200,                 // 200 chars
+
+// Writes are chained so an auto-save and a manual save never race to create two drafts.
+writeQueue: Promise.resolve(),
+
+/**
+ * Collects the current document as a library draft.
+ */
+collectDraft() {
+    return {
+        id: State.currentDraftId,
+        input: elements.input.value.substring(0, Storage.MAX_INPUT_SIZE),
+        title: elements.title.textContent.substring(0, Storage.MAX_TITLE_SIZE),
+        date: elements.date.value.substring(0, Storage.MAX_FIELD_SIZE),
+        source: elements.source.value.substring(0, Storage.MAX_FIELD_SIZE),
+        messages: Transcript.messages,
+        roster: SpeakerRoster.speakers,
+        corrections: ParseCorrections.continuations,
+        format: ParseCorrections.format
+    };
+},
+
+/**
+ * Writes the current document to its library entry, creating one if needed.
+ * @returns {Promise<string>} The draft id.
+ */
+persist() {
+    const write = Storage.writeQueue.then(async () => {
+        const draft = Storage.collectDraft();
+        draft.id = State.currentDraftId; // May have been assigned by a queued write
+        State.currentDraftId = await Library.put(draft);
+        if (!draft.id) UndoHistory.adoptDraftId(State.currentDraftId);
+        return State.currentDraftId;
+    });
+    Storage.writeQueue = write.catch(() => {});
+    return write;
+},
+
+async save() {
+    if (!elements.input.value.trim()) {
+        showToast("Nothing to save yet");
+        return;
+    }
+    try {
+        await Storage.persist();
+        showToast("Draft saved to library");
+    } catch (e) {
+        console.error("Save failed:", e);
+        showToast(e.name === 'QuotaExceededError'
+            ? "Storage quota exceeded. Please delete old drafts."
+            : "Failed to save: " + e.message);
+    }
+},
+
+/**
+ * Validates a stored draft and sanitizes its fields.
+ * @param {object} data - A library draft or a legacy localStorage save.
+ * @returns {object} { input, title, date, source, messages, roster, corrections, format, timestamp }
+ * @throws {Error} If the data is malformed or oversized.
+ */
+validateDraft(data) {
+    if (typeof data !== 'object' || data === null) {
+        throw new Error('Invalid data format');
+    }
+    
+    if (typeof data.input !== 'string' || 
+        typeof data.title !== 'string' ||
+        typeof data.date !== 'string' ||
+        typeof data.source !== 'string') {
+        throw new Error('Invalid data structure');
+    }
+    
+    if (data.input.length > Storage.MAX_INPUT_SIZE) {
+        throw new Error('Input data too large');
+    }
+    if (data.title.length > Storage.MAX_TITLE_SIZE) {
+        throw new Error('Title too large');
+    }
+    if (data.date.length > Storage.MAX_FIELD_SIZE ||
+        data.source.length > Storage.MAX_FIELD_SIZE) {
+        throw new Error('Field data too large');
+    }
+    
+    // SECURE: Sanitize all loaded data before using it to prevent stored XSS.
+    const stripTags = (value) => DOMPurify.sanitize(value, {
+        ALLOWED_TAGS: [],
+        ALLOWED_ATTR: []
+    }).trim();
+
+    return {
+        input: data.input,
+        title: stripTags(data.title),
+        date: stripTags(data.date),
+        source: stripTags(data.source),
+        messages: Storage.validateMessages(data.messages),
+        roster: SpeakerRoster.validate(data.roster),
+        corrections: ParseCorrections.validate(data.corrections),
+        format: ParseCorrections.validateFormat(data.format),
+        timestamp: typeof data.timestamp === 'number' ? data.timestamp : Date.now()
+    };
+},
+
+/**
+ * Opens a draft from the library into the editor.
+ * @param {string} id - Library draft id.
+ */
+async load(id) {
+    try {
+        const draft = await Library.get(id);
+        if (!draft) {
+            showToast("Draft not found");
+            return;
+        }
+        const data = Storage.validateDraft(draft);
+
+        State.currentDraftId = id;
+        // Older drafts have no roster and go back to the built-in speaker keywords.
+        SpeakerRoster.set(data.roster);
+        ParseCorrections.set(data.corrections);
+        ParseCorrections.setFormat(data.format, data.input);
+        elements.input.value = data.input;
+        elements.title.textContent = data.title || 'Conversation Log';
+        elements.date.value = data.date || new Date().toLocaleDateString();
+        elements.source.value = data.source || 'AI Assistant';
+        
+        if (data.messages && data.messages.length > 0) {
+            // Restore the structured model as saved instead of re-deriving it from text.
+            Transcript.load(data.messages);
+            updateFormatSelect();
+            refreshViews();
+            UndoHistory.record('Load draft');
+        } else {
+            handleInput(false, 'Load draft');
+        }
+        showToast(`Opened "${elements.title.textContent}"`);
+    } catch (e) {
+        console.error("Failed to load draft:", e);
+        showToast("Failed to load draft: " + e.message);
+    }
+},
+/**
+ * Validates saved transcript messages and converts them back to segments.
+ * @returns {object[]|null} Segments for Transcript.load, or null if absent (older drafts).
+ * @throws {Error} If messages are present but malformed.
+ */
+validateMessages(messages) {
+    if (messages === undefined) return null;
+    if (!Array.isArray(messages)) throw new Error('Invalid message list');
+
+    const isOptionalString = (value) => value === undefined || (typeof value === 'string' && value.length <= Storage.MAX_FIELD_SIZE);
+    return messages.map(msg => {
+        if (typeof msg !== 'object' || msg === null ||
+            typeof msg.speaker !== 'string' || msg.speaker.length > Storage.MAX_FIELD_SIZE ||
+            typeof msg.content !== 'string' || msg.content.length > Storage.MAX_INPUT_SIZE ||
+            (msg.role !== 'user' && msg.role !== 'ai') ||
+            (msg.kind !== undefined && !BubbleScriptCore.MESSAGE_KINDS.includes(msg.kind)) ||
+            !isOptionalString(msg.prefix)) {
+            throw new Error('Invalid message structure');
+        }
+        const meta = (typeof msg.meta === 'object' && msg.meta !== null) ? msg.meta : {};
+        return {
+            type: msg.role,
+            kind: msg.kind || 'message',
+            speaker: msg.speaker,
+            content: msg.content,
+            originalPrefix: msg.prefix || '',
+            timestamp: isOptionalString(meta.timestamp) ? meta.timestamp : undefined,
+            model: isOptionalString(meta.model) ? meta.model : undefined
+        };
+    });
+},
+scheduleAutoSave() {
+    if (State.autoSaveTimeout) {
+        clearTimeout(State.autoSaveTimeout);
+        State.autoSaveTimeout = null;
+    }
+    
+    State.autoSaveTimeout = setTimeout(async () => {
+        State.autoSaveTimeout = null;
+        // Don't create library entries for an empty editor.
+        if (!elements.input.value.trim()) return;
+
+        try {
+            await Storage.persist();
+            elements.status.textContent = "Auto-saved";
+            elements.status.classList.add('saved');
+        } catch (e) {
+            if (e.name === 'QuotaExceededError') {
+                elements.status.textContent = "Save failed: Storage full";
+                showToast("Storage quota exceeded. Please delete old drafts from the library.");
+            } else {
+                console.error("Auto-save failed:", e);
+                elements.status.textContent = "Save failed";
+            }
+        }
+        setTimeout(() => {
+            elements.status.textContent = "";
+            elements.status.classList.remove('saved');
+        }, 3000);
+    }, CONFIG.AUTO_SAVE_DELAY);
+}
+}; 
+
+// === LIBRARY DIALOG ===
+
+function initLibraryModal() {
+    const modal = document.getElementById('libraryModal');
+    document.getElementById('closeLibraryModal').addEventListener('click', closeLibraryModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeLibraryModal();
+    });
+    document.getElementById('librarySearch').addEventListener('input', renderLibraryList);
+    document.getElementById('btnNewConversation').addEventListener('click', () => {
+        closeLibraryModal();
+        newConversation();
+    });
+
+    // Event delegation for the per-entry actions
+    document.getElementById('libraryList').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const id = button.closest('li').dataset.id;
+        handleLibraryAction(button.dataset.action, id);
+    });
+
+    // A locked library can't take them yet; unlocking moves them.
+    if (!Vault.isLocked()) migrateLegacyDrafts();
+}
+
+/**
+ * One-time move of the old fixed localStorage slots into the library.
+ */
+function migrateLegacyDrafts() {
+    Library.migrateLegacy(Storage.validateDraft).then(count => {
+        if (count > 0) showToast(`Moved ${count} saved draft${count === 1 ? '' : 's'} into the library`);
+    }).catch(e => console.error('Legacy draft migration failed:', e));
+}
+
+async function openLibrary() {
+    document.getElementById('librarySearch').value = '';
+    document.getElementById('libraryModal').style.display = 'flex';
+    await renderLibraryList();
+    document.getElementById('librarySearch').focus();
+}
+
+function closeLibraryModal() {
+    document.getElementById('libraryModal').style.display = 'none';
+}
+
+/**
+ * Renders library entries matching the search box. Built with DOM APIs so
+ * stored titles are always treated as text.
+ */
+async function renderLibraryList() {
+    const list = document.getElementById('libraryList');
+    const query = document.getElementById('librarySearch').value.trim().toLowerCase();
+    let drafts;
+    try {
+        drafts = await Library.list();
+    } catch (e) {
+        console.error('Could not read library:', e);
+        list.innerHTML = '';
+        const error = document.createElement('li');
+        error.className = 'library-empty error-message';
+        error.textContent = 'Could not open the library: ' + e.message;
+        list.appendChild(error);
+        return;
+    }
+
+    const matches = drafts.filter(d => !query ||
+        d.title.toLowerCase().includes(query) || d.source.toLowerCase().includes(query));
+
+    list.innerHTML = '';
+    if (matches.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'library-empty';
+        empty.textContent = drafts.length ? 'No conversations match your search.' : 'No saved conversations yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    matches.forEach(draft => {
+        const li = document.createElement('li');
+        li.className = 'library-item';
+        li.dataset.id = draft.id;
+        if (draft.id === State.currentDraftId) li.classList.add('current');
+
+        const info = document.createElement('div');
+        info.className = 'library-item-info';
+        const title = document.createElement('span');
+        title.className = 'import-item-title';
+        title.textContent = draft.title || 'Untitled';
+        const meta = document.createElement('span');
+        meta.className = 'import-item-meta';
+        meta.textContent = `${draft.source} · ${draft.date} · Modified ${new Date(draft.modified).toLocaleString()}`;
+        info.append(title, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'library-item-actions';
+        [['open', 'Open'], ['rename', 'Rename'], ['duplicate', 'Duplicate'], ['delete', 'Delete']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = action === 'delete' ? 'btn btn-danger' : 'btn';
+            button.dataset.action = action;
+            button.textContent = label;
+            button.setAttribute('aria-label', `${label} "${draft.title}"`);
+            actions.appendChild(button);
+        });
+
+        li.append(info, actions);
+        list.appendChild(li);
+    });
+}
+
+async function handleLibraryAction(action, id) {
+    try {
+        if (action === 'open') {
+            flushPendingInput();
+            closeLibraryModal();
+            await Storage.load(id);
+            return;
+        }
+        if (action === 'rename') {
+            const draft = (await Library.list()).find(d => d.id === id);
+            if (!draft) return;
+            const title = window.prompt('Rename conversation', draft.title);
+            if (title === null || !title.trim()) return;
+            const cleanTitle = title.trim().substring(0, Storage.MAX_TITLE_SIZE);
+            await Library.rename(id, cleanTitle);
+            if (id === State.currentDraftId) elements.title.textContent = cleanTitle;
+        } else if (action === 'duplicate') {
+            await Library.duplicate(id);
+            showToast('Conversation duplicated');
+        } else if (action === 'delete') {
+            if (!window.confirm('Delete this conversation from the library? This cannot be undone.')) return;
+            await Library.remove(id);
+            // Keep editing the open text, but as a new unsaved conversation.
+            if (id === State.currentDraftId) State.currentDraftId = null;
+            showToast('Conversation deleted');
+        }
+        await renderLibraryList();
+    } catch (e) {
+        console.error(`Library ${action} failed:`, e);
+        showToast(`Could not ${action} conversation: ${e.message}`);
+    }
+}
+
+/**
+ * Starts a new, empty conversation. The previous one stays in the library.
+ */
+function newConversation() {
+    flushPendingInput();
+    clearText();
+}
+
+function clearText() {
+    // Detach from the current library entry so it isn't overwritten with a blank draft.
+    State.currentDraftId = null;
+    elements.input.value = '';
+    Transcript.clear();
+    ParseCorrections.set([]);
+    ParseCorrections.format = 'auto';
+    resetFields();
+    handleInput(false, 'Clear');
+}
+
+// === ENCRYPTED LIBRARY ===
+
+/**
+ * The lock screen, the Encryption dialog and auto-lock for the vault (see
+ * vault.js). Locking saves the open conversation, sealed, then clears the
+ * editor and the undo history so no plain copy stays on screen or in memory.
+ */
+function initVault() {
+    Vault.load();
+    Vault.onAutoLock = () => lockVault();
+    // Any use of the page counts as activity.
+    ['pointerdown', 'keydown', 'wheel'].forEach(type => {
+        document.addEventListener(type, () => Vault.touch(), { capture: true, passive: true });
+    });
+
+    const autoLock = document.getElementById('vaultAutoLock');
+    Vault.AUTO_LOCK_MINUTES.forEach(minutes => {
+        const option = document.createElement('option');
+        option.value = String(minutes);
+        option.textContent = minutes ? `${minutes} minutes without activity` : 'Never';
+        autoLock.appendChild(option);
+    });
+    autoLock.addEventListener('change', () => Vault.setAutoLock(Number(autoLock.value)));
+
+    const modal = document.getElementById('vaultModal');
+    document.getElementById('btnVaultSettings').addEventListener('click', openVaultModal);
+    document.getElementById('closeVaultModal').addEventListener('click', closeVaultModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeVaultModal();
+    });
+    document.getElementById('vaultSetupForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        enableVault();
+    });
+    document.getElementById('vaultDisableForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        disableVault();
+    });
+    document.getElementById('btnLock').addEventListener('click', () => lockVault());
+    document.getElementById('vaultUnlockForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        unlockVault();
+    });
+    document.getElementById('btnVaultForgot').addEventListener('click', forgetVault);
+
+    updateVaultControls();
+    if (Vault.isLocked()) showLockScreen();
+}
+
+function updateVaultControls() {
+    document.getElementById('btnLock').style.display = Vault.isEnabled() ? 'inline-block' : 'none';
+}
+
+function showLockScreen() {
+    document.querySelectorAll('.modal-overlay').forEach(overlay => { overlay.style.display = 'none'; });
+    const input = document.getElementById('vaultUnlockPassphrase');
+    input.value = '';
+    document.getElementById('vaultLock').style.display = 'flex';
+    input.focus();
+}
+
+/**
+ * Saves and closes the open conversation, then forgets the key.
+ * @returns {Promise<boolean>} Whether the library was locked.
+ */
+async function lockVault() {
+    if (!Vault.isEnabled() || Vault.isLocked()) return false;
+    flushPendingInput();
+    clearTimeout(State.autoSaveTimeout);
+    State.autoSaveTimeout = null;
+    if (elements.input.value.trim()) {
+        try {
+            await Storage.persist();
+        } catch (e) {
+            // Locking now would lose the unsaved text.
+            console.error('Could not save before locking:', e);
+            showToast('Not locked: the conversation could not be saved (' + e.message + ')');
+            Vault.touch();
+            return false;
+        }
+    }
+    State.lockedDraftId = State.currentDraftId;
+    Vault.lock();
+    clearText();
+    SpeakerRoster.set([]);
+    State.lastRedactionReport = null;
+    UndoHistory.reset();
+    showLockScreen();
+    return true;
+}
+
+async function unlockVault() {
+    const input = document.getElementById('vaultUnlockPassphrase');
+    const button = document.getElementById('btnVaultUnlock');
+    button.disabled = true;
+    try {
+        await Vault.unlock(input.value);
+    } catch (e) {
+        console.error('Unlock failed:', e);
+        showToast(e.message);
+        input.select();
+        return;
+    } finally {
+        button.disabled = false;
+    }
+    input.value = '';
+    document.getElementById('vaultLock').style.display = 'none';
+    migrateLegacyDrafts();
+    // Pick up where the lock left off.
+    const id = State.lockedDraftId;
+    State.lockedDraftId = null;
+    if (id) {
+        await Storage.load(id);
+        UndoHistory.reset();
+    } else {
+        showToast('Library unlocked');
+    }
+}
+
+/**
+ * For a forgotten passphrase: the sealed drafts can't be read, so they are
+ * deleted along with the vault settings.
+ */
+async function forgetVault() {
+    if (!window.confirm('Without the passphrase the saved conversations cannot be decrypted. Delete them all and turn encryption off?')) return;
+    try {
+        await Library.clear();
+    } catch (e) {
+        console.error('Could not clear the library:', e);
+        showToast('Could not delete the saved conversations: ' + e.message);
+        return;
+    }
+    Vault.forget();
+    State.lockedDraftId = null;
+    updateVaultControls();
+    document.getElementById('vaultLock').style.display = 'none';
+    showToast('Saved conversations deleted; encryption is off');
+}
+
+function openVaultModal() {
+    const enabled = Vault.isEnabled();
+    document.getElementById('vaultModalTitle').textContent = enabled ? 'Encryption Is On' : 'Encrypt the Library';
+    document.getElementById('vaultSetupForm').hidden = enabled;
+    document.getElementById('vaultDisableForm').hidden = !enabled;
+    document.querySelectorAll('#vaultModal input[type="password"]').forEach(input => { input.value = ''; });
+    document.getElementById('vaultAutoLock').value = String(enabled ? Vault.config.autoLock : Vault.DEFAULT_AUTO_LOCK);
+    document.getElementById('vaultModal').style.display = 'flex';
+}
+
+function closeVaultModal() {
+    document.getElementById('vaultModal').style.display = 'none';
+}
+
+async function enableVault() {
+    const passphrase = document.getElementById('vaultPassphrase').value;
+    if (passphrase !== document.getElementById('vaultPassphraseRepeat').value) {
+        showToast('The passphrases do not match');
+        return;
+    }
+    const button = document.getElementById('btnVaultEnable');
+    button.disabled = true;
+    try {
+        flushPendingInput();
+        // Anything still in the old localStorage slots goes in first, so it is sealed too.
+        await Library.migrateLegacy(Storage.validateDraft);
+        if (Library.LEGACY_KEYS.some(key => localStorage.getItem(key))) {
+            throw new Error('An old draft could not be moved into the library');
+        }
+        await Vault.create(passphrase, Number(document.getElementById('vaultAutoLock').value));
+    } catch (e) {
+        console.error('Could not turn on encryption:', e);
+        showToast('Could not turn on encryption: ' + e.message);
+        return;
+    } finally {
+        button.disabled = false;
+    }
+    closeVaultModal();
+    updateVaultControls();
+    if (elements.input.value.trim()) Storage.scheduleAutoSave();
+    showToast('The library is encrypted');
+}
+
+async function disableVault() {
+    if (!window.confirm('Store the saved conversations unencrypted again?')) return;
+    const button = document.getElementById('btnVaultDisable');
+    button.disabled = true;
+    try {
+        await Vault.disable(document.getElementById('vaultDisablePassphrase').value);
+    } catch (e) {
+        console.error('Could not turn off encryption:', e);
+        showToast('Could not turn off encryption: ' + e.message);
+        return;
+    } finally {
+        button.disabled = false;
+    }
+    closeVaultModal();
+    updateVaultControls();
+    showToast('Encryption is off');
+}
+
+function showToast(msg) {
+    const t = document.getElementById('toast');
+    t.innerText = msg;
+    t.classList.add('show');
+    setTimeout(() => t.classList.remove('show'), 3000);
+}
+
+// === SPEAKER ROSTER DIALOG ===
+
+function initSpeakerModal() {
+    const modal = document.getElementById('speakerModal');
+    document.getElementById('closeSpeakerModal').addEventListener('click', closeSpeakerModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeSpeakerModal();
+    });
+    document.getElementById('btnAddSpeaker').addEventListener('click', () => {
+        addSpeakerRow().querySelector('.speaker-name').focus();
+    });
+    document.getElementById('btnDetectSpeakers').addEventListener('click', addDetectedSpeakers);
+    document.getElementById('speakerList').addEventListener('click', (e) => {
+        const button = e.target.closest('.speaker-remove');
+        if (button) button.closest('.speaker-row').remove();
+    });
+    document.getElementById('btnUseProfile').addEventListener('click', useSpeakerProfile);
+    document.getElementById('btnSaveProfile').addEventListener('click', saveSpeakerProfile);
+    document.getElementById('btnDeleteProfile').addEventListener('click', deleteSpeakerProfile);
+    document.getElementById('speakerForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        applySpeakerRoster();
+    });
+}
+
+function openSpeakerModal() {
+    flushPendingInput();
+    renderSpeakerRows(SpeakerRoster.speakers);
+    renderProfileOptions();
+    document.getElementById('speakerModal').style.display = 'flex';
+}
+
+function closeSpeakerModal() {
+    document.getElementById('speakerModal').style.display = 'none';
+}
+
+function renderSpeakerRows(speakers) {
+    document.getElementById('speakerList').innerHTML = '';
+    speakers.forEach(speaker => addSpeakerRow(speaker));
+}
+
+/**
+ * Appends an editable row for one speaker. Built with DOM APIs so stored
+ * names are always treated as text.
+ * @returns {HTMLElement} The row.
+ */
+function addSpeakerRow(speaker = { name: '', aliases: [], role: 'other', color: '', avatar: '' }) {
+    const row = document.createElement('div');
+    row.className = 'speaker-row';
+
+    const field = (className, label, value, maxLength) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = className;
+        input.value = value;
+        input.maxLength = maxLength;
+        input.placeholder = label;
+        input.setAttribute('aria-label', label);
+        return input;
+    };
+    const name = field('speaker-name', 'Name', speaker.name, SpeakerRoster.MAX_NAME_LENGTH);
+    const aliases = field('speaker-aliases', 'Aliases, comma separated', speaker.aliases.join(', '), 2000);
+    const avatar = field('speaker-avatar-input', 'Avatar', speaker.avatar, 16);
+
+    const role = document.createElement('select');
+    role.className = 'speaker-role';
+    role.setAttribute('aria-label', 'Role');
+    BubbleScriptCore.PARSER_CONFIG.ROSTER_ROLES.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = BubbleScriptCore.ROLE_LABELS[value];
+        role.appendChild(option);
+    });
+    role.value = speaker.role;
+
+    // A colour input always holds a value, so a checkbox decides whether it is used.
+    const colorLabel = document.createElement('label');
+    colorLabel.className = 'modal-check';
+    const useColor = document.createElement('input');
+    useColor.type = 'checkbox';
+    useColor.className = 'speaker-color-on';
+    useColor.checked = !!speaker.color;
+    useColor.setAttribute('aria-label', 'Use a custom colour');
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'speaker-color';
+    color.value = speaker.color || '#3b82f6';
+    color.setAttribute('aria-label', 'Colour');
+    color.addEventListener('input', () => { useColor.checked = true; });
+    colorLabel.append(useColor, color);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-danger speaker-remove';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove ${speaker.name || 'this speaker'}`);
+
+    row.append(name, aliases, role, colorLabel, avatar, remove);
+    document.getElementById('speakerList').appendChild(row);
+    return row;
+}
+
+/**
+ * Reads the roster from the dialog's rows.
+ * @returns {object[]}
+ */
+function readSpeakerForm() {
+    return Array.from(document.querySelectorAll('#speakerList .speaker-row')).map(row => ({
+        name: row.querySelector('.speaker-name').value,
+        aliases: row.querySelector('.speaker-aliases').value.split(',').map(alias => alias.trim()).filter(Boolean),
+        role: row.querySelector('.speaker-role').value,
+        color: row.querySelector('.speaker-color-on').checked ? row.querySelector('.speaker-color').value : '',
+        avatar: row.querySelector('.speaker-avatar-input').value
+    }));
+}
+
+/**
+ * Adds a row for every speaker in the conversation that no row covers yet.
+ */
+function addDetectedSpeakers() {
+    const listed = readSpeakerForm().filter(speaker => speaker.name.trim());
+    let added = 0;
+    Transcript.messages.forEach(msg => {
+        if (BubbleScriptCore.findRosterSpeaker(listed, msg.speaker)) return;
+        const speaker = { name: msg.speaker, aliases: [], role: msg.role === 'user' ? 'user' : 'assistant', color: '', avatar: '' };
+        listed.push(speaker);
+        addSpeakerRow(speaker);
+        added++;
+    });
+    showToast(added ? `Added ${added} speaker${added === 1 ? '' : 's'}` : 'Every speaker in the conversation is already listed.');
+}
+
+function renderProfileOptions(selected = '') {
+    const select = document.getElementById('speakerProfileSelect');
+    const names = Object.keys(SpeakerRoster.loadProfiles()).sort((a, b) => a.localeCompare(b));
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = names.length ? 'Saved profiles...' : 'No saved profiles';
+    select.appendChild(placeholder);
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
+
+/**
+ * Fills the dialog with a saved profile. Nothing changes until it is applied.
+ */
+function useSpeakerProfile() {
+    const name = document.getElementById('speakerProfileSelect').value;
+    const profile = name && SpeakerRoster.loadProfiles()[name];
+    if (!profile) {
+        showToast('Choose a saved profile first.');
+        return;
+    }
+    renderSpeakerRows(profile);
+    document.getElementById('speakerProfileName').value = name;
+}
+
+function saveSpeakerProfile() {
+    const name = document.getElementById('speakerProfileName').value.trim();
+    if (!name) {
+        showToast('Enter a name for the profile.');
+        return;
+    }
+    try {
+        SpeakerRoster.saveProfile(name, readSpeakerForm());
+        renderProfileOptions(name);
+        showToast(`Saved profile "${name}"`);
+    } catch (e) {
+        console.error('Could not save speaker profile:', e);
+        showToast('Could not save profile: ' + e.message);
+    }
+}
+
+function deleteSpeakerProfile() {
+    const name = document.getElementById('speakerProfileSelect').value;
+    if (!name) {
+        showToast('Choose a saved profile first.');
+        return;
+    }
+    if (!window.confirm(`Delete the speaker profile "${name}"?`)) return;
+    SpeakerRoster.deleteProfile(name);
+    renderProfileOptions();
+    showToast(`Deleted profile "${name}"`);
+}
+
+/**
+ * Makes the dialog's roster the conversation's roster and re-parses the text
+ * so labels are classified by it.
+ */
+function applySpeakerRoster() {
+    try {
+        SpeakerRoster.set(readSpeakerForm());
+    } catch (e) {
+        console.error('Invalid speaker roster:', e);
+        showToast('Could not apply speakers: ' + e.message);
+        return;
+    }
+    closeSpeakerModal();
+    elements.output.innerHTML = ''; // Rebuild every row with the new colours and avatars
+    handleInput(false, 'Edit speakers');
+    showToast('Speakers updated');
+}
+
+// === CUSTOM THEMES ===
+
+/**
+ * The user's own themes (see themes.js for the schema), kept in localStorage.
+ * They follow the built-in themes in the cycle order.
+ */
+const ThemeStore = {
+    STORAGE_KEY: 'chatCustomThemes',
+    MAX_THEMES: 30,
+    PREVIEW_CLASS: 'theme-custom-preview',
+
+    themes: [],
+
+    /**
+     * Reads the saved themes and writes their rules. Unreadable themes are
+     * skipped rather than blocking the rest.
+     */
+    load() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+        } catch (e) {
+            console.warn('Could not read custom themes:', e);
+            stored = [];
+        }
+        this.themes = [];
+        (Array.isArray(stored) ? stored : []).slice(0, this.MAX_THEMES).forEach(theme => {
+            try {
+                this.themes.push(BubbleScriptCore.CustomThemes.validate(theme));
+            } catch (e) {
+                console.warn('Skipping unreadable custom theme:', e);
+            }
+        });
+        this.apply();
+    },
+
+    get(id) {
+        return this.themes.find(theme => theme.id === id) || null;
+    },
+
+    /**
+     * @returns {string[]} Theme keys for setTheme, in saved order.
+     */
+    keys() {
+        return this.themes.map(theme => BubbleScriptCore.CustomThemes.key(theme.id));
+    },
+
+    /**
+     * Adds a theme, or replaces the one with the same id.
+     * @param {object} theme
+     * @returns {object} The saved, normalized theme.
+     * @throws {Error} If the theme is malformed or there are too many.
+     */
+    put(theme) {
+        const saved = BubbleScriptCore.CustomThemes.validate(theme);
+        const index = this.themes.findIndex(existing => existing.id === saved.id);
+        if (index === -1 && this.themes.length >= this.MAX_THEMES) {
+            throw new Error(`You can keep up to ${this.MAX_THEMES} themes`);
+        }
+        if (index === -1) this.themes.push(saved);
+        else this.themes[index] = saved;
+        this.save();
+        return saved;
+    },
+
+    remove(id) {
+        this.themes = this.themes.filter(theme => theme.id !== id);
+        this.save();
+    },
+
+    save() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.themes));
+        this.apply();
+    },
+
+    /**
+     * Writes the rules for every saved theme and, while the editor is open,
+     * for the theme being edited.
+     * @param {object|null} [preview=null] - A validated theme shown under PREVIEW_CLASS.
+     */
+    apply(preview = null) {
+        const { CustomThemes, themeClass } = BubbleScriptCore;
+        const rules = [];
+        this.themes.forEach(theme => rules.push(...CustomThemes.rules(theme, themeClass(CustomThemes.key(theme.id)))));
+        if (preview) rules.push(...CustomThemes.rules(preview, this.PREVIEW_CLASS));
+        StyleManager.setThemeRules(rules);
+    }
+};
+
+// === THEME EDITOR ===
+
+function initThemeModal() {
+    const { CustomThemes } = BubbleScriptCore;
+    const modal = document.getElementById('themeModal');
+    document.getElementById('closeThemeModal').addEventListener('click', closeThemeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeThemeModal();
+    });
+
+    const colors = document.getElementById('themeColors');
+    CustomThemes.COLOR_FIELDS.forEach(({ key, label }) => {
+        const field = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.dataset.color = key;
+        field.append(input, ` ${label}`);
+        colors.appendChild(field);
+    });
+    const fillOptions = (select, options) => {
+        Object.entries(options).forEach(([value, { label }]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    };
+    fillOptions(document.getElementById('themeFont'), CustomThemes.FONTS);
+    fillOptions(document.getElementById('themeSpacing'), CustomThemes.SPACING);
+    document.getElementById('themeRadius').max = CustomThemes.MAX_RADIUS;
+    document.getElementById('themeName').maxLength = CustomThemes.MAX_NAME_LENGTH;
+
+    document.getElementById('themeSelect').addEventListener('change', (e) => {
+        fillThemeForm(ThemeStore.get(e.target.value) || themeFromPage());
+        previewTheme();
+    });
+    const form = document.getElementById('themeForm');
+    form.addEventListener('input', previewTheme);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveTheme();
+    });
+    document.getElementById('btnThemeDelete').addEventListener('click', deleteTheme);
+    document.getElementById('btnThemeExport').addEventListener('click', exportTheme);
+    const fileInput = document.getElementById('themeFileInput');
+    document.getElementById('btnThemeImport').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) importTheme(fileInput.files[0]);
+        fileInput.value = '';
+    });
+}
+
+/**
+ * Opens the editor on the active custom theme, or on a new theme that starts
+ * from the active built-in's colours.
+ */
+function openThemeModal() {
+    State.themeBeforeEdit = currentTheme();
+    const active = ThemeStore.themes.find(theme => BubbleScriptCore.CustomThemes.key(theme.id) === State.themeBeforeEdit);
+    renderThemeOptions(active ? active.id : '');
+    fillThemeForm(active || themeFromPage());
+    document.getElementById('themeModal').style.display = 'flex';
+    previewTheme();
+}
+
+/**
+ * Closes the editor and puts back the theme that was active, dropping any
+ * unsaved changes.
+ */
+function closeThemeModal() {
+    document.getElementById('themeModal').style.display = 'none';
+    ThemeStore.apply();
+    setTheme(State.themeBeforeEdit || 'light');
+    State.themeBeforeEdit = null;
+}
+
+function renderThemeOptions(selected = '') {
+    const select = document.getElementById('themeSelect');
+    select.innerHTML = '';
+    const blank = document.createElement('option');
+    blank.value = '';
+    blank.textContent = 'New theme';
+    select.appendChild(blank);
+    ThemeStore.themes.forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.name;
+        select.appendChild(option);
+    });
+    select.value = selected;
+    document.getElementById('btnThemeDelete').disabled = !selected;
+}
+
+/**
+ * A new theme based on how the page looks now, so editing starts from the
+ * active theme rather than from scratch.
+ */
+function themeFromPage() {
+    const { DEFAULTS } = BubbleScriptCore.CustomThemes;
+    const body = getComputedStyle(document.body);
+    const sheet = document.getElementById('document-sheet');
+    const read = (value, fallback) => BubbleScriptCore.parseColor(value) || fallback;
+    const colors = {
+        background: read(body.getPropertyValue('--bg-color'), DEFAULTS.colors.background),
+        sheet: read(getComputedStyle(sheet).backgroundColor, DEFAULTS.colors.sheet),
+        text: read(getComputedStyle(sheet.querySelector('.doc-title')).color, DEFAULTS.colors.text),
+        header: read(body.getPropertyValue('--header-bg'), DEFAULTS.colors.header),
+        accent: read(body.getPropertyValue('--primary-color'), DEFAULTS.colors.accent),
+        border: read(body.getPropertyValue('--border-color'), DEFAULTS.colors.border),
+        userBubble: read(body.getPropertyValue('--bubble-user-bg'), DEFAULTS.colors.userBubble),
+        userText: read(body.getPropertyValue('--bubble-user-text'), DEFAULTS.colors.userText),
+        aiBubble: read(body.getPropertyValue('--bubble-ai-bg'), DEFAULTS.colors.aiBubble),
+        aiText: read(body.getPropertyValue('--bubble-ai-text'), DEFAULTS.colors.aiText)
+    };
+    return { ...DEFAULTS, colors };
+}
+
+function fillThemeForm(theme) {
+    document.getElementById('themeName').value = theme.name;
+    document.querySelectorAll('#themeColors [data-color]').forEach(input => {
+        input.value = theme.colors[input.dataset.color];
+    });
+    document.getElementById('themeFont').value = theme.font;
+    document.getElementById('themeRadius').value = theme.radius;
+    document.getElementById('themeRadiusValue').textContent = `${theme.radius}px`;
+    document.getElementById('themeSpacing').value = theme.spacing;
+}
+
+/**
+ * Reads the theme from the dialog.
+ * @returns {object} Unvalidated; the id is the selected theme's, or a new one.
+ */
+function readThemeForm() {
+    const colors = {};
+    document.querySelectorAll('#themeColors [data-color]').forEach(input => {
+        colors[input.dataset.color] = input.value;
+    });
+    return {
+        id: document.getElementById('themeSelect').value || BubbleScriptCore.CustomThemes.createId(),
+        name: document.getElementById('themeName').value,
+        colors,
+        font: document.getElementById('themeFont').value,
+        radius: Number(document.getElementById('themeRadius').value),
+        spacing: document.getElementById('themeSpacing').value
+    };
+}
+
+/**
+ * Shows the dialog's theme on the page while it is being edited.
+ */
+function previewTheme() {
+    const theme = readThemeForm();
+    document.getElementById('themeRadiusValue').textContent = `${theme.radius}px`;
+    let preview;
+    try {
+        // The name doesn't change the look, so a blank one mustn't stop the preview.
+        preview = BubbleScriptCore.CustomThemes.validate({ ...theme, name: theme.name.trim() || 'Preview' });
+    } catch (e) {
+        return;
+    }
+    ThemeStore.apply(preview);
+    document.body.classList.remove(...Array.from(document.body.classList).filter(c => c.startsWith('theme-') || c === 'dark-mode'));
+    document.body.classList.add(ThemeStore.PREVIEW_CLASS);
+    refreshSpeakerPalette();
+    renderContrastReport(preview);
+}
+
+/**
+ * Lists how each text and bubble pair of the edited theme does against WCAG AA.
+ * @param {object} theme - A validated theme.
+ */
+function renderContrastReport(theme) {
+    const { auditContrast, CustomThemes, WCAG_AA } = BubbleScriptCore;
+    const results = auditContrast(CustomThemes.contrastColors(theme));
+    const failing = results.filter(result => !result.passes).length;
+    document.getElementById('themeContrastSummary').textContent = failing
+        ? `${failing} of ${results.length} pairs are below the ${WCAG_AA}:1 contrast that WCAG AA asks for.`
+        : `Every pair meets the ${WCAG_AA}:1 contrast that WCAG AA asks for.`;
+    const list = document.getElementById('themeContrast');
+    list.innerHTML = '';
+    results.forEach(result => {
+        const item = document.createElement('li');
+        item.className = result.passes ? 'contrast-pass' : 'contrast-fail';
+        const swatch = document.createElement('span');
+        swatch.className = 'contrast-sample';
+        swatch.textContent = 'Aa';
+        swatch.title = `${result.foreground} on ${result.background}`;
+        swatch.style.color = result.foreground;
+        swatch.style.backgroundColor = result.background;
+        item.append(swatch, ` ${result.label}: ${result.ratio}:1${result.passes ? '' : ' (too low)'}`);
+        list.appendChild(item);
+    });
+}
+
+function saveTheme() {
+    let saved;
+    try {
+        saved = ThemeStore.put(readThemeForm());
+    } catch (e) {
+        console.error('Could not save theme:', e);
+        showToast('Could not save theme: ' + e.message);
+        return;
+    }
+    State.themeBeforeEdit = BubbleScriptCore.CustomThemes.key(saved.id);
+    renderThemeOptions(saved.id);
+    closeThemeModal();
+    showToast(`Saved theme "${saved.name}"`);
+}
+
+function deleteTheme() {
+    const theme = ThemeStore.get(document.getElementById('themeSelect').value);
+    if (!theme || !window.confirm(`Delete the theme "${theme.name}"?`)) return;
+    ThemeStore.remove(theme.id);
+    if (State.themeBeforeEdit === BubbleScriptCore.CustomThemes.key(theme.id)) State.themeBeforeEdit = 'light';
+    renderThemeOptions();
+    fillThemeForm(BubbleScriptCore.CustomThemes.DEFAULTS);
+    previewTheme();
+    showToast(`Deleted theme "${theme.name}"`);
+}
+
+/**
+ * Downloads the dialog's theme as a JSON file to share.
+ */
+function exportTheme() {
+    const { CustomThemes, Exporters } = BubbleScriptCore;
+    try {
+        const theme = readThemeForm();
+        downloadFile(Exporters.fileName(theme.name, 'theme.json'), CustomThemes.toFile(theme), 'application/json');
+    } catch (e) {
+        console.error('Theme export failed:', e);
+        showToast('Could not export theme: ' + e.message);
+    }
+}
+
+/**
+ * Adds a shared theme file to the saved themes and opens it in the editor.
+ * @param {File} file
+ */
+async function importTheme(file) {
+    if (file.size > 64 * 1024) {
+        showToast('That file is too large to be a theme.');
+        return;
+    }
+    try {
+        const saved = ThemeStore.put(BubbleScriptCore.CustomThemes.fromFile(await file.text()));
+        renderThemeOptions(saved.id);
+        fillThemeForm(saved);
+        previewTheme();
+        showToast(`Imported theme "${saved.name}"`);
+    } catch (e) {
+        console.error('Theme import failed:', e);
+        showToast('Could not import theme: ' + e.message);
+    }
+}
+
+// === REDACTION DIALOG ===
+
+/**
+ * Replaces sensitive text with placeholders (see redaction.js). While the
+ * dialog is open, matches are highlighted in the preview with the CSS Custom
+ * Highlight API, which marks text without touching the rendered rows.
+ *
+ * Which detectors are on is remembered. The user's terms are not: they are
+ * often the very names being hidden.
+ */
+const RedactionSettings = {
+    STORAGE_KEY: 'chatRedactDetectors',
+    detectors: BubbleScriptCore.Redaction.DETECTORS.map(detector => detector.id),
+
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+        } catch (e) {
+            console.warn('Could not read redaction settings:', e);
+        }
+        if (Array.isArray(stored)) {
+            this.detectors = stored.filter(id => BubbleScriptCore.Redaction.DETECTORS.some(detector => detector.id === id));
+        }
+    },
+
+    save(detectors) {
+        this.detectors = detectors;
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(detectors));
+    }
+};
+
+function initRedactModal() {
+    const modal = document.getElementById('redactModal');
+    RedactionSettings.load();
+
+    const fieldset = document.getElementById('redactDetectors');
+    BubbleScriptCore.Redaction.DETECTORS.forEach(detector => {
+        const label = document.createElement('label');
+        label.className = 'modal-check';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = detector.id;
+        box.checked = RedactionSettings.detectors.includes(detector.id);
+        label.append(box, ` ${detector.label}`);
+        fieldset.appendChild(label);
+    });
+
+    document.getElementById('btnRedact').addEventListener('click', openRedactModal);
+    document.getElementById('closeRedactModal').addEventListener('click', closeRedactModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeRedactModal();
+    });
+    // Typing a long list of terms shouldn't re-scan the document on every key.
+    let previewTimeout = null;
+    document.getElementById('redactForm').addEventListener('input', () => {
+        clearTimeout(previewTimeout);
+        previewTimeout = setTimeout(previewRedaction, CONFIG.RENDER_DEBOUNCE);
+    });
+    document.getElementById('redactForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        applyRedaction();
+    });
+    document.getElementById('btnRedactReport').addEventListener('click', downloadRedactionReport);
+}
+
+function openRedactModal() {
+    flushPendingInput();
+    if (!elements.input.value.trim()) {
+        showToast('Paste a conversation first to redact it.');
+        return;
+    }
+    document.getElementById('redactReport').hidden = true;
+    State.lastRedactionReport = null;
+    document.getElementById('redactModal').style.display = 'flex';
+    previewRedaction();
+}
+
+function closeRedactModal() {
+    document.getElementById('redactModal').style.display = 'none';
+    highlightRedaction(null);
+}
+
+/**
+ * Reads the dialog into options for Redaction.findMatches.
+ * @throws {Error} If a term is not a valid pattern.
+ */
+function readRedactForm() {
+    const detectors = Array.from(document.querySelectorAll('#redactDetectors input:checked'), box => box.value);
+    const terms = BubbleScriptCore.Redaction.parseTerms(document.getElementById('redactTerms').value);
+    return { detectors, terms };
+}
+
+/**
+ * The texts a redaction rewrites, with where each one is and how to write
+ * the result back. Speaker names are redacted everywhere they appear (the
+ * messages, their labels in the text and the roster with its aliases), so a
+ * name never survives in the legend, the search filter or an export. Each
+ * name counts once, under "Speakers"; `record: false` marks the repeats.
+ * @returns {{ where: string, text: string, record: boolean, write: function(string) }[]}
+ */
+function redactableTexts() {
+    const texts = [
+        { where: 'Title', text: elements.title.textContent, record: true, write: text => { elements.title.textContent = text; } },
+        { where: 'Source', text: elements.source.value, record: true, write: text => { elements.source.value = text; } }
+    ];
+    const names = new Set();
+    const addName = (text, write) => {
+        texts.push({ where: 'Speakers', text, record: !names.has(text), write });
+        names.add(text);
+    };
+    // The roster is shared with undo snapshots, so it is replaced rather than changed in place.
+    const roster = SpeakerRoster.speakers.map(speaker => ({ ...speaker, aliases: [...speaker.aliases] }));
+    roster.forEach(speaker => {
+        addName(speaker.name, text => {
+            speaker.name = text;
+            SpeakerRoster.set(roster);
+        });
+        speaker.aliases.forEach((alias, i) => addName(alias, text => {
+            speaker.aliases[i] = text;
+            SpeakerRoster.set(roster);
+        }));
+    });
+
+    Transcript.messages.forEach((msg, i) => {
+        const where = `Message ${i + 1}`;
+        addName(msg.speaker, text => { msg.speaker = text; });
+        if (msg.prefix) texts.push({ where, text: msg.prefix, record: false, write: text => { msg.prefix = text; } });
+        if (msg.meta.model) texts.push({ where, text: msg.meta.model, record: true, write: text => { msg.meta.model = text; } });
+        texts.push({ where, text: msg.content, record: true, write: text => Transcript.update(msg.id, text) });
+    });
+    return texts;
+}
+
+/**
+ * Counts what the current options would replace and highlights it.
+ */
+function previewRedaction() {
+    const summary = document.getElementById('redactSummary');
+    const button = document.getElementById('btnRedactApply');
+    let options;
+    try {
+        options = readRedactForm();
+    } catch (e) {
+        summary.textContent = e.message;
+        button.disabled = true;
+        highlightRedaction(null);
+        return;
+    }
+    // A dry run on a throwaway redactor gives the same counts the real one will.
+    const texts = redactableTexts();
+    const redactor = BubbleScriptCore.Redaction.createRedactor(options, texts.map(item => item.text).join('\n'));
+    texts.forEach(item => redactor.redact(item.text, item.where, { record: item.record }));
+    const { total, byType, entries } = redactor.report();
+    const labels = new Map(entries.map(entry => [entry.type, entry.label]));
+    summary.textContent = total
+        ? `${total} ${total === 1 ? 'match' : 'matches'} to replace (` +
+            Object.entries(byType).map(([type, count]) => `${labels.get(type)}: ${count}`).join(', ') + ').'
+        : 'Nothing to redact with these options.';
+    button.disabled = !total;
+    highlightRedaction(options);
+}
+
+/**
+ * Joins an element's text so it can be searched as one string, even where
+ * formatting splits it across nodes, and maps offsets in it back to ranges.
+ * @param {HTMLElement} root
+ * @returns {{ text: string, rangeFor: function(number, number): Range }}
+ */
+function indexText(root) {
+    const nodes = [];
+    let text = '';
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        nodes.push({ node: walker.currentNode, start: text.length });
+        text += walker.currentNode.data;
+    }
+    const at = offset => nodes.findLast(item => item.start <= offset);
+    const rangeFor = (start, end) => {
+        const range = document.createRange();
+        const first = at(start);
+        const last = at(end - 1);
+        range.setStart(first.node, start - first.start);
+        range.setEnd(last.node, end - last.start);
+        return range;
+    };
+    return { text, rangeFor };
+}
+
+/**
+ * Highlights matches and existing placeholders in the preview. Does nothing
+ * in browsers without the Custom Highlight API; the summary still counts.
+ * @param {object|null} options - As for Redaction.findMatches; null clears the highlights.
+ */
+function highlightRedaction(options) {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight !== 'function') return;
+    CSS.highlights.delete('redaction-match');
+    CSS.highlights.delete('redaction-placeholder');
+    if (!options) return;
+
+    const { Redaction } = BubbleScriptCore;
+    const matches = new Highlight();
+    const placeholders = new Highlight();
+    [elements.title, ...elements.output.querySelectorAll('.speaker-label, .markdown-body')].forEach(root => {
+        const { text, rangeFor } = indexText(root);
+        Redaction.findMatches(text, options).forEach(match => matches.add(rangeFor(match.start, match.end)));
+        for (const match of text.matchAll(Redaction.PLACEHOLDER_PATTERN)) {
+            placeholders.add(rangeFor(match.index, match.index + match[0].length));
+        }
+    });
+    CSS.highlights.set('redaction-match', matches);
+    CSS.highlights.set('redaction-placeholder', placeholders);
+}
+
+/**
+ * Redacts the document in place. The undo history is cleared and the library
+ * entry overwritten straight away, so the original text isn't kept in memory
+ * or left in storage.
+ */
+async function applyRedaction() {
+    let options;
+    try {
+        options = readRedactForm();
+    } catch (e) {
+        showToast('Could not redact: ' + e.message);
+        return;
+    }
+    flushPendingInput();
+    RedactionSettings.save(options.detectors);
+
+    const texts = redactableTexts();
+    const redactor = BubbleScriptCore.Redaction.createRedactor(options, texts.map(item => item.text).join('\n'));
+    // A focused bubble's blur must not write the original content back.
+    State.isUpdatingFromPreview = true;
+    try {
+        texts.forEach(item => item.write(redactor.redact(item.text, item.where, { record: item.record })));
+        // Merged lines are stored verbatim; they must match the redacted text to stay merged.
+        ParseCorrections.continuations = ParseCorrections.continuations.map(line => redactor.redact(line, '', { record: false }));
+        refreshViews({ syncText: true });
+    } finally {
+        State.isUpdatingFromPreview = false;
+    }
+    UndoHistory.reset('Redact');
+
+    const report = redactor.report();
+    State.lastRedactionReport = report;
+    renderRedactionReport(report);
+    previewRedaction();
+
+    // Replace the saved draft now rather than after the auto-save delay.
+    if (State.currentDraftId) {
+        clearTimeout(State.autoSaveTimeout);
+        State.autoSaveTimeout = null;
+        try {
+            await Storage.persist();
+        } catch (e) {
+            console.error('Saving the redacted draft failed:', e);
+            showToast('Redacted, but the saved draft could not be updated: ' + e.message);
+            return;
+        }
+    }
+    showToast(`Redacted ${report.total} ${report.total === 1 ? 'match' : 'matches'}`);
+}
+
+/**
+ * Lists the placeholders and where they occur. The replaced values are not
+ * part of the report.
+ */
+function renderRedactionReport(report) {
+    const list = document.getElementById('redactReportList');
+    list.innerHTML = '';
+    report.entries.forEach(entry => {
+        const li = document.createElement('li');
+        const placeholder = document.createElement('code');
+        placeholder.textContent = entry.placeholder;
+        const details = document.createElement('span');
+        details.className = 'redact-report-meta';
+        details.textContent = `${entry.label}, ${entry.count} × in ${entry.locations.join(', ')}`;
+        li.append(placeholder, details);
+        list.appendChild(li);
+    });
+    document.getElementById('redactReportNote').textContent =
+        `${report.total} ${report.total === 1 ? 'match was' : 'matches were'} replaced with ${report.entries.length} ` +
+        `${report.entries.length === 1 ? 'placeholder' : 'placeholders'}. Copies saved as separate drafts in the Library are unchanged.`;
+    document.getElementById('redactReport').hidden = false;
+}
+
+function downloadRedactionReport() {
+    const report = State.lastRedactionReport;
+    if (!report) return;
+    const lines = [
+        `Redaction report: ${elements.title.textContent.trim() || 'Untitled'}`,
+        `${report.total} matches replaced`,
+        '',
+        ...report.entries.map(entry => `${entry.placeholder}\t${entry.label}\t${entry.count}\t${entry.locations.join(', ')}`)
+    ];
+    const name = `${elements.title.textContent.trim() || 'conversation'} redaction report`;
+    downloadFile(BubbleScriptCore.Exporters.fileName(name, 'txt'), lines.join('\n') + '\n', 'text/plain;charset=utf-8');
+}
+
+// === PARSE REPORT AND CORRECTIONS ===
+
+/**
+ * Wires up the parse report panel and the floating toolbar for correcting
+ * message boundaries. Like the code block tools, the toolbar lives outside the
+ * bubbles and follows whichever bubble has focus.
+ */
+function initParseTools() {
+    const reportButton = document.getElementById('btnParseReport');
+    const panel = document.getElementById('parseReport');
+
+    const setReportVisible = (visible) => {
+        ParseCorrections.reportVisible = visible;
+        document.body.classList.toggle('show-parse-report', visible);
+        reportButton.setAttribute('aria-pressed', String(visible));
+        flushPendingInput();
+        Renderer.renderChat(elements.input.value, Transcript.messages);
+    };
+    reportButton.addEventListener('click', () => setReportVisible(!ParseCorrections.reportVisible));
+    document.getElementById('formatSelect').addEventListener('change', (e) => {
+        flushPendingInput();
+        ParseCorrections.format = e.target.value;
+        handleInput(false, 'Change format');
+    });
+    updateFormatSelect();
+    document.getElementById('closeParseReport').addEventListener('click', () => setReportVisible(false));
+
+    panel.addEventListener('click', (e) => {
+        if (e.target.closest('#btnResetCorrections')) {
+            ParseCorrections.set([]);
+            handleInput(false, 'Forget parse corrections');
+            return;
+        }
+        const link = e.target.closest('button[data-id]');
+        const body = link && findBubbleBody(link.dataset.id);
+        if (body) {
+            body.scrollIntoView({ block: 'center' });
+            body.focus();
+        }
+    });
+
+    const sheet = document.getElementById('document-sheet');
+    const tools = document.createElement('div');
+    tools.className = 'bubble-tools';
+    tools.hidden = true;
+    tools.setAttribute('role', 'toolbar');
+    tools.setAttribute('aria-label', 'Correct or select this message');
+
+    const makeButton = (text, title) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = title;
+        // Keep the caret in the bubble, so "Split" knows where to split.
+        button.addEventListener('mousedown', e => e.preventDefault());
+        return button;
+    };
+    const splitButton = makeButton('Split', 'Start a new message at the cursor');
+    const mergeUpButton = makeButton('Merge up', 'Merge with the message before');
+    const mergeDownButton = makeButton('Merge down', 'Merge with the message after');
+    const speakerSelect = document.createElement('select');
+    speakerSelect.setAttribute('aria-label', 'Speaker of this message');
+    const selectSpeakerButton = makeButton('Select speaker', 'Select every message from this speaker');
+
+    tools.append(splitButton, mergeUpButton, mergeDownButton, speakerSelect, selectSpeakerButton);
+    sheet.appendChild(tools);
+
+    let activeId = null;
+    const hide = () => {
+        activeId = null;
+        tools.hidden = true;
+    };
+
+    elements.output.addEventListener('focusin', (e) => {
+        const body = e.target.closest('.markdown-body[contenteditable="true"]');
+        if (!body || !body.dataset.id) return;
+        activeId = body.dataset.id;
+        const index = Transcript.messages.findIndex(msg => msg.id === activeId);
+        mergeUpButton.disabled = index < 1;
+        mergeDownButton.disabled = index === -1 || index >= Transcript.messages.length - 1;
+        fillSpeakerOptions(speakerSelect, Transcript.get(activeId));
+        const bubble = body.closest('.chat-bubble');
+        const sheetRect = sheet.getBoundingClientRect();
+        const bubbleRect = bubble.getBoundingClientRect();
+        tools.style.top = `${bubbleRect.top - sheetRect.top}px`;
+        tools.style.left = `${bubbleRect.left - sheetRect.left}px`;
+        tools.hidden = false;
+    });
+    sheet.addEventListener('focusout', (e) => {
+        if (!e.relatedTarget || !sheet.contains(e.relatedTarget)) hide();
+    });
+
+    splitButton.addEventListener('click', () => {
+        const body = findBubbleBody(activeId);
+        if (body) splitMessageAtCursor(body);
+    });
+    mergeUpButton.addEventListener('click', () => mergeMessages(activeId, -1));
+    mergeDownButton.addEventListener('click', () => mergeMessages(activeId, 1));
+    selectSpeakerButton.addEventListener('click', () => {
+        const msg = Transcript.get(activeId);
+        if (!msg) return;
+        selectMessages(other => other.speaker === msg.speaker, true);
+    });
+    speakerSelect.addEventListener('change', () => {
+        const id = activeId;
+        let speaker = speakerSelect.value;
+        if (!speaker) {
+            speaker = (window.prompt('Name of the new speaker') || '').trim();
+        }
+        if (speaker) reassignMessage(id, speaker);
+        const body = findBubbleBody(id);
+        if (body) body.focus();
+    });
+}
+
+function findBubbleBody(id) {
+    return Array.from(elements.output.querySelectorAll('.markdown-body[data-id]')).find(body => body.dataset.id === id) || null;
+}
+
+/**
+ * Lists everyone who could have said a message: the conversation's speakers
+ * and the roster, plus an entry for a new name.
+ */
+function fillSpeakerOptions(select, msg) {
+    const names = new Set(Transcript.messages.map(m => m.speaker));
+    SpeakerRoster.speakers.forEach(speaker => names.add(speaker.name));
+    const options = Array.from(names, name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        option.selected = !!msg && msg.speaker === name;
+        return option;
+    });
+    const other = document.createElement('option');
+    other.value = '';
+    other.textContent = 'New speaker...';
+    select.replaceChildren(...options, other);
+}
+
+/**
+ * Lists the registered text formats, with the one auto-detection picked.
+ */
+function updateFormatSelect() {
+    const select = document.getElementById('formatSelect');
+    const detected = Parsers.get(ParseCorrections.parser);
+    const auto = document.createElement('option');
+    auto.value = 'auto';
+    auto.textContent = `Auto-detect${ParseCorrections.format === 'auto' && detected ? ` (${detected.label})` : ''}`;
+    const options = Parsers.PARSERS.map(parser => {
+        const option = document.createElement('option');
+        option.value = parser.id;
+        option.textContent = parser.label;
+        return option;
+    });
+    select.replaceChildren(auto, ...options);
+    select.value = ParseCorrections.format;
+}
+
+/**
+ * Writes a corrected model back into the text and re-parses it, so the preview
+ * shows exactly what the next parse of the text will produce.
+ */
+function applyCorrection(historyLabel) {
+    // Rows are replaced while a bubble may still have focus; its blur must not
+    // write the old, uncorrected content back.
+    State.isUpdatingFromPreview = true;
+    try {
+        // Split-off and reassigned messages need headers the current format recognizes.
+        Parsers.fillHeaders(ParseCorrections.parser, Transcript.messages);
+        elements.input.value = Transcript.toText();
+        handleInput(false, historyLabel);
+    } finally {
+        State.isUpdatingFromPreview = false;
+    }
+}
+
+/**
+ * Splits a bubble where the caret is. Both halves are converted from the
+ * bubble's current content, so unsaved edits in it are kept.
+ * @param {HTMLElement} body - The bubble's .markdown-body.
+ */
+function splitMessageAtCursor(body) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount || !body.contains(selection.getRangeAt(0).startContainer)) {
+        showToast('Click in the bubble where the new message should start.');
+        return;
+    }
+    const caret = selection.getRangeAt(0);
+    const before = document.createRange();
+    before.selectNodeContents(body);
+    before.setEnd(caret.startContainer, caret.startOffset);
+    const after = document.createRange();
+    after.selectNodeContents(body);
+    after.setStart(caret.endContainer, caret.endOffset);
+    const toText = (range) => {
+        const holder = document.createElement('div');
+        holder.appendChild(range.cloneContents());
+        return convertBubbleHtmlToText(holder);
+    };
+
+    const next = Transcript.split(body.dataset.id, toText(before), toText(after));
+    if (!next) {
+        showToast('Put the cursor between two parts of the message.');
+        return;
+    }
+    applyCorrection('Split message');
+    // The new half usually belongs to someone else; put the toolbar on it.
+    const nextBody = findBubbleBody(next.id);
+    if (nextBody) nextBody.focus();
+}
+
+/**
+ * Merges a message with its neighbour.
+ * @param {string} id
+ * @param {-1|1} direction - -1 for the message before, 1 for the one after.
+ */
+function mergeMessages(id, direction) {
+    const body = findBubbleBody(id);
+    if (body) updateSourceFromPreview(body);
+    const index = Transcript.messages.findIndex(msg => msg.id === id);
+    const second = Transcript.messages[direction < 0 ? index : index + 1];
+    if (index === -1 || !second) return;
+    const label = Transcript.mergeWithPrevious(second.id);
+    if (label === null) return;
+    if (label) ParseCorrections.keepAsContent(label);
+    applyCorrection('Merge messages');
+}
+
+function reassignMessage(id, speaker) {
+    if (speaker.length > SpeakerRoster.MAX_NAME_LENGTH || /[:\n]/.test(speaker)) {
+        showToast(`Speaker names can't contain colons or line breaks, or be longer than ${SpeakerRoster.MAX_NAME_LENGTH} characters.`);
+        return;
+    }
+    const body = findBubbleBody(id);
+    if (body) updateSourceFromPreview(body);
+    const former = Transcript.get(id) && { ...Transcript.get(id) };
+    if (!Transcript.reassign(id, speaker)) return;
+    // Keep what the old header said besides the name, such as its timestamp.
+    const msg = Transcript.get(id);
+    msg.prefix = Parsers.headerFor(ParseCorrections.parser, msg, former);
+    applyCorrection('Change speaker');
 }
 
 // === INITIALIZATION ===
@@ -0,0 +1,599 @@
+#!/usr/bin/env node
+/**
+ * BubbleScript from the command line: converts saved transcripts to HTML,
+ * Markdown, JSON or PDF without a browser, for scripts and CI.
+ *
+ * Usage:
+ *   bubblescript convert <input...> [options]
+ *   bubblescript check-themes [theme file...]
+ *
+ * (or "node bubblescript/cli.js ..." without installing)
+ *
+ * Inputs are files, directories (their .txt, .md and .json files) or glob
+ * patterns such as "logs/*.txt", where "**" spans directories (quote them
+ * so the shell leaves them alone); "-" reads stdin. As in the editor, JSON
+ * files go through the importers, Markdown exported by BubbleScript keeps
+ * its speakers, and anything else is parsed as pasted text.
+ *
+ * Options:
+ *   -f, --format html|md|json|pdf|pdf-toc   Output format (default html)
+ *   -p, --parser auto|<id>   Text format, as in the editor's format menu (default auto)
+ *   -t, --theme <name>       Theme for HTML output (default light)
+ *       --theme-file <file>  A theme file shared from the editor's Themes dialog
+ *       --layout document|sms
+ *       --title, --source, --date <text>   Override the detected metadata
+ *       --exclude <kinds>    Leave out message kinds, e.g. "system,tool,reasoning"
+ *       --css <file>         Extra stylesheet for HTML output, placed before the
+ *                            app's own (repeatable)
+ *       --strict             Fail on inputs with ambiguous message boundaries
+ *   -o, --out <file>         Write the single result here
+ *   -d, --out-dir <dir>      Write each result into this directory, named after its title
+ *
+ * With neither -o nor -d the result goes to stdout, which takes one input.
+ *
+ * Exit status: 0 when every input converted, 1 when any could not be read or
+ * parsed (the others are still written), 2 for bad usage or missing libraries.
+ *
+ * check-themes reads every built-in theme from style.css, plus any theme
+ * files given, and checks each text and bubble pair (speaker labels
+ * included) against WCAG AA. It lists the pairs that fall short and exits
+ * with status 1 if there are any, so CI can catch a theme change that
+ * hurts readability.
+ *
+ * The conversion runs through the same modules as the page (core.js,
+ * parsers.js, importers.js, exporters.js, pdf.js), so the output matches a
+ * download from the editor with default settings. HTML and PDF need the
+ * page's markdown libraries, at the versions index.html loads; package.json
+ * lists them, so "npm install" in this folder (or "npm install -g" of it,
+ * which also puts a bubblescript command on the PATH) fetches them.
+ * The browser's HTML download also inlines github-markdown-css from the CDN;
+ * pass it with --css to match.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const Core = require('./core.js');
+Core.Highlighter = require('./highlight.js');
+Core.MathML = require('./mathml.js');
+Core.Parsers = require('./parsers.js');
+Core.Importers = require('./importers.js');
+Core.Exporters = require('./exporters.js');
+Core.Pdf = require('./pdf.js');
+Core.CustomThemes = require('./themes.js');
+// The markdown renderer finds the highlighter and MathML converter through the global, as on the page.
+globalThis.BubbleScriptCore = Core;
+
+const { Parsers, Importers, Exporters, Pdf } = Core;
+
+const FORMATS = ['html', 'md', 'json', 'pdf', 'pdf-toc'];
+const EXTENSIONS = { html: 'html', md: 'md', json: 'json', pdf: 'pdf', 'pdf-toc': 'pdf' };
+const LAYOUTS = ['document', 'sms'];
+const INPUT_EXTENSIONS = /\.(txt|md|markdown|json)$/i;
+
+const USAGE = `Usage: bubblescript convert <input...> [options]
+       bubblescript check-themes [theme file...]
+
+Inputs are files, directories or quoted glob patterns; "-" reads stdin.
+
+Options:
+  -f, --format html|md|json|pdf|pdf-toc   Output format (default html)
+  -p, --parser auto|<id>   Text format (default auto)
+  -t, --theme <name>       Theme for HTML output (default light)
+      --theme-file <file>  A theme file shared from the editor
+      --layout document|sms
+      --title, --source, --date <text>   Override the detected metadata
+      --exclude <kinds>    Leave out message kinds, e.g. "system,tool,reasoning"
+      --css <file>         Extra stylesheet for HTML output (repeatable)
+      --strict             Fail on inputs with ambiguous message boundaries
+  -o, --out <file>         Write the single result here
+  -d, --out-dir <dir>      Write each result into this directory
+  -h, --help               Show this help
+
+check-themes checks the built-in themes and the given theme files against
+WCAG AA contrast, and exits with status 1 if any pair falls short.`;
+
+/**
+ * Bad arguments or a missing library: nothing is converted (exit status 2).
+ */
+class UsageError extends Error {}
+
+/**
+ * Reads and checks the command line.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {object|null} The options, or null if help was asked for.
+ * @throws {UsageError}
+ */
+function readOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f', default: 'html' },
+                parser: { type: 'string', short: 'p', default: 'auto' },
+                theme: { type: 'string', short: 't', default: 'light' },
+                'theme-file': { type: 'string' },
+                layout: { type: 'string', default: 'document' },
+                title: { type: 'string' },
+                source: { type: 'string' },
+                date: { type: 'string' },
+                exclude: { type: 'string', default: '' },
+                css: { type: 'string', multiple: true, default: [] },
+                strict: { type: 'boolean', default: false },
+                out: { type: 'string', short: 'o' },
+                'out-dir': { type: 'string', short: 'd' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) return null;
+
+    const [command, ...inputs] = positionals;
+    if (command === 'check-themes') return { command, inputs };
+    if (command !== 'convert') {
+        throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+    }
+    if (!inputs.length) throw new UsageError('No inputs given');
+    if (!FORMATS.includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+    if (values.parser !== 'auto' && !Parsers.get(values.parser)) {
+        throw new UsageError(`Unknown parser "${values.parser}". Use auto or one of: ${Parsers.PARSERS.map(p => p.id).join(', ')}`);
+    }
+    if (!Core.THEMES.includes(values.theme)) {
+        throw new UsageError(`Unknown theme "${values.theme}". Use one of: ${Core.THEMES.join(', ')}`);
+    }
+    if (!LAYOUTS.includes(values.layout)) {
+        throw new UsageError(`Unknown layout "${values.layout}". Use one of: ${LAYOUTS.join(', ')}`);
+    }
+    const excluded = values.exclude.split(',').map(kind => kind.trim()).filter(Boolean);
+    const unknownKind = excluded.find(kind => kind === 'message' || !Core.MESSAGE_KINDS.includes(kind));
+    if (unknownKind) {
+        throw new UsageError(`Cannot exclude "${unknownKind}". Use any of: ${Core.MESSAGE_KINDS.filter(kind => kind !== 'message').join(', ')}`);
+    }
+    if (values.out && values['out-dir']) throw new UsageError('Use either --out or --out-dir, not both');
+
+    return { ...values, command, outDir: values['out-dir'], themeFile: values['theme-file'], excluded, inputs };
+}
+
+// === INPUTS ===
+
+/**
+ * Turns a glob pattern into a regular expression over "/"-separated paths.
+ * "**" matches any number of directories, "*" and "?" stay within one; like
+ * a shell, neither matches a leading dot.
+ */
+function globToRegex(pattern) {
+    const parts = pattern.split('/').map(part => {
+        if (part === '**') return '(?:(?!\\.)[^/]*/)*';
+        const body = part.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+        return (/^[*?]/.test(part) ? '(?!\\.)' : '') + body + '/';
+    });
+    return new RegExp(`^${parts.join('').replace(/\/$/, '')}$`);
+}
+
+/**
+ * Lists the files under a directory, recursively if asked, skipping hidden entries.
+ * @returns {string[]} Paths joined onto `dir`.
+ */
+function listFiles(dir, recursive) {
+    const files = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith('.')) return;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...listFiles(full, true));
+        } else if (entry.isFile()) {
+            files.push(full);
+        }
+    });
+    return files;
+}
+
+/**
+ * Expands one input argument into files.
+ * @returns {string[]} Sorted paths, or ['-'] for stdin.
+ * @throws {Error} If nothing matches.
+ */
+function expandInput(input) {
+    if (input === '-') return ['-'];
+    if (!/[*?]/.test(input)) {
+        const stat = fs.statSync(input, { throwIfNoEntry: false });
+        if (!stat) throw new Error('No such file or directory');
+        if (!stat.isDirectory()) return [input];
+        const files = listFiles(input, false).filter(file => INPUT_EXTENSIONS.test(file)).sort();
+        if (!files.length) throw new Error('No .txt, .md or .json files in this directory');
+        return files;
+    }
+
+    const pattern = input.split(path.sep).join('/');
+    // Walk from the deepest directory before the first wildcard.
+    const parts = pattern.split('/');
+    const firstMagic = parts.findIndex(part => /[*?]/.test(part));
+    const base = parts.slice(0, firstMagic).join('/') || (pattern.startsWith('/') ? '/' : '.');
+    const regex = globToRegex(pattern.replace(/^\.\//, ''));
+    const recursive = parts.slice(firstMagic).includes('**') || parts.length - firstMagic > 1;
+    if (!fs.statSync(base, { throwIfNoEntry: false })) throw new Error('No files match');
+
+    const files = listFiles(base, recursive)
+        .map(file => file.split(path.sep).join('/'))
+        .filter(file => regex.test(file.replace(/^\.\//, '')))
+        .sort();
+    if (!files.length) throw new Error('No files match');
+    return files;
+}
+
+/**
+ * Reads an input the way the editor's Import button does.
+ * @param {string} file - A path, or '-' for stdin.
+ * @returns {{ title: string|null, source: string|null, date: string|null,
+ *   createdAt: string|null, segments: object[], text: string, report?: object }[]}
+ *   One entry per conversation.
+ */
+function readConversations(file, options) {
+    const raw = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+
+    if (/\.json$/i.test(file)) {
+        return Importers.importJson(raw).conversations
+            .map(conv => ({ ...conv, text: Importers.segmentsToText(conv.segments) }));
+    }
+    if (/\.(md|markdown)$/i.test(file)) {
+        const exported = Importers.importMarkdown(raw);
+        if (exported) return [{ ...exported, text: Importers.segmentsToText(exported.segments) }];
+    }
+
+    // A textarea hands the parser "\n" line endings.
+    const text = raw.replace(/\r\n?/g, '\n');
+    const report = Parsers.analyze(text, { format: options.parser, roster: [], continuations: [] });
+    return [{ title: null, source: null, date: null, createdAt: null, segments: report.segments, text, report }];
+}
+
+// === CONVERSION ===
+
+/**
+ * Segments as the editor keeps them (see Transcript.createMessage and toSegments).
+ */
+function normalizeSegments(segments) {
+    return segments
+        .filter(seg => seg.content && seg.content.trim())
+        .map(seg => {
+            const normalized = {
+                type: seg.type === 'user' ? 'user' : 'ai',
+                kind: Core.MESSAGE_KINDS.includes(seg.kind) ? seg.kind : 'message',
+                speaker: seg.speaker,
+                content: seg.content.trim()
+            };
+            if (seg.timestamp) normalized.timestamp = seg.timestamp;
+            if (seg.model) normalized.model = seg.model;
+            return normalized;
+        });
+}
+
+/**
+ * Builds the document the exporters take, with the metadata the editor
+ * would fill in (see updateMetadata and resetFields in app.js).
+ * @throws {Error} If the conversation has no messages, or --strict finds ambiguous boundaries.
+ */
+function buildDocument(conv, options) {
+    const all = normalizeSegments(conv.segments);
+    if (!all.length) throw new Error('No messages found');
+    if (options.strict && conv.report && conv.report.ambiguous.length) {
+        const { ambiguous } = conv.report;
+        throw new Error(`${ambiguous.length} ambiguous message ${ambiguous.length === 1 ? 'boundary' : 'boundaries'} (first at line ${ambiguous[0].line})`);
+    }
+    const segments = all.filter(seg => !options.excluded.includes(seg.kind));
+    if (!segments.length) throw new Error('Every message is of an excluded kind');
+
+    const isDefaultTitle = !conv.title || conv.title === 'Conversation Log';
+    const isDefaultSource = !conv.source || conv.source === 'AI Assistant';
+    const dateFormat = { year: 'numeric', month: 'long', day: 'numeric' };
+    return {
+        title: options.title || (isDefaultTitle ? Core.detectTitle(conv.text, all) : conv.title).trim() || 'Conversation Log',
+        date: options.date || conv.date || new Date(conv.createdAt || Date.now()).toLocaleDateString('en-US', dateFormat),
+        source: options.source || (isDefaultSource ? Core.detectSource(all) : conv.source),
+        segments,
+        omittedAfter: 0,
+        roster: []
+    };
+}
+
+/**
+ * Loads marked (and, for HTML, DOMPurify on a jsdom window) and configures
+ * them as core.js does on the page.
+ * @throws {UsageError} If a library isn't installed.
+ */
+function loadMarkdownLibraries(format) {
+    if (format === 'md' || format === 'json') return;
+    const load = name => {
+        try {
+            return require(name);
+        } catch (e) {
+            throw new UsageError(`${format.toUpperCase()} output needs "${name}". Run "npm install" in ${__dirname}`);
+        }
+    };
+    const { marked } = load('marked');
+    globalThis.marked = marked;
+    Core.configureMarked(marked);
+    if (format !== 'html') return; // PDF only uses the lexer
+
+    const { JSDOM } = load('jsdom');
+    const purify = load('dompurify')(new JSDOM('').window);
+    globalThis.DOMPurify = purify;
+    Core.addSanitizerHooks(purify);
+}
+
+/**
+ * Renders a document in the chosen format.
+ * @param {object} doc - From buildDocument.
+ * @param {object} options
+ * @param {string} stylesheet - CSS for HTML output.
+ * @returns {string|Uint8Array}
+ */
+function render(doc, options, stylesheet) {
+    if (options.format === 'pdf' || options.format === 'pdf-toc') {
+        return Pdf.build(doc, { toc: options.format === 'pdf-toc' });
+    }
+    if (options.format === 'md') return Exporters.toMarkdown(doc);
+    if (options.format === 'json') return Exporters.toJson(doc) + '\n'; // Like any text file, for jq and diff
+
+    const themeRules = [];
+    let theme = options.theme;
+    if (options.customTheme) {
+        theme = Core.CustomThemes.key(options.customTheme.id);
+        Core.CustomThemes.rules(options.customTheme, Core.themeClass(theme))
+            .forEach(([selector, cssText]) => themeRules.push(`.${selector} { ${cssText} }`));
+    }
+
+    // The theme's speaker palette, on screen only, as refreshSpeakerPalette builds it on the page.
+    const speakers = [...new Set(doc.segments.map(seg => seg.speaker))];
+    const palette = Core.speakerPalette(speakers, { ai: options.bubbles.aiBubble, user: options.bubbles.userBubble });
+    const speakerRules = speakers.flatMap(speaker => Core.speakerColorRules(speaker, null, palette.get(speaker)).rules)
+        .map(([selector, cssText]) => `@media screen { .${selector} { ${cssText} } }`);
+    const bubbleClass = seg => Core.speakerClassName(seg.speaker);
+
+    const bodyClass = [
+        Core.themeClass(theme),
+        options.layout === 'sms' ? 'layout-sms' : '',
+        ...options.excluded.map(kind => `exclude-kind-${kind}`)
+    ].filter(Boolean).join(' ');
+    return Exporters.toHtml(doc, {
+        css: [stylesheet, ...themeRules, ...speakerRules].join('\n'),
+        bodyClass,
+        bubbleClass
+    });
+}
+
+/**
+ * Picks an unused file name in the output directory.
+ */
+function uniquePath(dir, fileName, taken) {
+    const ext = path.extname(fileName);
+    const base = fileName.slice(0, -ext.length);
+    let candidate = fileName;
+    for (let n = 2; taken.has(candidate); n++) candidate = `${base}-${n}${ext}`;
+    taken.add(candidate);
+    return path.join(dir, candidate);
+}
+
+// === THEME CHECK ===
+
+/**
+ * The top-level rules of a stylesheet. Comments and at-rule blocks are
+ * dropped: the print and small-screen tweaks don't define a theme's colours.
+ * @param {string} css
+ * @returns {{ selectors: string[], declarations: Map<string, string> }[]}
+ */
+function parseRules(css) {
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    const rules = [];
+    let depth = 0;
+    let start = 0;
+    let prelude = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '{') {
+            if (depth++ === 0) {
+                prelude = text.slice(start, i).split(';').pop().trim();
+                start = i + 1;
+            }
+        } else if (text[i] === '}' && depth > 0 && --depth === 0) {
+            if (!prelude.startsWith('@')) {
+                const declarations = new Map();
+                // Later declarations win, as in the browser; ";" inside url() or rgba() doesn't split.
+                text.slice(start, i).split(/;(?![^(]*\))/).forEach(declaration => {
+                    const colon = declaration.indexOf(':');
+                    if (colon > 0) declarations.set(declaration.slice(0, colon).trim().toLowerCase(), declaration.slice(colon + 1).trim());
+                });
+                rules.push({ selectors: prelude.split(',').map(selector => selector.trim().replace(/\s+/g, ' ')), declarations });
+            }
+            start = i + 1;
+        }
+    }
+    return rules;
+}
+
+/**
+ * The declarations that apply to an element, given every selector that
+ * reaches it from least to most specific.
+ * @returns {Map<string, string>}
+ */
+function declarationsFor(rules, selectors) {
+    const merged = new Map();
+    selectors.forEach(selector => rules
+        .filter(rule => rule.selectors.includes(selector))
+        .forEach(rule => rule.declarations.forEach((value, name) => merged.set(name, value))));
+    return merged;
+}
+
+/**
+ * Reads a built-in theme's colours from the app's stylesheet, in the shape
+ * Core.auditContrast takes.
+ * @param {object[]} rules - From parseRules.
+ * @param {string} theme - One of Core.THEMES.
+ * @returns {object} "#rrggbb" values.
+ * @throws {Error} If a colour can't be read.
+ */
+function themeColors(rules, theme) {
+    const className = Core.themeClass(theme);
+    const scoped = selector => (className ? [selector, `body.${className} ${selector}`] : [selector]);
+    const variables = declarationsFor(rules, className ? [':root', `body.${className}`] : [':root']);
+    const resolve = (value, depth = 0) => (value && depth < 10
+        ? value.replace(/var\(\s*(--[\w-]+)\s*(?:,([^)]*))?\)/g, (match, name, fallback) =>
+            resolve(variables.get(name) || fallback || '', depth + 1))
+        : value);
+    const read = (selector, property, label) => {
+        const color = Core.parseColor(resolve(declarationsFor(rules, scoped(selector)).get(property)));
+        if (!color) throw new Error(`Could not read the ${label} colour of the ${theme} theme`);
+        return color;
+    };
+
+    const sheet = declarationsFor(rules, scoped('#document-sheet'));
+    const overlay = /linear-gradient\(\s*rgba\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*([\d.]+)\s*\)/.exec(sheet.get('background-image') || '');
+    // A translucent wash over a picture is checked where the picture is darkest.
+    const sheetColor = overlay
+        ? Core.mixColors(Core.parseColor(`rgb(${overlay[1]}, ${overlay[2]}, ${overlay[3]})`), '#000000', Number(overlay[4]))
+        : read('#document-sheet', 'background-color', 'sheet');
+    return {
+        userBubble: read('.chat-row.user .chat-bubble', 'background-color', 'user bubble'),
+        userText: read('.chat-row.user .chat-bubble', 'color', 'user text'),
+        userLink: read('.chat-row.user .chat-bubble a', 'color', 'user link'),
+        aiBubble: read('.chat-row.ai .chat-bubble', 'background-color', 'AI bubble'),
+        aiText: read('.chat-row.ai .chat-bubble', 'color', 'AI text'),
+        sheet: sheetColor,
+        title: read('.doc-title', 'color', 'title'),
+        muted: read('.meta-row', 'color', 'date and source')
+    };
+}
+
+/**
+ * Audits every built-in theme, and any theme files given, against WCAG AA.
+ * @param {string[]} files - Theme files shared from the editor.
+ * @returns {number} The exit status: 1 if any theme has a pair below AA.
+ */
+function checkThemes(files) {
+    const rules = parseRules(fs.readFileSync(path.join(__dirname, 'style.css'), 'utf8'));
+    const themes = Core.THEMES.map(theme => ({ name: theme, colors: () => themeColors(rules, theme) }));
+    files.forEach(file => themes.push({
+        name: file,
+        colors: () => Core.CustomThemes.contrastColors(Core.CustomThemes.fromFile(fs.readFileSync(file, 'utf8')))
+    }));
+
+    let status = 0;
+    themes.forEach(({ name, colors }) => {
+        let results;
+        try {
+            results = Core.auditContrast(colors());
+        } catch (e) {
+            process.stderr.write(`bubblescript: ${name}: ${e.message}\n`);
+            status = 1;
+            return;
+        }
+        const failing = results.filter(result => !result.passes);
+        process.stdout.write(`${failing.length ? 'FAIL' : 'ok  '}  ${name}\n`);
+        failing.forEach(result => {
+            process.stdout.write(`      ${result.label}: ${result.foreground} on ${result.background} is ${result.ratio}:1, needs ${Core.WCAG_AA}:1\n`);
+        });
+        if (failing.length) status = 1;
+    });
+    return status;
+}
+
+/**
+ * Runs the command.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {number} The exit status.
+ */
+function main(argv) {
+    const fail = (message, status) => {
+        process.stderr.write(`bubblescript: ${message}\n`);
+        return status;
+    };
+
+    let options;
+    let stylesheet = '';
+    try {
+        options = readOptions(argv);
+        if (!options) {
+            process.stdout.write(USAGE + '\n');
+            return 0;
+        }
+        if (options.command === 'check-themes') return checkThemes(options.inputs);
+        loadMarkdownLibraries(options.format);
+        if (options.format === 'html') {
+            // Same order as the page: the markdown stylesheet, then the app's.
+            const appCss = fs.readFileSync(path.join(__dirname, 'style.css'), 'utf8');
+            stylesheet = [...options.css.map(file => fs.readFileSync(file, 'utf8')), appCss].join('\n');
+            options.bubbles = themeColors(parseRules(appCss), options.theme);
+        }
+        if (options.themeFile) {
+            try {
+                options.customTheme = Core.CustomThemes.fromFile(fs.readFileSync(options.themeFile, 'utf8'));
+            } catch (e) {
+                throw new UsageError(`${options.themeFile}: ${e.message}`);
+            }
+            options.bubbles = options.customTheme.colors;
+        }
+    } catch (e) {
+        if (e instanceof UsageError) return fail(`${e.message}\nRun with --help for usage.`, 2);
+        return fail(e.message, 2); // An unreadable --css file
+    }
+
+    let status = 0;
+    const files = [];
+    options.inputs.forEach(input => {
+        try {
+            files.push(...expandInput(input));
+        } catch (e) {
+            status = fail(`${input}: ${e.message}`, 1);
+        }
+    });
+    const toStdout = !options.out && !options.outDir;
+    if ((toStdout || options.out) && files.length > 1) {
+        return fail(`${files.length} inputs need --out-dir`, 2);
+    }
+    if (options.outDir) fs.mkdirSync(options.outDir, { recursive: true });
+
+    const taken = new Set();
+    files.forEach(file => {
+        const name = file === '-' ? 'stdin' : file;
+        try {
+            const conversations = readConversations(file, options);
+            if (conversations.length > 1 && !options.outDir) {
+                throw new Error(`Holds ${conversations.length} conversations; use --out-dir`);
+            }
+            conversations.forEach(conv => {
+                const doc = buildDocument(conv, options);
+                if (options.format === 'pdf' || options.format === 'pdf-toc') {
+                    const missing = Pdf.unsupportedCharacters(doc);
+                    if (missing.length) {
+                        process.stderr.write(`bubblescript: ${name}: warning: the PDF fonts can't show ${missing.join(' ')}; they print as "?" (HTML output keeps them)\n`);
+                    }
+                }
+                const content = render(doc, options, stylesheet);
+                if (toStdout) {
+                    process.stdout.write(content);
+                    return;
+                }
+                const target = options.out || uniquePath(options.outDir, Exporters.fileName(doc.title, EXTENSIONS[options.format]), taken);
+                fs.writeFileSync(target, content);
+                const count = doc.segments.length;
+                process.stderr.write(`${name} -> ${target} (${count} ${count === 1 ? 'message' : 'messages'})\n`);
+            });
+        } catch (e) {
+            status = fail(`${name}: ${e.message}`, 1);
+        }
+    });
+    return status;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
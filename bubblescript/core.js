@@ -0,0 +1,1086 @@
+/**
+ * BubbleScript core: the parsing and markdown rendering shared by the editor
+ * (app.js) and the embeddable widget (widget.js).
+ *
+ * Everything is exposed on a single `BubbleScriptCore` global so that the
+ * widget can be dropped into third-party pages without leaking names like
+ * `Parser` or `CONFIG` into their global scope.
+ */
+(function (root) {
+'use strict';
+
+// === CONFIGURATION ===
+const PARSER_CONFIG = {
+    USER_KEYWORDS: ['user', 'you', 'me', 'human', 'prompter'],
+    AI_KEYWORDS: ['ai', 'chatgpt', 'claude', 'gemini', 'grok', 'llama', 'copilot', 'assistant', 'model', 'bot'],
+    // Roles a roster speaker can have. Only 'user' speakers sit on the user side of the chat.
+    ROSTER_ROLES: ['user', 'assistant', 'system', 'other'],
+    // Speaker labels that mark a message as something other than conversation,
+    // matched without any "(detail)" suffix, so "Tool call (search)" is a tool call.
+    KIND_LABELS: {
+        system: ['system', 'system prompt', 'developer'],
+        tool_call: ['tool call', 'function call', 'tool use'],
+        tool_result: ['tool', 'tool result', 'tool output', 'function result', 'function output', 'observation'],
+        reasoning: ['thinking', 'reasoning', 'thoughts']
+    }
+};
+
+// 'message' is ordinary conversation; the rest render collapsed and can be left out of exports.
+const MESSAGE_KINDS = ['message', 'system', 'tool_call', 'tool_result', 'reasoning'];
+const KIND_NAMES = { system: 'System prompt', tool_call: 'Tool call', tool_result: 'Tool result', reasoning: 'Reasoning' };
+
+// How Parser.analyze found the message boundaries, from most to least reliable.
+const PARSE_STRATEGIES = { labels: 'Speaker labels', turns: 'Alternating turns', paragraphs: 'Paragraph split' };
+
+// How sure the parser is that a message starts where it does, by what started it.
+const BOUNDARY_CONFIDENCE = {
+    roster: [1, 'Name or alias from the speaker roster'],
+    keyword: [0.9, 'Known speaker label'],
+    kind: [0.9, 'System, tool or reasoning label'],
+    marker: [0.8, 'Speaker keyword in bold or followed by "said"'],
+    repeated: [0.75, 'Unfamiliar name, used as a label more than once'],
+    name: [0.5, 'Unfamiliar name before a colon, used once'],
+    bare: [0.4, 'Speaker keyword at the start of a line, without a colon'],
+    inferred: [0.4, 'No label; speaker guessed from the next message'],
+    turn: [0.5, 'No labels; speakers take turns by paragraph'],
+    sentence: [0.3, 'Long text before a colon; may be a sentence rather than a name'],
+    paragraph: [0.3, 'No labels; split at blank lines'],
+    unlabeled: [0.2, 'No label']
+};
+
+// Boundaries below this are listed as ambiguous in the parse report.
+const AMBIGUOUS_BELOW = 0.6;
+
+if (typeof root.marked !== 'undefined') {
+    configureMarked(root.marked);
+}
+if (typeof root.DOMPurify !== 'undefined') {
+    addSanitizerHooks(root.DOMPurify);
+}
+
+function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escapes a string for safe interpolation into HTML text or attribute values.
+ * @param {string} str - Untrusted text.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Pre-compile keyword regexes for performance.
+// The following regexes are built from hardcoded keyword lists.
+// While building regex from strings can be a security risk if the input is untrusted,
+// in this case the input is a hardcoded constant, so the risk is minimal.
+// Using a regex is more performant than iterating through the keyword arrays for each line of input.
+// "you" and "me" are everyday words too ("Thank you: ..."), so they only name
+// the user at the start of a label, as in "You said" or "Me (Alice)".
+const PRONOUN_KEYWORDS = ['you', 'me'];
+const userKeywordRegex = new RegExp(`\\b(${PARSER_CONFIG.USER_KEYWORDS.filter(k => !PRONOUN_KEYWORDS.includes(k)).map(escapeRegex).join('|')})\\b|^(${PRONOUN_KEYWORDS.join('|')})\\b`, 'i');
+const aiKeywordRegex = new RegExp(`\\b(${PARSER_CONFIG.AI_KEYWORDS.map(escapeRegex).join('|')})\\b`, 'i');
+
+/**
+ * The MathML that mathml.js emits: presentation elements only, each with the
+ * few attributes it uses. No element here can carry a link or script.
+ */
+const MATHML_ALLOWLIST = {
+    tags: ['math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace', 'msup', 'msub',
+        'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mtable', 'mtr', 'mtd', 'mstyle'],
+    attributes: {
+        'math': ['display'],
+        'annotation': ['encoding'],
+        'mi': ['mathvariant'],
+        'mo': ['stretchy', 'fence', 'minsize', 'maxsize'],
+        'mspace': ['width'],
+        'mfrac': ['linethickness'],
+        'mover': ['accent'],
+        'munder': ['accentunder'],
+        'mtable': ['columnalign', 'columnspacing', 'displaystyle'],
+        'mstyle': ['displaystyle']
+    }
+};
+
+/**
+ * Returns a copy of a sanitizer config that also accepts the given elements
+ * and per-element attributes. The base policy itself is never widened.
+ * @param {object} config - A config in the shape of DOMPURIFY_CONFIG.
+ * @param {{ tags: string[], attributes: object }} allowlist
+ * @returns {object}
+ */
+function extendSanitizerConfig(config, allowlist) {
+    const byTag = { ...config.ATTRIBUTES_BY_TAG };
+    Object.entries(allowlist.attributes).forEach(([tag, attrs]) => {
+        byTag[tag] = [...(byTag[tag] || []), ...attrs];
+    });
+    return {
+        ...config,
+        ALLOWED_TAGS: [...new Set([...config.ALLOWED_TAGS, ...allowlist.tags])],
+        ALLOWED_ATTR: [...new Set([...config.ALLOWED_ATTR, ...Object.values(allowlist.attributes).flat()])],
+        ATTRIBUTES_BY_TAG: byTag
+    };
+}
+
+/**
+ * A hardened DOMPurify configuration that follows the principle of least privilege.
+ * It covers what marked emits for GFM (tables, task lists, strikethrough,
+ * images, h1–h6) and nothing else.
+ *
+ * DOMPurify only takes a flat ALLOWED_ATTR list, so ATTRIBUTES_BY_TAG narrows
+ * it per element, ATTRIBUTE_VALUES pins the values of the few enumerated
+ * attributes, and CLASS_NAMES limits classes to the ones the renderer emits.
+ * All three are enforced by the hooks in addSanitizerHooks. URLs in href and
+ * src still go through ALLOWED_URI_REGEXP, which rejects javascript: and
+ * any other scheme not listed.
+ */
+const DOMPURIFY_CONFIG = extendSanitizerConfig({
+    ALLOWED_TAGS: [
+        'p', 'br', 'hr', 'strong', 'em', 'del', 's', 'code', 'pre', 'span', 'a', 'img',
+        'ul', 'ol', 'li', 'input', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    ALLOWED_ATTR: ['href', 'title', 'class', 'src', 'alt', 'width', 'height', 'start', 'align', 'type', 'checked', 'disabled'],
+    ATTRIBUTES_BY_TAG: {
+        'a': ['href', 'title'],
+        'img': ['src', 'alt', 'title', 'width', 'height'],
+        'code': ['class'],
+        'span': ['class'],
+        'ol': ['start'],
+        'th': ['align'],
+        'td': ['align'],
+        'input': ['type', 'checked', 'disabled']
+    },
+    ATTRIBUTE_VALUES: {
+        'align': /^(?:left|center|right)$/,
+        'start': /^\d{1,9}$/,
+        'width': /^\d{1,4}$/,
+        'height': /^\d{1,4}$/,
+        'type': /^checkbox$/,
+        // Inline images may only be raster data; anything else must be a URL.
+        'src': /^(?!\s*data:)|^data:image\/(?:png|gif|jpe?g|webp|avif|bmp)[;,]/i
+    },
+    CLASS_NAMES: /^(?:language-[\w+#-]+|tok-[a-z]+|code-line)$/,
+    ALLOWED_URI_REGEXP: /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|sms|cid|xmpp):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i,
+    ALLOW_DATA_ATTR: false
+}, MATHML_ALLOWLIST);
+
+/**
+ * Applies the markdown options, the highlighting code-block renderer and the
+ * math syntax.
+ * @param {object} marked - The marked instance to configure.
+ */
+function configureMarked(marked) {
+    marked.setOptions({ breaks: true, gfm: true });
+    marked.use({ renderer: { code: renderCodeBlock }, extensions: mathExtensions() });
+}
+
+// Inline math delimiters, each with whether it is display math.
+const MATH_INLINE_PATTERNS = [
+    [/^\$\$(?!\$)([\s\S]+?)\$\$/, true],
+    [/^\\\[([\s\S]+?)\\\]/, true],
+    [/^\\\(([\s\S]+?)\\\)/, false],
+    [/^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/, false]
+];
+
+/**
+ * marked extensions for TeX math. Display math is `$$…$$` or `\[…\]`, as a
+ * block of its own or inline; inline math is `\(…\)` or `$…$`. To leave
+ * prices alone, `$…$` must not start or end with a space and the closing `$`
+ * must not be followed by a digit, so "$5 and $10" stays text.
+ */
+function mathExtensions() {
+    const BLOCK_PATTERNS = [/^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/, /^ {0,3}\\\[([\s\S]+?)\\\][ \t]*(?:\n+|$)/];
+    const firstIndex = (src, pattern) => {
+        const index = src.search(pattern);
+        return index === -1 ? undefined : index;
+    };
+
+    return [
+        {
+            name: 'blockMath',
+            level: 'block',
+            start: src => firstIndex(src, /^ {0,3}(?:\$\$|\\\[)/m),
+            tokenizer(src) {
+                for (const pattern of BLOCK_PATTERNS) {
+                    const match = pattern.exec(src);
+                    if (match) return { type: 'blockMath', raw: match[0], text: match[1].trim(), display: true };
+                }
+                return undefined;
+            },
+            renderer: token => renderMath(token) + '\n'
+        },
+        {
+            name: 'inlineMath',
+            level: 'inline',
+            start: src => firstIndex(src, /\$|\\[([]/),
+            tokenizer(src) {
+                for (const [pattern, display] of MATH_INLINE_PATTERNS) {
+                    const match = pattern.exec(src);
+                    if (match) return { type: 'inlineMath', raw: match[0], text: match[1].trim(), display };
+                }
+                return undefined;
+            },
+            renderer: renderMath
+        }
+    ];
+}
+
+/**
+ * Finds the `$` signs in plain text that would open a formula if the text
+ * were parsed as markdown, so only those need a backslash to stay literal.
+ * "$5 and $10" has none; "$x$" has one.
+ * @param {string} text - Text as displayed.
+ * @param {number[][]} [code] - [start, end) ranges of inline code, backticks
+ *   included. No formula starts inside one, but a formula opened before it
+ *   can end on one of its `$` signs, as marked reads "$3 `$PATH`".
+ * @returns {number[]} Indexes of the `$` signs to escape.
+ */
+function mathDelimiterIndexes(text, code = []) {
+    const inCode = i => code.some(([start, end]) => i >= start && i < end);
+    // Escaping one $ can let a formula run through it to a later $, so
+    // rescan with the escapes in place until no new opener turns up.
+    const indexes = new Set();
+    for (let size = -1; size !== indexes.size;) {
+        size = indexes.size;
+        let escaped = '';
+        const origin = [];
+        for (let i = 0; i < text.length; i++) {
+            if (indexes.has(i)) escaped += '\\';
+            origin[escaped.length] = i;
+            escaped += text[i];
+        }
+        for (let i = 0; i < escaped.length; i++) {
+            if (inCode(origin[i])) continue;
+            if (escaped[i] === '\\') {
+                i++;
+            } else if (escaped[i] === '$' && MATH_INLINE_PATTERNS.some(([pattern]) => pattern.test(escaped.slice(i)))) {
+                indexes.add(origin[i]);
+            }
+        }
+    }
+    return [...indexes].sort((a, b) => a - b);
+}
+
+function getMathConverter() {
+    if (typeof module !== 'undefined' && module.exports) return require('./mathml.js');
+    return root.BubbleScriptCore && root.BubbleScriptCore.MathML;
+}
+
+/**
+ * Renders a math token as MathML. If the converter is missing or rejects the
+ * formula, the source is shown as typed, so nothing is lost on edit.
+ */
+function renderMath(token) {
+    const converter = getMathConverter();
+    if (converter) {
+        try {
+            return converter.fromTeX(token.text, { display: token.display });
+        } catch (e) {
+            console.warn('Could not render math:', e.message);
+        }
+    }
+    const source = escapeHtml(token.raw.trim());
+    return token.type === 'blockMath' ? `<p>${source}</p>` : source;
+}
+
+/**
+ * Enforces ATTRIBUTES_BY_TAG, ATTRIBUTE_VALUES and CLASS_NAMES. The hooks
+ * only act on configurations that carry them, so other users of a shared
+ * DOMPurify instance (such as the page hosting the widget) are unaffected.
+ * @param {object} purify - The DOMPurify instance to hook.
+ */
+function addSanitizerHooks(purify) {
+    purify.addHook('uponSanitizeAttribute', (node, data, config) => {
+        if (!config || !config.ATTRIBUTES_BY_TAG) return;
+        const allowed = config.ATTRIBUTES_BY_TAG[node.nodeName.toLowerCase()] || [];
+        if (!allowed.includes(data.attrName)) {
+            data.keepAttr = false;
+            return;
+        }
+        const pattern = config.ATTRIBUTE_VALUES && config.ATTRIBUTE_VALUES[data.attrName];
+        if (pattern && !pattern.test(data.attrValue)) {
+            data.keepAttr = false;
+            return;
+        }
+        if (data.attrName === 'class' && config.CLASS_NAMES) {
+            data.attrValue = data.attrValue.split(/\s+/).filter(name => config.CLASS_NAMES.test(name)).join(' ');
+            if (!data.attrValue) data.keepAttr = false;
+        }
+    });
+    // The only input markdown produces is a task-list box: anything else is
+    // dropped, and the boxes that remain are read-only.
+    purify.addHook('afterSanitizeAttributes', (node, data, config) => {
+        if (!config || !config.ATTRIBUTES_BY_TAG || node.nodeName !== 'INPUT') return;
+        if (node.getAttribute('type') !== 'checkbox') {
+            node.remove();
+            return;
+        }
+        node.setAttribute('disabled', '');
+    });
+}
+
+function getHighlighter() {
+    if (typeof module !== 'undefined' && module.exports) return require('./highlight.js');
+    return root.BubbleScriptCore && root.BubbleScriptCore.Highlighter;
+}
+
+/**
+ * marked renderer for fenced and indented code: highlighted when the
+ * highlighter is loaded, otherwise escaped, with one `.code-line` per line
+ * either way so line numbers still work.
+ */
+function renderCodeBlock(code, infostring) {
+    const lang = (infostring || '').trim().split(/\s+/)[0].replace(/[^\w+#-]/g, '');
+    const highlighter = getHighlighter();
+    const body = highlighter
+        ? highlighter.highlight(code, lang)
+        : code.split('\n').map(line => `<span class="code-line">${escapeHtml(line)}</span>`).join('\n');
+    const langClass = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+    return `<pre><code${langClass}>${body}</code></pre>\n`;
+}
+
+/**
+ * Reduces a speaker label to the form roster names and aliases are compared in:
+ * lowercase, without surrounding markdown emphasis or heading marks.
+ */
+function normalizeSpeakerKey(label) {
+    return String(label).replace(/^[*_#\s]+|[*_\s]+$/g, '').toLowerCase();
+}
+
+/**
+ * Finds the roster speaker a label refers to, by name or alias.
+ * @param {object[]} roster - Speakers ({ name, aliases, role, color, avatar }).
+ * @param {string} label - A speaker name as written in the transcript.
+ * @returns {object|null} The matching speaker.
+ */
+function findRosterSpeaker(roster, label) {
+    if (!roster || !roster.length || !label) return null;
+    const key = normalizeSpeakerKey(label);
+    if (!key) return null;
+    return roster.find(speaker =>
+        [speaker.name, ...(speaker.aliases || [])].some(alias => normalizeSpeakerKey(alias) === key)) || null;
+}
+
+/**
+ * The message kind a speaker label stands for, e.g. "Tool call (search)" -> 'tool_call'.
+ * @param {string} speaker
+ * @returns {string} One of MESSAGE_KINDS.
+ */
+function messageKindFor(speaker) {
+    const base = String(speaker).replace(/\s*\([^)]*\)\s*$/, '').trim().toLowerCase();
+    return Object.keys(PARSER_CONFIG.KIND_LABELS).find(kind => PARSER_CONFIG.KIND_LABELS[kind].includes(base)) || 'message';
+}
+
+/**
+ * Tool calls and results are often raw JSON, or `name({...})` with JSON
+ * arguments. Those become a pretty-printed JSON code block; anything else is
+ * returned unchanged to render as markdown.
+ * @param {string} content
+ * @returns {string} Markdown.
+ */
+function formatToolContent(content) {
+    const text = content.trim();
+    const call = text.match(/^([\w.$-]+)\s*\(([\s\S]*)\)$/);
+    const json = (call ? call[2] : text).trim();
+    if (!/^[[{]/.test(json)) return content;
+    let pretty;
+    try {
+        pretty = JSON.stringify(JSON.parse(json), null, 2);
+    } catch (e) {
+        return content;
+    }
+    // The fence must be longer than any run of backticks inside the JSON.
+    const longestRun = Math.max(0, ...(pretty.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return (call ? `\`${call[1]}\`\n\n` : '') + `${fence}json\n${pretty}\n${fence}`;
+}
+
+// === PARSER MODULE ===
+const Parser = {
+/**
+ * Splits a pasted transcript into speaker segments.
+ * @param {string} text - The raw transcript.
+ * @param {object} [options] - See analyze().
+ * @returns {object[]} Segments ({ type: 'user' | 'ai' | 'unknown', speaker, content, originalPrefix? }).
+ */
+parseSegments(text, options = {}) {
+    return this.analyze(text, options).segments;
+},
+
+/**
+ * Splits a transcript into speaker segments and reports how: which strategy
+ * won, how confident each message boundary is, and which boundaries are
+ * doubtful enough to check by hand.
+ * @param {string} text - The raw transcript.
+ * @param {object} [options]
+ * @param {object[]} [options.roster] - Known speakers; their names and aliases take
+ *   precedence over the built-in keywords when classifying labels.
+ * @param {string[]} [options.continuations] - Label-like lines (trimmed) that the
+ *   user has marked as message content rather than the start of a message.
+ * @returns {{ strategy: string, segments: object[], ambiguous: object[] }}
+ *   Each segment also has `line` (1-based), `confidence` (0 to 1) and `reason`;
+ *   `ambiguous` lists the boundaries below AMBIGUOUS_BELOW as { index, line, speaker, confidence, reason }.
+ */
+analyze(text, { roster = [], continuations = [] } = {}) {
+    // This function combines multiple parsing strategies to create a list of chat segments.
+    let segments = this.parseByLabels(text, roster, continuations);
+    let strategy = 'labels';
+
+    const hasKnownLabels = segments.some(s => s.type === 'user' || s.type === 'ai');
+    if (segments.length < 2 || !hasKnownLabels) {
+        const alternateSegments = this.parseByAlternatingTurns(text, roster);
+        if (alternateSegments.length > 1) {
+            segments = alternateSegments;
+            strategy = 'turns';
+        }
+    }
+    
+    if (segments.length < 2) {
+         const heuristicSegments = this.parseByHeuristicSplit(text);
+         if (heuristicSegments.length > 1) {
+             segments = heuristicSegments;
+             strategy = 'paragraphs';
+         }
+    }
+
+    segments = segments.filter(seg => seg.content.trim());
+    const ambiguous = [];
+    segments.forEach((seg, index) => {
+        if (seg.confidence < AMBIGUOUS_BELOW) {
+            ambiguous.push({ index, line: seg.line, speaker: seg.speaker, confidence: seg.confidence, reason: seg.reason });
+        }
+    });
+    return { strategy, segments, ambiguous };
+},
+
+parseByLabels(text, roster = [], continuations = []) {
+    const lines = text.split('\n');
+    const segments = [];
+    const keepAsContent = new Set(continuations);
+    let currentSegment = { type: 'unknown', speaker: 'Unknown', content: '', line: 1, source: 'unlabeled' };
+
+    // --- Hardened Speaker Detection ---
+    const permissiveSpeakerRegex = /^([^:\n]{1,100}):\s+/; // SECURE: Prevents ReDoS
+    // List items, quotes, table rows and quoted speech ("- Pros: ...", "> Note: ...") are content, not names.
+    const notALabelRegex = /^\s*(?:[>|`"“'‘]|[-*+]\s|\d{1,9}[.)]\s)/;
+    // Without a colon or bold, a keyword only labels a line of its own ("You", "ChatGPT said"),
+    // so content such as "You could..." or "Users often..." stays in its message.
+    const keywordSpeakerRegex = new RegExp(`^(\\*\\*|##\\s|)?(\\s*)(${[...PARSER_CONFIG.USER_KEYWORDS, ...PARSER_CONFIG.AI_KEYWORDS].join('|')})(\\*\\*|:|\\s+said:?(?=\\s*$)|(?=\\s*$))`, 'i');
+    // Roster names must be followed by a label marker, so "Alice went home" stays content.
+    const rosterAliases = roster
+        .flatMap(speaker => [speaker.name, ...(speaker.aliases || [])])
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegex);
+    const rosterSpeakerRegex = rosterAliases.length
+        ? new RegExp(`^(\\*\\*|##\\s|)?(\\s*)(${rosterAliases.join('|')})(\\*\\*|\\s+said)(?=\\s|$)`, 'i')
+        : null;
+
+    lines.forEach((line, lineIndex) => {
+        if (keepAsContent.has(line.trim())) {
+            currentSegment.content += line + '\n';
+            return;
+        }
+        let match = line.match(permissiveSpeakerRegex);
+        if (match && notALabelRegex.test(match[1])) match = null;
+        let speakerName, isUser, isAi, source;
+
+        let originalPrefix = '';
+        let rosterSpeaker = match && match[1]
+            ? findRosterSpeaker(roster, match[1])
+            : null;
+
+        if (rosterSpeaker) {
+            speakerName = rosterSpeaker.name;
+            isUser = rosterSpeaker.role === 'user';
+            isAi = !isUser;
+            originalPrefix = match[0];
+            source = 'roster';
+
+        } else if (match && match[1]) { 
+            speakerName = match[1].trim();
+            const lowerSpeaker = speakerName.toLowerCase();
+            isUser = userKeywordRegex.test(lowerSpeaker);
+            isAi = aiKeywordRegex.test(lowerSpeaker);
+            originalPrefix = match[0];
+            if (messageKindFor(speakerName) !== 'message') source = 'kind';
+            else if (isUser || isAi) source = 'keyword';
+            else source = speakerName.split(/\s+/).length > 4 ? 'sentence' : 'name';
+
+        } else if (rosterSpeakerRegex && (match = line.match(rosterSpeakerRegex))) {
+            rosterSpeaker = findRosterSpeaker(roster, match[3]);
+            speakerName = rosterSpeaker.name;
+            isUser = rosterSpeaker.role === 'user';
+            isAi = !isUser;
+            originalPrefix = match[0];
+            source = 'roster';
+
+        } else { 
+            match = line.match(keywordSpeakerRegex);
+            if (match && match[3]) {
+                speakerName = match[3];
+                const lowerSpeaker = speakerName.toLowerCase();
+                isUser = PARSER_CONFIG.USER_KEYWORDS.includes(lowerSpeaker);
+                isAi = true; 
+                originalPrefix = match[0];
+                source = match[1] || match[4] ? 'marker' : 'bare';
+            }
+        }
+
+        if (speakerName) {
+            if (currentSegment.content.trim()) {
+                segments.push(currentSegment);
+            }
+            const kind = rosterSpeaker && rosterSpeaker.role === 'system' ? 'system' : messageKindFor(speakerName);
+            const speakerType = isUser && kind === 'message' ? 'user' : 'ai';
+            let cleanLine = line.replace(match[0], '').trim();
+
+            currentSegment = {
+                type: speakerType,
+                speaker: speakerName.charAt(0).toUpperCase() + speakerName.slice(1), 
+                content: cleanLine + '\n',
+                originalPrefix: originalPrefix,
+                kind,
+                line: lineIndex + 1,
+                source
+            };
+        } else {
+            currentSegment.content += line + '\n';
+        }
+    });
+
+    if (currentSegment.content.trim()) {
+        segments.push(currentSegment);
+    }
+    if (segments.length > 0 && !segments[0].originalPrefix) {
+        segments[0].originalPrefix = '';
+    }
+
+    if (segments.length > 1 && segments[0].type === 'unknown') {
+        const firstKnownSegment = segments[1];
+        if (firstKnownSegment.type === 'ai') {
+            segments[0].type = 'user';
+            segments[0].speaker = 'User';
+            segments[0].source = 'inferred';
+        } else if (firstKnownSegment.type === 'user') {
+            segments[0].type = 'ai';
+            segments[0].speaker = 'Assistant';
+            segments[0].source = 'inferred';
+        }
+    }
+
+    // A made-up name is more believable as a label once it starts several messages.
+    const nameCounts = new Map();
+    segments.forEach(seg => {
+        if (seg.source === 'name') nameCounts.set(seg.speaker, (nameCounts.get(seg.speaker) || 0) + 1);
+    });
+    segments.forEach(seg => {
+        const source = seg.source === 'name' && nameCounts.get(seg.speaker) > 1 ? 'repeated' : seg.source;
+        [seg.confidence, seg.reason] = BOUNDARY_CONFIDENCE[source];
+        delete seg.source;
+    });
+    
+    return segments;
+},
+
+/**
+ * Splits text at blank lines, keeping the line each block starts on.
+ * @returns {{ content: string, line: number }[]}
+ */
+paragraphBlocks(text) {
+    const blocks = [];
+    let line = 1;
+    text.split(/(\n\s*\n+)/).forEach((part, i) => {
+        // Odd parts are the separators between blocks.
+        if (i % 2 === 0 && part.trim()) {
+            blocks.push({ content: part.trim(), line: line + (part.match(/^\s*/)[0].match(/\n/g) || []).length });
+        }
+        line += (part.match(/\n/g) || []).length;
+    });
+    return blocks;
+},
+
+/**
+ * Assigns unlabeled blocks to speakers taking turns. With two or more
+ * conversational speakers in the roster, the turns go round them in roster
+ * order; otherwise between "User" and "Assistant".
+ */
+parseByAlternatingTurns(text, roster = []) {
+    const blocks = this.paragraphBlocks(text);
+    if (blocks.length < 2) return [];
+    const rosterTurns = roster.filter(speaker => speaker.role !== 'system');
+    const turns = rosterTurns.length >= 2
+        ? rosterTurns.map(speaker => ({ type: speaker.role === 'user' ? 'user' : 'ai', speaker: speaker.name }))
+        : [{ type: 'user', speaker: 'User' }, { type: 'ai', speaker: 'Assistant' }];
+    const [confidence, reason] = BOUNDARY_CONFIDENCE.turn;
+    return blocks.map((block, i) => {
+        const turn = turns[i % turns.length];
+        return {
+            type: turn.type,
+            speaker: turn.speaker,
+            content: block.content,
+            line: block.line,
+            confidence,
+            reason
+        };
+    });
+},
+
+parseByHeuristicSplit(text) {
+    const blocks = this.paragraphBlocks(text);
+    if (blocks.length < 2) return [];
+
+    const [confidence, reason] = BOUNDARY_CONFIDENCE.paragraph;
+    return blocks.map((block, i) => ({
+        type: i % 2 === 0 ? 'user' : 'ai',
+        speaker: i % 2 === 0 ? 'User' : 'Assistant',
+        content: block.content,
+        line: block.line,
+        confidence,
+        reason
+    }));
+}
+}; 
+
+
+// === PARTICIPANTS ===
+
+// Colour slots for multi-party layouts; style.css and the widget define .lane-0 to .lane-7.
+const LANE_COUNT = 8;
+
+const ROLE_LABELS = { user: 'User', assistant: 'Assistant', system: 'System', other: 'Other' };
+
+/**
+ * Up to two initials for a speaker without an avatar, e.g. "Ada Lovelace" -> "AL".
+ */
+function speakerInitials(name) {
+    return String(name).trim().split(/\s+/).slice(0, 2)
+        .map(word => Array.from(word)[0] || '')
+        .join('')
+        .toUpperCase();
+}
+
+/**
+ * Lists the distinct speakers of a conversation in order of first appearance.
+ * The role comes from the roster, then the built-in keywords; it is null for
+ * names neither of them knows, rather than a guess.
+ * @param {object[]} segments - Segments ({ type, speaker, kind? }).
+ * @param {object[]} [roster] - Speaker roster, for roles and avatars.
+ * @returns {object[]} Participants ({ speaker, type, lane, role, avatar, count }).
+ */
+function getParticipants(segments, roster = []) {
+    const bySpeaker = new Map();
+    segments.forEach(seg => {
+        // System prompts, tool traffic and reasoning aren't participants in the conversation.
+        if (seg.kind && seg.kind !== 'message') return;
+        const existing = bySpeaker.get(seg.speaker);
+        if (existing) {
+            existing.count++;
+            return;
+        }
+        const profile = findRosterSpeaker(roster, seg.speaker);
+        let role = profile ? profile.role : null;
+        if (!role && userKeywordRegex.test(seg.speaker)) role = 'user';
+        else if (!role && aiKeywordRegex.test(seg.speaker)) role = 'assistant';
+        bySpeaker.set(seg.speaker, {
+            speaker: seg.speaker,
+            type: seg.type,
+            lane: bySpeaker.size % LANE_COUNT,
+            role,
+            avatar: (profile && profile.avatar) || speakerInitials(seg.speaker),
+            count: 1
+        });
+    });
+    return Array.from(bySpeaker.values());
+}
+
+/**
+ * Whether a conversation needs the multi-party layout: anything but one user
+ * talking to one assistant. System speakers don't count as a side.
+ * @param {object[]} participants - Output of getParticipants.
+ * @returns {boolean}
+ */
+function isMultiParty(participants) {
+    const sides = participants.filter(p => p.role !== 'system');
+    return sides.length > 2 || (sides.length === 2 && sides[0].type === sides[1].type);
+}
+
+/**
+ * Builds the participant legend shown in the document header.
+ * @param {object[]} participants - Output of getParticipants.
+ * @param {object} [options]
+ * @param {function(object): string} [options.className] - Extra classes for a participant's entry.
+ * @returns {string} HTML for the legend.
+ */
+function renderLegend(participants, { className = () => '' } = {}) {
+    const items = participants.map(p => {
+        const extra = className(p);
+        const role = p.role ? `<span class="participant-role">${ROLE_LABELS[p.role]}</span>` : '';
+        const count = `${p.count} message${p.count === 1 ? '' : 's'}`;
+        return `<li class="participant lane-${p.lane}${extra ? ' ' + escapeHtml(extra) : ''}" title="${count}">` +
+            `<span class="speaker-avatar" aria-hidden="true">${escapeHtml(p.avatar)}</span>` +
+            `<span class="participant-name">${escapeHtml(p.speaker)}</span>${role}</li>`;
+    });
+    return `<ul class="participant-legend" aria-label="Participants">${items.join('')}</ul>`;
+}
+
+/**
+ * Converts markdown to sanitized HTML using the shared DOMPurify policy.
+ * @param {string} markdown - Raw markdown text.
+ * @returns {string} Safe HTML.
+ */
+function renderMarkdown(markdown) {
+    return root.DOMPurify.sanitize(root.marked.parse(markdown), DOMPURIFY_CONFIG);
+}
+
+/**
+ * Builds the inner markup of a chat row for a segment.
+ * @param {object} seg - A parsed segment or message ({ speaker, content }).
+ * @param {object} [options]
+ * @param {boolean} [options.editable=false] - Render the body as contenteditable with a selection checkbox.
+ * @param {string} [options.id] - Message id, used by the editor to map edits back to the model.
+ * @param {string} [options.className] - Extra classes for the bubble, e.g. a per-speaker colour.
+ * @param {string} [options.avatar] - Initials or an emoji shown before the speaker label.
+ * @param {boolean} [options.open=false] - Expand a system, tool or reasoning message.
+ * @returns {string} HTML for the bubble.
+ */
+function renderBubble(seg, { editable = false, id = '', className = '', avatar = '', open = false } = {}) {
+    const kind = MESSAGE_KINDS.includes(seg.kind) ? seg.kind : 'message';
+    const isTool = kind === 'tool_call' || kind === 'tool_result';
+    const safeHtml = renderMarkdown(isTool ? formatToolContent(seg.content) : seg.content);
+    const idAttr = escapeHtml(id);
+    const editableAttrs = editable ? ` contenteditable="true" data-id="${idAttr}"` : '';
+    const checkbox = editable
+        ? `<input type="checkbox" class="delete-checkbox" data-id="${idAttr}" aria-label="Select this message for deletion">`
+        : '';
+    const classes = (kind === 'message' ? '' : ` kind-${kind}`) + (className ? ' ' + escapeHtml(className) : '');
+    const label = `${avatar ? `<span class="speaker-avatar" aria-hidden="true">${escapeHtml(avatar)}</span>` : ''}${escapeHtml(seg.speaker)}`;
+    if (kind !== 'message') {
+        // Side content collapses behind its label so the conversation stays readable.
+        return `
+        <div class="chat-bubble${classes}">
+            <details class="kind-details"${open ? ' open' : ''}>
+                <summary class="speaker-label">${label}<span class="kind-badge">${KIND_NAMES[kind]}</span></summary>
+                <div class="markdown-body"${editableAttrs}>${safeHtml}</div>
+            </details>
+            ${checkbox}
+        </div>
+    `;
+    }
+    return `
+        <div class="chat-bubble${classes}">
+            <div class="speaker-label">${label}</div>
+            <div class="markdown-body"${editableAttrs}>${safeHtml}</div>
+            ${checkbox}
+        </div>
+    `;
+}
+
+/**
+ * The note that stands in for messages left out of an export of a selection.
+ * @param {number} count - How many messages were left out at this point.
+ */
+function omittedLabel(count) {
+    return `\u2026 ${count} message${count === 1 ? '' : 's'} omitted \u2026`;
+}
+
+function renderOmitted(count) {
+    return `<div class="omitted-marker" role="note">${escapeHtml(omittedLabel(count))}</div>`;
+}
+
+// The editor's themes. 'light' is the plain stylesheet; the others are body classes.
+const THEMES = ['light', 'dark', 'ocean-breeze', 'sunset-glow', 'tropical-vibes', 'coral-reef', 'sky-sand',
+    'citrus-pop', 'lavender-fields', 'aqua-coral', 'berry-burst', 'fresh-lime', 'fat-albert'];
+
+/**
+ * The body class that turns a theme on.
+ * @param {string} theme - One of THEMES.
+ * @returns {string} '' for the light theme.
+ */
+function themeClass(theme) {
+    if (theme === 'light') return '';
+    return theme === 'dark' ? 'dark-mode' : `theme-${theme}`;
+}
+
+// WCAG 2.x AA minimum contrast for normal-size text.
+const WCAG_AA = 4.5;
+// Hashed hues closer than this are moved apart, so two speakers don't look alike.
+const MIN_HUE_GAP = 30;
+const NAMED_COLORS = { white: '#ffffff', black: '#000000' };
+
+/**
+ * Reads an opaque CSS colour: "#abc", "#aabbcc", "rgb()", "rgba()" with full
+ * alpha, "white" or "black".
+ * @param {string} value
+ * @returns {string|null} "#rrggbb", or null for anything else.
+ */
+function parseColor(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+    if (/^#[0-9a-f]{6}$/.test(text)) return text;
+    if (/^#[0-9a-f]{3}$/.test(text)) return '#' + Array.from(text.slice(1), c => c + c).join('');
+    const rgb = text.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/);
+    if (!rgb || (rgb[4] !== undefined && parseFloat(rgb[4]) !== 1 && rgb[4] !== '100%')) return null;
+    return '#' + rgb.slice(1, 4).map(n => Math.min(255, Number(n)).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb.map(n => Math.round(n).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * A colour drawn at `alpha` over a background.
+ * @returns {string} "#rrggbb"
+ */
+function mixColors(color, background, alpha) {
+    const fg = hexToRgb(color);
+    const bg = hexToRgb(background);
+    return rgbToHex(fg.map((n, i) => n * alpha + bg[i] * (1 - alpha)));
+}
+
+function hslToHex(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const f = n => {
+        const k = (n + hue / 30) % 12;
+        return 255 * (l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+    };
+    return rgbToHex([f(0), f(8), f(4)]);
+}
+
+function relativeLuminance(hex) {
+    const [r, g, b] = hexToRgb(hex).map(n => {
+        const c = n / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * The WCAG contrast ratio of two "#rrggbb" colours, from 1 to 21.
+ * @returns {number}
+ */
+function contrastRatio(a, b) {
+    const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// Deterministic hash function to get a consistent value from the speaker's name.
+function speakerHash(speaker) {
+    let hash = 0;
+    for (let i = 0; i < speaker.length; i++) {
+        hash = speaker.charCodeAt(i) + ((hash << 5) - hash);
+    }
+    return Math.abs(hash);
+}
+
+/**
+ * The class for a speaker without a roster colour. It only depends on the
+ * name; the colour behind it depends on the theme (see speakerPalette).
+ * @param {string} speaker
+ * @returns {string}
+ */
+function speakerClassName(speaker) {
+    return `speaker-hash-${speakerHash(speaker).toString(36)}`;
+}
+
+/**
+ * A label colour of the given hue that reads on `background`: the one
+ * closest to a light shade on dark bubbles, or a dark shade on light ones.
+ * @returns {string|null} "#rrggbb", or null if no shade of the hue passes AA.
+ */
+function labelColor(hue, background) {
+    const dark = relativeLuminance(background) < 0.18;
+    // A dark bubble keeps the bright pastels dark mode has always used.
+    const saturation = dark ? 90 : 75;
+    const target = dark ? 75 : 35;
+    for (let step = 0; step <= 100; step++) {
+        for (const lightness of step ? [target + step, target - step] : [target]) {
+            if (lightness < 0 || lightness > 100) continue;
+            const color = hslToHex(hue, saturation, lightness);
+            if (contrastRatio(color, background) >= WCAG_AA) return color;
+        }
+    }
+    return null;
+}
+
+/**
+ * Colours for speakers without a roster colour, for one theme. Hues come
+ * from the speaker's name; a hue too close to an earlier speaker's moves on
+ * by the golden angle, so earlier speakers keep their colours as others join.
+ * @param {string[]} speakers - In order of appearance.
+ * @param {{ ai: string, user: string }} backgrounds - The theme's bubble colours, "#rrggbb".
+ * @returns {Map<string, { hue: number, ai: string|null, user: string|null }>} Label
+ *   colours on each kind of bubble; null where the bubble's text colour has to do.
+ */
+function speakerPalette(speakers, backgrounds) {
+    const palette = new Map();
+    const hues = [];
+    // With many speakers the hues have to sit closer together.
+    const gap = Math.min(MIN_HUE_GAP, 180 / Math.max(1, speakers.length));
+    const distance = (a, b) => Math.min(Math.abs(a - b), 360 - Math.abs(a - b));
+    speakers.forEach(speaker => {
+        if (palette.has(speaker)) return;
+        let hue = speakerHash(speaker) % 360;
+        for (let tries = 0; tries < 36 && hues.some(used => distance(used, hue) < gap); tries++) {
+            hue = Math.round((hue + 137.508) % 360);
+        }
+        hues.push(hue);
+        palette.set(speaker, { hue, ai: labelColor(hue, backgrounds.ai), user: labelColor(hue, backgrounds.user) });
+    });
+    return palette;
+}
+
+/**
+ * The colour class for a speaker's bubbles and the rules that define it. A
+ * roster colour names the class after the colour, so changing it gets a fresh
+ * rule; anyone else gets the class from speakerClassName, coloured from the
+ * theme's palette.
+ * @param {string} speaker
+ * @param {object|null} profile - The speaker's roster entry, if any.
+ * @param {object} [colors] - The speaker's speakerPalette entry, for speakers without a roster colour.
+ * @returns {{ className: string, rules: string[][] }} [selector, declarations] pairs.
+ */
+function speakerColorRules(speaker, profile, colors) {
+    if (profile && profile.color) {
+        const className = `speaker-color-${profile.color.slice(1)}`;
+        // --lane-color carries the colour into multi-party lanes and the participant legend.
+        return {
+            className,
+            rules: [
+                [className, `--lane-color: ${profile.color}; box-shadow: inset 4px 0 0 ${profile.color}, 0 1px 2px rgba(0,0,0,0.1);`],
+                [`${className} .speaker-label`, `color: ${profile.color};`]
+            ]
+        };
+    }
+    const className = speakerClassName(speaker);
+    const rules = [];
+    if (colors && colors.ai) {
+        rules.push([className, `border-color: ${colors.ai};`]);
+        rules.push([`${className} .speaker-label`, `color: ${colors.ai};`]);
+    }
+    if (colors && colors.user) {
+        rules.push([`chat-row.user .${className} .speaker-label`, `color: ${colors.user};`]);
+    }
+    return { className, rules };
+}
+
+// Sample names for checking a theme's speaker labels.
+const SAMPLE_SPEAKERS = ['User', 'AI', 'Assistant', 'ChatGPT', 'Claude', 'Gemini', 'Copilot', 'Alice', 'Bob', 'Carol'];
+
+/**
+ * Checks every text and bubble combination of a theme against WCAG AA.
+ * @param {object} colors - "#rrggbb" values: userBubble, userText, userLink,
+ *   aiBubble, aiText, sheet, title and muted.
+ * @returns {{ label: string, foreground: string, background: string, ratio: number, passes: boolean }[]}
+ */
+function auditContrast(colors) {
+    const pairs = [
+        ['User text', colors.userText, colors.userBubble],
+        ['Links in user bubbles', colors.userLink, colors.userBubble],
+        ['AI text', colors.aiText, colors.aiBubble],
+        ['Title', colors.title, colors.sheet],
+        ['Date, source and notes', colors.muted, colors.sheet]
+    ].map(([label, foreground, background]) => ({ label, foreground, background, ratio: contrastRatio(foreground, background) }));
+
+    // Labels fall back to the bubble's text colour where no shade of their hue reads.
+    const palette = speakerPalette(SAMPLE_SPEAKERS, { ai: colors.aiBubble, user: colors.userBubble });
+    [['ai', colors.aiBubble, colors.aiText, 'AI'], ['user', colors.userBubble, colors.userText, 'user']].forEach(([side, background, text, name]) => {
+        const worst = SAMPLE_SPEAKERS
+            .map(speaker => palette.get(speaker)[side] || text)
+            .map(foreground => ({ foreground, ratio: contrastRatio(foreground, background) }))
+            .sort((a, b) => a.ratio - b.ratio)[0];
+        pairs.push({ label: `Speaker labels on ${name} bubbles`, foreground: worst.foreground, background, ratio: worst.ratio });
+    });
+    return pairs.map(pair => ({ ...pair, ratio: Math.floor(pair.ratio * 100) / 100, passes: pair.ratio >= WCAG_AA }));
+}
+
+/**
+ * Guesses the source from the first AI speaker with a name more specific
+ * than "AI" or "Assistant".
+ * @param {object[]} messages - Messages or segments with role (or type), kind and speaker.
+ * @returns {string}
+ */
+function detectSource(messages) {
+    const ai = messages.filter(msg => (msg.role || msg.type) === 'ai' && (msg.kind || 'message') === 'message');
+    const specific = ai.find(msg => msg.speaker.toLowerCase() !== 'ai' && msg.speaker.toLowerCase() !== 'assistant');
+    if (specific) return specific.speaker;
+    return ai.length ? ai[0].speaker : 'AI Assistant';
+}
+
+/**
+ * Guesses a title: a leading markdown heading, or else the first line of the
+ * user's first message.
+ * @param {string} text - The source text.
+ * @param {object[]} messages - Messages or segments with role (or type) and content.
+ * @returns {string}
+ */
+function detectTitle(text, messages) {
+    const first = text.trim().split('\n').find(line => line.trim().length > 0) || '';
+    if (first.trim().startsWith('#')) return first.trim().replace(/^#+\s*/, '').trim();
+
+    const user = messages.find(msg => (msg.role || msg.type) === 'user' && msg.content.trim().length > 0);
+    if (!user) return 'Conversation Log';
+    let title = user.content.trim().split('\n')[0].trim();
+    if (title.length > 60) title = title.substring(0, 57) + '...';
+    return title === '...' || title === '' ? 'Conversation Log' : title;
+}
+
+const BubbleScriptCore = {
+    PARSER_CONFIG,
+    ROLE_LABELS,
+    MESSAGE_KINDS,
+    KIND_NAMES,
+    PARSE_STRATEGIES,
+    AMBIGUOUS_BELOW,
+    DOMPURIFY_CONFIG,
+    MATHML_ALLOWLIST,
+    Parser,
+    findRosterSpeaker,
+    messageKindFor,
+    formatToolContent,
+    getParticipants,
+    isMultiParty,
+    renderLegend,
+    extendSanitizerConfig,
+    configureMarked,
+    mathDelimiterIndexes,
+    addSanitizerHooks,
+    escapeRegex,
+    escapeHtml,
+    renderMarkdown,
+    renderBubble,
+    omittedLabel,
+    renderOmitted,
+    THEMES,
+    themeClass,
+    WCAG_AA,
+    parseColor,
+    mixColors,
+    contrastRatio,
+    speakerClassName,
+    speakerPalette,
+    speakerColorRules,
+    auditContrast,
+    detectSource,
+    detectTitle
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BubbleScriptCore;
+} else {
+    root.BubbleScriptCore = BubbleScriptCore;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,121 @@
+// === PARSE CORRECTIONS ===
+
+/**
+ * Hand corrections to where the parser split the conversation, and the parse
+ * report that shows where it was unsure.
+ *
+ * Splits and speaker changes need no bookkeeping: they are written back into
+ * the text as explicit labels, which the next parse reads like any other.
+ * Merging is the exception. A message that started at a misread label (say,
+ * "Note: remember this") can only stay merged if the parser stops treating
+ * that line as a label, so the line is kept here as a continuation and saved
+ * with the draft.
+ *
+ * The text format is a correction too: the user can override the parser that
+ * auto-detection picked (see parsers.js), and that choice is saved as well.
+ */
+const ParseCorrections = {
+    MAX_CONTINUATIONS: 500,
+    MAX_LINE_LENGTH: 1000,
+
+    continuations: [],
+    format: 'auto', // A parser id, or 'auto'
+    parser: 'generic', // The parser the last parse used
+    reportVisible: false,
+
+    /**
+     * Options for Parsers.analyze.
+     */
+    parseOptions() {
+        return { roster: SpeakerRoster.speakers, continuations: this.continuations, format: this.format };
+    },
+
+    /**
+     * Parses text with the chosen or detected format.
+     * @param {string} text
+     * @returns {object[]} Segments.
+     */
+    parse(text) {
+        const result = Parsers.analyze(text, this.parseOptions());
+        this.parser = result.parser;
+        return result.segments;
+    },
+
+    /**
+     * Chooses the text format without parsing, e.g. when a draft's messages are
+     * restored as saved.
+     * @param {string} format - A parser id, or 'auto'.
+     * @param {string} text - The source text, for auto-detection.
+     */
+    setFormat(format, text) {
+        this.format = format;
+        this.parser = format === 'auto' ? Parsers.detect(text)[0].id : format;
+    },
+
+    /**
+     * Validates a format from storage.
+     * @param {string} [format]
+     * @returns {string} The format, or 'auto' when none was saved.
+     * @throws {Error} If it names no registered parser.
+     */
+    validateFormat(format) {
+        if (format === undefined || format === null || format === 'auto') return 'auto';
+        if (typeof format !== 'string' || !Parsers.get(format)) throw new Error('Unknown text format');
+        return format;
+    },
+
+    /**
+     * Validates continuation lines from storage.
+     * @param {string[]} [lines]
+     * @returns {string[]} A normalized copy.
+     * @throws {Error} If the list is malformed.
+     */
+    validate(lines) {
+        if (lines === undefined || lines === null) return [];
+        if (!Array.isArray(lines) || lines.length > this.MAX_CONTINUATIONS ||
+            !lines.every(line => typeof line === 'string' && line.length <= this.MAX_LINE_LENGTH)) {
+            throw new Error('Invalid parser corrections');
+        }
+        return [...new Set(lines.map(line => line.trim()).filter(Boolean))];
+    },
+
+    /**
+     * Replaces the active corrections.
+     * @param {string[]} lines
+     * @throws {Error} If the list is malformed.
+     */
+    set(lines) {
+        this.continuations = this.validate(lines);
+    },
+
+    /**
+     * Stops the parser from starting a message at this line. The oldest
+     * corrections give way once there are MAX_CONTINUATIONS of them.
+     */
+    keepAsContent(line) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.length > this.MAX_LINE_LENGTH || this.continuations.includes(trimmed)) return;
+        // Replaced, never mutated, so undo snapshots can share the list.
+        this.continuations = [...this.continuations, trimmed].slice(-this.MAX_CONTINUATIONS);
+    },
+
+    /**
+     * Confidence for each message's boundary, keyed by message id. Messages the
+     * current text doesn't produce in the same place (e.g. after an undo to a
+     * state that was never parsed) are left out.
+     * @param {string} text - The source text.
+     * @param {object[]} messages - Messages from the Transcript model.
+     * @returns {{ report: object, byId: Map<string, object> }}
+     */
+    diagnose(text, messages) {
+        const report = Parsers.analyze(text, this.parseOptions());
+        const byId = new Map();
+        report.segments.forEach((seg, index) => {
+            const msg = messages[index];
+            if (msg && msg.speaker === seg.speaker && msg.content === seg.content.trim()) {
+                byId.set(msg.id, { line: seg.line, confidence: seg.confidence, reason: seg.reason });
+            }
+        });
+        return { report, byId };
+    }
+};
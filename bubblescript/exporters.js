@@ -0,0 +1,206 @@
+/**
+ * Exporters: standalone HTML, normalized Markdown and JSON.
+ *
+ * Each exporter takes a plain document object, so it works the same in the
+ * browser and anywhere else core.js runs:
+ *   { title, date, source, segments: [{ type, speaker, content, timestamp?, model? }], roster? }
+ * `roster` is the editor's speaker roster (see speakers.js), used for roles and avatars.
+ * When only a selection is exported, `omittedBefore` on a segment and
+ * `omittedAfter` on the document count the messages left out at that point,
+ * and each exporter marks the gap.
+ *
+ * The Markdown and JSON outputs are designed to round-trip: the matching
+ * importers in importers.js turn them back into identical segments.
+ */
+(function (root) {
+'use strict';
+
+const Core = typeof module !== 'undefined' && module.exports ? require('./core.js') : root.BubbleScriptCore;
+
+const JSON_FORMAT = 'bubblescript';
+const JSON_VERSION = 1;
+const GENERATOR = 'BubbleScript';
+
+// Layout fixes for a standalone page: the app's stylesheet assumes a full-height, two-pane workspace.
+const STANDALONE_CSS = `
+html, body { height: auto; min-height: 0; }
+body { display: block; }
+.preview-pane { width: 100%; overflow: visible; }
+`;
+
+// A content line that looks like a speaker heading or an omission marker gets a leading backslash on export.
+const SPEAKER_LINE = /^\\?\*\*(.+):\*\*\s*$/;
+const OMITTED_LINE = /^\\?\*\u2026 \d+ messages? omitted \u2026\*\s*$/;
+
+/**
+ * Maps each speaker to its role, in order of first appearance.
+ */
+function participantRoles(segments) {
+    const roles = {};
+    segments.forEach(seg => {
+        if (!(seg.speaker in roles)) roles[seg.speaker] = seg.type;
+    });
+    return roles;
+}
+
+const Exporters = {
+    JSON_FORMAT,
+    JSON_VERSION,
+    GENERATOR,
+
+    /**
+     * JSON document of segments plus metadata.
+     * @param {object} doc
+     * @returns {string}
+     */
+    toJson(doc) {
+        return JSON.stringify({
+            format: JSON_FORMAT,
+            version: JSON_VERSION,
+            title: doc.title,
+            date: doc.date,
+            source: doc.source,
+            exportedAt: new Date().toISOString(),
+            segments: doc.segments.map(seg => {
+                const out = { type: seg.type, speaker: seg.speaker, content: seg.content };
+                if (seg.kind && seg.kind !== 'message') out.kind = seg.kind;
+                if (seg.timestamp) out.timestamp = seg.timestamp;
+                if (seg.model) out.model = seg.model;
+                if (seg.omittedBefore) out.omittedBefore = seg.omittedBefore;
+                return out;
+            }),
+            ...(doc.omittedAfter ? { omittedAfter: doc.omittedAfter } : {})
+        }, null, 2);
+    },
+
+    /**
+     * Markdown transcript: front matter with the metadata and each speaker's
+     * role, then a `**Speaker:**` heading before each message. Omitted
+     * messages are marked with an emphasized line. Content lines that would
+     * read as a heading or a marker are escaped with a backslash.
+     * Front matter values are JSON-encoded, which is also valid YAML.
+     * @param {object} doc
+     * @returns {string}
+     */
+    toMarkdown(doc) {
+        const frontMatter = [
+            '---',
+            `generator: ${GENERATOR}`,
+            `title: ${JSON.stringify(doc.title)}`,
+            `date: ${JSON.stringify(doc.date)}`,
+            `source: ${JSON.stringify(doc.source)}`,
+            `participants: ${JSON.stringify(participantRoles(doc.segments))}`,
+            '---'
+        ].join('\n');
+
+        const marker = count => `*${Core.omittedLabel(count)}*\n\n`;
+        const body = doc.segments
+            .map(seg => {
+                const content = seg.content
+                    .split('\n')
+                    .map(line => (SPEAKER_LINE.test(line) || OMITTED_LINE.test(line) ? '\\' + line : line))
+                    .join('\n');
+                return `${seg.omittedBefore ? marker(seg.omittedBefore) : ''}**${seg.speaker}:**\n\n${content}`;
+            })
+            .join('\n\n') + (doc.omittedAfter ? `\n\n${marker(doc.omittedAfter).trim()}` : '');
+
+        return `${frontMatter}\n\n# ${doc.title.replace(/\s+/g, ' ')}\n\n${body}\n`;
+    },
+
+    /**
+     * Self-contained HTML page with the given CSS inlined.
+     * @param {object} doc
+     * @param {object} [options]
+     * @param {string} [options.css=''] - Stylesheet text to inline (the app's CSS plus theme rules).
+     * @param {string} [options.bodyClass=''] - Theme classes for <body>, e.g. "dark-mode".
+     * @param {function(object): string} [options.bubbleClass] - Extra classes for a segment's bubble.
+     * @returns {string}
+     */
+    toHtml(doc, { css = '', bodyClass = '', bubbleClass = () => '' } = {}) {
+        const { escapeHtml, renderBubble, renderMarkdown, renderOmitted, getParticipants, isMultiParty, renderLegend, findRosterSpeaker } = Core;
+        const roster = doc.roster || [];
+        let content;
+        let legend = '';
+        if (doc.segments.length <= 1) {
+            const text = doc.segments.length ? doc.segments[0].content : '';
+            const before = doc.segments.length && doc.segments[0].omittedBefore;
+            content = (before ? renderOmitted(before) : '') +
+                `<div class="markdown-body standard-doc">${renderMarkdown(text)}</div>` +
+                (doc.omittedAfter ? renderOmitted(doc.omittedAfter) : '');
+        } else {
+            const participants = getParticipants(doc.segments, roster);
+            const multiParty = isMultiParty(participants);
+            const bySpeaker = new Map(participants.map(p => [p.speaker, p]));
+            if (multiParty) {
+                legend = renderLegend(participants, { className: p => bubbleClass({ speaker: p.speaker }) });
+            }
+            content = '<div class="chat-container">\n' + doc.segments.map(seg => {
+                const profile = findRosterSpeaker(roster, seg.speaker);
+                // System, tool and reasoning messages have no lane of their own.
+                const participant = multiParty ? bySpeaker.get(seg.speaker) : null;
+                const rowClass = (participant ? `party lane-${participant.lane}` : (seg.type === 'user' ? 'user' : 'ai')) +
+                    (profile ? ` role-${profile.role}` : '') +
+                    (seg.kind && seg.kind !== 'message' ? ` kind-${seg.kind}` : '');
+                const avatar = participant ? participant.avatar : (profile && profile.avatar) || '';
+                return (seg.omittedBefore ? renderOmitted(seg.omittedBefore) + '\n' : '') +
+                    `<div class="chat-row ${rowClass}">${renderBubble(seg, { className: bubbleClass(seg), avatar })}</div>`;
+            }).join('\n') + (doc.omittedAfter ? '\n' + renderOmitted(doc.omittedAfter) : '') + '\n</div>';
+        }
+
+        // The inlined stylesheet must not be able to close its own <style> element.
+        const safeCss = (css + STANDALONE_CSS).replace(/<\/style/gi, '<\\/style');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data: https:;">
+<meta name="generator" content="${GENERATOR}">
+<title>${escapeHtml(doc.title)}</title>
+<style>
+${safeCss}
+</style>
+</head>
+<body class="${escapeHtml(bodyClass)}">
+<div class="preview-pane">
+<div id="document-sheet">
+    <div class="doc-header">
+        <div class="doc-title">${escapeHtml(doc.title)}</div>
+        <div class="meta-row">
+            <span>Date: ${escapeHtml(doc.date)}</span>
+            <span>Source: ${escapeHtml(doc.source)}</span>
+        </div>
+        ${legend}
+    </div>
+    <div id="outputContent">
+${content}
+    </div>
+</div>
+</div>
+</body>
+</html>
+`;
+    },
+
+    /**
+     * Builds a file name from the document title.
+     * @param {string} title
+     * @param {string} extension - Without the dot.
+     */
+    fileName(title, extension) {
+        const base = (title || 'conversation')
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/\s+/g, '-')
+            .substring(0, 80) || 'conversation';
+        return `${base}.${extension}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Exporters;
+} else {
+    root.BubbleScriptCore.Exporters = Exporters;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,377 @@
+/**
+ * Offline syntax highlighter for fenced code blocks.
+ *
+ * Each language is a small set of sticky regular expressions, tried in order
+ * at every position, plus word lists for keywords, literals and built-in
+ * types. A rule can `enter` or `exit` a nested state, which is enough for
+ * HTML tags and CSS declaration blocks. The output is escaped HTML with
+ * `<span class="tok-*">` tokens, and every line is wrapped in
+ * `<span class="code-line">` so the stylesheet can number lines.
+ */
+(function (root) {
+'use strict';
+
+// Past this size a block is shown as plain text, so pasting a huge log stays fast.
+const MAX_HIGHLIGHT_SIZE = 200 * 1024;
+
+// === SHARED PATTERNS ===
+const DQ_STRING = /"(?:[^"\\\n]|\\.)*"?/;
+const SQ_STRING = /'(?:[^'\\\n]|\\.)*'?/;
+const BACKTICK_STRING = /`(?:[^`\\]|\\[\s\S])*`?/;
+const BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/;
+const SLASH_COMMENT = /\/\/.*/;
+const HASH_COMMENT = /#.*/;
+const NUMBER = /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.[\d_]+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/;
+const LINE_START = '(?<=^|\\n)';
+
+const words = list => new Set(list.split(/\s+/).filter(Boolean));
+
+const C_KEYWORDS = 'break case continue default do else for goto if return switch while';
+
+// === LANGUAGES ===
+// rules: [type, pattern, options?] where type is a tok-* suffix or null for plain text.
+const LANGUAGES = {
+    javascript: {
+        aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+        rules: [
+            ['comment', SLASH_COMMENT], ['comment', BLOCK_COMMENT],
+            ['string', BACKTICK_STRING], ['string', DQ_STRING], ['string', SQ_STRING],
+            ['number', NUMBER], ['meta', /@[\w.]+/]
+        ],
+        keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static switch throw try typeof var void while with yield',
+        literals: 'true false null undefined NaN Infinity this super',
+        types: 'Array Object String Number Boolean Promise Map Set WeakMap WeakSet Symbol Date RegExp Error JSON Math BigInt console window document globalThis'
+    },
+    typescript: {
+        aliases: ['ts', 'tsx'],
+        extends: 'javascript',
+        keywords: 'abstract as declare enum implements infer interface is keyof namespace private protected public readonly satisfies type',
+        types: 'any unknown never void string number boolean object bigint symbol Record Partial Required Readonly Pick Omit'
+    },
+    json: {
+        aliases: ['jsonc', 'json5'],
+        rules: [
+            ['comment', SLASH_COMMENT], ['comment', BLOCK_COMMENT],
+            ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/], ['string', DQ_STRING], ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/]
+        ],
+        literals: 'true false null',
+        functions: false
+    },
+    python: {
+        aliases: ['py', 'python3', 'py3'],
+        rules: [
+            ['comment', HASH_COMMENT],
+            ['string', /[rRbBuUfF]{0,2}"""[\s\S]*?(?:"""|$)/], ['string', /[rRbBuUfF]{0,2}'''[\s\S]*?(?:'''|$)/],
+            ['string', /[rRbBuUfF]{0,2}"(?:[^"\\\n]|\\.)*"?/], ['string', /[rRbBuUfF]{0,2}'(?:[^'\\\n]|\\.)*'?/],
+            ['number', NUMBER], ['meta', /@[\w.]+/]
+        ],
+        keywords: 'and as assert async await break case class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield',
+        literals: 'True False None self cls',
+        types: 'int float str bool list dict set tuple bytes object type len range print open enumerate zip map filter sorted reversed min max sum abs isinstance super Exception ValueError TypeError KeyError'
+    },
+    bash: {
+        aliases: ['sh', 'shell', 'zsh', 'console', 'shellsession'],
+        rules: [
+            ['meta', /^#!.*/], ['comment', /(?<=^|[\s;])#.*/],
+            ['string', /"(?:[^"\\]|\\[\s\S])*"?/], ['string', /'[^']*'?/],
+            ['variable', /\$\{[^}\n]*\}?|\$[\w@#?$!*-]/], ['attr', /(?<=\s)--?[\w-]+/], ['number', /\b\d+\b/]
+        ],
+        keywords: 'if then else elif fi for while until do done case esac in function select return exit break continue local export readonly declare unset source alias shift trap',
+        literals: 'true false',
+        types: 'echo printf cd ls cat grep sed awk find xargs sudo rm cp mv mkdir touch chmod chown curl wget git npm npx node python python3 pip docker kubectl make tar ssh',
+        word: /[A-Za-z_][\w-]*/,
+        functions: false
+    },
+    html: {
+        aliases: ['xml', 'svg', 'xhtml', 'vue', 'svelte'],
+        rules: [
+            ['comment', /<!--[\s\S]*?(?:-->|$)/], ['meta', /<![A-Za-z][^>]*>/], ['meta', /<\?[\s\S]*?(?:\?>|$)/],
+            ['tag', /<\/?[A-Za-z][\w:.-]*/, { enter: 'tag' }], ['literal', /&#?\w+;/]
+        ],
+        states: {
+            tag: [
+                ['tag', /\/?>/, { exit: true }], ['string', /"[^"]*"?/], ['string', /'[^']*'?/], ['attr', /[^\s=>/"']+/]
+            ]
+        },
+        functions: false,
+        plainWords: true
+    },
+    css: {
+        aliases: ['scss', 'less', 'sass'],
+        rules: [
+            ['comment', BLOCK_COMMENT], ['comment', SLASH_COMMENT], ['string', DQ_STRING], ['string', SQ_STRING],
+            ['keyword', /@[\w-]+/], [null, /\{/, { enter: 'block' }], ['selector', /[.#]?[A-Za-z_-][\w-]*|::?[\w-]+|\*/]
+        ],
+        states: {
+            block: [
+                ['comment', BLOCK_COMMENT], ['comment', SLASH_COMMENT], ['string', DQ_STRING], ['string', SQ_STRING],
+                [null, /\}/, { exit: true }], [null, /\{/, { enter: 'block' }],
+                ['property', /-{0,2}[A-Za-z][\w-]*(?=\s*:)/], ['keyword', /!important\b/], ['variable', /[$@][\w-]+/],
+                ['number', /#[\da-fA-F]{3,8}\b/], ['number', /-?(?:\d*\.)?\d+(?:%|[a-zA-Z]+)?/],
+                ['function', /[\w-]+(?=\()/], ['selector', /&|[.#][\w-]+|::?[\w-]+(?=[^;}]*\{)/]
+            ]
+        },
+        functions: false,
+        plainWords: true
+    },
+    sql: {
+        aliases: ['mysql', 'postgres', 'postgresql', 'sqlite', 'plsql', 'tsql'],
+        rules: [
+            ['comment', /--.*/], ['comment', BLOCK_COMMENT], ['string', /'(?:[^']|'')*'?/], ['property', /"[^"\n]*"?|`[^`\n]*`?/],
+            ['number', NUMBER], ['variable', /[:@$]\w+/]
+        ],
+        keywords: 'select from where insert into values update set delete create table alter drop index view join inner left right outer full cross on as and or not is in exists between like ilike group by order having limit offset union all distinct case when then else end primary key foreign references default unique check constraint begin commit rollback transaction with returning asc desc if replace database schema add column',
+        literals: 'null true false',
+        types: 'int integer bigint smallint varchar char text boolean bool date time timestamp timestamptz datetime float double decimal numeric serial bigserial json jsonb uuid blob real',
+        caseInsensitive: true
+    },
+    yaml: {
+        aliases: ['yml'],
+        rules: [
+            ['comment', /(?<=^|\s)#.*/], ['meta', new RegExp(LINE_START + '(?:---|\\.\\.\\.)(?=\\s|$)')],
+            ['property', /(?<=(?:^|\n)[ \t]*(?:- +)?)[^\s:#'"-][^:#\n]*(?=:(?:\s|$))/],
+            ['string', DQ_STRING], ['string', SQ_STRING], ['meta', /[&*][\w-]+/], ['number', NUMBER]
+        ],
+        literals: 'true false null yes no on off ~',
+        functions: false
+    },
+    diff: {
+        aliases: ['patch'],
+        rules: [
+            ['meta', new RegExp(LINE_START + '(?:diff |index |\\+\\+\\+ |--- |@@).*')],
+            ['inserted', new RegExp(LINE_START + '\\+.*')], ['deleted', new RegExp(LINE_START + '-.*')],
+            [null, /.+/]
+        ],
+        functions: false
+    },
+    c: {
+        aliases: ['h'],
+        rules: [
+            ['comment', SLASH_COMMENT], ['comment', BLOCK_COMMENT], ['meta', new RegExp(LINE_START + '[ \\t]*#[ \\t]*\\w+')],
+            ['string', DQ_STRING], ['string', SQ_STRING], ['number', NUMBER]
+        ],
+        keywords: C_KEYWORDS + ' auto const enum extern inline register restrict signed sizeof static struct typedef union unsigned volatile',
+        literals: 'true false NULL',
+        types: 'int char float double long short void bool size_t ssize_t uint8_t uint16_t uint32_t uint64_t int8_t int16_t int32_t int64_t FILE'
+    },
+    cpp: {
+        aliases: ['c++', 'cc', 'cxx', 'hpp'],
+        extends: 'c',
+        keywords: 'catch class constexpr const_cast decltype delete dynamic_cast explicit friend mutable namespace new noexcept operator override private protected public reinterpret_cast static_cast template this throw try typename using virtual',
+        literals: 'nullptr this',
+        types: 'std string vector map set unordered_map unique_ptr shared_ptr auto'
+    },
+    java: {
+        aliases: ['kotlin', 'kt', 'scala', 'groovy'],
+        rules: [
+            ['comment', SLASH_COMMENT], ['comment', BLOCK_COMMENT], ['string', /"""[\s\S]*?(?:"""|$)/],
+            ['string', DQ_STRING], ['string', SQ_STRING], ['number', NUMBER], ['meta', /@\w+/]
+        ],
+        keywords: C_KEYWORDS + ' abstract assert catch class extends final finally fun implements import instanceof interface native new object override package private protected public record sealed permits static strictfp synchronized throw throws transient try val var void volatile when yield',
+        literals: 'true false null this super',
+        types: 'boolean byte char double float int long short String Object Integer Long Double List Map Set ArrayList HashMap Optional Any Unit'
+    },
+    csharp: {
+        aliases: ['cs', 'c#', 'dotnet'],
+        rules: [
+            ['comment', SLASH_COMMENT], ['comment', BLOCK_COMMENT], ['string', /[$@]*"(?:[^"\\\n]|\\.)*"?/],
+            ['string', SQ_STRING], ['number', NUMBER], ['meta', new RegExp(LINE_START + '[ \\t]*#\\w+')]
+        ],
+        keywords: C_KEYWORDS + ' abstract as async await base catch checked class const delegate enum event explicit extern finally fixed foreach get implicit in init interface internal is lock namespace new operator out override params private protected public readonly record ref sealed set sizeof stackalloc static struct throw try typeof unchecked unsafe using var virtual volatile yield',
+        literals: 'true false null this base',
+        types: 'bool byte char decimal double float int long object sbyte short string uint ulong ushort void dynamic Task List Dictionary'
+    },
+    go: {
+        aliases: ['golang'],
+        rules: [
+            ['comment', SLASH_COMMENT], ['comment', BLOCK_COMMENT], ['string', /`[^`]*`?/],
+            ['string', DQ_STRING], ['string', SQ_STRING], ['number', NUMBER]
+        ],
+        keywords: C_KEYWORDS + ' chan const defer fallthrough func go import interface map package range select struct type var',
+        literals: 'true false nil iota',
+        types: 'bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string uint uint8 uint16 uint32 uint64 uintptr any'
+    },
+    rust: {
+        aliases: ['rs'],
+        rules: [
+            ['comment', SLASH_COMMENT], ['comment', BLOCK_COMMENT], ['string', /b?r#*"[\s\S]*?(?:"#*|$)/],
+            ['string', /b?"(?:[^"\\]|\\[\s\S])*"?/], ['string', /b?'(?:[^'\\\n]|\\.)'/], ['meta', /'\w+/],
+            ['meta', /#!?\[[^\]\n]*\]?/], ['function', /\w+!/], ['number', NUMBER]
+        ],
+        keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return static struct super trait type unsafe use where while',
+        literals: 'true false self Self None Some Ok Err',
+        types: 'i8 i16 i32 i64 i128 isize u8 u16 u32 u64 u128 usize f32 f64 bool char str String Vec Option Result Box HashMap'
+    },
+    php: {
+        rules: [
+            ['meta', /<\?(?:php|=)?|\?>/], ['comment', SLASH_COMMENT], ['comment', HASH_COMMENT], ['comment', BLOCK_COMMENT],
+            ['string', DQ_STRING], ['string', SQ_STRING], ['variable', /\$\w+/], ['number', NUMBER]
+        ],
+        keywords: 'abstract and array as break case catch class clone const continue declare default do echo else elseif empty extends final finally fn for foreach function global if implements include include_once instanceof interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while xor yield',
+        literals: 'true false null TRUE FALSE NULL'
+    },
+    ruby: {
+        aliases: ['rb'],
+        rules: [
+            ['comment', HASH_COMMENT], ['string', DQ_STRING], ['string', SQ_STRING],
+            ['literal', /:[A-Za-z_]\w*[?!]?/], ['variable', /@@?\w+|\$\w+/], ['number', NUMBER]
+        ],
+        keywords: 'alias and begin break case class def defined? do else elsif end ensure for if in module next not or redo rescue retry return super then undef unless until when while yield require attr_accessor attr_reader attr_writer puts',
+        literals: 'true false nil self'
+    }
+};
+
+// === ENGINE ===
+
+function toSticky(pattern) {
+    const source = pattern instanceof RegExp ? pattern.source : pattern;
+    return new RegExp(source, 'y');
+}
+
+function compileRules(rules) {
+    return rules.map(([type, pattern, options = {}]) => ({ type, re: toSticky(pattern), ...options }));
+}
+
+const compiled = new Map();
+const aliases = new Map();
+Object.entries(LANGUAGES).forEach(([name, def]) => {
+    aliases.set(name, name);
+    (def.aliases || []).forEach(alias => aliases.set(alias, name));
+});
+
+/**
+ * Resolves a fence's info string ("js", "Python", "c++") to a language key.
+ * @returns {string|null}
+ */
+function resolveLanguage(lang) {
+    return aliases.get(String(lang || '').trim().toLowerCase()) || null;
+}
+
+function compileLanguage(name) {
+    if (compiled.has(name)) return compiled.get(name);
+    const def = LANGUAGES[name];
+    const base = def.extends ? LANGUAGES[def.extends] : {};
+    const merge = key => `${base[key] || ''} ${def[key] || ''}`;
+    const caseInsensitive = !!(def.caseInsensitive || base.caseInsensitive);
+    const normalize = word => (caseInsensitive ? word.toLowerCase() : word);
+
+    const language = {
+        states: { root: compileRules(def.rules || base.rules) },
+        keywords: new Set([...words(merge('keywords'))].map(normalize)),
+        literals: new Set([...words(merge('literals'))].map(normalize)),
+        types: new Set([...words(merge('types'))].map(normalize)),
+        word: toSticky(def.word || base.word || /[A-Za-z_$][\w$]*/),
+        functions: (def.functions ?? base.functions) !== false,
+        plainWords: !!(def.plainWords || base.plainWords),
+        normalize
+    };
+    Object.entries(def.states || base.states || {}).forEach(([state, rules]) => {
+        language.states[state] = compileRules(rules);
+    });
+    compiled.set(name, language);
+    return language;
+}
+
+const CALL_AHEAD = /\s*\(/y;
+
+function classifyWord(language, word, code, end) {
+    if (language.plainWords) return null;
+    const key = language.normalize(word);
+    if (language.keywords.has(key)) return 'keyword';
+    if (language.literals.has(key)) return 'literal';
+    if (language.types.has(key)) return 'type';
+    if (language.functions) {
+        CALL_AHEAD.lastIndex = end;
+        if (CALL_AHEAD.test(code)) return 'function';
+    }
+    return null;
+}
+
+/**
+ * Splits code into tokens. Adjacent tokens of the same type are merged.
+ * @param {string} code
+ * @param {string} lang - A language name or alias; unknown languages give one plain token.
+ * @returns {{ type: string|null, text: string }[]}
+ */
+function tokenize(code, lang) {
+    const name = resolveLanguage(lang);
+    if (!name || code.length > MAX_HIGHLIGHT_SIZE) return [{ type: null, text: code }];
+
+    const language = compileLanguage(name);
+    const tokens = [];
+    const stack = ['root'];
+    let pos = 0;
+
+    const emit = (type, text) => {
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === type) last.text += text;
+        else tokens.push({ type, text });
+    };
+
+    while (pos < code.length) {
+        const rules = language.states[stack[stack.length - 1]];
+        let matched = false;
+        for (const rule of rules) {
+            rule.re.lastIndex = pos;
+            const match = rule.re.exec(code);
+            if (!match || !match[0]) continue;
+            emit(rule.type, match[0]);
+            pos += match[0].length;
+            if (rule.enter) stack.push(rule.enter);
+            if (rule.exit && stack.length > 1) stack.pop();
+            matched = true;
+            break;
+        }
+        if (matched) continue;
+
+        language.word.lastIndex = pos;
+        const word = language.word.exec(code);
+        if (word) {
+            const end = pos + word[0].length;
+            emit(classifyWord(language, word[0], code, end), word[0]);
+            pos = end;
+        } else {
+            emit(null, code[pos]);
+            pos++;
+        }
+    }
+    return tokens;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Highlights code as HTML, one `<span class="code-line">` per line.
+ * Tokens that span lines (block comments, template strings) are closed and
+ * reopened on each line, so every line is well-formed on its own.
+ * @param {string} code
+ * @param {string} [lang]
+ * @returns {string} Escaped HTML.
+ */
+function highlight(code, lang) {
+    const lines = [''];
+    tokenize(code, lang).forEach(({ type, text }) => {
+        text.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push('');
+            if (!part) return;
+            lines[lines.length - 1] += type ? `<span class="tok-${type}">${escapeHtml(part)}</span>` : escapeHtml(part);
+        });
+    });
+    return lines.map(line => `<span class="code-line">${line}</span>`).join('\n');
+}
+
+const Highlighter = {
+    LANGUAGES: Object.keys(LANGUAGES),
+    resolveLanguage,
+    tokenize,
+    highlight
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Highlighter;
+} else {
+    root.BubbleScriptCore.Highlighter = Highlighter;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,196 @@
+// === UNDO HISTORY ===
+
+/**
+ * App-level undo/redo. Rewriting `elements.input.value` from code wipes the
+ * browser's native undo stack, so every mutation (typing, paste, bubble edits,
+ * deletions, clear, load, metadata, speaker roster edits and parse corrections) is recorded here
+ * as a snapshot.
+ *
+ * Snapshots share unchanged message strings with each other, so the memory
+ * cost of an entry is estimated as its source text plus any message content
+ * that differs from the previous entry. Oldest entries are evicted once the
+ * estimate exceeds MEMORY_BUDGET; the current entry is never evicted, so even
+ * a document at the 5MB MAX_INPUT_SIZE can always be restored.
+ */
+const UndoHistory = {
+    MEMORY_BUDGET: 64 * 1024 * 1024, // Estimated bytes (UTF-16, 2 bytes per char)
+    MAX_ENTRIES: 200,
+    COALESCE_WINDOW: 1000, // Typing bursts closer together than this become one step
+    DOCUMENT_STARTS: ['Start', 'Clear', 'Import', 'Load draft', 'Redact'], // Steps that begin a different document
+
+    entries: [],
+    index: -1,
+    isRestoring: false,
+    onChange: null,
+
+    /**
+     * Captures the current document state.
+     * @returns {object}
+     */
+    capture() {
+        return {
+            text: elements.input.value,
+            title: elements.title.textContent,
+            date: elements.date.value,
+            source: elements.source.value,
+            roster: SpeakerRoster.speakers, // Replaced, never mutated, so it can be shared
+            corrections: ParseCorrections.continuations, // Likewise
+            format: ParseCorrections.format,
+            parser: ParseCorrections.parser,
+            // The library entry goes with the text, so undoing past a load saves back to the right draft.
+            draftId: State.currentDraftId,
+            // Copy the message objects; their strings are immutable and shared.
+            messages: Transcript.messages.map(msg => ({ ...msg, meta: { ...msg.meta } }))
+        };
+    },
+
+    /**
+     * Estimates the bytes an entry adds on top of the entry before it.
+     */
+    estimateSize(state, previous) {
+        const previousContent = new Map((previous ? previous.messages : []).map(msg => [msg.id, msg.content]));
+        let chars = state.text.length + state.title.length + state.date.length + state.source.length;
+        state.messages.forEach(msg => {
+            chars += msg.speaker.length + msg.prefix.length + 64; // object overhead
+            if (previousContent.get(msg.id) !== msg.content) chars += msg.content.length;
+        });
+        return chars * 2;
+    },
+
+    isSameState(a, b) {
+        return a.text === b.text && a.title === b.title && a.date === b.date && a.source === b.source &&
+            a.roster === b.roster && a.corrections === b.corrections && a.format === b.format && a.messages.length === b.messages.length &&
+            a.messages.every((msg, i) => msg.id === b.messages[i].id && msg.content === b.messages[i].content &&
+                msg.speaker === b.messages[i].speaker && msg.kind === b.messages[i].kind);
+    },
+
+    /**
+     * Records the current state as a new undo step.
+     * @param {string} label - Human-readable description, shown in the button tooltips.
+     * @param {object} [options]
+     * @param {boolean} [options.coalesce=false] - Merge into the previous step if it has
+     *   the same label and was recorded within COALESCE_WINDOW (used for typing).
+     */
+    record(label, { coalesce = false } = {}) {
+        if (this.isRestoring) return;
+        const state = this.capture();
+        const current = this.entries[this.index];
+        if (current && this.isSameState(current.state, state)) return;
+
+        // A new change invalidates anything that could have been redone.
+        this.entries.length = this.index + 1;
+
+        const now = Date.now();
+        if (coalesce && current && this.index > 0 && current.label === label && now - current.time < this.COALESCE_WINDOW) {
+            current.state = state;
+            current.time = now;
+            current.size = this.estimateSize(state, this.entries[this.index - 1].state);
+        } else {
+            this.entries.push({ label, state, time: now, size: this.estimateSize(state, current && current.state) });
+            this.index = this.entries.length - 1;
+        }
+        this.enforceBudget();
+        this.notify();
+    },
+
+    /**
+     * Drops the oldest entries until the history fits the memory budget.
+     */
+    enforceBudget() {
+        let total = this.entries.reduce((sum, entry) => sum + entry.size, 0);
+        while (this.entries.length > 1 && (total > this.MEMORY_BUDGET || this.entries.length > this.MAX_ENTRIES)) {
+            total -= this.entries.shift().size;
+            this.index--;
+            // The new oldest entry no longer shares strings with anything before it.
+            const oldest = this.entries[0];
+            total -= oldest.size;
+            oldest.size = this.estimateSize(oldest.state, null);
+            total += oldest.size;
+        }
+    },
+
+    canUndo() {
+        return this.index > 0;
+    },
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    },
+
+    undo() {
+        if (!this.canUndo()) return false;
+        const undone = this.entries[this.index];
+        this.index--;
+        this.apply(this.entries[this.index].state);
+        showToast(`Undid: ${undone.label}`);
+        return true;
+    },
+
+    redo() {
+        if (!this.canRedo()) return false;
+        this.index++;
+        const redone = this.entries[this.index];
+        this.apply(redone.state);
+        showToast(`Redid: ${redone.label}`);
+        return true;
+    },
+
+    /**
+     * Restores a snapshot into the model and views without recording it.
+     */
+    apply(state) {
+        this.isRestoring = true;
+        try {
+            elements.input.value = state.text;
+            elements.title.textContent = state.title;
+            elements.date.value = state.date;
+            elements.source.value = state.source;
+            if (SpeakerRoster.speakers !== state.roster) {
+                SpeakerRoster.speakers = state.roster;
+                elements.output.innerHTML = ''; // Rebuild every row with the restored colours and avatars
+            }
+            ParseCorrections.continuations = state.corrections;
+            ParseCorrections.format = state.format;
+            ParseCorrections.parser = state.parser;
+            State.currentDraftId = state.draftId;
+            updateFormatSelect();
+            Transcript.messages = state.messages.map(msg => ({ ...msg, meta: { ...msg.meta } }));
+            elements.count.textContent = `${state.text.length.toLocaleString()} chars`;
+            Renderer.renderChat(state.text, Transcript.messages);
+            ChatSearch.refresh();
+            toggleDeleteButtonVisibility();
+            Storage.scheduleAutoSave();
+        } finally {
+            this.isRestoring = false;
+        }
+        this.notify();
+    },
+
+    /**
+     * Gives the open document's earlier snapshots the library id its first
+     * save assigned, so undoing to them still saves to that draft rather
+     * than creating another. Stops where the document was started.
+     * @param {string} id - The new draft id.
+     */
+    adoptDraftId(id) {
+        for (let i = this.index; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.state.draftId !== null) break;
+            entry.state.draftId = id;
+            if (this.DOCUMENT_STARTS.includes(entry.label)) break;
+        }
+    },
+
+    /**
+     * Forgets every step and starts again from the current state.
+     */
+    reset(label = 'Start') {
+        this.entries = [];
+        this.index = -1;
+        this.record(label);
+    },
+
+    notify() {
+        if (typeof this.onChange === 'function') this.onChange(this);
+    }
+};
@@ -0,0 +1,249 @@
+// === IMAGE EXPORT ===
+
+/**
+ * Renders the document sheet, or only the selected bubbles, as SVG or PNG.
+ *
+ * The sheet is rebuilt in an off-screen stage at the requested width, so it
+ * lays out with the page's own stylesheet and the active theme. Each
+ * element's computed style is then copied inline and the copy is wrapped in
+ * an SVG <foreignObject>. For PNG, that SVG is drawn onto a canvas at the
+ * chosen pixel density.
+ */
+const ImageExport = {
+    // Enough of the computed style to reproduce the sheet without the stylesheet.
+    STYLE_PROPERTIES: [
+        'display', 'box-sizing', 'width', 'max-width', 'max-height',
+        'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+        'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+        'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+        'border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style',
+        'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+        'border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius',
+        'background-color', 'background-image', 'background-size', 'background-position', 'background-repeat',
+        'color', 'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+        'text-align', 'text-transform', 'text-decoration-line', 'text-decoration-color', 'text-indent',
+        'white-space', 'word-break', 'overflow-wrap', 'vertical-align', 'tab-size',
+        'list-style-type', 'list-style-position',
+        'flex-direction', 'flex-wrap', 'justify-content', 'align-items', 'align-self', 'row-gap', 'column-gap',
+        'border-collapse', 'border-spacing', 'box-shadow', 'opacity', 'overflow-x', 'overflow-y'
+    ],
+    // Conservative limits that every current browser can allocate a canvas for.
+    MAX_CANVAS_SIDE: 16384,
+    MAX_CANVAS_AREA: 100 * 1000 * 1000,
+
+    /**
+     * Renders the current document.
+     * @param {object} options
+     * @param {'png'|'svg'} options.format
+     * @param {number} options.width - Image width in CSS pixels.
+     * @param {number} [options.density=1] - Device pixels per CSS pixel (PNG only).
+     * @param {boolean} [options.selectedOnly=false] - Only the bubbles ticked with .delete-checkbox.
+     * @param {number|null} [options.splitHeight=null] - Split into images at most this tall (CSS pixels).
+     * @returns {Promise<Blob[]>} One blob per image.
+     */
+    async render({ format, width, density = 1, selectedOnly = false, splitHeight = null }) {
+        const units = this.collectUnits(selectedOnly);
+        const stage = document.createElement('div');
+        stage.className = 'image-export-stage';
+        stage.style.width = `${width}px`;
+        document.body.appendChild(stage);
+
+        let images;
+        try {
+            const chunks = splitHeight ? this.planChunks(stage, units, splitHeight) : [units];
+            images = chunks.map(chunk => {
+                const sheet = this.buildSheet(chunk);
+                stage.replaceChildren(sheet);
+                return this.snapshot(sheet);
+            });
+        } finally {
+            stage.remove();
+        }
+
+        const blobs = [];
+        for (const image of images) {
+            await this.inlineBackgroundImages(image.node);
+            const svg = this.toSvg(image);
+            blobs.push(format === 'svg'
+                ? new Blob([svg], { type: 'image/svg+xml' })
+                : await this.svgToPng(svg, image.width, image.height, density));
+        }
+        return blobs;
+    },
+
+    /**
+     * The blocks an image is built from: chat rows (and omission markers), or
+     * the top-level blocks of a plain markdown document.
+     * @returns {{ parent: HTMLElement, nodes: HTMLElement[] }}
+     */
+    collectUnits(selectedOnly) {
+        const container = elements.output.querySelector('.chat-container');
+        if (container) {
+            const rows = Array.from(container.querySelectorAll(':scope > .chat-row'))
+                .filter(row => ExportKinds.includes(row.dataset.kind));
+            // A selection keeps markers where messages were left out.
+            const nodes = selectedOnly ? selectedRowsWithMarkers(rows) : rows;
+            if (!nodes.some(node => node.classList.contains('chat-row'))) {
+                throw new Error(selectedOnly ? 'No bubbles are selected' : 'Nothing to export yet');
+            }
+            return { parent: container, nodes };
+        }
+        if (selectedOnly) throw new Error('Selecting bubbles only works for chat conversations');
+        const doc = elements.output.querySelector('.standard-doc');
+        if (!doc || !doc.children.length) throw new Error('Nothing to export yet');
+        return { parent: doc, nodes: Array.from(doc.children) };
+    },
+
+    /**
+     * Builds a copy of #document-sheet holding only the given units, with the
+     * editing affordances (inputs, checkboxes, contenteditable) replaced by text.
+     * It keeps the live ids so the stylesheet applies; it only exists while staged.
+     */
+    buildSheet({ parent, nodes }) {
+        const liveSheet = document.getElementById('document-sheet');
+        const sheet = liveSheet.cloneNode(false);
+
+        const header = liveSheet.querySelector('.doc-header').cloneNode(true);
+        header.querySelectorAll('input').forEach(input => {
+            const text = document.createElement('span');
+            text.className = input.className;
+            text.textContent = document.getElementById(input.id).value;
+            input.replaceWith(text);
+        });
+        sheet.appendChild(header);
+
+        const output = elements.output.cloneNode(false);
+        const content = parent.cloneNode(false);
+        nodes.forEach(node => content.appendChild(node.cloneNode(true)));
+        output.appendChild(content);
+        sheet.appendChild(output);
+
+        sheet.querySelectorAll('.delete-checkbox').forEach(box => box.remove());
+        sheet.querySelectorAll('.selected-for-deletion').forEach(row => row.classList.remove('selected-for-deletion'));
+        sheet.querySelectorAll('.search-hidden, .search-current').forEach(row => row.classList.remove('search-hidden', 'search-current'));
+        sheet.querySelectorAll('.kind-details').forEach(details => { details.open = true; });
+        sheet.querySelectorAll('.chat-row[data-confidence]').forEach(row => {
+            delete row.dataset.confidence;
+            row.classList.remove('low-confidence');
+        });
+        sheet.querySelectorAll('[contenteditable]').forEach(el => el.removeAttribute('contenteditable'));
+        return sheet;
+    },
+
+    /**
+     * Groups units so that each image stays under `maxHeight`. A unit taller
+     * than that gets an image of its own.
+     */
+    planChunks(stage, units, maxHeight) {
+        const sheet = this.buildSheet(units);
+        stage.replaceChildren(sheet);
+        const content = sheet.lastChild.firstChild;
+        const boxes = Array.from(content.children).map(node => node.getBoundingClientRect());
+        if (!boxes.length) return [units];
+
+        // Header, padding and margins: everything around the units themselves.
+        const chrome = sheet.getBoundingClientRect().height - (boxes[boxes.length - 1].bottom - boxes[0].top);
+        const chunks = [];
+        let start = 0;
+        for (let i = 1; i <= boxes.length; i++) {
+            const height = i < boxes.length ? chrome + boxes[i].bottom - boxes[start].top : Infinity;
+            if (height > maxHeight) {
+                chunks.push({ parent: units.parent, nodes: units.nodes.slice(start, i) });
+                start = i;
+            }
+        }
+        return chunks;
+    },
+
+    /**
+     * Copies the staged sheet with every element's computed style inlined.
+     * @returns {{ node: HTMLElement, width: number, height: number }}
+     */
+    snapshot(sheet) {
+        const rect = sheet.getBoundingClientRect();
+        const copy = sheet.cloneNode(true);
+        const sources = [sheet, ...sheet.querySelectorAll('*')];
+        const targets = [copy, ...copy.querySelectorAll('*')];
+
+        sources.forEach((source, i) => {
+            const computed = getComputedStyle(source);
+            const target = targets[i];
+            // The styles are inline now, and data attributes would only repeat the message text.
+            Array.from(target.attributes)
+                .filter(attr => attr.name === 'class' || attr.name === 'id' || attr.name.startsWith('data-'))
+                .forEach(attr => target.removeAttribute(attr.name));
+            this.STYLE_PROPERTIES.forEach(prop => {
+                target.style.setProperty(prop, computed.getPropertyValue(prop));
+            });
+        });
+        copy.style.margin = '0';
+        return { node: copy, width: Math.ceil(rect.width), height: Math.ceil(rect.height) };
+    },
+
+    /**
+     * An SVG used as an image can't load anything, so same-origin background
+     * images (like a theme's backdrop) are embedded as data URLs.
+     */
+    async inlineBackgroundImages(root) {
+        const styled = [root, ...root.querySelectorAll('*')].filter(el => /url\((?!["']?data:)/.test(el.style.backgroundImage));
+        for (const el of styled) {
+            const urls = [...el.style.backgroundImage.matchAll(/url\(["']?([^"')]+)["']?\)/g)].map(m => m[1]);
+            let value = el.style.backgroundImage;
+            for (const url of urls) {
+                if (url.startsWith('data:') || new URL(url, location.href).origin !== location.origin) continue;
+                try {
+                    const blob = await (await fetch(url)).blob();
+                    const dataUrl = await new Promise((resolve, reject) => {
+                        const reader = new FileReader();
+                        reader.onload = () => resolve(reader.result);
+                        reader.onerror = () => reject(reader.error);
+                        reader.readAsDataURL(blob);
+                    });
+                    value = value.split(url).join(dataUrl);
+                } catch (e) {
+                    console.warn('Could not embed background image:', url, e);
+                }
+            }
+            el.style.backgroundImage = value;
+        }
+    },
+
+    toSvg({ node, width, height }) {
+        const xhtml = new XMLSerializer().serializeToString(node);
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<foreignObject x="0" y="0" width="100%" height="100%">${xhtml}</foreignObject></svg>`;
+    },
+
+    /**
+     * Rasterizes an SVG at the given pixel density.
+     * @returns {Promise<Blob>}
+     */
+    async svgToPng(svg, width, height, density) {
+        const pixelWidth = Math.round(width * density);
+        const pixelHeight = Math.round(height * density);
+        if (pixelWidth > this.MAX_CANVAS_SIDE || pixelHeight > this.MAX_CANVAS_SIDE ||
+            pixelWidth * pixelHeight > this.MAX_CANVAS_AREA) {
+            throw new Error('Image is too large; split it into several images or lower the pixel density');
+        }
+
+        const img = new Image();
+        img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+        await img.decode();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(density, density);
+        ctx.drawImage(img, 0, 0, width, height);
+
+        return new Promise((resolve, reject) => {
+            try {
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+            } catch (e) {
+                // Some browsers refuse to read back a canvas that drew an SVG with HTML in it.
+                reject(new Error('This browser cannot convert the chat to PNG; try SVG instead'));
+            }
+        });
+    }
+};
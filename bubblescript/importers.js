@@ -0,0 +1,508 @@
+/**
+ * Importers for the official JSON exports of ChatGPT, Claude and Gemini, and
+ * for BubbleScript's own JSON and Markdown downloads (see exporters.js).
+ *
+ * Every importer turns a parsed JSON document into the same normalized shape:
+ *   { format, conversations: [{ id, title, createdAt, source, segments }] }
+ * where each segment is { type, speaker, kind, content, timestamp?, model? }, the
+ * same structure Parser.parseSegments produces for pasted text.
+ *
+ * System prompts, tool calls, tool results and reasoning are imported as their
+ * own kinds, under speaker labels ("System", "Tool call (name)", "Tool (name)",
+ * "Thinking") that the parser maps back to the same kinds when re-reading text.
+ */
+(function (root) {
+'use strict';
+
+const Core = typeof module !== 'undefined' && module.exports ? require('./core.js') : root.BubbleScriptCore;
+
+// The exporter's marker for messages left out of a Markdown export, or a content line escaped to look unlike one.
+const OMITTED_LINE = /^\\?\*\u2026 \d+ messages? omitted \u2026\*\s*$/;
+
+/**
+ * Converts a timestamp (unix seconds, unix ms or ISO string) to an ISO string.
+ * @returns {string|null}
+ */
+function toIsoTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    let date;
+    if (typeof value === 'number') {
+        // Exports mix unix seconds (ChatGPT) and milliseconds.
+        date = new Date(value < 1e12 ? value * 1000 : value);
+    } else {
+        date = new Date(value);
+    }
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Removes markup from an HTML snippet, keeping paragraph and line breaks.
+ * Uses DOMParser when available so entities decode correctly; the parsed
+ * document is inert, so no scripts or handlers ever run.
+ */
+function htmlToText(html) {
+    if (typeof root.DOMParser !== 'undefined') {
+        const doc = new root.DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        doc.querySelectorAll('p, div, li, h1, h2, h3, h4, h5, h6, pre, blockquote').forEach(el => {
+            el.insertAdjacentText('beforebegin', '\n');
+        });
+        return (doc.body.textContent || '').replace(/(\n\s*){3,}/g, '\n\n').trim();
+    }
+    return html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '').trim();
+}
+
+function segment(type, speaker, content, extra = {}) {
+    return { type, speaker, kind: 'message', content: content.trim(), ...extra };
+}
+
+/**
+ * A system prompt, tool call, tool result or reasoning segment.
+ * @param {string} kind - One of Core.MESSAGE_KINDS other than 'message'.
+ */
+function kindSegment(kind, content, { name = '', ...extra } = {}) {
+    const labels = { system: 'System', tool_call: 'Tool call', tool_result: 'Tool', reasoning: 'Thinking' };
+    const speaker = name ? `${labels[kind]} (${name})` : labels[kind];
+    return segment('ai', speaker, content, { ...extra, kind });
+}
+
+/**
+ * Tool arguments and results as text: strings as they are, anything else as JSON.
+ */
+function toolText(value) {
+    if (typeof value === 'string') return value;
+    if (value === undefined) return '';
+    return JSON.stringify(value);
+}
+
+// === CHATGPT (conversations.json) ===
+const ChatGPTImporter = {
+    id: 'chatgpt',
+    label: 'ChatGPT',
+
+    detect(data) {
+        const first = Array.isArray(data) ? data[0] : data;
+        return !!(first && typeof first === 'object' && first.mapping && typeof first.mapping === 'object');
+    },
+
+    /**
+     * Walks the message tree from `current_node` back to the root, so only the
+     * branch the user actually ended up on is imported (not abandoned edits).
+     */
+    linearize(conv) {
+        const mapping = conv.mapping;
+        let nodeId = conv.current_node;
+        if (!nodeId || !mapping[nodeId]) {
+            // Fall back to the last leaf in insertion order.
+            nodeId = Object.keys(mapping).reverse().find(id => !(mapping[id].children || []).length);
+        }
+        const path = [];
+        const seen = new Set();
+        while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+            seen.add(nodeId);
+            path.push(mapping[nodeId]);
+            nodeId = mapping[nodeId].parent;
+        }
+        return path.reverse();
+    },
+
+    /**
+     * The text of a message's content, whatever its content_type: `parts` for
+     * plain text, `text` for code, `thoughts` for reasoning.
+     */
+    contentText(content) {
+        if (Array.isArray(content.parts)) {
+            return content.parts.filter(p => typeof p === 'string').join('\n\n');
+        }
+        if (Array.isArray(content.thoughts)) {
+            return content.thoughts
+                .map(thought => (thought && typeof thought.content === 'string' ? thought.content : ''))
+                .filter(Boolean)
+                .join('\n\n');
+        }
+        return typeof content.text === 'string' ? content.text : '';
+    },
+
+    parseConversation(conv, index) {
+        const segments = [];
+        let lastModel = null;
+
+        this.linearize(conv).forEach(node => {
+            const msg = node.message;
+            if (!msg || !msg.content || !msg.author) return;
+            const meta = msg.metadata || {};
+            if (meta.is_visually_hidden_from_conversation) return;
+
+            const text = this.contentText(msg.content);
+            if (!text.trim()) return;
+
+            const timestamp = toIsoTime(msg.create_time);
+            const role = msg.author.role;
+            const contentType = msg.content.content_type;
+            if (role === 'user') {
+                segments.push(segment('user', 'User', text, { timestamp }));
+            } else if (role === 'system') {
+                segments.push(kindSegment('system', text, { timestamp }));
+            } else if (role === 'tool') {
+                segments.push(kindSegment('tool_result', text, { name: msg.author.name || '', timestamp }));
+            } else if (role === 'assistant' && contentType === 'thoughts') {
+                segments.push(kindSegment('reasoning', text, { timestamp }));
+            } else if (role === 'assistant' && ((msg.recipient && msg.recipient !== 'all') || contentType === 'code')) {
+                // Messages addressed to a tool (browsing, code interpreter, plugins) are calls.
+                const name = msg.recipient && msg.recipient !== 'all' ? msg.recipient : '';
+                segments.push(kindSegment('tool_call', text, { name, timestamp }));
+            } else if (role === 'assistant') {
+                const model = meta.model_slug || lastModel;
+                lastModel = model;
+                const speaker = model ? `ChatGPT (${model})` : 'ChatGPT';
+                segments.push(segment('ai', speaker, text, { timestamp, model }));
+            }
+        });
+
+        return {
+            id: conv.conversation_id || conv.id || `chatgpt-${index}`,
+            title: conv.title || 'Untitled conversation',
+            createdAt: toIsoTime(conv.create_time),
+            source: lastModel ? `ChatGPT (${lastModel})` : 'ChatGPT',
+            segments
+        };
+    },
+
+    parse(data) {
+        const list = Array.isArray(data) ? data : [data];
+        return list.map((conv, i) => this.parseConversation(conv, i));
+    }
+};
+
+// === CLAUDE (claude.ai data export) ===
+const ClaudeImporter = {
+    id: 'claude',
+    label: 'Claude',
+
+    detect(data) {
+        const first = Array.isArray(data) ? data[0] : data;
+        return !!(first && typeof first === 'object' && Array.isArray(first.chat_messages));
+    },
+
+    /**
+     * Splits a message into segments, one per run of content blocks of the same
+     * kind, in the order they were written. Messages without content blocks
+     * fall back to their plain `text`.
+     * @param {object} msg
+     * @param {function(string): object} textSegment - Builds the segment for ordinary text.
+     * @param {Map<string, string>} toolNames - Tool names by tool_use id, filled in as calls are seen.
+     */
+    messageSegments(msg, textSegment, toolNames) {
+        const blocks = Array.isArray(msg.content) ? msg.content.filter(block => block && typeof block === 'object') : [];
+        const segments = [];
+        let text = '';
+        const flushText = () => {
+            if (text.trim()) segments.push(textSegment(text));
+            text = '';
+        };
+
+        blocks.forEach(block => {
+            if (block.type === 'text' && typeof block.text === 'string') {
+                text += (text ? '\n\n' : '') + block.text;
+                return;
+            }
+            let seg = null;
+            if (block.type === 'thinking' && typeof block.thinking === 'string') {
+                seg = kindSegment('reasoning', block.thinking);
+            } else if (block.type === 'tool_use') {
+                const name = typeof block.name === 'string' ? block.name : '';
+                if (block.id) toolNames.set(block.id, name);
+                seg = kindSegment('tool_call', toolText(block.input), { name });
+            } else if (block.type === 'tool_result') {
+                const content = Array.isArray(block.content)
+                    ? block.content.map(part => (part && typeof part.text === 'string' ? part.text : '')).join('\n\n')
+                    : toolText(block.content);
+                const name = typeof block.name === 'string' ? block.name : (toolNames.get(block.tool_use_id) || '');
+                seg = kindSegment('tool_result', content, { name });
+            }
+            if (seg && seg.content) {
+                flushText();
+                segments.push(seg);
+            }
+        });
+        flushText();
+
+        if (!segments.length && typeof msg.text === 'string' && msg.text.trim()) {
+            segments.push(textSegment(msg.text));
+        }
+        return segments;
+    },
+
+    parseConversation(conv, index) {
+        const model = conv.model || null;
+        const aiSpeaker = model ? `Claude (${model})` : 'Claude';
+        const segments = [];
+        const toolNames = new Map();
+
+        conv.chat_messages.forEach(msg => {
+            const timestamp = toIsoTime(msg.created_at);
+            const textSegment = msg.sender === 'human'
+                ? text => segment('user', 'User', text)
+                : text => segment('ai', aiSpeaker, text, { model });
+            this.messageSegments(msg, textSegment, toolNames).forEach(seg => {
+                segments.push({ ...seg, timestamp });
+            });
+        });
+
+        return {
+            id: conv.uuid || `claude-${index}`,
+            title: conv.name || 'Untitled conversation',
+            createdAt: toIsoTime(conv.created_at),
+            source: aiSpeaker,
+            segments
+        };
+    },
+
+    parse(data) {
+        const list = Array.isArray(data) ? data : [data];
+        return list.map((conv, i) => this.parseConversation(conv, i));
+    }
+};
+
+// === GEMINI (Google Takeout "My Activity" and AI Studio prompts) ===
+const GeminiImporter = {
+    id: 'gemini',
+    label: 'Gemini',
+
+    isTakeoutActivity(item) {
+        return !!(item && typeof item === 'object' && typeof item.title === 'string' &&
+            (item.header === 'Gemini Apps' || item.header === 'Bard' ||
+             (Array.isArray(item.products) && item.products.some(p => /gemini|bard/i.test(p)))));
+    },
+
+    detect(data) {
+        if (Array.isArray(data)) return data.some(item => this.isTakeoutActivity(item));
+        return !!(data && data.chunkedPrompt && Array.isArray(data.chunkedPrompt.chunks));
+    },
+
+    /**
+     * AI Studio saves one prompt per file, with the model in runSettings.
+     */
+    parseStudio(data) {
+        const model = (data.runSettings && data.runSettings.model || '').replace(/^models\//, '') || null;
+        const aiSpeaker = model ? `Gemini (${model})` : 'Gemini';
+        const segments = [];
+
+        const instruction = data.systemInstruction;
+        const systemText = instruction && (typeof instruction.text === 'string'
+            ? instruction.text
+            : (Array.isArray(instruction.parts) ? instruction.parts.map(part => (part && part.text) || '').join('\n\n') : ''));
+        if (systemText && systemText.trim()) segments.push(kindSegment('system', systemText));
+
+        data.chunkedPrompt.chunks.forEach(chunk => {
+            if (!chunk || typeof chunk !== 'object') return;
+            let seg = null;
+            if (chunk.functionCall) {
+                seg = kindSegment('tool_call', toolText(chunk.functionCall.args), { name: chunk.functionCall.name || '' });
+            } else if (chunk.functionResponse) {
+                seg = kindSegment('tool_result', toolText(chunk.functionResponse.response), { name: chunk.functionResponse.name || '' });
+            } else if (typeof chunk.text === 'string' && chunk.text.trim()) {
+                if (chunk.isThought) seg = kindSegment('reasoning', chunk.text);
+                else if (chunk.role === 'user') seg = segment('user', 'User', chunk.text);
+                else seg = segment('ai', aiSpeaker, chunk.text, { model });
+            }
+            if (seg && seg.content) segments.push(seg);
+        });
+        return [{ id: 'gemini-studio', title: 'Gemini prompt', createdAt: null, source: aiSpeaker, segments }];
+    },
+
+    /**
+     * Takeout stores Gemini activity as a flat list of prompt/response pairs with
+     * no thread ids, so activity is grouped into one conversation per day.
+     */
+    parseTakeout(data) {
+        const byDay = new Map();
+        data.filter(item => this.isTakeoutActivity(item)).forEach(item => {
+            const timestamp = toIsoTime(item.time);
+            const day = timestamp ? timestamp.slice(0, 10) : 'undated';
+            if (!byDay.has(day)) byDay.set(day, []);
+            byDay.get(day).push({ item, timestamp });
+        });
+
+        return Array.from(byDay.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([day, entries]) => {
+                // Takeout lists newest first.
+                entries.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+                const segments = [];
+                entries.forEach(({ item, timestamp }) => {
+                    const prompt = item.title.replace(/^Prompted\s+/, '');
+                    if (prompt.trim()) segments.push(segment('user', 'User', prompt, { timestamp }));
+                    const responseHtml = (item.safeHtmlItem || [])
+                        .map(html => (html && typeof html.html === 'string' ? html.html : ''))
+                        .join('\n');
+                    const response = htmlToText(responseHtml);
+                    if (response) segments.push(segment('ai', 'Gemini', response, { timestamp }));
+                });
+                const firstPrompt = segments.find(s => s.type === 'user');
+                return {
+                    id: `gemini-${day}`,
+                    title: firstPrompt ? firstPrompt.content.split('\n')[0].slice(0, 60) : `Gemini activity ${day}`,
+                    createdAt: entries[0].timestamp,
+                    source: 'Gemini',
+                    segments
+                };
+            });
+    },
+
+    parse(data) {
+        return Array.isArray(data) ? this.parseTakeout(data) : this.parseStudio(data);
+    }
+};
+
+// === BUBBLESCRIPT (this app's own JSON export, see exporters.js) ===
+const BubbleScriptImporter = {
+    id: 'bubblescript',
+    label: 'BubbleScript',
+
+    detect(data) {
+        return !!(data && !Array.isArray(data) && data.format === 'bubblescript' && Array.isArray(data.segments));
+    },
+
+    parse(data) {
+        const segments = data.segments
+            .filter(seg => seg && typeof seg.speaker === 'string' && typeof seg.content === 'string')
+            .map(seg => {
+                const kind = Core.MESSAGE_KINDS.includes(seg.kind) ? seg.kind : 'message';
+                const out = { type: seg.type === 'user' && kind === 'message' ? 'user' : 'ai', speaker: seg.speaker, kind, content: seg.content };
+                if (typeof seg.timestamp === 'string') out.timestamp = seg.timestamp;
+                if (typeof seg.model === 'string') out.model = seg.model;
+                return out;
+            });
+        return [{
+            id: 'bubblescript',
+            title: typeof data.title === 'string' ? data.title : 'Conversation Log',
+            date: typeof data.date === 'string' ? data.date : null,
+            createdAt: null,
+            source: typeof data.source === 'string' ? data.source : 'AI Assistant',
+            segments
+        }];
+    }
+};
+
+const IMPORTERS = [BubbleScriptImporter, ChatGPTImporter, ClaudeImporter, GeminiImporter];
+
+/**
+ * Reads `key: value` front matter. Values written by the exporter are JSON;
+ * anything else is kept as a plain string.
+ * @returns {{ meta: object, body: string }|null}
+ */
+function parseFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return null;
+    const meta = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const pair = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+        if (!pair) return;
+        try {
+            meta[pair[1]] = JSON.parse(pair[2]);
+        } catch (e) {
+            meta[pair[1]] = pair[2].trim();
+        }
+    });
+    return { meta, body: text.slice(match[0].length) };
+}
+
+const Importers = {
+    IMPORTERS,
+
+    /**
+     * Detects the export format of a JSON document and normalizes it.
+     * @param {string} jsonText - The raw file contents.
+     * @returns {{ format: string, conversations: object[] }}
+     * @throws {Error} When the JSON is malformed or no importer recognizes it.
+     */
+    importJson(jsonText) {
+        let data;
+        try {
+            data = JSON.parse(jsonText);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+        const importer = IMPORTERS.find(imp => imp.detect(data));
+        if (!importer) {
+            throw new Error('Unrecognized export format. Supported: ChatGPT, Claude, Gemini and BubbleScript JSON exports.');
+        }
+        const conversations = importer.parse(data).filter(conv => conv.segments.length > 0);
+        if (conversations.length === 0) {
+            throw new Error(`No messages found in ${importer.label} export`);
+        }
+        return { format: importer.label, conversations };
+    },
+
+    /**
+     * Re-imports a Markdown transcript written by Exporters.toMarkdown.
+     * Only `**Speaker:**` lines naming a participant from the front matter start
+     * a new message, so bold labels inside message content stay put.
+     * @param {string} text - The Markdown file contents.
+     * @returns {object|null} A normalized conversation, or null if the file
+     *   wasn't exported by BubbleScript (treat it as plain text instead).
+     */
+    importMarkdown(text) {
+        const parsed = parseFrontMatter(text.replace(/^\uFEFF/, ''));
+        if (!parsed || parsed.meta.generator !== 'BubbleScript') return null;
+
+        const { meta } = parsed;
+        const roles = (meta.participants && typeof meta.participants === 'object') ? meta.participants : {};
+        const title = typeof meta.title === 'string' ? meta.title : 'Conversation Log';
+        const lines = parsed.body.split(/\r?\n/);
+
+        // Drop the "# Title" heading the exporter writes above the messages.
+        const firstLine = lines.findIndex(line => line.trim());
+        if (firstLine !== -1 && lines[firstLine].trim() === `# ${title.replace(/\s+/g, ' ')}`) {
+            lines.splice(0, firstLine + 1);
+        }
+
+        const segments = [];
+        let current = null;
+        lines.forEach(line => {
+            if (OMITTED_LINE.test(line) && !line.startsWith('\\')) return; // Messages left out of the export
+            const label = line.match(/^\*\*(.+):\*\*\s*$/);
+            if (label && Object.prototype.hasOwnProperty.call(roles, label[1])) {
+                if (current) segments.push(current);
+                const kind = Core.messageKindFor(label[1]);
+                current = { type: roles[label[1]] === 'user' && kind === 'message' ? 'user' : 'ai', speaker: label[1], kind, content: '' };
+            } else if (current) {
+                // Undo the exporter's escaping of heading-like and marker-like content lines.
+                const escaped = /^\\\\?\*\*.+:\*\*\s*$/.test(line) || (line.startsWith('\\') && OMITTED_LINE.test(line.slice(1)));
+                current.content += (escaped ? line.slice(1) : line) + '\n';
+            }
+        });
+        if (current) segments.push(current);
+
+        return {
+            id: 'bubblescript-markdown',
+            title,
+            date: typeof meta.date === 'string' ? meta.date : null,
+            createdAt: null,
+            source: typeof meta.source === 'string' ? meta.source : 'AI Assistant',
+            segments: segments
+                .map(seg => ({ ...seg, content: seg.content.trim() }))
+                .filter(seg => seg.content)
+        };
+    },
+
+    /**
+     * Serializes segments to the "Speaker: content" text the textarea understands.
+     * @param {object[]} segments
+     * @returns {string}
+     */
+    segmentsToText(segments) {
+        return segments.map(seg => `${seg.speaker}: ${seg.content}`).join('\n\n');
+    },
+
+    toIsoTime,
+    htmlToText
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Importers;
+} else {
+    root.BubbleScriptCore.Importers = Importers;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,258 @@
+// === LIBRARY MODULE ===
+
+/**
+ * A local library of named conversations stored in IndexedDB, which isn't
+ * capped by the ~5-10MB localStorage quota.
+ *
+ * Summaries (title, source, date, timestamps) and contents (text, messages,
+ * speaker roster, parse corrections and text format) live in separate object stores, so listing the library never
+ * has to read megabytes of conversation text.
+ *
+ * With the vault on (see vault.js), everything but the id, timestamps and
+ * size is kept in an encrypted `sealed` field. Records are sealed and opened
+ * outside transactions, since a transaction can't wait on Web Crypto.
+ */
+const Library = {
+    DB_NAME: 'bubblescript',
+    DB_VERSION: 1,
+    SUMMARY_STORE: 'drafts',
+    CONTENT_STORE: 'contents',
+    LEGACY_KEYS: ['chatExporter_save', 'chatExporter_auto'],
+    SEALED_SUMMARY_FIELDS: ['title', 'source', 'date'],
+    SEALED_CONTENT_FIELDS: ['input', 'messages', 'roster', 'corrections', 'format'],
+
+    dbPromise: null,
+
+    /**
+     * Opens (and on first use, creates) the database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.SUMMARY_STORE)) {
+                    db.createObjectStore(this.SUMMARY_STORE, { keyPath: 'id' }).createIndex('modified', 'modified');
+                }
+                if (!db.objectStoreNames.contains(this.CONTENT_STORE)) {
+                    db.createObjectStore(this.CONTENT_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Library is open in another tab with an older version'));
+        });
+        // Let a later call retry if opening failed.
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    },
+
+    /**
+     * Runs `work` inside a transaction and resolves with its result once committed.
+     */
+    async transact(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([this.SUMMARY_STORE, this.CONTENT_STORE], mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            result = work(tx.objectStore(this.SUMMARY_STORE), tx.objectStore(this.CONTENT_STORE));
+        });
+    },
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Moves the given fields of a record into an encrypted `sealed` field
+     * while the vault is on; otherwise returns the record as it is.
+     */
+    async seal(record, fields) {
+        if (!Vault.isEnabled()) return record;
+        const sealed = {};
+        const rest = { ...record };
+        fields.forEach(field => {
+            sealed[field] = record[field];
+            delete rest[field];
+        });
+        return { ...rest, sealed: await Vault.encrypt(sealed) };
+    },
+
+    /**
+     * Reverses seal. Plain records (from before the vault was turned on) pass through.
+     */
+    async unseal(record) {
+        if (!record || !record.sealed) return record;
+        const { sealed, ...rest } = record;
+        return { ...rest, ...(await Vault.decrypt(sealed)) };
+    },
+
+    createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    /**
+     * Lists draft summaries, most recently modified first.
+     * @returns {Promise<object[]>}
+     */
+    async list() {
+        const db = await this.open();
+        const tx = db.transaction(this.SUMMARY_STORE, 'readonly');
+        const summaries = await this.requestToPromise(tx.objectStore(this.SUMMARY_STORE).getAll());
+        const opened = await Promise.all(summaries.map(summary => this.unseal(summary)));
+        return opened.sort((a, b) => b.modified - a.modified);
+    },
+
+    /**
+     * Reads a full draft (summary plus contents).
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const db = await this.open();
+        const tx = db.transaction([this.SUMMARY_STORE, this.CONTENT_STORE], 'readonly');
+        const [summary, content] = await Promise.all([
+            this.requestToPromise(tx.objectStore(this.SUMMARY_STORE).get(id)),
+            this.requestToPromise(tx.objectStore(this.CONTENT_STORE).get(id))
+        ]);
+        if (!summary || !content) return null;
+        return { ...(await this.unseal(content)), ...(await this.unseal(summary)) };
+    },
+
+    /**
+     * Creates or updates a draft.
+     * @param {object} draft - { id?, title, date, source, input, messages, roster?, corrections?, format?, created? }
+     * @returns {Promise<string>} The draft id.
+     */
+    async put(draft) {
+        const now = Date.now();
+        const id = draft.id || this.createId();
+        const summary = await this.seal({
+            id,
+            title: draft.title,
+            source: draft.source,
+            date: draft.date,
+            created: draft.created || now,
+            modified: draft.modified || now,
+            size: draft.input.length
+        }, this.SEALED_SUMMARY_FIELDS);
+        const content = await this.seal({
+            id,
+            input: draft.input,
+            messages: draft.messages || [],
+            roster: draft.roster || [],
+            corrections: draft.corrections || [],
+            format: draft.format || 'auto'
+        }, this.SEALED_CONTENT_FIELDS);
+
+        await this.transact('readwrite', (summaries, contents) => {
+            // Keep the original creation time when overwriting.
+            const existing = summaries.get(id);
+            existing.onsuccess = () => {
+                if (existing.result && !draft.created) summary.created = existing.result.created;
+                summaries.put(summary);
+                contents.put(content);
+            };
+        });
+        return id;
+    },
+
+    async rename(id, title) {
+        const db = await this.open();
+        const tx = db.transaction(this.SUMMARY_STORE, 'readonly');
+        const current = await this.unseal(await this.requestToPromise(tx.objectStore(this.SUMMARY_STORE).get(id)));
+        if (!current) return;
+        const summary = await this.seal({ ...current, title, modified: Date.now() }, this.SEALED_SUMMARY_FIELDS);
+        await this.transact('readwrite', (summaries) => {
+            summaries.put(summary);
+        });
+    },
+
+    /**
+     * Copies a draft under a new id.
+     * @returns {Promise<string|null>} The new draft id.
+     */
+    async duplicate(id) {
+        const draft = await this.get(id);
+        if (!draft) return null;
+        return this.put({ ...draft, id: null, created: null, modified: null, title: `${draft.title} (copy)` });
+    },
+
+    async remove(id) {
+        await this.transact('readwrite', (summaries, contents) => {
+            summaries.delete(id);
+            contents.delete(id);
+        });
+    },
+
+    /**
+     * Deletes every draft.
+     */
+    async clear() {
+        await this.transact('readwrite', (summaries, contents) => {
+            summaries.clear();
+            contents.clear();
+        });
+    },
+
+    /**
+     * Rewrites every draft the way the vault now wants it: sealed when it has
+     * just been turned on, plain when it is being turned off. Timestamps are kept.
+     */
+    async resealAll() {
+        const summaries = await this.list();
+        for (const { id } of summaries) {
+            const draft = await this.get(id);
+            if (draft) await this.put(draft);
+        }
+    },
+
+    /**
+     * Moves drafts from the old fixed localStorage slots into the library.
+     * A slot is removed once it has been written, or if it fails validation;
+     * one that couldn't be written stays for the next attempt.
+     * @param {function(object): object} validate - Throws on malformed data.
+     * @returns {Promise<number>} How many drafts were migrated.
+     */
+    async migrateLegacy(validate) {
+        let migrated = 0;
+        for (const key of this.LEGACY_KEYS) {
+            const raw = localStorage.getItem(key);
+            if (!raw) continue;
+            let data;
+            try {
+                data = validate(JSON.parse(raw));
+            } catch (e) {
+                console.warn(`Dropping unreadable legacy draft "${key}":`, e);
+                localStorage.removeItem(key);
+                continue;
+            }
+            try {
+                await this.put({
+                    ...data,
+                    title: data.title || 'Conversation Log',
+                    created: data.timestamp,
+                    modified: data.timestamp
+                });
+            } catch (e) {
+                console.warn(`Could not migrate legacy draft "${key}"; will retry:`, e);
+                continue;
+            }
+            localStorage.removeItem(key);
+            migrated++;
+        }
+        return migrated;
+    }
+};
@@ -0,0 +1,482 @@
+/**
+ * TeX to MathML converter for the `$…$` / `$$…$$` math in chat messages.
+ *
+ * Covers the LaTeX that assistants commonly produce: scripts, fractions,
+ * roots, Greek and operator symbols, accents, font commands, \left…\right,
+ * \text and the matrix/cases/aligned environments. Unknown commands are shown
+ * as their source text instead of failing the whole formula.
+ *
+ * The output is MathML Core, which browsers render natively, so nothing is
+ * downloaded. Each formula keeps its TeX source in an <annotation>, which is
+ * how an edited bubble gets its math back (see convertBubbleHtmlToText).
+ */
+(function (root) {
+'use strict';
+
+const MAX_TEX_LENGTH = 10000;
+const MAX_DEPTH = 64;
+const TEX_ENCODING = 'application/x-tex';
+
+// === SYMBOL TABLES ===
+const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο',
+    pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ',
+    phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+const SYMBOL_IDENTIFIERS = {
+    infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ',
+    emptyset: '∅', varnothing: '∅', imath: 'ı', jmath: 'ȷ', wp: '℘', top: '⊤', bot: '⊥'
+};
+
+const OPERATORS = {
+    times: '×', cdot: '⋅', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    oplus: '⊕', otimes: '⊗', ominus: '⊖', odot: '⊙',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+    simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇',
+    cup: '∪', cap: '∩', setminus: '∖',
+    to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+    Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸', iff: '⟺', mapsto: '↦',
+    longrightarrow: '⟶', longleftarrow: '⟵', uparrow: '↑', downarrow: '↓',
+    forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨',
+    vee: '∨', perp: '⊥', parallel: '∥', mid: '∣', angle: '∠', triangle: '△', therefore: '∴', because: '∵',
+    ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…', prime: '′', colon: ':',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+    vert: '|', Vert: '‖', lvert: '|', rvert: '|', lVert: '‖', rVert: '‖', lbrace: '{', rbrace: '}',
+    '{': '{', '}': '}', '|': '‖', '#': '#', '$': '$', '%': '%', '&': '&', '_': '_'
+};
+
+// Drawn above and below the operator in display math, as scripts inline.
+const LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+    bigvee: '⋁', bigwedge: '⋀'
+};
+const INTEGRALS = { int: '∫', iint: '∬', iiint: '∭', oint: '∮' };
+
+const FUNCTIONS = new Set('sin cos tan cot sec csc arcsin arccos arctan sinh cosh tanh coth log ln lg exp det dim ker deg gcd hom arg'.split(' '));
+const LIMIT_FUNCTIONS = new Set('lim liminf limsup max min sup inf Pr'.split(' '));
+
+const ACCENTS = {
+    hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→', overleftarrow: '←',
+    dot: '˙', ddot: '¨', tilde: '~', widetilde: '~', check: 'ˇ', breve: '˘', acute: '´', grave: '`'
+};
+
+const SPACES = {
+    ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em', '!': '-0.1667em',
+    thinspace: '0.1667em', enspace: '0.5em', quad: '1em', qquad: '2em'
+};
+
+const DELIMITER_SIZES = {
+    big: '1.2em', bigl: '1.2em', bigr: '1.2em', bigm: '1.2em',
+    Big: '1.8em', Bigl: '1.8em', Bigr: '1.8em', Bigm: '1.8em',
+    bigg: '2.4em', biggl: '2.4em', biggr: '2.4em', biggm: '2.4em',
+    Bigg: '3em', Biggl: '3em', Biggr: '3em', Biggm: '3em'
+};
+
+const FONTS = {
+    mathbb: 'double-struck', mathbf: 'bold', boldsymbol: 'bold', bm: 'bold', mathcal: 'script',
+    mathscr: 'script', mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace', mathit: 'italic',
+    mathrm: 'normal'
+};
+const TEXT_COMMANDS = new Set(['text', 'textrm', 'textit', 'textbf', 'textsf', 'texttt', 'mbox', 'textnormal']);
+
+// Commands that only change spacing or style in ways MathML picks by itself.
+const IGNORED_COMMANDS = new Set(['displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'hline', 'nonumber', 'notag']);
+
+// [open, close] fences around each environment's table.
+const ENVIRONMENTS = {
+    matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], array: ['', ''],
+    aligned: ['', ''], align: ['', ''], 'align*': ['', ''], split: ['', ''], gathered: ['', ''],
+    gather: ['', ''], 'gather*': ['', ''], alignat: ['', '']
+};
+const ALIGNED_ENVIRONMENTS = new Set(['aligned', 'align', 'align*', 'split', 'alignat']);
+
+// Mathematical Alphanumeric Symbols: [A, a, 0] code points per variant, plus the letters that live elsewhere.
+const ALPHANUMERIC_BASES = {
+    bold: [0x1D400, 0x1D41A, 0x1D7CE],
+    italic: [0x1D434, 0x1D44E, null],
+    script: [0x1D49C, 0x1D4B6, null],
+    fraktur: [0x1D504, 0x1D51E, null],
+    'double-struck': [0x1D538, 0x1D552, 0x1D7D8],
+    'sans-serif': [0x1D5A0, 0x1D5BA, 0x1D7E2],
+    monospace: [0x1D670, 0x1D68A, 0x1D7F6]
+};
+const ALPHANUMERIC_EXCEPTIONS = {
+    italic: { h: 'ℎ' },
+    script: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' },
+    fraktur: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' },
+    'double-struck': { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }
+};
+
+// === HELPERS ===
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Maps ASCII letters and digits to their styled Unicode forms, since MathML
+ * Core only supports mathvariant="normal".
+ */
+function styleText(text, variant) {
+    const bases = ALPHANUMERIC_BASES[variant];
+    if (!bases) return text;
+    const exceptions = ALPHANUMERIC_EXCEPTIONS[variant] || {};
+    return Array.from(text, ch => {
+        if (exceptions[ch]) return exceptions[ch];
+        const code = ch.charCodeAt(0);
+        if (ch >= 'A' && ch <= 'Z') return String.fromCodePoint(bases[0] + code - 65);
+        if (ch >= 'a' && ch <= 'z') return String.fromCodePoint(bases[1] + code - 97);
+        if (ch >= '0' && ch <= '9' && bases[2]) return String.fromCodePoint(bases[2] + code - 48);
+        return ch;
+    }).join('');
+}
+
+const el = (tag, content, attrs = '') => `<${tag}${attrs}>${content}</${tag}>`;
+const mo = (text, attrs = '') => el('mo', escapeXml(text), attrs);
+const mrow = content => el('mrow', content);
+const atom = (xml, extra = {}) => ({ xml, ...extra });
+
+// === PARSER ===
+
+/**
+ * A recursive-descent parser over the TeX source. Every parse function
+ * returns an atom: { xml, op?, func? } where `op` is 'large', 'limits' or
+ * 'integral' for operators whose scripts need special placement.
+ */
+function createParser(tex) {
+    const TOKEN = /\\([a-zA-Z]+|[^a-zA-Z]?)|(\d+(?:\.\d+)?)|([\s\S])/uy;
+    let pos = 0;
+    let depth = 0;
+
+    function skipSpace() {
+        while (pos < tex.length && /\s/.test(tex[pos])) pos++;
+    }
+
+    function peek() {
+        skipSpace();
+        if (pos >= tex.length) return null;
+        TOKEN.lastIndex = pos;
+        const m = TOKEN.exec(tex);
+        return { cmd: m[1], num: m[2], ch: m[3], start: pos, end: TOKEN.lastIndex };
+    }
+
+    function next() {
+        const token = peek();
+        if (token) pos = token.end;
+        return token;
+    }
+
+    function enter() {
+        if (++depth > MAX_DEPTH) throw new Error('Formula is nested too deeply');
+    }
+
+    /**
+     * Reads a brace group verbatim, for \text, \begin and \operatorname.
+     */
+    function readRawGroup() {
+        skipSpace();
+        if (tex[pos] !== '{') {
+            const token = next();
+            return token ? tex.slice(token.start, token.end) : '';
+        }
+        let level = 0;
+        const start = pos + 1;
+        for (; pos < tex.length; pos++) {
+            if (tex[pos] === '\\') { pos++; continue; }
+            if (tex[pos] === '{') level++;
+            if (tex[pos] === '}' && --level === 0) return tex.slice(start, pos++);
+        }
+        return tex.slice(start);
+    }
+
+    /** A delimiter after \left, \right, \big and friends. */
+    function readDelimiter() {
+        const token = next();
+        if (!token) return '';
+        if (token.cmd !== undefined) {
+            if (token.cmd === '.') return '';
+            return OPERATORS[token.cmd] || token.cmd;
+        }
+        return token.ch || token.num || '';
+    }
+
+    function parseRow(ctx, stop) {
+        enter();
+        let xml = '';
+        for (let token = peek(); token && token.ch !== '}' && !(stop && stop(token)); token = peek()) {
+            xml += parseScripted(ctx).xml;
+        }
+        depth--;
+        return mrow(xml);
+    }
+
+    function parseGroup(ctx) {
+        const row = parseRow(ctx);
+        const close = peek();
+        if (close && close.ch === '}') next();
+        return atom(row);
+    }
+
+    /** The argument of a command or script: a brace group or a single token. */
+    function parseArgument(ctx) {
+        const token = peek();
+        if (!token || token.ch === '}') return atom(mrow(''));
+        if (token.num && token.num.length > 1) {
+            // TeX takes one digit: x^23 is x² followed by 3.
+            pos = token.start + 1;
+            return atom(el('mn', escapeXml(styleText(token.num[0], ctx.font))));
+        }
+        return parseAtom(ctx);
+    }
+
+    function parseScripted(ctx) {
+        const base = parseAtom(ctx);
+        let sub = null;
+        let sup = null;
+        let primes = '';
+        for (let token = peek(); token; token = peek()) {
+            if (token.ch === '_' || token.ch === '^') {
+                next();
+                const arg = parseArgument(ctx).xml;
+                if (token.ch === '_') sub = arg;
+                else sup = arg;
+            } else if (token.ch === "'") {
+                next();
+                primes += '′';
+            } else if (token.cmd === 'limits' || token.cmd === 'nolimits') {
+                next();
+                if (base.op) base.op = token.cmd === 'limits' ? 'limits' : 'integral';
+            } else {
+                break;
+            }
+        }
+        if (primes) sup = sup ? mrow(mo(primes) + sup) : mo(primes);
+
+        let xml = base.xml;
+        if (sub !== null || sup !== null) {
+            const over = base.op === 'large' || base.op === 'limits';
+            if (sub !== null && sup !== null) xml = el(over ? 'munderover' : 'msubsup', xml + sub + sup);
+            else if (sub !== null) xml = el(over ? 'munder' : 'msub', xml + sub);
+            else xml = el(over ? 'mover' : 'msup', xml + sup);
+        }
+        // Invisible "function application" gives sin x its usual spacing.
+        if (base.func) xml += mo('\u2061');
+        return atom(xml);
+    }
+
+    function parseAtom(ctx) {
+        const token = next();
+        if (!token) return atom('');
+        if (token.cmd !== undefined) return parseCommand(token.cmd, ctx);
+        if (token.num) return atom(el('mn', escapeXml(styleText(token.num, ctx.font))));
+
+        const ch = token.ch;
+        if (ch === '{') {
+            enter();
+            const group = parseGroup(ctx);
+            depth--;
+            return group;
+        }
+        if (ch === '^' || ch === '_') {
+            // A script with no base, e.g. {}^{14}C or a stray ^.
+            pos = token.start;
+            return atom(mrow(''));
+        }
+        if (ch === '&') return atom('');
+        if (ch === '~') return atom(el('mspace', '', ' width="0.25em"'));
+        if (ch === "'") return atom(mo('′'));
+        if (ch === '-') return atom(mo('−'));
+        if (ch === '*') return atom(mo('∗'));
+        if (/\p{L}/u.test(ch)) {
+            if (ctx.font === 'normal') return atom(el('mi', escapeXml(ch), ' mathvariant="normal"'));
+            return atom(el('mi', escapeXml(styleText(ch, ctx.font))));
+        }
+        return atom(mo(ch));
+    }
+
+    function parseCommand(name, ctx) {
+        if (GREEK[name]) {
+            // Upright capitals, as in TeX.
+            const variant = /^[A-Z]/.test(name) ? ' mathvariant="normal"' : '';
+            return atom(el('mi', GREEK[name], variant));
+        }
+        if (SYMBOL_IDENTIFIERS[name]) return atom(el('mi', SYMBOL_IDENTIFIERS[name]));
+        if (OPERATORS[name]) return atom(mo(OPERATORS[name]));
+        if (LARGE_OPERATORS[name]) return atom(mo(LARGE_OPERATORS[name]), { op: 'large' });
+        if (INTEGRALS[name]) return atom(mo(INTEGRALS[name]), { op: 'integral' });
+        if (FUNCTIONS.has(name)) return atom(el('mi', name), { func: true });
+        if (LIMIT_FUNCTIONS.has(name)) return atom(el('mi', name), { func: true, op: 'limits' });
+        if (SPACES[name]) return atom(el('mspace', '', ` width="${SPACES[name]}"`));
+        if (DELIMITER_SIZES[name]) {
+            const size = DELIMITER_SIZES[name];
+            return atom(mo(readDelimiter(), ` minsize="${size}" maxsize="${size}"`));
+        }
+        if (FONTS[name]) return parseArgument({ ...ctx, font: FONTS[name] });
+        if (TEXT_COMMANDS.has(name)) {
+            const text = readRawGroup().replace(/\\([{}$%&#_ ])/g, '$1');
+            return atom(el('mtext', escapeXml(text)));
+        }
+        if (ACCENTS[name]) {
+            const stretchy = /^(wide|over)/.test(name) ? ' stretchy="true"' : '';
+            return atom(el('mover', parseArgument(ctx).xml + mo(ACCENTS[name], stretchy), ' accent="true"'));
+        }
+        if (IGNORED_COMMANDS.has(name)) return atom('');
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+            case 'cfrac': {
+                const fraction = el('mfrac', parseArgument(ctx).xml + parseArgument(ctx).xml);
+                if (name === 'dfrac' || name === 'cfrac') return atom(el('mstyle', fraction, ' displaystyle="true"'));
+                if (name === 'tfrac') return atom(el('mstyle', fraction, ' displaystyle="false"'));
+                return atom(fraction);
+            }
+            case 'binom':
+            case 'dbinom':
+            case 'tbinom':
+                return atom(mrow(mo('(') + el('mfrac', parseArgument(ctx).xml + parseArgument(ctx).xml, ' linethickness="0"') + mo(')')));
+            case 'sqrt': {
+                skipSpace();
+                if (tex[pos] === '[') {
+                    pos++;
+                    const index = parseRow(ctx, token => token.ch === ']');
+                    const close = peek();
+                    if (close && close.ch === ']') next();
+                    return atom(el('mroot', parseArgument(ctx).xml + index));
+                }
+                return atom(el('msqrt', parseArgument(ctx).xml));
+            }
+            case 'underline':
+                return atom(el('munder', parseArgument(ctx).xml + mo('_', ' stretchy="true"'), ' accentunder="true"'));
+            case 'overbrace':
+                return atom(el('mover', parseArgument(ctx).xml + mo('⏞', ' stretchy="true"')), { op: 'limits' });
+            case 'underbrace':
+                return atom(el('munder', parseArgument(ctx).xml + mo('⏟', ' stretchy="true"')), { op: 'limits' });
+            case 'operatorname':
+                skipSpace();
+                if (tex[pos] === '*') pos++;
+                return atom(el('mi', escapeXml(readRawGroup())), { func: true });
+            case 'left': {
+                const open = readDelimiter();
+                const inner = parseRow(ctx, token => token.cmd === 'right');
+                const close = peek();
+                let closing = '';
+                if (close && close.cmd === 'right') {
+                    next();
+                    closing = readDelimiter();
+                }
+                const fence = text => (text ? mo(text, ' fence="true" stretchy="true"') : '');
+                return atom(mrow(fence(open) + inner + fence(closing)));
+            }
+            case 'middle':
+                return atom(mo(readDelimiter(), ' stretchy="true"'));
+            case 'not': {
+                const negated = { '=': '≠', in: '∉', subset: '⊄', equiv: '≢', exists: '∄' };
+                const token = next();
+                const key = token ? (token.cmd !== undefined ? token.cmd : token.ch) : '';
+                return atom(mo(negated[key] || (OPERATORS[key] || key) + '\u0338'));
+            }
+            case 'mod':
+            case 'bmod':
+                return atom(mo('mod'));
+            case 'pmod':
+                return atom(mrow(mo('(') + el('mi', 'mod') + el('mspace', '', ' width="0.2222em"') + parseArgument(ctx).xml + mo(')')));
+            case 'color':
+                readRawGroup();
+                return atom('');
+            case 'textcolor':
+                readRawGroup();
+                return parseArgument(ctx);
+            case 'begin':
+                return parseEnvironment(readRawGroup(), ctx);
+            case '\\':
+                // A line break outside an environment has nothing to break.
+                return atom('');
+            default:
+                // Show unknown commands as written rather than dropping them.
+                return atom(el('mtext', escapeXml('\\' + name)));
+        }
+    }
+
+    function parseEnvironment(name, ctx) {
+        if (name === 'array' || name === 'alignat') readRawGroup(); // Column spec / column count
+        enter();
+        const rows = [[]];
+        const isCellEnd = token => token.ch === '&' || token.cmd === '\\' || token.cmd === 'end';
+        for (;;) {
+            rows[rows.length - 1].push(parseRow(ctx, isCellEnd));
+            const token = next();
+            if (!token || token.ch === '}') break;
+            if (token.cmd === 'end') {
+                readRawGroup();
+                break;
+            }
+            if (token.ch === '&') continue;
+            // \\ ends the row; skip an optional spacing argument like \\[2pt].
+            skipSpace();
+            if (tex[pos] === '[') pos = Math.max(pos, tex.indexOf(']', pos) + 1);
+            rows.push([]);
+        }
+        depth--;
+
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0] === mrow('')) rows.pop();
+
+        const [open, close] = ENVIRONMENTS[name] || ['', ''];
+        let attrs = '';
+        if (ALIGNED_ENVIRONMENTS.has(name)) attrs = ' columnalign="right left" columnspacing="0em" displaystyle="true"';
+        else if (name === 'cases') attrs = ' columnalign="left left"';
+        const table = el('mtable', rows.map(cells => el('mtr', cells.map(cell => el('mtd', cell)).join(''))).join(''), attrs);
+        return atom(mrow((open ? mo(open) : '') + table + (close ? mo(close) : '')));
+    }
+
+    return {
+        parse() {
+            let xml = '';
+            while (peek()) {
+                const token = peek();
+                if (token.ch === '}') { next(); continue; } // Unbalanced close brace
+                xml += parseScripted({ font: null }).xml;
+            }
+            return xml;
+        }
+    };
+}
+
+const MathML = {
+    MAX_TEX_LENGTH,
+    TEX_ENCODING,
+
+    /**
+     * Converts TeX math to a MathML element string.
+     * @param {string} tex - The formula, without its $ delimiters.
+     * @param {object} [options]
+     * @param {boolean} [options.display=false] - Display (block) math rather than inline.
+     * @returns {string} A <math> element with the source kept in an <annotation>.
+     * @throws {Error} If the formula is too long or nested too deeply.
+     */
+    fromTeX(tex, { display = false } = {}) {
+        if (tex.length > MAX_TEX_LENGTH) throw new Error('Formula is too long');
+        const body = createParser(tex).parse();
+        const semantics = el('semantics', mrow(body) + el('annotation', escapeXml(tex), ` encoding="${TEX_ENCODING}"`));
+        return el('math', semantics, display ? ' display="block"' : '');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MathML;
+} else {
+    root.BubbleScriptCore.MathML = MathML;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
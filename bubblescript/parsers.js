@@ -0,0 +1,485 @@
+/**
+ * Text parser registry: one parser per way people copy conversations out of
+ * chat apps, plus the generic label parser (Parser in core.js) as a fallback.
+ *
+ * A parser is an object:
+ *   { id, label, detect(text) => score, parse(text, options) => segments }
+ * where the score runs from 0 (not this format) to 1 (certainly this format),
+ * and each segment is { type, speaker, content, originalPrefix, kind?, line,
+ * confidence, reason } as produced by Parser.analyze. `options` carries the
+ * speaker roster and the user's continuation lines (see corrections.js).
+ *
+ * `originalPrefix` must hold the header text exactly as the format writes it
+ * (including any line break), because the editor rebuilds its text from
+ * prefixes and content, and the rebuilt text has to parse the same way.
+ *
+ * A parser may also have `header(msg, previous)`, returning the header to
+ * write before a message that has none: one split off in the preview (then
+ * `previous` is the message before it) or given to another speaker (then
+ * `previous` is the message as it was). Formats with timestamps copy them
+ * from `previous`. Without `header`, the message gets a "Speaker: " label,
+ * which only the generic parser reads.
+ *
+ * Parsers.register() adds a parser or replaces one with the same id.
+ */
+(function (root) {
+'use strict';
+
+const Core = typeof module !== 'undefined' && module.exports ? require('./core.js') : root.BubbleScriptCore;
+
+// Header lines, matched once per line; all patterns are anchored and bounded.
+const PATTERNS = {
+    discord: /^(.{1,80}?)\s+[—–]\s+((?:Today at |Yesterday at )?(?:\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4},?\s+)?\d{1,2}:\d{2}(?:\s?[AP]M)?)\s*$/i,
+    slack: /^(.{1,80}?)\s{2,}(\d{1,2}:\d{2}(?:\s?[AP]M)?)\s*$/i,
+    ircMessage: /^((?:\[?\d{1,2}:\d{2}(?::\d{2})?\]?\s+)?<[@+%~&]?([^>\s]{1,50})>\s?)(.*)$/,
+    ircAction: /^((?:\[?\d{1,2}:\d{2}(?::\d{2})?\]?\s+)?\*\s+([^\s*]{1,50})\s)(.*)$/,
+    ircNotice: /^((?:\[?\d{1,2}:\d{2}(?::\d{2})?\]?\s+)?(?:-!-|\*\*\*)\s)(.*)$/,
+    // Android: "12/03/2024, 10:42 - ", iOS: "[12/03/2024, 10:42:13] "
+    whatsapp: /^(‎?(?:\d{1,4}[/.]\d{1,2}[/.]\d{1,4},?\s\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AaPp]\.?\s?[Mm]\.?)?\s[-–]\s|\[\d{1,4}[/.]\d{1,2}[/.]\d{1,4},?\s\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AaPp]\.?\s?[Mm]\.?)?\]\s))(.*)$/,
+    whatsappSender: /^([^:\n]{1,80}):\s/,
+    initials: /^[A-Z]{1,3}$/,
+    claudeLabel: /^Claude:\s+/
+};
+
+/**
+ * Which side a speaker from a free-form chat log sits on: the roster decides,
+ * then the built-in user keywords; everyone else is on the other side.
+ */
+function speakerType(name, roster) {
+    const profile = Core.findRosterSpeaker(roster, name);
+    if (profile) return profile.role === 'user' ? 'user' : 'ai';
+    return Core.PARSER_CONFIG.USER_KEYWORDS.includes(name.trim().toLowerCase()) ? 'user' : 'ai';
+}
+
+/**
+ * Shared line loop for formats where a header line (or the start of one)
+ * opens each message. `matchHeader(line)` returns null for content lines, or
+ * { speaker, type, prefix, content, kind? } where `prefix` is the header text
+ * consumed and `content` is whatever followed it on the same line.
+ * Lines in `skip` (the format's interface chrome) are dropped.
+ */
+function parseByHeaders(text, matchHeader, { continuations = [], confidence, reason, skip = null } = {}) {
+    const keepAsContent = new Set(continuations);
+    const segments = [];
+    let current = null;
+    text.split('\n').forEach((line, index) => {
+        if (skip && skip.test(line.trim())) return;
+        const header = keepAsContent.has(line.trim()) ? null : matchHeader(line);
+        if (header) {
+            if (current) segments.push(current);
+            current = {
+                type: header.type,
+                speaker: header.speaker,
+                kind: header.kind || 'message',
+                content: header.content ? header.content + '\n' : '',
+                originalPrefix: header.prefix,
+                line: index + 1,
+                confidence,
+                reason
+            };
+        } else if (current) {
+            current.content += line + '\n';
+        } else if (line.trim()) {
+            // Text before the first header.
+            current = {
+                type: 'user', speaker: 'User', kind: 'message', content: line + '\n', originalPrefix: '',
+                line: index + 1, confidence: 0.2, reason: 'No header before the first message'
+            };
+        }
+    });
+    if (current) segments.push(current);
+    return segments.filter(seg => seg.content.trim());
+}
+
+/**
+ * Group chat logs rarely say who the user is. When neither the roster nor
+ * the user keywords place anyone on the user side, the first speaker goes
+ * there, so a two-person log still reads as a conversation.
+ */
+function firstSpeakerAsUser(segments) {
+    if (segments.some(seg => seg.type === 'user')) return segments;
+    const first = segments.find(seg => seg.kind === 'message');
+    if (first) segments.forEach(seg => { if (seg.speaker === first.speaker) seg.type = 'user'; });
+    return segments;
+}
+
+function countMatches(text, pattern) {
+    return text.split('\n').filter(line => pattern.test(line)).length;
+}
+
+function nonBlankLines(text) {
+    return text.split('\n').filter(line => line.trim()).length;
+}
+
+/**
+ * The "You said: / <Assistant> said:" headings that Copilot, ChatGPT and
+ * Gemini put in front of each message, which survive a select-all copy.
+ */
+function saidParser({ id, label, assistant, chrome = null }) {
+    const header = new RegExp(`^(You|${assistant}) said:?(?:\\s+|$)(.*)$`, 'i');
+    const assistantHeader = new RegExp(`^${assistant} said:?(?:\\s|$)`, 'im');
+    return {
+        id,
+        label,
+        detect(text) {
+            return assistantHeader.test(text) ? 0.9 : 0;
+        },
+        header(msg) {
+            return `${msg.role === 'user' ? 'You' : assistant} said:\n`;
+        },
+        parse(text, { continuations } = {}) {
+            return parseByHeaders(text, line => {
+                const match = line.match(header);
+                if (!match) return null;
+                const isUser = match[1].toLowerCase() === 'you';
+                return {
+                    speaker: isUser ? 'You' : assistant,
+                    type: isUser ? 'user' : 'ai',
+                    // A heading on its own line keeps its line break, so the message stays below it.
+                    prefix: match[2] ? line.slice(0, line.length - match[2].length) : `${line}\n`,
+                    content: match[2]
+                };
+            }, { continuations, confidence: 0.95, reason: `"${assistant} said" heading`, skip: chrome });
+        }
+    };
+}
+
+const CopilotParser = saidParser({ id: 'copilot', label: 'Copilot copy-paste', assistant: 'Copilot' });
+
+const ChatGPTParser = saidParser({
+    id: 'chatgpt',
+    label: 'ChatGPT copy-paste',
+    assistant: 'ChatGPT',
+    chrome: /^ChatGPT can make mistakes\..*$/
+});
+
+const GeminiParser = saidParser({
+    id: 'gemini',
+    label: 'Gemini copy-paste',
+    assistant: 'Gemini',
+    chrome: /^(Show thinking|Gemini can make mistakes.*)$/
+});
+
+// === CLAUDE (claude.ai copy-paste) ===
+/**
+ * A select-all copy of claude.ai has no speaker names: each prompt follows the
+ * user's initials (the avatar), and buttons such as "Edit", "Copy" and "Retry"
+ * come along as lines of their own. A prompt ends at its "Edit" button, or
+ * else at its first blank line, and Claude's reply runs to the next avatar.
+ * Rebuilt text labels the replies "Claude:", which also ends a prompt.
+ */
+const ClaudeWebParser = {
+    id: 'claude',
+    label: 'Claude copy-paste',
+    CHROME: /^(Copy|Retry|Share|Claude can make mistakes\..*)$/,
+
+    detect(text) {
+        const avatars = countMatches(text, PATTERNS.initials);
+        if (!avatars) return 0;
+        const lines = text.split('\n').map(line => line.trim());
+        const signs = lines.filter(line => this.CHROME.test(line) || line === 'Edit').length +
+            countMatches(text, PATTERNS.claudeLabel);
+        return signs ? 0.75 : 0;
+    },
+
+    header(msg) {
+        if (msg.role !== 'user') return 'Claude: ';
+        const initials = msg.speaker.split(/\s+/).map(word => word.charAt(0).toUpperCase()).join('').slice(0, 3);
+        return `${/^[A-Z]{1,3}$/.test(initials) ? initials : 'U'}\n`;
+    },
+
+    parse(text, { continuations = [] } = {}) {
+        const keepAsContent = new Set(continuations);
+        const lines = text.split('\n');
+        const segments = [];
+        let current = null;
+        let inPrompt = false;
+        const push = () => {
+            if (current && current.content.trim()) segments.push(current);
+            current = null;
+        };
+        const startReply = (index, prefix = '', content = '') => {
+            push();
+            inPrompt = false;
+            current = {
+                type: 'ai', speaker: 'Claude', kind: 'message', content, originalPrefix: prefix, line: index + 1,
+                confidence: prefix ? 0.9 : 0.6,
+                reason: prefix ? '"Claude:" label' : 'Reply assumed to start where the prompt ends'
+            };
+        };
+
+        lines.forEach((line, index) => {
+            const trimmed = line.trim();
+            if (this.CHROME.test(trimmed)) return;
+            if (keepAsContent.has(trimmed)) {
+                if (current) current.content += line + '\n';
+                return;
+            }
+            if (PATTERNS.initials.test(trimmed) && lines[index + 1] && lines[index + 1].trim()) {
+                push();
+                inPrompt = true;
+                current = {
+                    type: 'user', speaker: 'User', kind: 'message', content: '', originalPrefix: `${line}\n`,
+                    line: index + 1, confidence: 0.7, reason: 'Avatar initials before a prompt'
+                };
+                return;
+            }
+            const label = line.match(PATTERNS.claudeLabel);
+            if (label) {
+                startReply(index, label[0], line.slice(label[0].length) + '\n');
+                return;
+            }
+            if (inPrompt && trimmed === 'Edit') {
+                startReply(index + 1);
+                return;
+            }
+            if (inPrompt && !trimmed && current.content.trim() && !this.hasLabelAhead(lines, index)) {
+                startReply(index + 1);
+                return;
+            }
+            if (trimmed === 'Edit') return;
+            if (current) current.content += line + '\n';
+            else if (trimmed) startReply(index, '', line + '\n');
+        });
+        push();
+        return segments;
+    },
+
+    /**
+     * Whether a "Claude:" label ends the current prompt before the next avatar.
+     */
+    hasLabelAhead(lines, from) {
+        for (let i = from + 1; i < lines.length; i++) {
+            const trimmed = lines[i].trim();
+            if (PATTERNS.claudeLabel.test(lines[i]) || trimmed === 'Edit') return true;
+            if (PATTERNS.initials.test(trimmed)) return false;
+        }
+        return false;
+    }
+};
+
+// === DISCORD AND SLACK ("Name — time" headers) ===
+const ChatLogParser = {
+    id: 'chatlog',
+    label: 'Discord / Slack log',
+
+    matchHeader(line) {
+        const match = line.match(PATTERNS.discord) || line.match(PATTERNS.slack);
+        return match && !/[:.!?]$/.test(match[1]) ? match : null;
+    },
+
+    detect(text) {
+        const headers = text.split('\n').filter(line => this.matchHeader(line)).length;
+        if (headers >= 2) return 0.85;
+        return headers === 1 ? 0.5 : 0;
+    },
+
+    // Logs always carry a time, so a new message borrows the one before it.
+    header(msg, previous) {
+        const match = previous && this.matchHeader(previous.prefix.trim());
+        if (!match) return '';
+        return match[0].includes('—') || match[0].includes('–')
+            ? `${msg.speaker} — ${match[2]}\n`
+            : `${msg.speaker}  ${match[2]}\n`;
+    },
+
+    parse(text, { roster = [], continuations } = {}) {
+        return firstSpeakerAsUser(parseByHeaders(text, line => {
+            const match = this.matchHeader(line);
+            if (!match) return null;
+            const speaker = match[1].trim();
+            return { speaker, type: speakerType(speaker, roster), prefix: `${line}\n`, content: '' };
+        }, { continuations, confidence: 0.9, reason: 'Name and time header' }));
+    }
+};
+
+// === IRC ===
+const IrcParser = {
+    id: 'irc',
+    label: 'IRC log',
+
+    detect(text) {
+        const lines = nonBlankLines(text);
+        const headers = countMatches(text, PATTERNS.ircMessage) + countMatches(text, PATTERNS.ircAction) +
+            countMatches(text, PATTERNS.ircNotice);
+        return lines && headers >= 2 ? 0.95 * headers / lines : 0;
+    },
+
+    header(msg, previous) {
+        const time = previous && previous.prefix.match(/^\[?\d{1,2}:\d{2}(?::\d{2})?\]?\s+/);
+        return `${time ? time[0] : ''}<${msg.speaker.replace(/[\s>]+/g, '_')}> `;
+    },
+
+    parse(text, { roster = [], continuations } = {}) {
+        return firstSpeakerAsUser(parseByHeaders(text, line => {
+            let match = line.match(PATTERNS.ircMessage) || line.match(PATTERNS.ircAction);
+            if (match) return { speaker: match[2], type: speakerType(match[2], roster), prefix: match[1], content: match[3] };
+            match = line.match(PATTERNS.ircNotice);
+            if (match) return { speaker: 'Server', type: 'ai', kind: 'system', prefix: match[1], content: match[2] };
+            return null;
+        }, { continuations, confidence: 0.95, reason: 'IRC nick' }));
+    }
+};
+
+// === WHATSAPP (exported chat .txt) ===
+const WhatsAppParser = {
+    id: 'whatsapp',
+    label: 'WhatsApp export',
+
+    detect(text) {
+        const headers = countMatches(text, PATTERNS.whatsapp);
+        return headers >= 2 && headers / nonBlankLines(text) >= 0.3 ? 0.9 : 0;
+    },
+
+    // Like chat logs, a new message borrows the date and time of the one before it.
+    header(msg, previous) {
+        const match = previous && previous.prefix.match(PATTERNS.whatsapp);
+        return match ? `${match[1]}${msg.speaker}: ` : '';
+    },
+
+    parse(text, { roster = [], continuations } = {}) {
+        return firstSpeakerAsUser(parseByHeaders(text, line => {
+            const match = line.match(PATTERNS.whatsapp);
+            if (!match) return null;
+            const sender = match[2].match(PATTERNS.whatsappSender);
+            if (!sender) {
+                // "Messages and calls are end-to-end encrypted", "Alice added Bob", ...
+                return { speaker: 'WhatsApp', type: 'ai', kind: 'system', prefix: match[1], content: match[2] };
+            }
+            const speaker = sender[1].trim();
+            return {
+                speaker,
+                type: speakerType(speaker, roster),
+                prefix: match[1] + sender[0],
+                content: match[2].slice(sender[0].length)
+            };
+        }, { continuations, confidence: 0.95, reason: 'Date, time and sender header' }));
+    }
+};
+
+// === GENERIC ("Speaker:" labels, then alternating turns, then paragraphs) ===
+const GenericParser = {
+    id: 'generic',
+    label: 'Plain text',
+
+    // Works on anything, so it only wins when no specific format is recognized.
+    detect() {
+        return 0.2;
+    },
+
+    parse(text, options) {
+        return this.analyze(text, options).segments;
+    },
+
+    // Also reports which of its strategies won, for the parse report.
+    analyze(text, options) {
+        return Core.Parser.analyze(text, options);
+    }
+};
+
+const PARSERS = [CopilotParser, ChatGPTParser, ClaudeWebParser, GeminiParser, ChatLogParser, IrcParser, WhatsAppParser, GenericParser];
+
+const Parsers = {
+    PARSERS,
+
+    /**
+     * Adds a parser to the registry, replacing any parser with the same id.
+     * @param {object} parser - { id, label, detect(text), parse(text, options) }
+     */
+    register(parser) {
+        if (!parser || typeof parser.id !== 'string' || typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+            throw new Error('A parser needs an id, detect(text) and parse(text, options)');
+        }
+        const index = PARSERS.findIndex(p => p.id === parser.id);
+        // Keep the generic fallback last, so it loses ties.
+        if (index !== -1) PARSERS[index] = parser;
+        else PARSERS.splice(PARSERS.length - 1, 0, parser);
+    },
+
+    get(id) {
+        return PARSERS.find(p => p.id === id) || null;
+    },
+
+    /**
+     * Scores every parser against a text, best first. Ties go to the parser
+     * registered first; a parser that throws scores 0.
+     * @param {string} text
+     * @returns {{ id: string, label: string, score: number }[]}
+     */
+    detect(text) {
+        return PARSERS
+            .map((parser, order) => {
+                let score = 0;
+                try {
+                    score = Math.max(0, Math.min(1, Number(parser.detect(text)) || 0));
+                } catch (e) {
+                    console.warn(`Parser "${parser.id}" failed to detect:`, e);
+                }
+                return { id: parser.id, label: parser.label, score, order };
+            })
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .map(({ id, label, score }) => ({ id, label, score }));
+    },
+
+    /**
+     * Parses a text with the chosen parser, or the best-scoring one.
+     * @param {string} text
+     * @param {object} [options]
+     * @param {string} [options.format='auto'] - A parser id, or 'auto' to detect.
+     * @param {object[]} [options.roster]
+     * @param {string[]} [options.continuations]
+     * @returns {{ parser: string, label: string, detected: object[], strategy: string,
+     *   segments: object[], ambiguous: object[] }} `strategy` is a key of
+     *   PARSE_STRATEGIES for the generic parser, and the parser id otherwise.
+     */
+    analyze(text, { format = 'auto', ...options } = {}) {
+        const detected = this.detect(text);
+        const parser = (format !== 'auto' && this.get(format)) || this.get(detected[0].id);
+        const result = parser.analyze
+            ? parser.analyze(text, options)
+            : { strategy: parser.id, segments: parser.parse(text, options) };
+        const segments = result.segments.filter(seg => seg.content.trim());
+        const ambiguous = [];
+        segments.forEach((seg, index) => {
+            if (seg.confidence < Core.AMBIGUOUS_BELOW) {
+                ambiguous.push({ index, line: seg.line, speaker: seg.speaker, confidence: seg.confidence, reason: seg.reason });
+            }
+        });
+        return { parser: parser.id, label: parser.label, detected, strategy: result.strategy, segments, ambiguous };
+    },
+
+    /**
+     * Gives headers in a parser's format to messages that have none, so the
+     * rebuilt text parses back into the same messages.
+     * @param {string} id - Parser id.
+     * @param {object[]} messages - Transcript messages; prefixes are filled in place.
+     */
+    fillHeaders(id, messages) {
+        messages.forEach((msg, index) => {
+            if (!msg.prefix) msg.prefix = this.headerFor(id, msg, messages[index - 1]);
+        });
+    },
+
+    /**
+     * A header in a parser's format for one message (see `header` above).
+     * @returns {string} The header, or '' if the parser writes none.
+     */
+    headerFor(id, msg, previous) {
+        const parser = this.get(id);
+        return parser && typeof parser.header === 'function' ? parser.header(msg, previous) || '' : '';
+    },
+
+    /**
+     * Shorthand for analyze(text, options).segments.
+     */
+    parseSegments(text, options = {}) {
+        return this.analyze(text, options).segments;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Parsers;
+} else {
+    root.BubbleScriptCore.Parsers = Parsers;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,1325 @@
+/**
+ * Offline PDF generator.
+ *
+ * Lays a conversation out as chat bubbles and writes the PDF file by hand,
+ * using only the standard Helvetica, Courier and Symbol fonts that every PDF
+ * reader ships with, so nothing has to be downloaded and the browser's print
+ * dialog (margins, "headers and footers") never gets involved. Formulas are
+ * typeset from the same MathML the preview shows.
+ *
+ * Every page repeats the document header (title, date, source) and ends with
+ * a "Page N of M" footer. A bubble that fits on one page is never split
+ * across a page break; taller bubbles break between lines, so a long code
+ * block continues on the next page instead of being cut through a line.
+ */
+(function (root) {
+'use strict';
+
+const Core = typeof module !== 'undefined' && module.exports ? require('./core.js') : root.BubbleScriptCore;
+
+const PAGE_SIZES = {
+    a4: [595.28, 841.89],
+    letter: [612, 792]
+};
+
+const MARGIN = 48;
+const HEADER_HEIGHT = 30; // Running header band, including the rule under it
+const FOOTER_HEIGHT = 24;
+
+const SIZES = {
+    body: 10,
+    code: 8.5,
+    label: 7,
+    header: 9,
+    footer: 8,
+    tocTitle: 16,
+    headings: [0, 14, 12.5, 11.5, 10.5, 10, 10]
+};
+const LINE_HEIGHT = 1.4;
+const BUBBLE_PADDING_X = 10;
+const BUBBLE_PADDING_Y = 8;
+const BUBBLE_GAP = 10;
+const BLOCK_GAP = 5;
+const BUBBLE_WIDTH = 0.8; // Fraction of the content width, like the preview's max-width
+
+const COLORS = {
+    text: [17, 24, 39],
+    muted: [107, 114, 128],
+    link: [29, 78, 216],
+    quote: [75, 85, 99],
+    rule: [209, 213, 219],
+    codeBg: [229, 231, 235],
+    userBg: [239, 246, 255],
+    userBorder: [37, 99, 235],
+    aiBg: [243, 244, 246],
+    aiBorder: [209, 213, 219],
+    noteBg: [255, 255, 255]
+};
+
+// Multi-party lane colours, matching .lane-0 to .lane-7 in style.css.
+const LANE_COLORS = [
+    [37, 99, 235], [220, 38, 38], [5, 150, 105], [180, 83, 9],
+    [124, 58, 237], [219, 39, 119], [14, 116, 144], [77, 124, 15]
+];
+
+// Standard 14 fonts; the PDF resource names are F1..F6. Symbol is only used for math.
+const FONTS = {
+    regular: { key: 'F1', name: 'Helvetica' },
+    bold: { key: 'F2', name: 'Helvetica-Bold' },
+    italic: { key: 'F3', name: 'Helvetica-Oblique' },
+    boldItalic: { key: 'F4', name: 'Helvetica-BoldOblique' },
+    mono: { key: 'F5', name: 'Courier' },
+    symbol: { key: 'F6', name: 'Symbol' }
+};
+
+// Glyph widths (1/1000 em) for ASCII 32-126, from the Adobe font metrics.
+// The oblique faces share the widths of their upright counterparts.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015,
+    667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    278, 278, 278, 469, 556, 333,
+    556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+    334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975,
+    722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    333, 278, 333, 584, 556, 333,
+    556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+    389, 280, 389, 584
+];
+
+// Characters WinAnsiEncoding places in 0x80-0x9F, with their Helvetica widths.
+const WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556], '‚': [0x82, 222], 'ƒ': [0x83, 556], '„': [0x84, 333],
+    '…': [0x85, 1000], '†': [0x86, 556], '‡': [0x87, 556], 'ˆ': [0x88, 333],
+    '‰': [0x89, 1000], 'Š': [0x8A, 667], '‹': [0x8B, 333], 'Œ': [0x8C, 1000],
+    'Ž': [0x8E, 611], '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333],
+    '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000],
+    '˜': [0x98, 333], '™': [0x99, 1000], 'š': [0x9A, 500], '›': [0x9B, 333],
+    'œ': [0x9C, 944], 'ž': [0x9E, 500], 'Ÿ': [0x9F, 667]
+};
+
+// Math glyphs in the standard Symbol font: [code in its built-in encoding, width].
+const SYMBOL_GLYPHS = {
+    'α': [97, 631], 'β': [98, 549], 'γ': [103, 411], 'δ': [100, 494], 'ϵ': [101, 439], 'ε': [101, 439],
+    'ζ': [122, 494], 'η': [104, 603], 'θ': [113, 521], 'ϑ': [74, 631], 'ι': [105, 329], 'κ': [107, 549],
+    'λ': [108, 549], 'μ': [109, 576], 'ν': [110, 521], 'ξ': [120, 493], 'ο': [111, 549], 'π': [112, 549],
+    'ϖ': [118, 713], 'ρ': [114, 549], 'ϱ': [114, 549], 'σ': [115, 603], 'ς': [86, 439], 'τ': [116, 439],
+    'υ': [117, 576], 'φ': [102, 521], 'ϕ': [106, 603], 'χ': [99, 549], 'ψ': [121, 686], 'ω': [119, 686],
+    'Γ': [71, 603], 'Δ': [68, 612], 'Θ': [81, 741], 'Λ': [76, 686], 'Ξ': [88, 645], 'Π': [80, 768],
+    'Σ': [83, 592], 'Υ': [161, 620], 'Φ': [70, 763], 'Ψ': [89, 795], 'Ω': [87, 768],
+    '∀': [34, 713], '∃': [36, 549], '∋': [39, 439], '∗': [42, 500], '−': [45, 549], '≅': [64, 549],
+    '∴': [92, 863], '⊥': [94, 658], '∼': [126, 549], '′': [162, 247], '″': [178, 411], '≤': [163, 549],
+    '≥': [179, 549], '∞': [165, 713], '↔': [171, 1042], '←': [172, 987], '↑': [173, 603], '→': [174, 987],
+    '↓': [175, 603], '∝': [181, 713], '∂': [182, 494], '≠': [185, 549], '≡': [186, 549], '≈': [187, 549],
+    'ℵ': [192, 823], 'ℑ': [193, 686], 'ℜ': [194, 795], '℘': [195, 987], '⊗': [196, 768], '⊕': [197, 768],
+    '∅': [198, 823], '∩': [199, 768], '∪': [200, 768], '⊃': [201, 713], '⊇': [202, 713], '⊄': [203, 713],
+    '⊂': [204, 713], '⊆': [205, 713], '∈': [206, 713], '∉': [207, 713], '∠': [208, 768], '∇': [209, 713],
+    '∏': [213, 823], '√': [214, 549], '⋅': [215, 250], '∧': [217, 603], '∨': [218, 603], '⇔': [219, 1042],
+    '⇐': [220, 987], '⇒': [222, 987], '⟨': [225, 329], '∑': [229, 713], '⟩': [241, 329], '∫': [242, 274]
+};
+
+/**
+ * Maps a character to its WinAnsiEncoding byte; anything the standard fonts
+ * can't show (emoji, CJK, ...) becomes "?". See Pdf.unsupportedCharacters.
+ */
+function winAnsiCode(ch) {
+    const code = ch.charCodeAt(0);
+    if (code >= 32 && code <= 126) return code;
+    if (code >= 0xA0 && code <= 0xFF) return code;
+    if (WIN_ANSI_EXTRAS[ch]) return WIN_ANSI_EXTRAS[ch][0];
+    return 63;
+}
+
+function charWidth(ch, font) {
+    if (font === 'mono') return 600;
+    if (font === 'symbol') return SYMBOL_GLYPHS[ch] ? SYMBOL_GLYPHS[ch][1] : 500;
+    const code = ch.charCodeAt(0);
+    if (code >= 32 && code <= 126) {
+        return (font === 'bold' || font === 'boldItalic' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+    }
+    if (WIN_ANSI_EXTRAS[ch]) return WIN_ANSI_EXTRAS[ch][1];
+    return 556;
+}
+
+function canShow(ch, font) {
+    if (font === 'symbol') return Boolean(SYMBOL_GLYPHS[ch]);
+    return winAnsiCode(ch) !== 63 || ch === '?';
+}
+
+function textWidth(text, font, size) {
+    let units = 0;
+    for (const ch of text) units += charWidth(ch, font);
+    return units * size / 1000;
+}
+
+/**
+ * Encodes text as a PDF literal string. Everything above ASCII is written as
+ * an octal escape, so the file stays 7-bit and string offsets equal byte offsets.
+ * The Symbol font has its own encoding; the others use WinAnsiEncoding.
+ */
+function pdfString(text, font) {
+    let out = '(';
+    for (const ch of text) {
+        const code = font === 'symbol' ? (SYMBOL_GLYPHS[ch] || [63])[0] : winAnsiCode(ch);
+        if (code === 40 || code === 41 || code === 92) out += '\\' + ch;
+        else if (code > 126) out += '\\' + code.toString(8).padStart(3, '0');
+        else out += String.fromCharCode(code);
+    }
+    return out + ')';
+}
+
+/**
+ * Encodes text as a UTF-16BE hex string, for metadata outside page content.
+ */
+function pdfTextString(text) {
+    let hex = '<FEFF';
+    for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+    return hex + '>';
+}
+
+function fontFor(style) {
+    if (style.mono) return 'mono';
+    if (style.bold && style.italic) return 'boldItalic';
+    if (style.bold) return 'bold';
+    if (style.italic) return 'italic';
+    return 'regular';
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(Number(n)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, n) => String.fromCodePoint(parseInt(n, 16)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// === MATH ===
+
+// Stand-ins for math characters that neither Symbol nor WinAnsi has.
+const MATH_FALLBACKS = {
+    '‖': '||', '∣': '|', '⋯': '…', '⋮': '…', '⋱': '…', '∙': '•', '⋆': '∗', '∘': '°', '△': 'Δ',
+    '⌊': '[', '⌋': ']', '⌈': '[', '⌉': ']', '↦': '→', '⟶': '→', '⟵': '←', '⟹': '⇒', '⟸': '⇐',
+    '⟺': '⇔', '∖': '\\', '≪': '<<', '≫': '>>', '∓': '±', '≃': '≅', '⪯': '≤', '⪰': '≥', '∄': '∃',
+    '∬': '∫∫', '∭': '∫∫∫', '∮': '∫', '∐': '∏', '⋃': '∪', '⋂': '∩', '⨁': '⊕', '⨂': '⊗', '⋁': '∨',
+    '⋀': '∧', 'ℏ': 'h', 'ℓ': 'l', 'ı': 'i', 'ȷ': 'j', '⊤': 'T', '∵': '∴', '⏞': '¯', '⏟': '_'
+};
+// Letterlike symbols that the Mathematical Alphanumeric Symbols block leaves out.
+const LETTERLIKE = {
+    'ℎ': 'h', 'ℬ': 'B', 'ℰ': 'E', 'ℱ': 'F', 'ℋ': 'H', 'ℐ': 'I', 'ℒ': 'L', 'ℳ': 'M', 'ℛ': 'R', 'ℯ': 'e',
+    'ℊ': 'g', 'ℴ': 'o', 'ℭ': 'C', 'ℌ': 'H', 'ℨ': 'Z', 'ℂ': 'C', 'ℍ': 'H', 'ℕ': 'N', 'ℙ': 'P', 'ℚ': 'Q',
+    'ℝ': 'R', 'ℤ': 'Z'
+};
+const RELATIONS = new Set('=<>≤≥≠≈≡∼≃≅∝≪≫≺≻⪯⪰∈∉∋⊂⊃⊆⊇⊄→←↔⇒⇐⇔⟹⟸⟺↦⟶⟵↑↓∣∥:'.split(''));
+const BINARY_OPERATORS = new Set('+−×⋅÷±∓∗⋆∘∙⊕⊗⊖⊙∪∩∖∧∨'.split(''));
+const LARGE_MATH_OPERATORS = new Set('∑∏∐⋃⋂⨁⨂⋁⋀∫∬∭∮'.split(''));
+const FENCES = new Set('()[]{}|‖⟨⟩⌊⌋⌈⌉'.split(''));
+
+function getMathConverter() {
+    if (typeof module !== 'undefined' && module.exports) return require('./mathml.js');
+    return root.BubbleScriptCore && root.BubbleScriptCore.MathML;
+}
+
+/**
+ * Parses the MathML that mathml.js writes into { tag, attrs, children }
+ * nodes; text is kept as { text } children. Only that converter's output is
+ * expected, so this is not a general XML parser.
+ */
+function parseMathXml(xml) {
+    const rootNode = { tag: '', attrs: {}, children: [] };
+    const stack = [rootNode];
+    const TOKEN = /<(\/?)([a-z]+)([^>]*?)(\/?)>|([^<]+)/g;
+    for (let m = TOKEN.exec(xml); m; m = TOKEN.exec(xml)) {
+        const parent = stack[stack.length - 1];
+        if (m[5] !== undefined) {
+            parent.children.push({ text: decodeEntities(m[5]) });
+        } else if (m[1]) {
+            if (stack.length > 1) stack.pop();
+        } else {
+            const attrs = {};
+            m[3].replace(/([a-z-]+)="([^"]*)"/g, (a, name, value) => { attrs[name] = decodeEntities(value); });
+            const node = { tag: m[2], attrs, children: [] };
+            parent.children.push(node);
+            if (!m[4]) stack.push(node);
+        }
+    }
+    return rootNode;
+}
+
+/**
+ * Maps styled math letters (bold, script, double-struck, ...) back to plain
+ * ASCII with the nearest standard font, since none of the base-14 fonts
+ * has them.
+ * @returns {{ text: string, font: string|null }}
+ */
+function unstyleMath(text) {
+    let font = null;
+    const plain = Array.from(text, ch => {
+        const code = ch.codePointAt(0);
+        if (LETTERLIKE[ch]) {
+            if ('ℂℍℕℙℚℝℤ'.includes(ch)) font = 'bold';
+            return LETTERLIKE[ch];
+        }
+        if (code >= 0x1D400 && code <= 0x1D6A3) {
+            const offset = code - 0x1D400;
+            // 52 letters per style: bold, italic, bold italic, script, bold script,
+            // fraktur, double-struck, bold fraktur, then sans-serif and monospace.
+            const style = Math.floor(offset / 52);
+            font = style === 12 ? 'mono' : [0, 2, 4, 6, 7, 9, 11].includes(style) ? 'bold' : font;
+            const index = offset % 52;
+            return String.fromCharCode(index < 26 ? 65 + index : 97 + index - 26);
+        }
+        if (code >= 0x1D7CE && code <= 0x1D7FF) {
+            if (code >= 0x1D7F6) font = 'mono';
+            else if (code < 0x1D7D8 || (code >= 0x1D7EC && code < 0x1D7F6)) font = 'bold';
+            return String.fromCharCode(48 + (code - 0x1D7CE) % 10);
+        }
+        return MATH_FALLBACKS[ch] || ch;
+    }).join('');
+    return { text: plain, font };
+}
+
+/*
+ * Math is laid out as boxes: { width, ascent, descent, items }, measured
+ * from the baseline with y pointing up. Items are glyph runs
+ * { type: 'glyphs', x, y, text, font, size }, filled rules
+ * { type: 'rule', x, y, width, thickness } and stroked polylines
+ * { type: 'path', points, thickness }.
+ */
+function emptyBox(width = 0) {
+    return { width, ascent: 0, descent: 0, items: [] };
+}
+
+function moveItem(item, dx, dy) {
+    if (item.type === 'path') return { ...item, points: item.points.map(([x, y]) => [x + dx, y + dy]) };
+    return { ...item, x: item.x + dx, y: item.y + dy };
+}
+
+/**
+ * Places boxes at the given offsets and returns the box around them all.
+ * @param {object[]} placements - [{ box, x, y }]
+ */
+function combineBoxes(placements, width) {
+    const box = emptyBox(width);
+    placements.forEach(({ box: child, x, y }) => {
+        box.ascent = Math.max(box.ascent, child.ascent + y);
+        box.descent = Math.max(box.descent, child.descent - y);
+        child.items.forEach(item => box.items.push(moveItem(item, x, y)));
+    });
+    return box;
+}
+
+function rowBox(boxes) {
+    let x = 0;
+    const placements = boxes.map(box => {
+        const placement = { box, x, y: 0 };
+        x += box.width;
+        return placement;
+    });
+    return combineBoxes(placements, x);
+}
+
+/**
+ * A run of characters in `font`, switching to Symbol for the characters
+ * only it has.
+ */
+function glyphBox(text, font, size) {
+    const box = emptyBox();
+    box.ascent = size * 0.72;
+    box.descent = size * 0.21;
+    for (const ch of text) {
+        const face = SYMBOL_GLYPHS[ch] && winAnsiCode(ch) === 63 ? 'symbol' : font;
+        const last = box.items[box.items.length - 1];
+        if (last && last.font === face) last.text += ch;
+        else box.items.push({ type: 'glyphs', x: box.width, y: 0, text: ch, font: face, size });
+        box.width += charWidth(ch, face) * size / 1000;
+    }
+    return box;
+}
+
+function scriptContext(ctx) {
+    return { ...ctx, size: Math.max(ctx.size * 0.7, 5), display: false, script: true };
+}
+
+function textOf(node) {
+    return node.children.map(child => (child.text !== undefined ? child.text : textOf(child))).join('');
+}
+
+function isLargeOperator(node) {
+    return node && node.tag === 'mo' && LARGE_MATH_OPERATORS.has(textOf(node));
+}
+
+function layoutToken(node, ctx) {
+    const { text, font } = unstyleMath(textOf(node));
+    if (node.tag === 'mi') {
+        // Single letters are italic variables; function names and upright capitals are not.
+        const upright = node.attrs.mathvariant === 'normal' || Array.from(text).length > 1;
+        return glyphBox(text, font || (upright || !/\p{L}/u.test(text) ? 'regular' : 'italic'), ctx.size);
+    }
+    if (node.tag !== 'mo') return glyphBox(text, font || 'regular', ctx.size);
+
+    if (text === '⁡') return emptyBox();
+    let size = ctx.size;
+    if (node.attrs.minsize) size *= parseFloat(node.attrs.minsize) || 1;
+    if (LARGE_MATH_OPERATORS.has(text) && ctx.display) size *= 1.4;
+    const glyphs = glyphBox(text, font || 'regular', size);
+    if (size !== ctx.size) {
+        // Enlarged operators are centred on the math axis.
+        const shift = ctx.size * 0.25 - (glyphs.ascent - glyphs.descent) / 2;
+        return combineBoxes([{ box: glyphs, x: 0, y: shift }], glyphs.width);
+    }
+    const space = ctx.script || ctx.unary ? 0 : RELATIONS.has(text) ? ctx.size * 0.28 : BINARY_OPERATORS.has(text) ? ctx.size * 0.22 : 0;
+    return space ? combineBoxes([{ box: glyphs, x: space, y: 0 }], glyphs.width + space * 2) : glyphs;
+}
+
+/**
+ * Lays out a row, stretching \left…\right fences to the height of what they enclose.
+ */
+function layoutRow(children, ctx) {
+    // Matrices and binomials get fences of their size too, as in TeX.
+    const tall = children.some(child => child.tag === 'mtable' || (child.tag === 'mfrac' && child.attrs.linethickness === '0'));
+    const isFence = child => child.tag === 'mo' && (tall || child.attrs.fence || child.attrs.stretchy) && FENCES.has(textOf(child));
+    // A binary operator that starts the row or follows another operator is a sign, with no space around it.
+    const boxes = children.map((child, i) => {
+        if (isFence(child)) return null;
+        const previous = children[i - 1];
+        const unary = child.tag === 'mo' && BINARY_OPERATORS.has(textOf(child)) &&
+            (!previous || (previous.tag === 'mo' && !')]}|'.includes(textOf(previous))));
+        return layoutMath(child, unary ? { ...ctx, unary } : ctx);
+    });
+    const inner = rowBox(boxes.filter(Boolean));
+    children.forEach((child, i) => {
+        if (boxes[i]) return;
+        const height = Math.max(inner.ascent + inner.descent, ctx.size * 0.93);
+        const size = Math.max(ctx.size, height / 0.93);
+        const glyphs = glyphBox(unstyleMath(textOf(child)).text, 'regular', size);
+        const centre = (inner.ascent - inner.descent) / 2;
+        const shift = (inner.items.length ? centre : ctx.size * 0.25) - (glyphs.ascent - glyphs.descent) / 2;
+        boxes[i] = combineBoxes([{ box: glyphs, x: 0, y: shift }], glyphs.width);
+    });
+    return rowBox(boxes);
+}
+
+function layoutScripts(base, sub, sup, ctx) {
+    const placements = [{ box: base, x: 0, y: 0 }];
+    let width = 0;
+    if (sup) {
+        const y = Math.max(ctx.size * 0.4, base.ascent - sup.ascent * 0.6);
+        placements.push({ box: sup, x: base.width + ctx.size * 0.05, y });
+        width = sup.width + ctx.size * 0.05;
+    }
+    if (sub) {
+        const y = -Math.max(ctx.size * 0.2, base.descent + sub.ascent * 0.3);
+        placements.push({ box: sub, x: base.width, y });
+        width = Math.max(width, sub.width);
+    }
+    return combineBoxes(placements, base.width + width + ctx.size * 0.05);
+}
+
+function layoutStack(base, under, over, ctx) {
+    const width = Math.max(base.width, under ? under.width : 0, over ? over.width : 0);
+    const gap = ctx.size * 0.15;
+    const placements = [{ box: base, x: (width - base.width) / 2, y: 0 }];
+    if (over) placements.push({ box: over, x: (width - over.width) / 2, y: base.ascent + gap + over.descent });
+    if (under) placements.push({ box: under, x: (width - under.width) / 2, y: -(base.descent + gap + under.ascent) });
+    return combineBoxes(placements, width);
+}
+
+function layoutAccent(node, ctx, under) {
+    const base = layoutMath(node.children[0], ctx);
+    const accent = node.children[1] ? textOf(node.children[1]) : '';
+    const thickness = Math.max(ctx.size * 0.05, 0.4);
+    if (accent === '→' || accent === '←') {
+        // Arrows sit at mid-height in their font, so the arrow's baseline goes just under the top of the base.
+        const arrow = glyphBox(accent, 'regular', ctx.size * 0.7);
+        const box = combineBoxes([{ box: base, x: 0, y: 0 }, { box: arrow, x: (base.width - arrow.width) / 2, y: base.ascent - ctx.size * 0.05 }], base.width);
+        box.ascent = base.ascent + ctx.size * 0.3;
+        return box;
+    }
+    if (accent && '¯_⏞⏟'.includes(accent)) {
+        // Bars, and braces drawn as bars, span the whole base.
+        const y = under ? -(base.descent + thickness * 2) : base.ascent + thickness * 2;
+        const box = combineBoxes([{ box: base, x: 0, y: 0 }], base.width);
+        box.items.push({ type: 'rule', x: 0, y, width: base.width, thickness });
+        if (under) box.descent = Math.max(box.descent, -y + thickness);
+        else box.ascent = Math.max(box.ascent, y + thickness);
+        return box;
+    }
+    // Accent characters sit near the top of their em box, so they only need a small lift.
+    const mark = glyphBox(unstyleMath(accent).text, 'regular', ctx.size);
+    const lift = Math.max(0, base.ascent - ctx.size * 0.62);
+    const box = combineBoxes([{ box: base, x: 0, y: 0 }, { box: mark, x: (base.width - mark.width) / 2, y: lift }], base.width);
+    box.ascent = Math.max(box.ascent, base.ascent + ctx.size * 0.25);
+    return box;
+}
+
+function layoutFraction(node, ctx) {
+    const inner = ctx.display ? { ...ctx, display: false } : scriptContext(ctx);
+    const num = layoutMath(node.children[0], inner);
+    const den = layoutMath(node.children[1], inner);
+    const axis = ctx.size * 0.25;
+    const thickness = node.attrs.linethickness === '0' ? 0 : Math.max(ctx.size * 0.05, 0.4);
+    const gap = ctx.size * 0.15;
+    const pad = ctx.size * 0.1;
+    const width = Math.max(num.width, den.width) + pad * 2;
+    const box = combineBoxes([
+        { box: num, x: (width - num.width) / 2, y: axis + thickness / 2 + gap + num.descent },
+        { box: den, x: (width - den.width) / 2, y: axis - thickness / 2 - gap - den.ascent }
+    ], width);
+    if (thickness) box.items.push({ type: 'rule', x: pad / 2, y: axis, width: width - pad, thickness });
+    return box;
+}
+
+function layoutRadical(node, ctx) {
+    const inner = layoutMath(node.children[0], ctx);
+    const index = node.tag === 'mroot' ? layoutMath(node.children[1], scriptContext(scriptContext(ctx))) : null;
+    const size = ctx.size;
+    const thickness = Math.max(size * 0.05, 0.4);
+    const offset = index ? Math.max(index.width - size * 0.25, 0) : 0;
+    const top = inner.ascent + size * 0.12;
+    const bottom = -inner.descent;
+    const left = offset + size * 0.55;
+    const box = combineBoxes([{ box: inner, x: left + size * 0.1, y: 0 }], left + inner.width + size * 0.2);
+    box.items.push({
+        type: 'path', thickness,
+        points: [[offset, size * 0.22], [offset + size * 0.12, size * 0.3], [offset + size * 0.3, bottom], [left, top], [box.width, top]]
+    });
+    box.ascent = Math.max(box.ascent, top + thickness);
+    if (!index) return box;
+    return combineBoxes([{ box, x: 0, y: 0 }, { box: index, x: 0, y: size * 0.35 + index.descent }], box.width);
+}
+
+function layoutTable(node, ctx) {
+    const rows = node.children.filter(row => row.tag === 'mtr').map(row => (
+        row.children.filter(cell => cell.tag === 'mtd').map(cell => layoutRow(cell.children, ctx))
+    ));
+    const aligns = (node.attrs.columnalign || 'center').split(/\s+/);
+    const columnGap = node.attrs.columnspacing === '0em' ? 0 : ctx.size * 0.8;
+    const rowGap = ctx.size * 0.3;
+    const widths = [];
+    rows.forEach(cells => cells.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, cell.width); }));
+    const width = widths.reduce((sum, w) => sum + w, 0) + columnGap * Math.max(widths.length - 1, 0);
+
+    const placements = [];
+    let y = 0;
+    rows.forEach((cells, r) => {
+        const ascent = Math.max(ctx.size * 0.72, ...cells.map(cell => cell.ascent));
+        const descent = Math.max(ctx.size * 0.21, ...cells.map(cell => cell.descent));
+        if (r > 0) y -= rowGap;
+        y -= ascent;
+        let x = 0;
+        cells.forEach((cell, i) => {
+            const align = aligns[Math.min(i, aligns.length - 1)];
+            const slack = widths[i] - cell.width;
+            const dx = align === 'left' ? 0 : align === 'right' ? slack : slack / 2;
+            placements.push({ box: cell, x: x + dx, y });
+            x += widths[i] + columnGap;
+        });
+        y -= descent;
+    });
+    // Centre the table on the math axis.
+    const shift = ctx.size * 0.25 - y / 2;
+    placements.forEach(placement => { placement.y += shift; });
+    return combineBoxes(placements, width);
+}
+
+/**
+ * Lays out one MathML node (see parseMathXml) as a box.
+ * @param {object} ctx - { size, display, script? }
+ */
+function layoutMath(node, ctx) {
+    if (node.text !== undefined) return glyphBox(node.text, 'regular', ctx.size);
+    const [first, second, third] = node.children;
+    switch (node.tag) {
+        case 'mi':
+        case 'mn':
+        case 'mo':
+        case 'mtext':
+            return layoutToken(node, ctx);
+        case 'mspace':
+            return emptyBox((parseFloat(node.attrs.width) || 0) * ctx.size);
+        case 'annotation':
+            return emptyBox();
+        case 'mstyle':
+            return layoutRow(node.children, node.attrs.displaystyle ? { ...ctx, display: node.attrs.displaystyle === 'true' } : ctx);
+        case 'msup':
+            return layoutScripts(layoutMath(first, ctx), null, layoutMath(second, scriptContext(ctx)), ctx);
+        case 'msub':
+            return layoutScripts(layoutMath(first, ctx), layoutMath(second, scriptContext(ctx)), null, ctx);
+        case 'msubsup':
+            return layoutScripts(layoutMath(first, ctx), layoutMath(second, scriptContext(ctx)), layoutMath(third, scriptContext(ctx)), ctx);
+        case 'mover':
+        case 'munder':
+        case 'munderover': {
+            const brace = second && textOf(second);
+            if (node.attrs.accent || node.attrs.accentunder || brace === '⏞' || brace === '⏟') {
+                return layoutAccent(node, ctx, node.tag === 'munder');
+            }
+            const base = layoutMath(first, ctx);
+            const under = node.tag === 'mover' ? null : layoutMath(second, scriptContext(ctx));
+            const over = node.tag === 'munder' ? null : layoutMath(node.tag === 'mover' ? second : third, scriptContext(ctx));
+            // Limits go above and below in display math, and to the side inline like TeX.
+            const stack = ctx.display || !(isLargeOperator(first) || (first && first.tag === 'mi'));
+            return stack ? layoutStack(base, under, over, ctx) : layoutScripts(base, under, over, ctx);
+        }
+        case 'mfrac':
+            return layoutFraction(node, ctx);
+        case 'msqrt':
+        case 'mroot':
+            return layoutRadical(node, ctx);
+        case 'mtable':
+            return layoutTable(node, ctx);
+        default:
+            return layoutRow(node.children, ctx);
+    }
+}
+
+/**
+ * Typesets a formula for the PDF.
+ * @param {string} tex - TeX source, without delimiters.
+ * @param {number} size - Font size of the surrounding text.
+ * @param {boolean} display - Display (block) math.
+ * @returns {object|null} A box (see emptyBox), or null if the formula can't be converted.
+ */
+function mathBox(tex, size, display) {
+    const converter = getMathConverter();
+    if (!converter) return null;
+    try {
+        return layoutMath(parseMathXml(converter.fromTeX(tex, { display })), { size, display });
+    } catch (e) {
+        console.warn('Could not typeset math:', e.message);
+        return null;
+    }
+}
+
+// === MARKDOWN TO BLOCKS ===
+
+/**
+ * Flattens inline markdown tokens into styled text runs.
+ */
+function inlineRuns(tokens, style, runs = []) {
+    (tokens || []).forEach(tok => {
+        switch (tok.type) {
+            case 'strong':
+                inlineRuns(tok.tokens, { ...style, bold: true }, runs);
+                break;
+            case 'em':
+                inlineRuns(tok.tokens, { ...style, italic: true }, runs);
+                break;
+            case 'codespan':
+                runs.push({ text: decodeEntities(tok.text), style: { ...style, mono: true } });
+                break;
+            case 'inlineMath':
+                // Typeset in wrapRuns; the TeX source stands in for summaries and failures.
+                runs.push({ text: tok.text, math: true, display: tok.display, style });
+                break;
+            case 'link':
+                inlineRuns(tok.tokens, { ...style, color: COLORS.link }, runs);
+                break;
+            case 'br':
+                runs.push({ text: '\n', style });
+                break;
+            case 'image':
+                runs.push({ text: `[image: ${tok.text || 'untitled'}]`, style: { ...style, italic: true } });
+                break;
+            case 'html':
+                runs.push({ text: decodeEntities(tok.text.replace(/<[^>]*>/g, '')), style });
+                break;
+            default:
+                if (tok.tokens) inlineRuns(tok.tokens, style, runs);
+                else if (typeof tok.text === 'string') runs.push({ text: decodeEntities(tok.text), style });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Converts block-level markdown tokens into layout blocks:
+ *   { kind: 'text', runs, indent, prefix?, size, quote? }
+ *   { kind: 'code', text, indent }
+ *   { kind: 'math', text, indent }
+ *   { kind: 'rule', indent }
+ */
+function tokensToBlocks(tokens, ctx = { indent: 0, quote: false }, blocks = []) {
+    const base = ctx.quote ? { color: COLORS.quote, italic: true } : {};
+    tokens.forEach(tok => {
+        switch (tok.type) {
+            case 'heading':
+                blocks.push({
+                    kind: 'text', indent: ctx.indent, quote: ctx.quote, size: SIZES.headings[tok.depth] || SIZES.body,
+                    runs: inlineRuns(tok.tokens, { ...base, bold: true })
+                });
+                break;
+            case 'paragraph':
+            case 'text':
+                blocks.push({
+                    kind: 'text', indent: ctx.indent, quote: ctx.quote, size: SIZES.body,
+                    runs: tok.tokens ? inlineRuns(tok.tokens, base) : [{ text: decodeEntities(tok.text), style: base }]
+                });
+                break;
+            case 'code':
+                blocks.push({ kind: 'code', indent: ctx.indent, text: tok.text.replace(/\t/g, '    ') });
+                break;
+            case 'blockMath':
+                blocks.push({ kind: 'math', indent: ctx.indent, text: tok.text });
+                break;
+            case 'hr':
+                blocks.push({ kind: 'rule', indent: ctx.indent });
+                break;
+            case 'blockquote':
+                tokensToBlocks(tok.tokens, { indent: ctx.indent + 12, quote: true }, blocks);
+                break;
+            case 'list': {
+                const start = Number(tok.start) || 1;
+                tok.items.forEach((item, i) => {
+                    const first = blocks.length;
+                    tokensToBlocks(item.tokens, { indent: ctx.indent + 18, quote: ctx.quote }, blocks);
+                    if (!blocks[first]) return;
+                    blocks[first].prefix = tok.ordered ? `${start + i}.` : '•';
+                    if (item.task && blocks[first].runs) {
+                        blocks[first].runs.unshift({ text: item.checked ? '[x] ' : '[ ] ', style: { mono: true } });
+                    }
+                });
+                break;
+            }
+            case 'table': {
+                const row = (cells, style) => cells.reduce((runs, cell, i) => {
+                    if (i > 0) runs.push({ text: '  |  ', style: { color: COLORS.muted } });
+                    return inlineRuns(cell.tokens, style, runs);
+                }, []);
+                blocks.push({ kind: 'text', indent: ctx.indent, size: SIZES.body, runs: row(tok.header, { bold: true }) });
+                tok.rows.forEach(cells => {
+                    blocks.push({ kind: 'text', indent: ctx.indent, size: SIZES.body, runs: row(cells, base) });
+                });
+                break;
+            }
+            case 'html':
+                blocks.push({
+                    kind: 'text', indent: ctx.indent, size: SIZES.body,
+                    runs: [{ text: decodeEntities(tok.text.replace(/<[^>]*>/g, '')).trim(), style: base }]
+                });
+                break;
+            default:
+                break; // 'space' and anything unknown
+        }
+    });
+    return blocks;
+}
+
+function markdownToBlocks(markdown) {
+    if (root.marked && typeof root.marked.lexer === 'function') {
+        return tokensToBlocks(root.marked.lexer(markdown));
+    }
+    // Without marked, keep the paragraphs and line breaks of the raw text.
+    return markdown.split(/\n{2,}/).map(para => ({
+        kind: 'text', indent: 0, size: SIZES.body, runs: [{ text: para, style: {} }]
+    }));
+}
+
+// === LINE LAYOUT ===
+
+/**
+ * Greedy word wrap of styled runs into lines no wider than `width`. Inline
+ * formulas are placed whole, and make their line taller if they need to.
+ * @returns {object[]} Lines: { height, width, baseline?, spans: [{ x, text, font, size, color } or { x, box, color }] }
+ */
+function wrapRuns(runs, width, size) {
+    const lineHeight = size * LINE_HEIGHT;
+    const textAscent = lineHeight / 2 + size * 0.35;
+    const lines = [];
+    let spans = [];
+    let x = 0;
+
+    const newLine = () => {
+        // Trailing spaces don't count towards the line's width.
+        const last = spans[spans.length - 1];
+        if (last && last.text) {
+            const trimmed = last.text.replace(/\s+$/, '');
+            if (trimmed !== last.text) {
+                last.text = trimmed;
+                x = last.x + textWidth(trimmed, last.font, size);
+            }
+        }
+        const line = { height: lineHeight, size, width: x, spans: spans.filter(span => span.text || span.box) };
+        const boxes = line.spans.filter(span => span.box).map(span => span.box);
+        if (boxes.length) {
+            const ascent = Math.max(textAscent, ...boxes.map(box => box.ascent + 2));
+            const descent = Math.max(lineHeight - textAscent, ...boxes.map(box => box.descent + 2));
+            line.height = ascent + descent;
+            line.baseline = ascent;
+        }
+        lines.push(line);
+        spans = [];
+        x = 0;
+    };
+
+    const place = (text, font, color) => {
+        const w = textWidth(text, font, size);
+        const last = spans[spans.length - 1];
+        if (last && last.font === font && last.color === color) {
+            last.text += text;
+        } else {
+            spans.push({ x, text, font, size, color });
+        }
+        x += w;
+    };
+
+    runs.forEach(run => {
+        const color = run.style.color || COLORS.text;
+        let box = run.math ? mathBox(run.text, size, run.display) : null;
+        if (box) {
+            // A formula wider than the line is scaled down to fit, as it can't be broken.
+            if (box.width > width) box = mathBox(run.text, size * width / box.width, run.display);
+            if (x > 0 && x + box.width > width) newLine();
+            spans.push({ x, box, color });
+            x += box.width;
+            return;
+        }
+        const font = fontFor(run.math ? { ...run.style, mono: true } : run.style);
+        run.text.split(/(\n|\s+)/).forEach(piece => {
+            if (!piece) return;
+            if (piece === '\n') {
+                newLine();
+                return;
+            }
+            if (/^\s+$/.test(piece)) {
+                if (x > 0) place(' ', font, color);
+                return;
+            }
+            let word = piece;
+            let w = textWidth(word, font, size);
+            if (x > 0 && x + w > width) {
+                newLine();
+            }
+            // Break words longer than a whole line (URLs, hashes) by character.
+            while (w > width) {
+                let cut = 1;
+                while (cut < word.length && textWidth(word.slice(0, cut + 1), font, size) <= width - x) cut++;
+                place(word.slice(0, cut), font, color);
+                newLine();
+                word = word.slice(cut);
+                w = textWidth(word, font, size);
+            }
+            if (word) place(word, font, color);
+        });
+    });
+    if (spans.length || !lines.length) newLine();
+    return lines;
+}
+
+/**
+ * Lays out a segment's markdown as lines within `width`.
+ */
+function layoutContent(markdown, width) {
+    const lines = [];
+    const blocks = markdownToBlocks(markdown);
+    blocks.forEach((block, i) => {
+        if (i > 0) lines.push({ height: BLOCK_GAP, width: 0, spans: [] });
+        const indent = block.indent;
+        const innerWidth = Math.max(width - indent, 40);
+
+        if (block.kind === 'rule') {
+            lines.push({ height: 9, width, spans: [], rule: { x: indent } });
+            return;
+        }
+
+        if (block.kind === 'math') {
+            // Display math is set off by a quad, like an indented equation.
+            const quad = Math.min(SIZES.body * 2, innerWidth / 8);
+            let box = mathBox(block.text, SIZES.body, true);
+            if (box && box.width > innerWidth - quad) box = mathBox(block.text, SIZES.body * (innerWidth - quad) / box.width, true);
+            if (box) {
+                lines.push({
+                    height: box.ascent + box.descent + 8, baseline: box.ascent + 4, width: indent + quad + box.width,
+                    spans: [{ x: indent + quad, box, color: COLORS.text }]
+                });
+                return;
+            }
+            block = { kind: 'code', text: block.text };
+        }
+
+        if (block.kind === 'code') {
+            const size = SIZES.code;
+            const charsPerLine = Math.max(Math.floor((innerWidth - 8) / (size * 0.6)), 10);
+            const codeLines = [];
+            block.text.split('\n').forEach(line => {
+                if (!line) codeLines.push('');
+                for (let start = 0; start < line.length; start += charsPerLine) {
+                    codeLines.push(line.slice(start, start + charsPerLine));
+                }
+            });
+            codeLines.forEach((text, n) => {
+                // The first and last lines get extra room so the background has some padding.
+                const padTop = n === 0 ? 4 : 0;
+                const padBottom = n === codeLines.length - 1 ? 4 : 0;
+                lines.push({
+                    height: size * 1.3 + padTop + padBottom,
+                    baselineOffset: padTop,
+                    width,
+                    fill: { x: indent, width: innerWidth, color: COLORS.codeBg },
+                    spans: [{ x: indent + 4, text, font: 'mono', size, color: COLORS.text }]
+                });
+            });
+            return;
+        }
+
+        const wrapped = wrapRuns(block.runs, innerWidth, block.size);
+        wrapped.forEach((line, n) => {
+            line.spans.forEach(span => { span.x += indent; });
+            line.width += indent;
+            if (block.quote) line.bar = { x: indent - 8 };
+            if (n === 0 && block.prefix) {
+                const prefixWidth = textWidth(block.prefix, 'regular', block.size);
+                line.spans.unshift({ x: indent - prefixWidth - 4, text: block.prefix, font: 'regular', size: block.size, color: COLORS.text });
+            }
+        });
+        lines.push(...wrapped);
+    });
+    return lines;
+}
+
+/**
+ * Plain first line of a message, for the table of contents.
+ */
+function summaryLine(markdown) {
+    const block = markdownToBlocks(markdown).find(b => b.text !== undefined || (b.runs && b.runs.some(run => run.text.trim())));
+    if (!block) return '';
+    const text = block.text !== undefined ? block.text : block.runs.map(run => run.text).join('');
+    return text.trim().split('\n')[0];
+}
+
+function truncate(text, font, size, width) {
+    if (textWidth(text, font, size) <= width) return text;
+    let end = text.length;
+    while (end > 0 && textWidth(text.slice(0, end) + '…', font, size) > width) end--;
+    return text.slice(0, end).trimEnd() + '…';
+}
+
+// === PAGINATION ===
+
+/**
+ * Places every segment on pages. Positions are measured from the top-left
+ * corner; they're flipped into PDF coordinates when the page is drawn.
+ * @returns {{ pages: object[][], anchors: object[] }} Page draw lists, and
+ *   where each segment starts (for the table of contents).
+ */
+function paginate(doc, pageWidth, pageHeight) {
+    const contentWidth = pageWidth - MARGIN * 2;
+    const top = MARGIN + HEADER_HEIGHT;
+    const bottom = pageHeight - MARGIN - FOOTER_HEIGHT;
+    const pages = [[]];
+    const anchors = [];
+    let y = top;
+
+    const newPage = () => {
+        pages.push([]);
+        y = top;
+    };
+    const draw = item => pages[pages.length - 1].push(item);
+
+    // Messages left out of an exported selection: a centred note in place of them.
+    const drawOmitted = count => {
+        if (!count) return;
+        const height = SIZES.label * 2;
+        if (y > top) y += BUBBLE_GAP;
+        if (y + height > bottom) newPage();
+        const text = Core.omittedLabel(count);
+        const x = MARGIN + (contentWidth - textWidth(text, 'italic', SIZES.label)) / 2;
+        draw({ type: 'text', x, y: y + SIZES.label * 1.4, text, font: 'italic', size: SIZES.label, color: COLORS.muted });
+        y += height;
+    };
+
+    // A single block of text is rendered as a plain document, like the preview.
+    if (doc.segments.length <= 1) {
+        const text = doc.segments.length ? doc.segments[0].content : '';
+        drawOmitted(doc.segments.length && doc.segments[0].omittedBefore);
+        if (y > top && text) y += BUBBLE_GAP;
+        layoutContent(text, contentWidth).forEach(line => {
+            if (y + line.height > bottom && y > top) newPage();
+            draw({ type: 'line', line, x: MARGIN, y });
+            y += line.height;
+        });
+        drawOmitted(doc.omittedAfter);
+        return { pages, anchors };
+    }
+
+    const maxBubbleWidth = contentWidth * BUBBLE_WIDTH;
+    const labelHeight = SIZES.label * 1.6;
+
+    // Multi-party conversations put everyone on the left, told apart by lane colour.
+    const participants = Core.getParticipants(doc.segments, doc.roster || []);
+    const lanes = Core.isMultiParty(participants) ? new Map(participants.map(p => [p.speaker, p])) : null;
+    const laneColor = p => {
+        const profile = Core.findRosterSpeaker(doc.roster || [], p.speaker);
+        return profile && profile.color
+            ? [1, 3, 5].map(i => parseInt(profile.color.slice(i, i + 2), 16))
+            : LANE_COLORS[p.lane];
+    };
+    if (lanes) {
+        // Participant legend, wrapped across as many lines as it needs.
+        const height = SIZES.body * LINE_HEIGHT;
+        let x = MARGIN;
+        participants.forEach(p => {
+            const name = p.role ? `${p.speaker} (${Core.ROLE_LABELS[p.role]})` : p.speaker;
+            const text = truncate(name, 'bold', SIZES.body, contentWidth);
+            const width = textWidth(text, 'bold', SIZES.body);
+            if (x > MARGIN && x + width > MARGIN + contentWidth) {
+                x = MARGIN;
+                y += height;
+            }
+            draw({ type: 'text', x, y: y + SIZES.body, text, font: 'bold', size: SIZES.body, color: laneColor(p) });
+            x += width + 16;
+        });
+        y += height;
+    }
+
+    doc.segments.forEach((seg, index) => {
+        drawOmitted(seg.omittedBefore);
+        const participant = lanes && lanes.get(seg.speaker);
+        const isUser = !participant && seg.type === 'user';
+        // System prompts, tool calls, tool results and reasoning print as plain notes, always expanded.
+        const kind = seg.kind && seg.kind !== 'message' ? seg.kind : null;
+        const innerMax = maxBubbleWidth - BUBBLE_PADDING_X * 2;
+        const isTool = kind === 'tool_call' || kind === 'tool_result';
+        const lines = layoutContent(isTool ? Core.formatToolContent(seg.content) : seg.content, innerMax);
+        const label = (kind ? `${seg.speaker} - ${Core.KIND_NAMES[kind]}` : seg.speaker).toUpperCase();
+        const naturalWidth = lines.reduce((max, line) => Math.max(max, line.width), textWidth(label, 'bold', SIZES.label));
+        const bubbleWidth = Math.min(naturalWidth, innerMax) + BUBBLE_PADDING_X * 2;
+        const x = isUser ? MARGIN + contentWidth - bubbleWidth : MARGIN;
+
+        const chrome = BUBBLE_PADDING_Y * 2 + labelHeight;
+        const total = chrome + lines.reduce((sum, line) => sum + line.height, 0);
+
+        if (y > top) y += BUBBLE_GAP;
+        // Keep the bubble together when it fits on a page of its own.
+        if (y + total > bottom && total <= bottom - top) newPage();
+        // Always start with the label and at least one line on the same page.
+        if (y + chrome + (lines[0] ? lines[0].height : 0) > bottom && y > top) newPage();
+
+        anchors.push({ index, seg, page: pages.length - 1, y });
+
+        let remaining = lines;
+        let continued = false;
+        while (remaining.length) {
+            const start = y;
+            let cursor = y + BUBBLE_PADDING_Y + labelHeight;
+            let count = 0;
+            while (count < remaining.length && (count === 0 || cursor + remaining[count].height + BUBBLE_PADDING_Y <= bottom)) {
+                cursor += remaining[count].height;
+                count++;
+            }
+            const fragment = remaining.slice(0, count);
+            remaining = remaining.slice(count);
+            const height = cursor + BUBBLE_PADDING_Y - start;
+
+            draw({
+                type: 'bubble', x, y: start, width: bubbleWidth, height,
+                fill: kind ? COLORS.noteBg : isUser ? COLORS.userBg : COLORS.aiBg,
+                border: participant ? laneColor(participant) : isUser ? COLORS.userBorder : COLORS.aiBorder
+            });
+            draw({
+                type: 'text', x: x + BUBBLE_PADDING_X, y: start + BUBBLE_PADDING_Y + SIZES.label,
+                text: continued ? `${label} (CONTINUED)` : label, font: 'bold', size: SIZES.label,
+                color: participant ? laneColor(participant) : COLORS.muted
+            });
+            let lineY = start + BUBBLE_PADDING_Y + labelHeight;
+            fragment.forEach(line => {
+                draw({ type: 'line', line, x: x + BUBBLE_PADDING_X, y: lineY });
+                lineY += line.height;
+            });
+
+            y = start + height;
+            if (remaining.length) {
+                newPage();
+                continued = true;
+            }
+        }
+    });
+    drawOmitted(doc.omittedAfter);
+
+    return { pages, anchors };
+}
+
+/**
+ * Adds the characters in a page's draw list that its fonts can't show to `missing`.
+ */
+function collectMissing(items, missing) {
+    const check = (text, font) => {
+        for (const ch of text) if (!canShow(ch, font)) missing.add(ch);
+    };
+    items.forEach(item => {
+        if (item.type === 'text') check(item.text, item.font);
+        if (item.type !== 'line') return;
+        item.line.spans.forEach(span => {
+            if (span.box) span.box.items.forEach(glyphs => { if (glyphs.type === 'glyphs') check(glyphs.text, glyphs.font); });
+            else check(span.text, span.font);
+        });
+    });
+}
+
+// === PDF DRAWING ===
+
+function rgb(color) {
+    return color.map(c => (c / 255).toFixed(3)).join(' ');
+}
+
+function num(n) {
+    return Number(n.toFixed(2)).toString();
+}
+
+/**
+ * Path for a rectangle with rounded corners (PDF coordinates, origin bottom-left).
+ */
+function roundedRect(x, y, w, h, r) {
+    const k = r * 0.5523; // Bezier approximation of a quarter circle
+    return [
+        `${num(x + r)} ${num(y)} m`,
+        `${num(x + w - r)} ${num(y)} l`,
+        `${num(x + w - r + k)} ${num(y)} ${num(x + w)} ${num(y + r - k)} ${num(x + w)} ${num(y + r)} c`,
+        `${num(x + w)} ${num(y + h - r)} l`,
+        `${num(x + w)} ${num(y + h - r + k)} ${num(x + w - r + k)} ${num(y + h)} ${num(x + w - r)} ${num(y + h)} c`,
+        `${num(x + r)} ${num(y + h)} l`,
+        `${num(x + r - k)} ${num(y + h)} ${num(x)} ${num(y + h - r + k)} ${num(x)} ${num(y + h - r)} c`,
+        `${num(x)} ${num(y + r)} l`,
+        `${num(x)} ${num(y + r - k)} ${num(x + r - k)} ${num(y)} ${num(x + r)} ${num(y)} c`,
+        'h'
+    ].join('\n');
+}
+
+function textOp(x, y, text, font, size, color) {
+    return `BT /${FONTS[font].key} ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${num(y)} Td ${pdfString(text, font)} Tj ET`;
+}
+
+/**
+ * Draws a math box (see mathBox) with its baseline at (x, y), in PDF coordinates.
+ */
+function mathOps(box, x, y, color) {
+    return box.items.map(item => {
+        if (item.type === 'glyphs') return textOp(x + item.x, y + item.y, item.text, item.font, item.size, color);
+        if (item.type === 'rule') {
+            return `${rgb(color)} rg ${num(x + item.x)} ${num(y + item.y - item.thickness / 2)} ${num(item.width)} ${num(item.thickness)} re f`;
+        }
+        const path = item.points.map(([px, py], i) => `${num(x + px)} ${num(y + py)} ${i ? 'l' : 'm'}`).join(' ');
+        return `${rgb(color)} RG ${num(item.thickness)} w 1 j ${path} S`;
+    }).join('\n');
+}
+
+/**
+ * Turns a page's draw list into a content stream.
+ */
+function pageContent(items, pageHeight) {
+    const ops = [];
+    const flip = y => pageHeight - y;
+
+    items.forEach(item => {
+        if (item.type === 'bubble') {
+            ops.push(`${rgb(item.fill)} rg ${rgb(item.border)} RG 0.75 w`);
+            ops.push(roundedRect(item.x, flip(item.y + item.height), item.width, item.height, 8));
+            ops.push('B');
+        } else if (item.type === 'text') {
+            ops.push(textOp(item.x, flip(item.y), item.text, item.font, item.size, item.color));
+        } else if (item.type === 'rule') {
+            ops.push(`${rgb(item.color)} RG ${num(item.weight || 0.75)} w ${num(item.x1)} ${num(flip(item.y))} m ${num(item.x2)} ${num(flip(item.y))} l S`);
+        } else if (item.type === 'line') {
+            const { line } = item;
+            if (line.fill) {
+                ops.push(`${rgb(line.fill.color)} rg ${num(item.x + line.fill.x)} ${num(flip(item.y + line.height))} ${num(line.fill.width)} ${num(line.height)} re f`);
+            }
+            if (line.bar) {
+                ops.push(`${rgb(COLORS.rule)} rg ${num(item.x + line.bar.x)} ${num(flip(item.y + line.height))} 2 ${num(line.height)} re f`);
+            }
+            if (line.rule) {
+                const ruleY = flip(item.y + line.height / 2);
+                ops.push(`${rgb(COLORS.rule)} RG 0.75 w ${num(item.x + line.rule.x)} ${num(ruleY)} m ${num(item.x + line.width)} ${num(ruleY)} l S`);
+            }
+            line.spans.forEach(span => {
+                // Sit the baseline a little below the middle of the line box, unless a formula moved it.
+                const baseline = line.baseline !== undefined
+                    ? item.y + line.baseline
+                    : item.y + (line.baselineOffset || 0) + (line.height - (line.baselineOffset || 0)) / 2 + span.size * 0.35;
+                if (span.box) ops.push(mathOps(span.box, item.x + span.x, flip(baseline), span.color));
+                else ops.push(textOp(item.x + span.x, flip(baseline), span.text, span.font, span.size, span.color));
+            });
+        }
+    });
+    return ops.join('\n');
+}
+
+/**
+ * Running header and footer for one page.
+ */
+function pageChrome(doc, pageNumber, pageCount, pageWidth, pageHeight) {
+    const contentWidth = pageWidth - MARGIN * 2;
+    const meta = [doc.date, doc.source].filter(Boolean).join('  ·  ');
+    const metaWidth = textWidth(meta, 'regular', SIZES.header);
+    const title = truncate(doc.title || 'Conversation Log', 'bold', SIZES.header, contentWidth - metaWidth - 16);
+    const footer = `Page ${pageNumber} of ${pageCount}`;
+    const headerBaseline = MARGIN + SIZES.header;
+
+    return [
+        { type: 'text', x: MARGIN, y: headerBaseline, text: title, font: 'bold', size: SIZES.header, color: COLORS.text },
+        { type: 'text', x: MARGIN + contentWidth - metaWidth, y: headerBaseline, text: meta, font: 'regular', size: SIZES.header, color: COLORS.muted },
+        { type: 'rule', x1: MARGIN, x2: MARGIN + contentWidth, y: MARGIN + HEADER_HEIGHT - 12, color: COLORS.rule },
+        {
+            type: 'text', x: (pageWidth - textWidth(footer, 'regular', SIZES.footer)) / 2, y: pageHeight - MARGIN,
+            text: footer, font: 'regular', size: SIZES.footer, color: COLORS.muted
+        }
+    ];
+}
+
+/**
+ * Table of contents: one entry per user prompt (or per message, if nobody is
+ * marked as the user), with the page it starts on. Entries are links.
+ * @returns {object[][]} Draw lists for the TOC pages.
+ */
+function layoutToc(anchors, bodyPageOffset, pageWidth, pageHeight) {
+    const contentWidth = pageWidth - MARGIN * 2;
+    const top = MARGIN + HEADER_HEIGHT;
+    const bottom = pageHeight - MARGIN - FOOTER_HEIGHT;
+    const entryHeight = SIZES.body * 1.8;
+    const prompts = anchors.filter(anchor => anchor.seg.type === 'user');
+    const entries = prompts.length ? prompts : anchors;
+
+    const pages = [[{ type: 'text', x: MARGIN, y: top + SIZES.tocTitle, text: 'Contents', font: 'bold', size: SIZES.tocTitle, color: COLORS.text }]];
+    let y = top + SIZES.tocTitle * 2;
+
+    entries.forEach(anchor => {
+        if (y + entryHeight > bottom) {
+            pages.push([]);
+            y = top;
+        }
+        const pageLabel = String(anchor.page + 1 + bodyPageOffset);
+        const pageLabelWidth = textWidth(pageLabel, 'regular', SIZES.body);
+        const speaker = `${anchor.seg.speaker}: `;
+        const speakerWidth = textWidth(speaker, 'bold', SIZES.body);
+        const summary = truncate(summaryLine(anchor.seg.content), 'regular', SIZES.body, contentWidth - speakerWidth - pageLabelWidth - 24);
+        const baseline = y + SIZES.body;
+
+        pages[pages.length - 1].push(
+            { type: 'text', x: MARGIN, y: baseline, text: speaker, font: 'bold', size: SIZES.body, color: COLORS.text },
+            { type: 'text', x: MARGIN + speakerWidth, y: baseline, text: summary, font: 'regular', size: SIZES.body, color: COLORS.text },
+            { type: 'text', x: MARGIN + contentWidth - pageLabelWidth, y: baseline, text: pageLabel, font: 'regular', size: SIZES.body, color: COLORS.muted },
+            { type: 'link', x: MARGIN, y, width: contentWidth, height: entryHeight, page: anchor.page + bodyPageOffset, targetY: anchor.y }
+        );
+        y += entryHeight;
+    });
+    return pages;
+}
+
+/**
+ * Serializes pages into a PDF 1.4 file.
+ * Object layout: 1 catalog, 2 page tree, 3 info, 4-9 fonts, then a page and
+ * a content stream per page.
+ */
+function writePdf(pages, { title, pageWidth, pageHeight }) {
+    const fontKeys = Object.keys(FONTS);
+    const firstPageObj = 4 + fontKeys.length;
+    const pageObj = i => firstPageObj + i * 2;
+    const objects = [];
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pages.map((p, i) => `${pageObj(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    const date = `D:${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}` +
+        `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}Z`;
+    objects[3] = `<< /Title ${pdfTextString(title)} /Producer (BubbleScript) /CreationDate (${date}) >>`;
+
+    const fontResources = fontKeys.map((name, i) => {
+        const encoding = name === 'symbol' ? '' : ' /Encoding /WinAnsiEncoding';
+        objects[4 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[name].name}${encoding} >>`;
+        return `/${FONTS[name].key} ${4 + i} 0 R`;
+    }).join(' ');
+
+    pages.forEach((page, i) => {
+        const links = page.items.filter(item => item.type === 'link').map(link => {
+            const rect = [link.x, pageHeight - link.y - link.height, link.x + link.width, pageHeight - link.y].map(num).join(' ');
+            return `<< /Type /Annot /Subtype /Link /Rect [${rect}] /Border [0 0 0] ` +
+                `/Dest [${pageObj(link.page)} 0 R /XYZ 0 ${num(pageHeight - link.targetY + 12)} null] >>`;
+        });
+        const stream = pageContent(page.items, pageHeight);
+        objects[pageObj(i)] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+            `/Resources << /Font << ${fontResources} >> >> /Contents ${pageObj(i) + 1} 0 R` +
+            (links.length ? ` /Annots [${links.join(' ')}]` : '') + ' >>';
+        objects[pageObj(i) + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Every byte written is 7-bit except the binary marker comment, so string
+    // length equals byte length and the xref offsets can be taken directly.
+    let out = '%PDF-1.4\n%âãÏÓ\n';
+    const offsets = [];
+    for (let n = 1; n < objects.length; n++) {
+        offsets[n] = out.length;
+        out += `${n} 0 obj\n${objects[n]}\nendobj\n`;
+    }
+    const xrefOffset = out.length;
+    out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let n = 1; n < objects.length; n++) {
+        out += `${String(offsets[n]).padStart(10, '0')} 00000 n \n`;
+    }
+    out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(out.length);
+    for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i) & 0xFF;
+    return bytes;
+}
+
+const Pdf = {
+    PAGE_SIZES,
+
+    /**
+     * Builds a PDF of the conversation.
+     * @param {object} doc - { title, date, source, segments }, as for the other exporters.
+     * @param {object} [options]
+     * @param {boolean} [options.toc=false] - Start with a table of contents.
+     * @param {string} [options.pageSize='a4'] - A key of PAGE_SIZES.
+     * @returns {Uint8Array} The PDF file.
+     */
+    build(doc, { toc = false, pageSize = 'a4' } = {}) {
+        const [pageWidth, pageHeight] = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+        const body = paginate(doc, pageWidth, pageHeight);
+
+        let tocPages = [];
+        if (toc && body.anchors.length) {
+            // The TOC's own length decides the body's page numbers, so lay it out once to count it.
+            const count = layoutToc(body.anchors, 0, pageWidth, pageHeight).length;
+            tocPages = layoutToc(body.anchors, count, pageWidth, pageHeight);
+        }
+
+        const drawLists = [...tocPages, ...body.pages];
+        const pages = drawLists.map((items, i) => ({
+            items: [...pageChrome(doc, i + 1, drawLists.length, pageWidth, pageHeight), ...items]
+        }));
+        return writePdf(pages, { title: doc.title || 'Conversation Log', pageWidth, pageHeight });
+    },
+
+    /**
+     * Characters the PDF can't show, such as emoji and CJK: the standard fonts
+     * only cover Western European text and the Symbol font's math, and
+     * anything else prints as "?". Callers check this first and warn, or use
+     * the browser's print dialog, whose fonts cover everything.
+     * @param {object} doc - As for build.
+     * @returns {string[]} The distinct characters, in order of appearance.
+     */
+    unsupportedCharacters(doc) {
+        const [pageWidth, pageHeight] = PAGE_SIZES.a4;
+        const missing = new Set();
+        paginate(doc, pageWidth, pageHeight).pages.forEach(items => collectMissing(items, missing));
+        collectMissing(pageChrome(doc, 1, 1, pageWidth, pageHeight), missing);
+        return [...missing];
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pdf;
+} else {
+    root.BubbleScriptCore.Pdf = Pdf;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,240 @@
+/**
+ * Redaction: finds sensitive text (email addresses, phone numbers, API keys
+ * and tokens, IP addresses, URLs and the user's own terms or patterns) and
+ * replaces it with placeholders such as "[EMAIL-1]".
+ *
+ * A redactor numbers placeholders in order of first appearance and reuses
+ * them, so the same address is "[EMAIL-1]" in every message. Placeholders
+ * already in the text (from an earlier pass) are never reused for new values.
+ *
+ * The report lists placeholders, their types and where they occur, never the
+ * values they replaced.
+ */
+(function (root) {
+'use strict';
+
+// All patterns are global; matches are collected per detector and overlaps resolved afterwards.
+const DETECTORS = [
+    {
+        id: 'email',
+        label: 'Email addresses',
+        placeholder: 'EMAIL',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+    },
+    {
+        id: 'url',
+        label: 'URLs',
+        placeholder: 'URL',
+        // Trailing punctuation belongs to the sentence, not the link.
+        pattern: /\b(?:https?:\/\/|www\.)[^\s<>"'`()[\]{}]*[^\s<>"'`()[\]{}.,;:!?]/gi
+    },
+    {
+        id: 'key',
+        label: 'API keys and tokens',
+        placeholder: 'KEY',
+        pattern: new RegExp([
+            /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/.source, // OpenAI, Anthropic, Stripe
+            /\bgh[pousr]_[A-Za-z0-9]{30,}/.source, // GitHub
+            /\bgithub_pat_[A-Za-z0-9_]{40,}/.source,
+            /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/.source, // AWS access key ids
+            /\bxox[abposr]-[A-Za-z0-9-]{10,}/.source, // Slack
+            /\bAIza[0-9A-Za-z_-]{35}/.source, // Google
+            /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/.source, // JWTs
+            /(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{20,}=*/.source,
+            // The value of anything labelled as a key, token, secret or password.
+            /(?<=\b(?:api[_-]?key|access[_-]?token|auth[_-]?token|token|secret|password|passwd)["']?\s*[:=]\s*["']?)[^\s"',;]{8,}/.source
+        ].join('|'), 'gi')
+    },
+    {
+        id: 'ip',
+        label: 'IP addresses',
+        placeholder: 'IP',
+        pattern: new RegExp([
+            /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.]*\d)/.source,
+            // IPv6, in full or with a "::"; "10:42:13" and "std::vector" are not addresses.
+            /(?<![\w:])(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}(?![\w:])/.source,
+            /(?<![\w:])(?:[0-9a-f]{1,4}:){1,6}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,5})?(?![\w:])/.source
+        ].join('|'), 'gi')
+    },
+    {
+        id: 'phone',
+        label: 'Phone numbers',
+        placeholder: 'PHONE',
+        pattern: /(?<![\w+])\+?(?:\d[\s.-]?){0,3}(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{3,4}(?:[\s.-]\d{2,4})?(?![\w-])/g,
+        // Plenty of things look like phone numbers; keep the ones with a phone's number of digits.
+        accept: value => {
+            const digits = value.replace(/\D/g, '').length;
+            return digits >= 7 && digits <= 15 && !/^\d{4}-\d{2}-\d{2}/.test(value);
+        }
+    }
+];
+
+const TERM = { id: 'term', label: 'Your terms', placeholder: 'TERM' };
+
+const PLACEHOLDER_TYPES = [...DETECTORS, TERM].map(detector => detector.placeholder);
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(${PLACEHOLDER_TYPES.join('|')})-(\\d+)\\]`, 'g');
+
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 500;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Placeholders are matched by value. Emails, URLs and the user's terms
+ * ignore case; keys and numbers don't.
+ */
+function valueKey(type, value) {
+    return `${type}\u0000${['EMAIL', 'URL', 'TERM'].includes(type) ? value.toLowerCase() : value}`;
+}
+
+const Redaction = {
+    DETECTORS,
+    PLACEHOLDER_PATTERN,
+    MAX_TERMS,
+
+    /**
+     * Reads the user's terms, one per line. A line written as /pattern/flags
+     * is a regular expression; anything else matches as plain text, ignoring
+     * case.
+     * @param {string} text
+     * @returns {RegExp[]}
+     * @throws {Error} Naming the line of a malformed pattern.
+     */
+    parseTerms(text) {
+        const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines.length > MAX_TERMS) throw new Error(`Use at most ${MAX_TERMS} terms`);
+        return lines.map((line, index) => {
+            if (line.length > MAX_TERM_LENGTH) throw new Error(`Term ${index + 1} is too long`);
+            const regex = line.match(/^\/(.+)\/([a-z]*)$/);
+            if (!regex) return new RegExp(escapeRegex(line), 'gi');
+            try {
+                // Only flags that change what matches; matching is always global.
+                return new RegExp(regex[1], regex[2].replace(/[^imsu]/g, '') + 'g');
+            } catch (e) {
+                throw new Error(`Term ${index + 1} is not a valid pattern: ${e.message}`);
+            }
+        });
+    },
+
+    /**
+     * Finds every match in a text. Where matches overlap, the one that starts
+     * first wins, then the longer one.
+     * @param {string} text
+     * @param {object} options
+     * @param {string[]} options.detectors - Ids from DETECTORS.
+     * @param {RegExp[]} [options.terms] - From parseTerms.
+     * @returns {{ start: number, end: number, type: string, value: string }[]} In text order.
+     */
+    findMatches(text, { detectors, terms = [] }) {
+        const found = [];
+        const collect = (pattern, type, accept) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (!match[0]) {
+                    pattern.lastIndex++; // A pattern that can match nothing must still move on
+                    continue;
+                }
+                if (!accept || accept(match[0])) {
+                    found.push({ start: match.index, end: match.index + match[0].length, type, value: match[0] });
+                }
+            }
+        };
+        terms.forEach(term => collect(term, TERM.placeholder));
+        DETECTORS.filter(detector => detectors.includes(detector.id))
+            .forEach(detector => collect(detector.pattern, detector.placeholder, detector.accept));
+
+        // Earlier placeholders are already redacted.
+        PLACEHOLDER_PATTERN.lastIndex = 0;
+        const placeholders = [];
+        let match;
+        while ((match = PLACEHOLDER_PATTERN.exec(text)) !== null) {
+            placeholders.push([match.index, match.index + match[0].length]);
+        }
+
+        found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+        const result = [];
+        let end = 0;
+        found.forEach(item => {
+            if (item.start < end) return;
+            if (placeholders.some(([s, e]) => item.start < e && item.end > s)) return;
+            result.push(item);
+            end = item.end;
+        });
+        return result;
+    },
+
+    /**
+     * Creates a redactor that hands out placeholders consistently across all
+     * the texts it is given.
+     * @param {object} options - As for findMatches.
+     * @param {string} [existingText=''] - Text that may already hold placeholders, so numbering continues after them.
+     * @returns {{ redact: function(string, string=, object=): string, report: function(): object }}
+     *   `redact(text, where, { record })` returns the text with placeholders;
+     *   `where` (e.g. "Message 3") is recorded in the report. With `record: false`
+     *   the matches get placeholders but aren't counted, for copies of text
+     *   that was already redacted once.
+     */
+    createRedactor(options, existingText = '') {
+        const counters = {};
+        PLACEHOLDER_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = PLACEHOLDER_PATTERN.exec(existingText)) !== null) {
+            counters[match[1]] = Math.max(counters[match[1]] || 0, Number(match[2]));
+        }
+
+        const byValue = new Map();
+        const entries = [];
+        const labels = new Map([...DETECTORS, TERM].map(detector => [detector.placeholder, detector.label]));
+
+        return {
+            redact: (text, where = '', { record = true } = {}) => {
+                const matches = this.findMatches(text, options);
+                if (!matches.length) return text;
+                let out = '';
+                let last = 0;
+                matches.forEach(item => {
+                    const key = valueKey(item.type, item.value);
+                    let entry = byValue.get(key);
+                    if (!entry) {
+                        counters[item.type] = (counters[item.type] || 0) + 1;
+                        entry = { placeholder: `[${item.type}-${counters[item.type]}]`, type: item.type, label: labels.get(item.type), count: 0, locations: [] };
+                        byValue.set(key, entry);
+                        entries.push(entry);
+                    }
+                    if (record) {
+                        entry.count++;
+                        if (where && !entry.locations.includes(where)) entry.locations.push(where);
+                    }
+                    out += text.slice(last, item.start) + entry.placeholder;
+                    last = item.end;
+                });
+                return out + text.slice(last);
+            },
+
+            /**
+             * @returns {{ total: number, byType: object, entries: object[] }} Entries are
+             *   { placeholder, type, label, count, locations } in order of first appearance.
+             */
+            report: () => {
+                const byType = {};
+                const counted = entries.filter(entry => entry.count);
+                counted.forEach(entry => { byType[entry.type] = (byType[entry.type] || 0) + entry.count; });
+                return {
+                    total: counted.reduce((sum, entry) => sum + entry.count, 0),
+                    byType,
+                    entries: counted.map(entry => ({ ...entry, locations: [...entry.locations] }))
+                };
+            }
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Redaction;
+} else {
+    root.BubbleScriptCore.Redaction = Redaction;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
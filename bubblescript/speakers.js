@@ -0,0 +1,131 @@
+// === SPEAKER ROSTER ===
+
+/**
+ * The participants of the current conversation: the names they go by in the
+ * text, which side of the chat they sit on, and how their bubbles look.
+ *
+ * The roster is saved with each draft. Rosters that fit many conversations
+ * (say, a regular group chat) can also be kept as named profiles in
+ * localStorage and applied to any conversation.
+ *
+ * Speaker shape:
+ *   { name, aliases: string[], role: 'user' | 'assistant' | 'system' | 'other', color, avatar }
+ * `color` is '#rrggbb' or '' for the default look, and `avatar` is a few
+ * characters (initials or an emoji) shown before the speaker label.
+ */
+const SpeakerRoster = {
+    PROFILES_KEY: 'chatSpeakerProfiles',
+    MAX_SPEAKERS: 50,
+    MAX_ALIASES: 20,
+    MAX_PROFILES: 50,
+    MAX_NAME_LENGTH: 100, // Matches the parser's longest speaker label
+    MAX_AVATAR_LENGTH: 8, // Room for emoji built from several code points
+
+    speakers: [],
+
+    /**
+     * Finds the roster speaker for a transcript label, by name or alias.
+     * @param {string} label
+     * @returns {object|null}
+     */
+    find(label) {
+        return BubbleScriptCore.findRosterSpeaker(this.speakers, label);
+    },
+
+    /**
+     * Validates a roster from storage or the settings form. Speakers without a
+     * name are dropped; anything else malformed throws.
+     * @param {object[]} [speakers]
+     * @returns {object[]} A normalized copy.
+     * @throws {Error} If the roster is malformed.
+     */
+    validate(speakers) {
+        if (speakers === undefined || speakers === null) return [];
+        if (!Array.isArray(speakers) || speakers.length > this.MAX_SPEAKERS) {
+            throw new Error('Invalid speaker roster');
+        }
+        const isShortString = (value, max) => typeof value === 'string' && value.length <= max;
+        const roster = [];
+        speakers.forEach(speaker => {
+            if (typeof speaker !== 'object' || speaker === null ||
+                !isShortString(speaker.name, this.MAX_NAME_LENGTH) ||
+                !BubbleScriptCore.PARSER_CONFIG.ROSTER_ROLES.includes(speaker.role)) {
+                throw new Error('Invalid speaker in roster');
+            }
+            const name = speaker.name.trim();
+            if (!name) return;
+            const aliases = Array.isArray(speaker.aliases) ? speaker.aliases : [];
+            if (aliases.length > this.MAX_ALIASES || !aliases.every(alias => isShortString(alias, this.MAX_NAME_LENGTH))) {
+                throw new Error(`Invalid aliases for "${name}"`);
+            }
+            // SECURE: Colours end up in a CSS rule, so only plain hex values are accepted.
+            const color = typeof speaker.color === 'string' && /^#[0-9a-f]{6}$/i.test(speaker.color)
+                ? speaker.color.toLowerCase()
+                : '';
+            const avatar = typeof speaker.avatar === 'string' ? speaker.avatar.trim() : '';
+            roster.push({
+                name,
+                aliases: [...new Set(aliases.map(alias => alias.trim()).filter(alias => alias && alias !== name))],
+                role: speaker.role,
+                color,
+                avatar: Array.from(avatar).slice(0, this.MAX_AVATAR_LENGTH).join('')
+            });
+        });
+        return roster;
+    },
+
+    /**
+     * Replaces the active roster.
+     * @param {object[]} speakers
+     * @throws {Error} If the roster is malformed.
+     */
+    set(speakers) {
+        this.speakers = this.validate(speakers);
+    },
+
+    /**
+     * Reads the saved profiles. Unreadable profiles are skipped rather than
+     * blocking the rest.
+     * @returns {Object<string, object[]>} Rosters by profile name.
+     */
+    loadProfiles() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.PROFILES_KEY) || '{}');
+        } catch (e) {
+            console.warn('Could not read speaker profiles:', e);
+            return Object.create(null);
+        }
+        // No prototype, so a profile named "__proto__" is just a name.
+        const profiles = Object.create(null);
+        if (typeof stored !== 'object' || stored === null) return profiles;
+        Object.keys(stored).slice(0, this.MAX_PROFILES).forEach(name => {
+            try {
+                profiles[name] = this.validate(stored[name]);
+            } catch (e) {
+                console.warn(`Skipping unreadable speaker profile "${name}":`, e);
+            }
+        });
+        return profiles;
+    },
+
+    /**
+     * Saves a roster under a profile name, replacing any profile of that name.
+     * @param {string} name
+     * @param {object[]} speakers
+     */
+    saveProfile(name, speakers) {
+        const profiles = this.loadProfiles();
+        if (!(name in profiles) && Object.keys(profiles).length >= this.MAX_PROFILES) {
+            throw new Error(`You can keep up to ${this.MAX_PROFILES} profiles`);
+        }
+        profiles[name] = this.validate(speakers);
+        localStorage.setItem(this.PROFILES_KEY, JSON.stringify(profiles));
+    },
+
+    deleteProfile(name) {
+        const profiles = this.loadProfiles();
+        delete profiles[name];
+        localStorage.setItem(this.PROFILES_KEY, JSON.stringify(profiles));
+    }
+};
@@ -0,0 +1,145 @@
+/**
+ * Runs the editor headless: index.html and its scripts in jsdom, with marked
+ * and DOMPurify from node_modules standing in for the CDN copies and
+ * fake-indexeddb for the library, so tests drive the same code as the page.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const VENDOR = {
+    marked: require.resolve('marked/marked.min.js'),
+    purify: require.resolve('dompurify/dist/purify.min.js')
+};
+
+/**
+ * The script files index.html loads, in order, with CDN libraries mapped to local copies.
+ * @returns {string[]} Absolute paths.
+ */
+function pageScripts(html) {
+    return [...html.matchAll(/<script src="([^"]+)"/g)].map(([, src]) => {
+        const vendor = Object.keys(VENDOR).find(name => src.includes(name));
+        return vendor ? VENDOR[vendor] : path.join(ROOT, src);
+    });
+}
+
+/**
+ * Loads the editor and waits for init() to finish.
+ * @param {object} [options]
+ * @param {string} [options.search=''] - Query string for the page address, e.g. '?layout=sms'.
+ * @param {object} [options.localStorage] - Entries to store before the scripts run.
+ * @returns {Promise<object>} See createApp.
+ */
+function loadApp({ search = '', localStorage = {} } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    // The scripts are added by hand below, so jsdom doesn't try to fetch them.
+    const dom = new JSDOM(html.replace(/<script\b[^>]*><\/script>/g, ''), {
+        url: `https://shawny-p.github.io/bubblescript/${search}`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    const logs = [];
+    ['error', 'warn'].forEach(level => {
+        window.console[level] = (...args) => logs.push({ level, args });
+    });
+    // Missing from jsdom: navigation timing, IndexedDB and fetch.
+    window.performance.getEntriesByType = () => [];
+    window.indexedDB = new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+    window.fetch = () => Promise.reject(new Error('No network in tests'));
+    Object.entries(localStorage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    pageScripts(html).forEach(file => {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(file, 'utf8');
+        window.document.body.appendChild(script);
+    });
+    return new Promise(resolve => {
+        window.document.addEventListener('DOMContentLoaded', () => setTimeout(() => resolve(createApp(window, logs)), 0));
+    });
+}
+
+/**
+ * A loaded editor. The page's modules are top-level consts in its scripts,
+ * which aren't properties of the window, so `get` reads them by name.
+ */
+function createApp(window, logs) {
+    const document = window.document;
+    return {
+        window,
+        document,
+        logs,
+
+        get(name) {
+            return window.eval(name);
+        },
+
+        /**
+         * Replaces the textarea contents and renders them, as typing would once the debounce ran.
+         */
+        type(text, historyLabel = 'Typing') {
+            document.getElementById('inputBox').value = text;
+            this.get('handleInput')(false, historyLabel);
+        },
+
+        get input() {
+            return document.getElementById('inputBox').value;
+        },
+
+        get output() {
+            return document.getElementById('outputContent');
+        },
+
+        /**
+         * The editable body of each bubble, in order.
+         * @returns {HTMLElement[]}
+         */
+        bubbles() {
+            return Array.from(this.output.querySelectorAll('.markdown-body[contenteditable="true"]'));
+        },
+
+        /**
+         * Changes a bubble the way typing into it does, then moves focus away so
+         * the edit is written back.
+         * @param {HTMLElement} body - From bubbles().
+         * @param {function(HTMLElement): void} change - Edits the bubble's DOM.
+         */
+        editBubble(body, change) {
+            change(body);
+            body.dispatchEvent(new window.Event('input', { bubbles: true }));
+            body.dispatchEvent(new window.FocusEvent('blur'));
+        },
+
+        /**
+         * Messages the page logged with console.error, as text.
+         */
+        errors() {
+            return logs.filter(log => log.level === 'error').map(log => log.args.map(String).join(' '));
+        },
+
+        close() {
+            window.close();
+        }
+    };
+}
+
+/**
+ * The transcript corpus in test/fixtures: pasted text (.txt) and vendor
+ * exports (.json).
+ * @returns {{ name: string, json: boolean, text: string }[]}
+ */
+function readFixtures() {
+    return fs.readdirSync(FIXTURES).sort().map(file => ({
+        name: path.basename(file, path.extname(file)),
+        json: file.endsWith('.json'),
+        text: fs.readFileSync(path.join(FIXTURES, file), 'utf8')
+    }));
+}
+
+module.exports = { loadApp, readFixtures, ROOT };
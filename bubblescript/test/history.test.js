@@ -0,0 +1,160 @@
+/**
+ * UndoHistory under load: history.js runs against a stand-in for the editor
+ * it snapshots, and documents at the 5MB input limit must be evicted oldest
+ * first to stay within MEMORY_BUDGET, while long sessions stop at MAX_ENTRIES.
+ */
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// CONFIG.MAX_INPUT_SIZE in app.js: the largest document the editor takes.
+const MAX_INPUT_SIZE = 5 * 1024 * 1024;
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'history.js'), 'utf8');
+
+/**
+ * Runs history.js with just the editor globals it reads and writes. The
+ * views are plain objects, and rendering only counts its calls.
+ * @returns {object} The context, with UndoHistory on it.
+ */
+function loadHistory() {
+    const editor = vm.createContext({
+        elements: {
+            input: { value: '' },
+            title: { textContent: '' },
+            date: { value: '' },
+            source: { value: '' },
+            count: { textContent: '' },
+            output: { innerHTML: '' }
+        },
+        Transcript: { messages: [] },
+        State: { currentDraftId: null },
+        SpeakerRoster: { speakers: [] },
+        ParseCorrections: { continuations: [], format: 'auto', parser: null },
+        Renderer: { renders: 0, renderChat() { this.renders++; } },
+        Storage: { scheduleAutoSave() {} },
+        ChatSearch: { refresh() {} },
+        showToast() {},
+        toggleDeleteButtonVisibility() {},
+        updateFormatSelect() {}
+    });
+    vm.runInContext(`${SOURCE}\nthis.UndoHistory = UndoHistory;`, editor);
+    return editor;
+}
+
+const answers = new Map();
+
+/**
+ * A two-message document of exactly `size` characters, as the editor would
+ * hold it. The question differs from step to step; the reply doesn't.
+ */
+function largeDocument(step, size) {
+    const user = 'User: ';
+    const ai = '\n\nAssistant: ';
+    const half = Math.floor((size - user.length - ai.length) / 2);
+    const question = `Question ${step} `.padEnd(half, 'q');
+    if (!answers.has(size)) answers.set(size, 'a'.repeat(size - user.length - ai.length - half));
+    const answer = answers.get(size);
+    return {
+        text: `${user}${question}${ai}${answer}`,
+        messages: [
+            { id: 'm1', role: 'user', speaker: 'User', prefix: user, content: question, meta: {} },
+            { id: 'm2', role: 'ai', speaker: 'Assistant', prefix: 'Assistant: ', content: answer, meta: {} }
+        ]
+    };
+}
+
+/**
+ * Puts a document in the editor and records it, as an import would.
+ */
+function record(editor, doc, label = 'Import') {
+    editor.elements.input.value = doc.text;
+    editor.Transcript.messages = doc.messages;
+    editor.UndoHistory.record(label);
+}
+
+/**
+ * Checks that every entry's size is what estimateSize gives against the
+ * entry it now follows, and returns their total.
+ */
+function assertSizes(history) {
+    return history.entries.reduce((total, entry, i) => {
+        const previous = i > 0 ? history.entries[i - 1].state : null;
+        assert.equal(entry.size, history.estimateSize(entry.state, previous), `entry ${i}`);
+        return total + entry.size;
+    }, 0);
+}
+
+describe('UndoHistory', () => {
+    test('documents at the input limit are evicted oldest first to stay within MEMORY_BUDGET', () => {
+        const editor = loadHistory();
+        const history = editor.UndoHistory;
+        history.reset();
+        const documents = [];
+        for (let step = 0; step < 6; step++) {
+            documents.push(largeDocument(step, MAX_INPUT_SIZE));
+            record(editor, documents[step]);
+            assert.equal(documents[step].text.length, MAX_INPUT_SIZE);
+            assert.ok(assertSizes(history) <= history.MEMORY_BUDGET, `step ${step}`);
+            assert.equal(history.index, history.entries.length - 1);
+            assert.equal(history.entries[history.index].state.text, documents[step].text);
+        }
+        // Each step counts its text and the changed question, about 15MB, so three fit in 64MB.
+        const kept = Array.from(history.entries, entry => entry.state.text);
+        assert.equal(kept.length, 3);
+        assert.deepEqual(kept, documents.slice(-3).map(doc => doc.text));
+        // The new oldest entry no longer shares the reply with anything, so it pays for it again.
+        assert.ok(history.entries[0].size > history.entries[1].size);
+
+        let undone = 0;
+        while (history.undo()) undone++;
+        assert.equal(undone, 2);
+        assert.equal(editor.elements.input.value, documents[3].text);
+        assert.equal(editor.Transcript.messages[0].content, documents[3].messages[0].content);
+        assert.equal(editor.Renderer.renders, 2);
+        assert.ok(history.redo());
+        assert.equal(editor.elements.input.value, documents[4].text);
+    });
+
+    test('the current entry is kept even when it alone is over the budget', () => {
+        const editor = loadHistory();
+        const history = editor.UndoHistory;
+        history.MEMORY_BUDGET = 1024 * 1024;
+        history.reset();
+        record(editor, largeDocument(1, MAX_INPUT_SIZE));
+        record(editor, largeDocument(2, MAX_INPUT_SIZE));
+        assert.equal(history.entries.length, 1);
+        assert.ok(history.entries[0].size > history.MEMORY_BUDGET);
+        assert.equal(history.entries[0].state.text, largeDocument(2, MAX_INPUT_SIZE).text);
+        assert.equal(history.canUndo(), false);
+        assert.equal(history.undo(), false);
+    });
+
+    test('a long session keeps the last MAX_ENTRIES steps', () => {
+        const editor = loadHistory();
+        const history = editor.UndoHistory;
+        history.reset();
+        const steps = history.MAX_ENTRIES + 50;
+        for (let step = 1; step <= steps; step++) {
+            record(editor, largeDocument(step, 200), 'Edit');
+            assert.ok(history.entries.length <= history.MAX_ENTRIES);
+        }
+        assert.equal(history.entries.length, history.MAX_ENTRIES);
+        assert.equal(history.index, history.MAX_ENTRIES - 1);
+        assert.equal(history.entries[0].state.text, largeDocument(steps - history.MAX_ENTRIES + 1, 200).text);
+        assertSizes(history);
+
+        let undone = 0;
+        while (history.undo()) undone++;
+        assert.equal(undone, history.MAX_ENTRIES - 1);
+        assert.equal(editor.elements.input.value, history.entries[0].state.text);
+
+        // A new step after undoing drops the redo branch.
+        record(editor, largeDocument('branch', 200), 'Edit');
+        assert.equal(history.entries.length, 2);
+        assert.equal(history.canRedo(), false);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * The fixture corpus through the parsers and importers, against golden
+ * segments, and the edge cases of the generic "Speaker:" parser.
+ */
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert/strict');
+const Core = require('../core.js');
+const Parsers = require('../parsers.js');
+const { loadApp, readFixtures } = require('./harness');
+const { matchSnapshot } = require('./snapshot');
+
+const json = value => JSON.stringify(value, null, 2) + '\n';
+const speakers = segments => segments.map(seg => [seg.speaker, seg.type]);
+const contents = segments => segments.map(seg => seg.content.trim());
+
+describe('fixture segments', () => {
+    let app;
+    // Importers decode HTML with the browser's DOMParser, so exports go through the page.
+    before(async () => { app = await loadApp(); });
+    after(() => app.close());
+
+    readFixtures().forEach(fixture => {
+        test(fixture.name, () => {
+            const result = fixture.json
+                ? app.window.BubbleScriptCore.Importers.importJson(fixture.text)
+                : Parsers.analyze(fixture.text);
+            matchSnapshot(`${fixture.name}.segments.json`, json(result));
+        });
+    });
+
+    test('each vendor format is detected', () => {
+        const detected = Object.fromEntries(readFixtures()
+            .filter(fixture => !fixture.json)
+            .map(fixture => [fixture.name, Parsers.analyze(fixture.text).parser]));
+        assert.deepEqual(detected, {
+            'alternating': 'generic',
+            'chatgpt': 'chatgpt',
+            'claude': 'claude',
+            'copilot': 'copilot',
+            'discord': 'chatlog',
+            'gemini': 'gemini',
+            'grok-labels': 'generic',
+            'irc': 'irc',
+            'me-in-content': 'generic',
+            'unlabeled-first-line': 'generic',
+            'whatsapp': 'whatsapp',
+            'you-mid-sentence': 'generic'
+        });
+    });
+});
+
+describe('Parser.parseByLabels', () => {
+    test('a first line with no label goes to the other side of the first labeled message', () => {
+        const { segments, ambiguous } = Core.Parser.analyze('How do I sort a list?\n\nAssistant: Use sorted().');
+        assert.deepEqual(speakers(segments), [['User', 'user'], ['Assistant', 'ai']]);
+        assert.equal(segments[0].confidence, 0.4);
+        assert.deepEqual(ambiguous.map(entry => entry.index), [0]);
+
+        const reply = Core.Parser.parseSegments('Sure, here it is.\n\nUser: thanks');
+        assert.deepEqual(speakers(reply), [['Assistant', 'ai'], ['User', 'user']]);
+    });
+
+    test('"Me: " inside a line is content, and at the start of one opens a message', () => {
+        const segments = Core.Parser.parseSegments('User: hi\n\nAssistant: Write "it\'s Me: Sam" instead.\nMe: thanks\nsee you');
+        assert.deepEqual(speakers(segments), [['User', 'user'], ['Assistant', 'ai'], ['Me', 'user']]);
+        assert.deepEqual(contents(segments), ['hi', 'Write "it\'s Me: Sam" instead.', 'thanks\nsee you']);
+    });
+
+    test('a keyword starting a sentence stays in the message', () => {
+        const text = 'User: hi\n\nAssistant: Try sorted().\nYou could also sort in place.\nUsers often forget.\nAim for clarity.\nModels differ.';
+        const segments = Core.Parser.parseSegments(text);
+        assert.deepEqual(speakers(segments), [['User', 'user'], ['Assistant', 'ai']]);
+        assert.equal(contents(segments)[1], 'Try sorted().\nYou could also sort in place.\nUsers often forget.\nAim for clarity.\nModels differ.');
+    });
+
+    test('list items, quotes and table rows with a colon stay in the message', () => {
+        const answer = '- Pros: fast\n* Cons: memory\n1. Install: run npm\n2) Build: run make\n> Note: yes\n| Key: value |\n"Hey, it\'s Me: Sam"';
+        const segments = Core.Parser.parseSegments(`User: compare them\n\nAssistant: Here:\n${answer}`);
+        assert.deepEqual(speakers(segments), [['User', 'user'], ['Assistant', 'ai']]);
+        assert.equal(contents(segments)[1], `Here:\n${answer}`);
+    });
+
+    test('a keyword on a line of its own, in bold, as a heading or before "said" is a label', () => {
+        ['You\nhi\n\nChatGPT\nhello', '**You**\nhi\n\n**ChatGPT**\nhello', '## You\nhi\n\n## ChatGPT\nhello', 'You said\nhi\n\nChatGPT said:\nhello']
+            .forEach(text => {
+                const segments = Core.Parser.parseSegments(text);
+                assert.deepEqual(speakers(segments), [['You', 'user'], ['ChatGPT', 'ai']], text);
+                assert.deepEqual(contents(segments), ['hi', 'hello'], text);
+            });
+    });
+
+    test('"you" inside a label doesn\'t make it the user', () => {
+        const segments = Core.Parser.parseSegments('User: hi\n\nAssistant: Sign off politely.\nThank you: works as a closing line.');
+        const thanks = segments[2];
+        assert.equal(thanks.speaker, 'Thank you');
+        assert.equal(thanks.type, 'ai');
+        assert.ok(thanks.confidence < Core.AMBIGUOUS_BELOW, 'an unfamiliar one-off label is flagged for review');
+
+        assert.deepEqual(speakers(Core.Parser.parseSegments('You said: hi\n\nAssistant: hello')), [['You said', 'user'], ['Assistant', 'ai']]);
+        assert.deepEqual(speakers(Core.Parser.parseSegments('Me (Sam): hi\n\nAssistant: hello')), [['Me (Sam)', 'user'], ['Assistant', 'ai']]);
+    });
+
+    test('continuations keep a label-like line in the message', () => {
+        const text = 'User: Proofread this:\nNote: bring snacks\n\nAssistant: Looks fine.';
+        assert.deepEqual(speakers(Core.Parser.parseSegments(text)), [['User', 'user'], ['Note', 'ai'], ['Assistant', 'ai']]);
+        const segments = Core.Parser.parseSegments(text, { continuations: ['Note: bring snacks'] });
+        assert.deepEqual(contents(segments), ['Proofread this:\nNote: bring snacks', 'Looks fine.']);
+    });
+
+    test('roster names and aliases need a label marker', () => {
+        const roster = [{ name: 'Alice', aliases: ['Al'], role: 'user' }, { name: 'Helper', aliases: [], role: 'assistant' }];
+        const segments = Core.Parser.parseSegments('Al: hi\nAlice went home.\n\nHelper said hello back', { roster });
+        assert.deepEqual(speakers(segments), [['Alice', 'user'], ['Helper', 'ai']]);
+        assert.deepEqual(contents(segments), ['hi\nAlice went home.', 'hello back']);
+    });
+});
+
+describe('Parser.parseByAlternatingTurns', () => {
+    test('unlabeled paragraphs alternate between User and Assistant', () => {
+        const segments = Core.Parser.parseByAlternatingTurns('one\n\n\ntwo\n  \nthree');
+        assert.deepEqual(speakers(segments), [['User', 'user'], ['Assistant', 'ai'], ['User', 'user']]);
+        assert.deepEqual(segments.map(seg => seg.line), [1, 4, 6]);
+    });
+
+    test('a roster of two or more conversational speakers sets the turn order', () => {
+        const roster = [
+            { name: 'Narrator', role: 'system' },
+            { name: 'Ana', role: 'user' },
+            { name: 'Bot', role: 'assistant' },
+            { name: 'Cy', role: 'other' }
+        ];
+        const segments = Core.Parser.parseByAlternatingTurns('a\n\nb\n\nc\n\nd', roster);
+        assert.deepEqual(speakers(segments), [['Ana', 'user'], ['Bot', 'ai'], ['Cy', 'ai'], ['Ana', 'user']]);
+    });
+
+    test('a single paragraph has no turns', () => {
+        assert.deepEqual(Core.Parser.parseByAlternatingTurns('just one\nparagraph'), []);
+    });
+});
+
+describe('Parser.parseByHeuristicSplit', () => {
+    test('splits at blank lines with low confidence', () => {
+        const segments = Core.Parser.parseByHeuristicSplit('first\n\nsecond\nstill second');
+        assert.deepEqual(contents(segments), ['first', 'second\nstill second']);
+        assert.deepEqual(segments.map(seg => seg.confidence), [0.3, 0.3]);
+    });
+
+    test('a single paragraph is left alone', () => {
+        assert.deepEqual(Core.Parser.parseByHeuristicSplit('\n\nonly this\n\n'), []);
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Each fixture as the editor shows it: pasted text goes through the textarea
+ * and exports through the importer, and the preview's HTML is compared with
+ * its golden file.
+ */
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('assert/strict');
+const { loadApp, readFixtures } = require('./harness');
+const { matchSnapshot } = require('./snapshot');
+
+/**
+ * The preview's markup, one chat row per paragraph so snapshot diffs stay readable.
+ */
+function previewHtml(app) {
+    const rows = app.output.querySelectorAll('.chat-container > .chat-row');
+    const html = rows.length ? Array.from(rows, row => row.outerHTML).join('\n\n') : app.output.innerHTML;
+    return html + '\n';
+}
+
+describe('fixture previews', () => {
+    readFixtures().forEach(fixture => {
+        test(fixture.name, async () => {
+            // A fresh page per fixture, so message ids start from m1 each time.
+            const app = await loadApp();
+            try {
+                let html;
+                if (fixture.json) {
+                    const { conversations } = app.window.BubbleScriptCore.Importers.importJson(fixture.text);
+                    html = conversations.map((conv, i) => {
+                        app.get('loadImportedConversation')(conv);
+                        return `<!-- ${i + 1}: ${conv.title} -->\n${previewHtml(app)}`;
+                    }).join('\n');
+                } else {
+                    app.type(fixture.text, 'Import');
+                    // Rendering reads the model, never the other way round.
+                    assert.equal(app.input, fixture.text);
+                }
+                matchSnapshot(`${fixture.name}.html`, html || previewHtml(app));
+                assert.deepEqual(app.errors(), []);
+            } finally {
+                app.close();
+            }
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Property tests for editing in the preview: a bubble turned back into
+ * Markdown by convertBubbleHtmlToText must render as it did, an edit must
+ * land in its own message only, and the regenerated source must parse back
+ * into the same messages.
+ */
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fc = require('fast-check');
+const { loadApp } = require('./harness');
+
+// Plain words may start a line; the rest appear after one, where they can't read as a speaker label.
+const LEAD_WORDS = ['Alpha', 'beta', 'The', 'price', 'Naïve', 'café', 'résumé', 'x', '42', 'zoë'];
+const WORDS = [...LEAD_WORDS, 'you', 'me', 'User', 'Assistant', 'said', 'a_b', '50%', 'R&D', 'x*y', 'end.'];
+const MATH = ['$x^2$', '$\\frac{a}{b}$', '$5', '$10', '\\$3', 'US$', 'a $ b'];
+
+const word = fc.constantFrom(...WORDS);
+const inline = fc.oneof(
+    { weight: 4, arbitrary: word },
+    word.map(w => `**${w}**`),
+    word.map(w => `*${w}*`),
+    word.map(w => `~~${w}~~`),
+    fc.constantFrom('price', 'sum', 'x').map(w => `\`${w}\``),
+    fc.constantFrom('`$PATH`', '`a $b`'),
+    fc.constantFrom(...LEAD_WORDS).map(w => `[${w}](https://example.com/${encodeURIComponent(w)})`),
+    fc.constantFrom(...MATH)
+);
+const line = fc.tuple(fc.constantFrom(...LEAD_WORDS), fc.array(inline, { maxLength: 6 }))
+    .map(([lead, rest]) => [lead, ...rest].join(' '));
+const paragraph = fc.array(line, { minLength: 1, maxLength: 3 }).map(lines => lines.join('\n'));
+const block = fc.oneof(
+    { weight: 4, arbitrary: paragraph },
+    fc.array(line, { minLength: 1, maxLength: 3 }).map(items => items.map(item => `- ${item}`).join('\n')),
+    fc.array(line, { minLength: 1, maxLength: 3 }).map(items => items.map((item, i) => `${i + 1}. ${item}`).join('\n')),
+    line.map(text => `> ${text}`),
+    line.map(text => `## ${text}`),
+    fc.tuple(fc.constantFrom('js', 'python', ''), fc.array(line, { minLength: 1, maxLength: 3 }))
+        .map(([lang, code]) => `\`\`\`${lang}\n${code.join('\n')}\n\`\`\``),
+    fc.constantFrom('$$\nE = mc^2\n$$', '$$\n\\sum_{i=1}^{n} i = \\frac{n(n+1)}{2}\n$$'),
+    fc.tuple(line, line).map(([a, b]) => `| Name | Value |\n| --- | ---: |\n| ${a} | ${b} |`)
+);
+// Each message ends with a paragraph, which is where an edit appends its text.
+const message = fc.tuple(paragraph, fc.array(block, { maxLength: 3 }), paragraph)
+    .map(([first, middle, last]) => [first, ...middle, last].join('\n\n'));
+const conversation = fc.array(message, { minLength: 2, maxLength: 4 });
+
+// jsdom tracks DOMPurify's node iterators by WeakRef, and a WeakRef holds on until the
+// current job ends, so each run yields to let the documents it parsed be collected.
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const source = messages => messages.map((content, i) => `${i % 2 ? 'Assistant' : 'User'}: ${content}`).join('\n\n');
+
+describe('edit → convertBubbleHtmlToText → parse', () => {
+    let app;
+    let render;
+    before(async () => {
+        app = await loadApp();
+        render = app.window.BubbleScriptCore.renderMarkdown;
+    });
+    after(() => app.close());
+
+    const snapshot = () => app.get('Transcript').messages.map(msg => [msg.speaker, msg.role, msg.content]);
+
+    test('an untouched bubble converts back to Markdown that renders the same', async () => {
+        const convert = app.get('convertBubbleHtmlToText');
+        await fc.assert(fc.asyncProperty(conversation, async messages => {
+            app.type(source(messages));
+            const bubbles = app.bubbles();
+            assert.equal(bubbles.length, messages.length);
+            bubbles.forEach((body, i) => {
+                assert.equal(render(convert(body)), render(messages[i]));
+            });
+            await settle();
+        }));
+    });
+
+    test('an edit changes only its own message and survives re-parsing', async () => {
+        await fc.assert(fc.asyncProperty(conversation, fc.nat(), fc.constantFrom(...WORDS), async (messages, pick, added) => {
+            app.type(source(messages));
+            const target = pick % messages.length;
+            const body = app.bubbles()[target];
+            app.editBubble(body, el => el.lastElementChild.append(` ${added}`));
+
+            const edited = snapshot();
+            assert.equal(edited.length, messages.length);
+            edited.forEach(([, , content], i) => {
+                if (i === target) assert.equal(render(content), render(`${messages[i]} ${added}`));
+                else assert.equal(content, messages[i]);
+            });
+            // The textarea now holds the regenerated source; parsing it again changes nothing.
+            app.type(app.input);
+            assert.deepEqual(snapshot(), edited);
+            await settle();
+        }));
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * DOMPURIFY_CONFIG and addSanitizerHooks against hostile markup: as HTML and
+ * as Markdown run through renderMarkdown, as the page renders a paste, as an
+ * edited bubble is cleaned, and with the page's DOMPurify against Node's.
+ */
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert/strict');
+const { JSDOM } = require('jsdom');
+const createDOMPurify = require('dompurify');
+const { marked } = require('marked');
+const Core = require('../core.js');
+const { loadApp } = require('./harness');
+
+const PAYLOADS = {
+    'script tags': [
+        '<script>alert(1)</script>',
+        '<SCRIPT SRC=https://evil.example/x.js></SCRIPT>',
+        '<scr<script>ipt>alert(1)</script>',
+        '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+        '<iframe src="javascript:alert(1)"></iframe>',
+        '<object data="javascript:alert(1)"></object><embed src="javascript:alert(1)">',
+        '<base href="https://evil.example/"><meta http-equiv="refresh" content="0;url=javascript:alert(1)">'
+    ],
+    'event handlers': [
+        '<img src=x onerror=alert(1)>',
+        '<p onclick="alert(1)" onmouseover=alert(1)>x</p>',
+        '<a href="https://example.com" onfocus=alert(1) autofocus>x</a>',
+        '<input type="checkbox" onfocus=alert(1) autofocus>',
+        '<details open ontoggle=alert(1)>',
+        '<body onload=alert(1)>',
+        '<code class="language-js&quot; onmouseover=&quot;alert(1)">x</code>'
+    ],
+    'javascript: and data: URLs': [
+        '<a href="javascript:alert(1)">x</a>',
+        '<a href="JaVaScRiPt&#58;alert(1)">x</a>',
+        '<a href=" &#14; javascript:alert(1)">x</a>',
+        '<a href="java\tscript:alert(1)">x</a>',
+        '<a href="vbscript:msgbox(1)">x</a>',
+        '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+        '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+        '<img src=" data:text/html,x">',
+        '<img src="javascript:alert(1)" srcset="javascript:alert(1) 1x">',
+        '[x](javascript:alert(1))',
+        '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+        '![x](javascript:alert(1))',
+        '![x](data:image/svg+xml,%3Csvg%20onload%3Dalert(1)%3E)',
+        '[x]: javascript:alert(1)\n\n[link][x]',
+        '<javascript:alert(1)>'
+    ],
+    'svg smuggling': [
+        '<svg onload=alert(1)>',
+        '<svg><script>alert(1)</script></svg>',
+        '<svg><a xlink:href="javascript:alert(1)"><text x="0" y="20">x</text></a></svg>',
+        '<svg><foreignObject><img src=x onerror=alert(1)></foreignObject></svg>',
+        '<svg><animate attributeName="href" values="javascript:alert(1)"/></svg>',
+        '<svg><use href="data:image/svg+xml,<svg id=x onload=alert(1)>#x"/></svg>',
+        '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">'
+    ],
+    'MathML smuggling': [
+        '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+        '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+        '<math><maction actiontype="statusline" xlink:href="javascript:alert(1)">x</maction></math>',
+        '<math href="javascript:alert(1)"><mi>x</mi></math>',
+        '<math><mi mathvariant="bold" onclick="alert(1)" style="color:red">x</mi></math>',
+        '<math><annotation-xml encoding="text/html"><img src=x onerror=alert(1)></annotation-xml></math>',
+        '<math><semantics><mi>x</mi><annotation encoding="text/html"><svg onload=alert(1)></annotation></semantics></math>',
+        '<math><mi xlink:href="javascript:alert(1)">x</mi></math>'
+    ],
+    'class and style abuse': [
+        '<span class="tok-kw hidden fixed modal chat-row">x</span>',
+        '<p class="language-js">x</p>',
+        '<span style="position:fixed;inset:0;z-index:9999">x</span>',
+        '<style>body{display:none}</style>',
+        '<link rel="stylesheet" href="https://evil.example/x.css">',
+        '<div id="outputContent" name="inputBox" data-edited="true">x</div>',
+        '<input type="text" value="x"><input type="hidden"><button>Save</button>',
+        '<a href="https://example.com" target="_blank" rel="opener">x</a>',
+        '<ol start="1e9"><li>x</li></ol>',
+        '<table><tr><td align="javascript" width="100%">x</td></tr></table>',
+        '<img src="x.png" width="100%" height="99999">'
+    ]
+};
+
+const ALL_PAYLOADS = Object.values(PAYLOADS).flat();
+const UNSAFE_URL = /^\s*(?:javascript|vbscript|data):/i;
+const RASTER_DATA = /^data:image\/(?:png|gif|jpe?g|webp|avif|bmp)[;,]/i;
+
+/**
+ * Checks sanitized markup element by element against the policy, so the
+ * assertion holds for any payload rather than a list of expected strings.
+ * @param {Window} window - Used to parse the markup inertly.
+ * @param {string} html
+ */
+function assertWithinPolicy(window, html) {
+    const config = Core.DOMPURIFY_CONFIG;
+    const template = window.document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('*').forEach(el => {
+        const tag = el.localName;
+        assert.ok(config.ALLOWED_TAGS.includes(tag), `<${tag}> in ${html}`);
+        Array.from(el.attributes).forEach(({ name, value }) => {
+            assert.ok((config.ATTRIBUTES_BY_TAG[tag] || []).includes(name), `${name} on <${tag}> in ${html}`);
+            const pattern = config.ATTRIBUTE_VALUES[name];
+            if (pattern) assert.match(value, pattern, `${name}="${value}" in ${html}`);
+            if (name === 'href' || name === 'src') {
+                assert.ok(!UNSAFE_URL.test(value) || RASTER_DATA.test(value), `${name}="${value}" in ${html}`);
+            }
+            if (name === 'class') {
+                value.split(/\s+/).forEach(cls => assert.match(cls, config.CLASS_NAMES, `class ${cls} in ${html}`));
+            }
+        });
+        if (tag === 'input') {
+            assert.equal(el.getAttribute('type'), 'checkbox');
+            assert.ok(el.hasAttribute('disabled'), `an enabled box in ${html}`);
+        }
+    });
+}
+
+describe('DOMPURIFY_CONFIG', () => {
+    let window;
+    let sanitize;
+    let render;
+    before(() => {
+        // The globals renderMarkdown reads, set up as index.html loads them.
+        window = new JSDOM('').window;
+        globalThis.DOMPurify = createDOMPurify(window);
+        Core.addSanitizerHooks(globalThis.DOMPurify);
+        globalThis.marked = marked;
+        Core.configureMarked(marked);
+        sanitize = html => globalThis.DOMPurify.sanitize(html, Core.DOMPURIFY_CONFIG);
+        render = Core.renderMarkdown;
+    });
+
+    Object.entries(PAYLOADS).forEach(([kind, payloads]) => {
+        test(`${kind} are stripped, as HTML and as Markdown`, () => {
+            payloads.forEach(payload => {
+                assertWithinPolicy(window, sanitize(payload));
+                assertWithinPolicy(window, render(payload));
+            });
+        });
+    });
+
+    test('what survives is the harmless part', () => {
+        assert.equal(sanitize('<img src=x onerror=alert(1)>'), '<img src="x">');
+        assert.equal(sanitize('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+        assert.equal(render('[x](javascript:alert(1))'), '<p><a>x</a></p>\n');
+        assert.equal(sanitize('<span class="tok-kw hidden fixed modal">x</span>'), '<span class="tok-kw">x</span>');
+        assert.equal(sanitize('<math><mi mathvariant="bold" onclick="alert(1)">x</mi></math>'), '<math><mi mathvariant="bold">x</mi></math>');
+        assert.equal(sanitize('<input type="checkbox" checked onfocus=alert(1)>'), '<input checked="" type="checkbox" disabled="">');
+        assert.equal(sanitize('<img src="data:image/png;base64,iVBORw0KGgo=">'), '<img src="data:image/png;base64,iVBORw0KGgo=">');
+        assert.equal(sanitize('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '<img>');
+    });
+
+    test('markup the renderer produces passes unchanged', () => {
+        [
+            '$x^2 + \\frac{a}{b}$',
+            '$$\n\\sqrt{2}\n$$',
+            '```js\nconst a = 1; // note\n```',
+            '- [x] done\n- [ ] todo',
+            '| a | b |\n| :- | -: |\n| 1 | 2 |',
+            '3. third\n4. fourth',
+            '[site](https://example.com "Title") ![logo](logo.png)'
+        ].forEach(markdown => {
+            // DOMPurify writes kept attributes back in reverse, so two passes give the input back.
+            const html = render(markdown);
+            assert.equal(sanitize(sanitize(html)), html, markdown);
+        });
+        assert.match(render('$x^2$'), /<math><semantics><mrow><msup><mi>x<\/mi>/);
+        assert.match(render('```js\nconst a = 1;\n```'), /<span class="tok-[a-z]+">const<\/span>/);
+    });
+
+    test('the hooks leave other configurations on the shared instance alone', () => {
+        const html = '<div id="note" class="card" style="color:red">x</div>';
+        const { sanitize: purify } = globalThis.DOMPurify;
+        assert.equal(purify(purify(html)), html);
+    });
+});
+
+describe('DOMPURIFY_CONFIG in the page', () => {
+    let app;
+    before(async () => {
+        app = await loadApp();
+    });
+    after(() => app.close());
+
+    test('pasted into the editor, no payload runs or reaches the preview', () => {
+        const alerts = [];
+        app.window.alert = (...args) => alerts.push(args);
+        ALL_PAYLOADS.forEach(payload => {
+            app.type(`User: look\n\nAssistant: ${payload}`);
+            app.output.querySelectorAll('.markdown-body').forEach(body => assertWithinPolicy(app.window, body.innerHTML));
+        });
+        assert.deepEqual(alerts, []);
+    });
+});
+
+describe('editing a bubble', () => {
+    let app;
+    before(async () => {
+        app = await loadApp();
+        // The payloads go straight into the live bubble, as a drop would put them, so a
+        // handler may fire before the page cleans up; that isn't the page running it.
+        app.window.alert = () => {};
+    });
+    after(() => app.close());
+
+    // A fresh reply bubble for each check, so one test's leftovers don't carry into the next.
+    const reply = () => {
+        app.type('');
+        app.type('User: hi\n\nAssistant: hello');
+        app.document.getElementById('toast').innerText = '';
+        return app.bubbles()[1];
+    };
+
+    test('hostile markup typed or dropped into a bubble is removed on input', () => {
+        // jsdom runs a frame's javascript: address in the frame's own window the moment it is
+        // attached; frames are covered by the rendering tests above.
+        ALL_PAYLOADS.filter(payload => !payload.startsWith('<iframe')).forEach(payload => {
+            const body = reply();
+            body.innerHTML = `<p>hello</p>${payload}`;
+            body.dispatchEvent(new app.window.Event('input', { bubbles: true }));
+            assertWithinPolicy(app.window, body.innerHTML);
+            assert.equal(body.dataset.edited, 'true');
+        });
+    });
+
+    test('a clean edit is left as typed, and a dirty one is reported', () => {
+        const body = reply();
+        const toast = app.document.getElementById('toast');
+        body.firstElementChild.append(' there');
+        const typed = body.innerHTML;
+        body.dispatchEvent(new app.window.Event('input', { bubbles: true }));
+        assert.equal(body.innerHTML, typed);
+        assert.equal(toast.innerText, '');
+
+        body.insertAdjacentHTML('beforeend', '<img src=x onerror=alert(1)>');
+        body.dispatchEvent(new app.window.Event('input', { bubbles: true }));
+        assert.doesNotMatch(body.innerHTML, /onerror/);
+        assert.equal(toast.innerText, 'Potentially dangerous content was removed');
+    });
+
+    test('an edit written back to the source carries no markup', () => {
+        app.editBubble(reply(), el => {
+            el.lastElementChild.insertAdjacentHTML('beforeend', ' <a href="javascript:alert(1)">link</a><svg onload=alert(1)></svg>');
+        });
+        const content = app.get('Transcript').messages[1].content;
+        assert.doesNotMatch(content, /javascript:|onload|<svg/i);
+        assert.match(content, /link/);
+    });
+});
+
+describe('DOMPURIFY_CONFIG in Node', () => {
+    test('a Node DOMPurify with the same hooks gives the page\'s results', async () => {
+        const cli = createDOMPurify(new JSDOM('').window);
+        Core.addSanitizerHooks(cli);
+        const app = await loadApp();
+        try {
+            ALL_PAYLOADS.forEach(payload => {
+                const out = cli.sanitize(payload, Core.DOMPURIFY_CONFIG);
+                assertWithinPolicy(app.window, out);
+                assert.equal(out, app.window.DOMPurify.sanitize(payload, app.get('DOMPURIFY_CONFIG')), payload);
+            });
+        } finally {
+            app.close();
+        }
+    });
+});
@@ -0,0 +1,31 @@
+/**
+ * Golden files: test/snapshots/<name> holds the expected output, committed
+ * with the code. Run "npm run test:update" to rewrite them after an intended
+ * change, and review the diff like any other.
+ */
+'use strict';
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const DIR = path.join(__dirname, 'snapshots');
+const UPDATE = !!process.env.UPDATE_SNAPSHOTS;
+
+/**
+ * Compares text with its snapshot, or writes the snapshot when updating.
+ * @param {string} name - File name under test/snapshots.
+ * @param {string} actual
+ */
+function matchSnapshot(name, actual) {
+    const file = path.join(DIR, name);
+    if (UPDATE) {
+        fs.mkdirSync(DIR, { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+    assert.ok(fs.existsSync(file), `No snapshot ${name}; run "npm run test:update" to write it`);
+    assert.equal(actual, fs.readFileSync(file, 'utf8'), `${name} differs from its snapshot; run "npm run test:update" if the change is intended`);
+}
+
+module.exports = { matchSnapshot };
@@ -0,0 +1,127 @@
+/**
+ * Storage.validateDraft and Storage.load: what a draft read back from the
+ * library must look like before it reaches the editor.
+ */
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert/strict');
+const { loadApp } = require('./harness');
+
+const draft = (fields = {}) => ({
+    input: 'User: hi\n\nAssistant: hello',
+    title: 'Greeting',
+    date: 'June 1, 2024',
+    source: 'ChatGPT',
+    messages: [
+        { id: 'm1', role: 'user', kind: 'message', speaker: 'User', content: 'hi', prefix: 'User: ' },
+        { id: 'm2', role: 'ai', kind: 'message', speaker: 'Assistant', content: 'hello', prefix: 'Assistant: ', meta: { model: 'gpt-4o' } }
+    ],
+    ...fields
+});
+
+describe('Storage.validateDraft', () => {
+    let app;
+    let Storage;
+    before(async () => {
+        app = await loadApp();
+        Storage = app.get('Storage');
+    });
+    after(() => app.close());
+
+    test('accepts a well-formed draft and turns its messages back into segments', () => {
+        const data = Storage.validateDraft(draft({ timestamp: 1717200000000 }));
+        assert.equal(data.input, 'User: hi\n\nAssistant: hello');
+        assert.equal(data.timestamp, 1717200000000);
+        assert.equal(data.format, 'auto');
+        assert.deepEqual(JSON.parse(JSON.stringify(data.messages)), [
+            { type: 'user', kind: 'message', speaker: 'User', content: 'hi', originalPrefix: 'User: ' },
+            { type: 'ai', kind: 'message', speaker: 'Assistant', content: 'hello', originalPrefix: 'Assistant: ', model: 'gpt-4o' }
+        ]);
+    });
+
+    test('a draft from before the message model has no messages', () => {
+        assert.equal(Storage.validateDraft(draft({ messages: undefined })).messages, null);
+    });
+
+    test('rejects anything but an object with string fields', () => {
+        [null, 'text', 42, [], {}].forEach(value => {
+            assert.throws(() => Storage.validateDraft(value), /Invalid data/, JSON.stringify(value));
+        });
+        ['input', 'title', 'date', 'source'].forEach(field => {
+            assert.throws(() => Storage.validateDraft(draft({ [field]: 7 })), /Invalid data structure/, field);
+        });
+    });
+
+    test('enforces the size limits, at the boundary', () => {
+        const limit = Storage.MAX_INPUT_SIZE;
+        assert.doesNotThrow(() => Storage.validateDraft(draft({ input: 'x'.repeat(limit), messages: undefined })));
+        assert.throws(() => Storage.validateDraft(draft({ input: 'x'.repeat(limit + 1) })), /Input data too large/);
+        assert.throws(() => Storage.validateDraft(draft({ title: 't'.repeat(Storage.MAX_TITLE_SIZE + 1) })), /Title too large/);
+        assert.throws(() => Storage.validateDraft(draft({ source: 's'.repeat(Storage.MAX_FIELD_SIZE + 1) })), /Field data too large/);
+        assert.throws(() => Storage.validateDraft(draft({ date: 'd'.repeat(Storage.MAX_FIELD_SIZE + 1) })), /Field data too large/);
+    });
+
+    test('strips markup from the title, date and source', () => {
+        const data = Storage.validateDraft(draft({
+            title: '<img src=x onerror=alert(1)>Plan <b>B</b>',
+            date: '<script>alert(1)</script>May 2',
+            source: ' <a href="javascript:alert(1)">Claude</a> '
+        }));
+        assert.equal(data.title, 'Plan B');
+        assert.equal(data.date, 'May 2');
+        assert.equal(data.source, 'Claude');
+    });
+
+    test('rejects malformed messages', () => {
+        const message = fields => draft({ messages: [{ role: 'user', speaker: 'User', content: 'hi', ...fields }] });
+        [
+            { role: 'admin' },
+            { kind: 'script' },
+            { speaker: 42 },
+            { speaker: 'S'.repeat(Storage.MAX_FIELD_SIZE + 1) },
+            { content: null },
+            { prefix: 'P'.repeat(Storage.MAX_FIELD_SIZE + 1) }
+        ].forEach(fields => {
+            assert.throws(() => Storage.validateDraft(message(fields)), /Invalid message structure/, JSON.stringify(fields).slice(0, 40));
+        });
+        assert.throws(() => Storage.validateDraft(draft({ messages: 'User: hi' })), /Invalid message list/);
+        assert.throws(() => Storage.validateDraft(draft({ messages: [null] })), /Invalid message structure/);
+    });
+
+    test('drops message metadata of the wrong type instead of failing', () => {
+        const data = Storage.validateDraft(draft({
+            messages: [{ role: 'ai', speaker: 'Claude', content: 'hi', meta: { model: { name: 'x' }, timestamp: 5 } }]
+        }));
+        assert.equal(data.messages[0].model, undefined);
+        assert.equal(data.messages[0].timestamp, undefined);
+        assert.equal(data.messages[0].kind, 'message');
+    });
+});
+
+describe('Storage.load', () => {
+    let app;
+    before(async () => { app = await loadApp(); });
+    after(() => app.close());
+
+    test('opens a saved draft with its messages', async () => {
+        const id = await app.get('Library').put(draft());
+        await app.get('Storage').load(id);
+        assert.equal(app.input, 'User: hi\n\nAssistant: hello');
+        assert.equal(app.document.getElementById('docTitle').textContent, 'Greeting');
+        assert.deepEqual(app.get('Transcript').messages.map(msg => [msg.speaker, msg.content, msg.meta.model || null]),
+            [['User', 'hi', null], ['Assistant', 'hello', 'gpt-4o']]);
+        assert.equal(app.get('State').currentDraftId, id);
+    });
+
+    test('leaves the editor alone when a stored draft is invalid', async () => {
+        app.type('User: keep me\n\nAssistant: ok');
+        const openDraft = app.get('State').currentDraftId;
+        const id = await app.get('Library').put(draft({ messages: [{ role: 'root', speaker: 'X', content: 'y' }] }));
+        await app.get('Storage').load(id);
+        assert.equal(app.input, 'User: keep me\n\nAssistant: ok');
+        assert.equal(app.get('State').currentDraftId, openDraft);
+        assert.match(app.document.getElementById('toast').innerText, /Failed to load draft: Invalid message structure/);
+        assert.ok(app.errors().some(error => error.startsWith('Failed to load draft:')));
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * Custom themes: the schema for user-made themes, their JSON file format and
+ * the CSS rules that apply them.
+ *
+ * A theme is only ever a set of hex colours, a font picked from FONTS, a
+ * corner radius and a spacing preset. The CSS is built from those validated
+ * values alone, and the class it applies to is derived from a generated id,
+ * so neither a stored theme nor a shared file can inject CSS.
+ *
+ * Theme shape:
+ *   { id, name, colors: { background, sheet, text, header, accent, border,
+ *     userBubble, userText, aiBubble, aiText }, font, radius, spacing }
+ * The file format is the same without `id`, plus `format` and `version`.
+ */
+(function (root) {
+'use strict';
+
+const FORMAT = 'bubblescript-theme';
+const VERSION = 1;
+
+const COLOR_FIELDS = [
+    { key: 'background', label: 'Background' },
+    { key: 'sheet', label: 'Sheet' },
+    { key: 'text', label: 'Sheet text' },
+    { key: 'header', label: 'Header bar' },
+    { key: 'accent', label: 'Buttons and links' },
+    { key: 'border', label: 'Borders' },
+    { key: 'userBubble', label: 'User bubbles' },
+    { key: 'userText', label: 'User text' },
+    { key: 'aiBubble', label: 'AI bubbles' },
+    { key: 'aiText', label: 'AI text' }
+];
+
+const FONTS = {
+    system: { label: 'System', stack: '-apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif' },
+    serif: { label: 'Serif', stack: 'Georgia, Cambria, "Times New Roman", serif' },
+    rounded: { label: 'Rounded', stack: 'ui-rounded, "SF Pro Rounded", "Nunito", "Segoe UI", sans-serif' },
+    mono: { label: 'Monospace', stack: 'ui-monospace, Menlo, Monaco, "Courier New", monospace' }
+};
+
+// Gap between messages and padding inside bubbles, in pixels.
+const SPACING = {
+    compact: { label: 'Compact', gap: 8, padding: '8px 14px' },
+    normal: { label: 'Normal', gap: 16, padding: '12px 18px' },
+    roomy: { label: 'Roomy', gap: 24, padding: '16px 22px' }
+};
+
+const MAX_RADIUS = 30;
+const MAX_NAME_LENGTH = 50;
+const ID_PATTERN = /^[a-z0-9]{8}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// The light theme's look, as a starting point.
+const DEFAULTS = {
+    name: 'My Theme',
+    colors: {
+        background: '#e5e7eb',
+        sheet: '#ffffff',
+        text: '#111827',
+        header: '#111827',
+        accent: '#2563eb',
+        border: '#e5e7eb',
+        userBubble: '#2563eb',
+        userText: '#ffffff',
+        aiBubble: '#f3f4f6',
+        aiText: '#1f2937'
+    },
+    font: 'system',
+    radius: 18,
+    spacing: 'normal'
+};
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @throws {Error} If `object` has keys outside `allowed`.
+ */
+function checkKeys(object, allowed, what) {
+    const extra = Object.keys(object).find(key => !allowed.includes(key));
+    if (extra !== undefined) throw new Error(`Unknown ${what} "${String(extra).slice(0, 40)}"`);
+}
+
+/**
+ * Darkens a hex colour, for the accent's hover state.
+ */
+function darken(hex, amount) {
+    const value = parseInt(hex.slice(1), 16);
+    const channel = shift => Math.round(((value >> shift) & 255) * (1 - amount));
+    return '#' + [16, 8, 0].map(shift => channel(shift).toString(16).padStart(2, '0')).join('');
+}
+
+const CustomThemes = {
+    FORMAT,
+    VERSION,
+    COLOR_FIELDS,
+    FONTS,
+    SPACING,
+    MAX_RADIUS,
+    MAX_NAME_LENGTH,
+    DEFAULTS,
+
+    /**
+     * A fresh id for a new or imported theme.
+     * @returns {string}
+     */
+    createId() {
+        return Array.from({ length: 8 }, () => Math.floor(Math.random() * 36).toString(36)).join('');
+    },
+
+    /**
+     * The theme key used by setTheme, the body class and the cycle order.
+     * @param {string} id
+     * @returns {string} e.g. "custom-k3v9q0az", whose body class is "theme-custom-k3v9q0az".
+     */
+    key(id) {
+        return `custom-${id}`;
+    },
+
+    /**
+     * Checks a theme against the schema. Every field is required and nothing
+     * else is allowed.
+     * @param {object} theme
+     * @param {object} [options]
+     * @param {boolean} [options.withId=true] - Whether the theme carries an id (stored) or not (from a file).
+     * @returns {object} A normalized copy, with colours in lower case.
+     * @throws {Error} Naming the first field that doesn't fit.
+     */
+    validate(theme, { withId = true } = {}) {
+        if (!isPlainObject(theme)) throw new Error('A theme must be an object');
+        const fields = ['name', 'colors', 'font', 'radius', 'spacing'];
+        checkKeys(theme, withId ? ['id', ...fields] : fields, 'theme field');
+        if (withId && (typeof theme.id !== 'string' || !ID_PATTERN.test(theme.id))) throw new Error('Invalid theme id');
+
+        if (typeof theme.name !== 'string') throw new Error('The theme needs a name');
+        const name = theme.name.replace(/\s+/g, ' ').trim();
+        if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`Give the theme a name of 1 to ${MAX_NAME_LENGTH} characters`);
+
+        if (!isPlainObject(theme.colors)) throw new Error('Missing theme colours');
+        checkKeys(theme.colors, COLOR_FIELDS.map(field => field.key), 'colour');
+        const colors = {};
+        COLOR_FIELDS.forEach(({ key, label }) => {
+            // SECURE: Colours end up in CSS rules, so only plain hex values are accepted.
+            if (typeof theme.colors[key] !== 'string' || !COLOR_PATTERN.test(theme.colors[key])) {
+                throw new Error(`${label} must be a colour like #1a2b3c`);
+            }
+            colors[key] = theme.colors[key].toLowerCase();
+        });
+
+        if (!Object.prototype.hasOwnProperty.call(FONTS, theme.font)) {
+            throw new Error(`Font must be one of: ${Object.keys(FONTS).join(', ')}`);
+        }
+        if (!Number.isInteger(theme.radius) || theme.radius < 0 || theme.radius > MAX_RADIUS) {
+            throw new Error(`Corner radius must be a whole number from 0 to ${MAX_RADIUS}`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(SPACING, theme.spacing)) {
+            throw new Error(`Spacing must be one of: ${Object.keys(SPACING).join(', ')}`);
+        }
+
+        const normalized = { name, colors, font: theme.font, radius: theme.radius, spacing: theme.spacing };
+        return withId ? { id: theme.id, ...normalized } : normalized;
+    },
+
+    /**
+     * Serializes a theme for sharing.
+     * @param {object} theme
+     * @returns {string}
+     */
+    toFile(theme) {
+        const { id, ...fields } = this.validate(theme);
+        return JSON.stringify({ format: FORMAT, version: VERSION, ...fields }, null, 2);
+    },
+
+    /**
+     * Reads a shared theme file.
+     * @param {string} jsonText
+     * @returns {object} A theme with a new id.
+     * @throws {Error} If the file is malformed or doesn't match the schema.
+     */
+    fromFile(jsonText) {
+        let data;
+        try {
+            data = JSON.parse(jsonText);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+        if (!isPlainObject(data) || data.format !== FORMAT) throw new Error('Not a BubbleScript theme file');
+        if (data.version !== VERSION) throw new Error(`Unsupported theme version ${String(data.version).slice(0, 20)}`);
+        const { format, version, ...fields } = data;
+        return { id: this.createId(), ...this.validate(fields, { withId: false }) };
+    },
+
+    /**
+     * The colours auditContrast checks, as the theme's rules draw them.
+     * @param {object} theme - A validated theme.
+     * @returns {object}
+     */
+    contrastColors({ colors }) {
+        return {
+            userBubble: colors.userBubble,
+            userText: colors.userText,
+            userLink: colors.userText,
+            aiBubble: colors.aiBubble,
+            aiText: colors.aiText,
+            sheet: colors.sheet,
+            title: colors.text,
+            muted: colors.text
+        };
+    },
+
+    /**
+     * The CSS for a theme, scoped to its body class.
+     * @param {object} theme - A validated theme.
+     * @param {string} className - The body class, e.g. "theme-custom-k3v9q0az".
+     * @returns {string[][]} [selector, declarations] pairs; each selector
+     *   starts with the class name, without its dot.
+     */
+    rules(theme, className) {
+        const { colors, radius } = theme;
+        const spacing = SPACING[theme.spacing];
+        return [
+            [className, `--bg-color: ${colors.background}; --header-bg: ${colors.header}; --border-color: ${colors.border}; ` +
+                `--primary-color: ${colors.accent}; --primary-hover: ${darken(colors.accent, 0.2)}; --text-muted: ${colors.text}; ` +
+                `--bubble-user-bg: ${colors.userBubble}; --bubble-user-text: ${colors.userText}; ` +
+                `--bubble-ai-bg: ${colors.aiBubble}; --bubble-ai-text: ${colors.aiText};`],
+            [`${className} .preview-pane`, `background-color: ${colors.background};`],
+            [`${className} #document-sheet`, `background-color: ${colors.sheet}; color: ${colors.text}; font-family: ${FONTS[theme.font].stack};`],
+            [`${className} .doc-title`, `color: ${colors.text};`],
+            [`${className} .chat-container`, `gap: ${spacing.gap}px;`],
+            [`${className} .chat-bubble`, `border-radius: ${radius}px; padding: ${spacing.padding};`],
+            // The tail corner stays small, but never rounder than the rest.
+            [`${className} .chat-row.user .chat-bubble`, `border-bottom-right-radius: ${Math.min(radius, 4)}px;`],
+            [`${className} .chat-row.ai .chat-bubble`, `border-bottom-left-radius: ${Math.min(radius, 4)}px; border-color: ${colors.border};`]
+        ];
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomThemes;
+} else {
+    root.BubbleScriptCore.CustomThemes = CustomThemes;
+}
+})(typeof window !== 'undefined' ? window : globalThis);
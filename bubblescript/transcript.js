@@ -0,0 +1,217 @@
+// === TRANSCRIPT MODEL ===
+
+/**
+ * The canonical in-memory document: an ordered list of messages with stable ids.
+ *
+ * The textarea and the preview are both views over this model. Typing in the
+ * textarea re-parses the text and reconciles it into the model, keeping ids for
+ * messages that survived; edits and deletions in the preview go through the
+ * model by id and the textarea is regenerated from it with `toText()`.
+ *
+ * Message shape:
+ *   { id, speaker, role: 'user' | 'ai', kind, content, prefix, meta: { timestamp?, model? } }
+ * `kind` is 'message' for conversation, or 'system', 'tool_call', 'tool_result'
+ * or 'reasoning' (see BubbleScriptCore.MESSAGE_KINDS).
+ * `prefix` is the speaker label exactly as it appeared in the source text (e.g.
+ * "**User**" or "Claude said"), so regenerated text keeps the user's formatting.
+ */
+const Transcript = {
+    messages: [],
+    nextId: 1,
+
+    createId() {
+        return `m${this.nextId++}`;
+    },
+
+    /**
+     * Builds a message from a parsed or imported segment.
+     */
+    createMessage(seg, id = this.createId()) {
+        const meta = {};
+        if (seg.timestamp) meta.timestamp = seg.timestamp;
+        if (seg.model) meta.model = seg.model;
+        return {
+            id,
+            speaker: seg.speaker,
+            role: seg.type === 'user' ? 'user' : 'ai',
+            kind: BubbleScriptCore.MESSAGE_KINDS.includes(seg.kind) ? seg.kind : 'message',
+            content: seg.content.trim(),
+            prefix: seg.originalPrefix || '',
+            meta
+        };
+    },
+
+    /**
+     * Replaces the model with the given segments, e.g. after an import or load.
+     * @param {object[]} segments - Segments ({ type, speaker, content, ... }).
+     */
+    load(segments) {
+        this.messages = segments
+            .filter(seg => seg.content && seg.content.trim())
+            .map(seg => this.createMessage(seg));
+    },
+
+    /**
+     * Reconciles freshly parsed segments into the model, reusing ids.
+     * A segment keeps the id of an unused message with the same speaker and
+     * content (moved or untouched), otherwise of the message at the same
+     * position with the same speaker (edited in place). Anything else is new.
+     * @param {object[]} segments - Output of Parsers.parseSegments.
+     */
+    syncFromSegments(segments) {
+        const previous = this.messages;
+        const used = new Set();
+        const byKey = new Map();
+        previous.forEach(msg => {
+            const key = `${msg.speaker}\u0000${msg.content}`;
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(msg);
+        });
+
+        const matched = segments.map(seg => {
+            const queue = byKey.get(`${seg.speaker}\u0000${seg.content.trim()}`);
+            const match = queue && queue.find(msg => !used.has(msg.id));
+            if (match) used.add(match.id);
+            return match || null;
+        });
+
+        this.messages = segments.map((seg, index) => {
+            let prior = matched[index];
+            if (!prior) {
+                const candidate = previous[index];
+                if (candidate && !used.has(candidate.id) && candidate.speaker === seg.speaker) {
+                    prior = candidate;
+                    used.add(candidate.id);
+                }
+            }
+            const msg = this.createMessage(seg, prior ? prior.id : undefined);
+            if (prior) msg.meta = { ...prior.meta, ...msg.meta };
+            return msg;
+        });
+    },
+
+    get(id) {
+        return this.messages.find(msg => msg.id === id) || null;
+    },
+
+    /**
+     * Updates a message's content. Emptying a message removes it.
+     * @returns {boolean} Whether the model changed.
+     */
+    update(id, content) {
+        const msg = this.get(id);
+        if (!msg) return false;
+        const trimmed = content.trim();
+        if (!trimmed) return this.remove([id]) > 0;
+        if (msg.content === trimmed) return false;
+        msg.content = trimmed;
+        return true;
+    },
+
+    /**
+     * Removes messages by id.
+     * @param {Iterable<string>} ids
+     * @returns {number} How many messages were removed.
+     */
+    remove(ids) {
+        const toRemove = new Set(ids);
+        const before = this.messages.length;
+        this.messages = this.messages.filter(msg => !toRemove.has(msg.id));
+        return before - this.messages.length;
+    },
+
+    clear() {
+        this.messages = [];
+    },
+
+    /**
+     * Splits a message in two; the second half becomes a new message by the
+     * same speaker, right after it.
+     * @param {string} id
+     * @param {string} before - Content kept in the message.
+     * @param {string} after - Content of the new message.
+     * @returns {object|null} The new message, or null if either half is empty.
+     */
+    split(id, before, after) {
+        const index = this.messages.findIndex(msg => msg.id === id);
+        if (index === -1 || !before.trim() || !after.trim()) return null;
+        const msg = this.messages[index];
+        msg.content = before.trim();
+        const next = this.createMessage({ type: msg.role, kind: msg.kind, speaker: msg.speaker, content: after });
+        this.messages.splice(index + 1, 0, next);
+        return next;
+    },
+
+    /**
+     * Merges a message into the one before it. When the second message started
+     * at another speaker's label in the text, that label was probably content
+     * misread as a speaker, so it goes back into the merged content.
+     * @param {string} id - The later of the two messages.
+     * @returns {string|null} The restored label line (for the parser to keep as
+     *   content from now on), '' if there was none, or null if nothing was merged.
+     */
+    mergeWithPrevious(id) {
+        const index = this.messages.findIndex(msg => msg.id === id);
+        if (index < 1) return null;
+        const first = this.messages[index - 1];
+        const second = this.messages[index];
+        const restoreLabel = second.prefix && second.speaker !== first.speaker;
+        const text = restoreLabel ? this.messageText(second) : second.content;
+        first.content = `${first.content}\n\n${text}`;
+        this.messages.splice(index, 1);
+        return restoreLabel ? text.split('\n')[0].trim() : '';
+    },
+
+    /**
+     * Gives a message to another speaker. Its label is regenerated from the
+     * new name the next time the text is written out.
+     * @returns {boolean} Whether the model changed.
+     */
+    reassign(id, speaker) {
+        const msg = this.get(id);
+        if (!msg || !speaker || msg.speaker === speaker) return false;
+        msg.speaker = speaker;
+        msg.prefix = '';
+        return true;
+    },
+
+    /**
+     * The label written before a message when regenerating text. Unlabeled
+     * messages (from the alternating-turn or heuristic parsers) get an explicit
+     * "Speaker: " label so the next parse sees the same boundaries and speakers.
+     */
+    labelFor(msg) {
+        return msg.prefix ? msg.prefix : `${msg.speaker}: `;
+    },
+
+    /**
+     * Serializes the model to the textarea's "Speaker: content" format.
+     * @returns {string}
+     */
+    toText() {
+        return this.messages.map(msg => this.messageText(msg)).join('\n\n');
+    },
+
+    /**
+     * One message as it appears in the text: its label, then its content.
+     */
+    messageText(msg) {
+        const label = this.labelFor(msg);
+        // Keep a space between a bare label and the content so the parser recognizes it.
+        return /\s$/.test(label) ? label + msg.content : `${label} ${msg.content}`;
+    },
+
+    /**
+     * Plain segment view of the model for modules that work with parser output.
+     * @returns {object[]}
+     */
+    toSegments() {
+        return this.messages.map(msg => ({
+            type: msg.role,
+            kind: msg.kind,
+            speaker: msg.speaker,
+            content: msg.content,
+            ...msg.meta
+        }));
+    }
+};
@@ -0,0 +1,230 @@
+// === VAULT ===
+
+/**
+ * Opt-in encryption for the library. Once a passphrase is set, each draft's
+ * title, source, date and contents are sealed with AES-GCM before they reach
+ * IndexedDB (see Library.seal). Timestamps and sizes stay readable so the
+ * library can still be sorted.
+ *
+ * The 256-bit key is derived from the passphrase with PBKDF2 (SHA-256) and is
+ * non-extractable; it only ever lives in memory. Locking, by hand or after a
+ * spell without activity, forgets it. The passphrase isn't stored: a sealed
+ * check value tells a wrong one apart. Without the passphrase the drafts
+ * can't be recovered.
+ */
+const Vault = {
+    STORAGE_KEY: 'chatVault',
+    ITERATIONS: 600000, // OWASP's recommendation for PBKDF2-HMAC-SHA256
+    MIN_PASSPHRASE_LENGTH: 8,
+    CHECK_TEXT: 'bubblescript-vault',
+    AUTO_LOCK_MINUTES: [0, 5, 15, 30, 60], // 0 never locks
+    DEFAULT_AUTO_LOCK: 15,
+
+    config: null, // { salt, iterations, check, autoLock, pending } once set up
+    key: null,
+    lockTimeout: null,
+    onAutoLock: null,
+
+    /**
+     * Reads the vault settings. Malformed settings are ignored, which leaves
+     * sealed drafts unreadable rather than silently writing new ones in the clear.
+     */
+    load() {
+        this.config = null;
+        const raw = localStorage.getItem(this.STORAGE_KEY);
+        if (!raw) return;
+        try {
+            const config = JSON.parse(raw);
+            const isBox = box => box && typeof box.iv === 'string' && typeof box.data === 'string';
+            if (typeof config.salt !== 'string' || !Number.isInteger(config.iterations) || config.iterations < 100000 || !isBox(config.check)) {
+                throw new Error('Invalid vault settings');
+            }
+            this.config = {
+                salt: config.salt,
+                iterations: config.iterations,
+                check: config.check,
+                autoLock: this.AUTO_LOCK_MINUTES.includes(config.autoLock) ? config.autoLock : this.DEFAULT_AUTO_LOCK,
+                pending: config.pending === true
+            };
+        } catch (e) {
+            console.error('Could not read vault settings:', e);
+            // Still locked: a draft sealed under a lost key must not be overwritten with plain text.
+            this.config = { broken: true, autoLock: 0 };
+        }
+    },
+
+    saveConfig() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.config));
+    },
+
+    isEnabled() {
+        return !!this.config;
+    },
+
+    isLocked() {
+        return this.isEnabled() && !this.key;
+    },
+
+    isAvailable() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder === 'function';
+    },
+
+    /**
+     * @returns {Promise<CryptoKey>} A non-extractable AES-GCM key.
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encrypts a JSON-serializable value with a fresh IV.
+     * @returns {Promise<{ iv: Uint8Array, data: ArrayBuffer }>}
+     * @throws {Error} If the vault is locked.
+     */
+    async encrypt(value, key = this.key) {
+        if (!key) throw new Error('The library is locked');
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+        return { iv, data };
+    },
+
+    /**
+     * @param {{ iv: Uint8Array, data: ArrayBuffer }} box - From encrypt.
+     * @throws {Error} If the vault is locked, or the data was sealed with another key or altered.
+     */
+    async decrypt(box, key = this.key) {
+        if (!key) throw new Error('The library is locked');
+        let plain;
+        try {
+            plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: box.iv }, key, box.data);
+        } catch (e) {
+            throw new Error('Could not decrypt: wrong passphrase or damaged data');
+        }
+        return JSON.parse(new TextDecoder().decode(plain));
+    },
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    },
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    },
+
+    validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Use a passphrase of at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+    },
+
+    /**
+     * Turns encryption on and seals every draft already in the library.
+     * The settings are written first, marked pending, so an interrupted run
+     * is finished on the next unlock.
+     */
+    async create(passphrase, autoLock = this.DEFAULT_AUTO_LOCK) {
+        this.validatePassphrase(passphrase);
+        if (!this.isAvailable()) throw new Error('This browser cannot encrypt (Web Crypto needs a secure https page)');
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+        const check = await this.encrypt(this.CHECK_TEXT, key);
+        this.config = {
+            salt: this.toBase64(salt),
+            iterations: this.ITERATIONS,
+            check: { iv: this.toBase64(check.iv), data: this.toBase64(check.data) },
+            autoLock: this.AUTO_LOCK_MINUTES.includes(autoLock) ? autoLock : this.DEFAULT_AUTO_LOCK,
+            pending: true
+        };
+        this.key = key;
+        this.saveConfig();
+        await this.finishPending();
+        this.touch();
+    },
+
+    /**
+     * @throws {Error} If the passphrase is wrong.
+     */
+    async unlock(passphrase) {
+        if (!this.config || this.config.broken) throw new Error('The vault settings are damaged; the library cannot be unlocked');
+        const key = await this.deriveKey(passphrase, this.fromBase64(this.config.salt), this.config.iterations);
+        const check = { iv: this.fromBase64(this.config.check.iv), data: this.fromBase64(this.config.check.data) };
+        let text;
+        try {
+            text = await this.decrypt(check, key);
+        } catch (e) {
+            text = null;
+        }
+        if (text !== this.CHECK_TEXT) throw new Error('Wrong passphrase');
+        this.key = key;
+        await this.finishPending();
+        this.touch();
+    },
+
+    async finishPending() {
+        if (!this.config.pending) return;
+        await Library.resealAll();
+        this.config.pending = false;
+        this.saveConfig();
+    },
+
+    lock() {
+        this.key = null;
+        clearTimeout(this.lockTimeout);
+        this.lockTimeout = null;
+    },
+
+    /**
+     * Turns encryption off, writing every draft back in the clear. The
+     * settings are only removed once that has worked.
+     */
+    async disable(passphrase) {
+        await this.unlock(passphrase);
+        const config = this.config;
+        this.config = null; // Library.put now writes plain drafts; the key still reads sealed ones
+        try {
+            await Library.resealAll();
+        } catch (e) {
+            this.config = config;
+            throw e;
+        }
+        localStorage.removeItem(this.STORAGE_KEY);
+        this.lock();
+    },
+
+    /**
+     * Forgets the vault for good, for a lost passphrase. The caller deletes
+     * the drafts, which can no longer be read.
+     */
+    forget() {
+        this.lock();
+        this.config = null;
+        localStorage.removeItem(this.STORAGE_KEY);
+    },
+
+    setAutoLock(minutes) {
+        if (!this.config || !this.AUTO_LOCK_MINUTES.includes(minutes)) return;
+        this.config.autoLock = minutes;
+        this.saveConfig();
+        this.touch();
+    },
+
+    /**
+     * Restarts the inactivity timer. Called on user activity.
+     */
+    touch() {
+        clearTimeout(this.lockTimeout);
+        this.lockTimeout = null;
+        if (!this.key || !this.config || !this.config.autoLock) return;
+        this.lockTimeout = setTimeout(() => {
+            this.lockTimeout = null;
+            if (typeof this.onAutoLock === 'function') this.onAutoLock();
+        }, this.config.autoLock * 60 * 1000);
+    }
+};
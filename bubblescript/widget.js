@@ -0,0 +1,443 @@
+/**
+ * BubbleScript embeddable widget.
+ *
+ * Renders a conversation as chat bubbles inside any host page, using the same
+ * parser and markdown pipeline as the editor (core.js). Styles live in a
+ * shadow root so neither the host page nor the widget can restyle the other.
+ *
+ * The conversation is read from the first of these that is present:
+ *   1. a `data-conversation` attribute,
+ *   2. an inline `<script type="text/plain">` block inside the container,
+ *   3. an inline `<script type="application/json">` block inside the container,
+ *   4. a `data-src` attribute pointing at a same-origin JSON file.
+ * Text is split into messages by the format it looks like (see parsers.js);
+ * `data-format` names a parser to use instead. JSON carries the messages
+ * already split, as `{ segments: [{ type, kind?, speaker, content }], roster? }`
+ * (the editor's embed snippet uses this, so corrections and roster names,
+ * roles, colours and avatars survive).
+ *
+ * Example:
+ *   <div class="bubblescript-widget" data-title="Demo" data-theme="dark">
+ *       <script type="text/plain">
+ *   User: Hello
+ *   Claude: Hi there!
+ *       </script>
+ *   </div>
+ *   <script src="https://shawny-p.github.io/bubblescript/widget.js" defer></script>
+ */
+(function () {
+'use strict';
+
+// document.currentScript is only available while this file is first executing.
+const currentScript = document.currentScript;
+const BASE_URL = currentScript && currentScript.src
+    ? new URL('.', currentScript.src).href
+    : 'https://shawny-p.github.io/bubblescript/';
+
+const WIDGET_SELECTOR = '.bubblescript-widget';
+
+// Same pinned, integrity-checked builds as index.html.
+const DEPENDENCIES = [
+    {
+        isLoaded: () => typeof window.marked !== 'undefined',
+        src: 'https://cdnjs.cloudflare.com/ajax/libs/marked/11.1.1/marked.min.js',
+        integrity: 'sha512-oSA0PdOBsyP4Cv5rIHOWhOr+H0ZPOE/L8UKaX33DjBFD+TrWOZZfewjg85Z7WhNPkQrHeTKOYSio/XM6FBPhWA=='
+    },
+    {
+        isLoaded: () => typeof window.DOMPurify !== 'undefined',
+        src: 'https://cdnjs.cloudflare.com/ajax/libs/dompurify/3.0.8/purify.min.js',
+        integrity: 'sha512-5g2Nj3mqLOgClHi20oat1COW7jWvf7SyqnvwWUsMDwhjHeqeTl0C+uzjucLweruQxHbhDwiPLXlm8HBO0011pA=='
+    },
+    {
+        isLoaded: () => typeof window.BubbleScriptCore !== 'undefined',
+        src: new URL('core.js', BASE_URL).href
+    },
+    {
+        isLoaded: () => typeof window.BubbleScriptCore.Parsers !== 'undefined',
+        src: new URL('parsers.js', BASE_URL).href
+    },
+    {
+        isLoaded: () => typeof window.BubbleScriptCore.Highlighter !== 'undefined',
+        src: new URL('highlight.js', BASE_URL).href
+    },
+    {
+        isLoaded: () => typeof window.BubbleScriptCore.MathML !== 'undefined',
+        src: new URL('mathml.js', BASE_URL).href
+    }
+];
+
+const WIDGET_CSS = `
+:host {
+    --bubble-user-bg: #2563eb;
+    --bubble-user-text: #ffffff;
+    --bubble-ai-bg: #f3f4f6;
+    --bubble-ai-text: #1f2937;
+    --sheet-bg: #ffffff;
+    --sheet-text: #111827;
+    --border-color: #e5e7eb;
+    --text-muted: #6b7280;
+    --tok-keyword: #cf222e;
+    --tok-string: #0a3069;
+    --tok-number: #0550ae;
+    --tok-comment: #6e7781;
+    --tok-function: #8250df;
+    --tok-type: #953800;
+    --tok-tag: #116329;
+    --tok-inserted: #116329;
+    --tok-deleted: #82071e;
+    display: block;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+}
+:host([data-theme="dark"]) {
+    --bubble-user-bg: #374151;
+    --bubble-user-text: #f9fafb;
+    --bubble-ai-bg: #4b5563;
+    --bubble-ai-text: #f9fafb;
+    --sheet-bg: #1f2937;
+    --sheet-text: #f9fafb;
+    --border-color: #374151;
+    --text-muted: #9ca3af;
+}
+:host([data-theme="dark"]), :host([data-theme="dark"]) .chat-row.user pre {
+    --tok-keyword: #ff7b72;
+    --tok-string: #a5d6ff;
+    --tok-number: #79c0ff;
+    --tok-comment: #8b949e;
+    --tok-function: #d2a8ff;
+    --tok-type: #ffa657;
+    --tok-tag: #7ee787;
+    --tok-inserted: #7ee787;
+    --tok-deleted: #ffa198;
+}
+.sheet { background: var(--sheet-bg); color: var(--sheet-text); padding: 20px; border-radius: 8px; border: 1px solid var(--border-color); }
+.doc-header { border-bottom: 2px solid var(--border-color); padding-bottom: 12px; margin-bottom: 20px; }
+.doc-title { font-size: 20px; font-weight: 800; line-height: 1.3; margin: 0 0 6px; }
+.meta-row { display: flex; flex-wrap: wrap; gap: 16px; color: var(--text-muted); font-size: 13px; font-weight: 500; }
+.chat-container { display: flex; flex-direction: column; gap: 12px; }
+.chat-row { display: flex; width: 100%; }
+.chat-row.user { justify-content: flex-end; }
+.chat-row.ai { justify-content: flex-start; }
+.chat-bubble { max-width: 85%; padding: 12px 18px; border-radius: 18px; box-shadow: 0 1px 2px rgba(0,0,0,0.1); font-size: 15px; line-height: 1.5; overflow-wrap: anywhere; }
+.chat-row.user .chat-bubble { background: var(--bubble-user-bg); color: var(--bubble-user-text); border-bottom-right-radius: 4px; }
+.chat-row.ai .chat-bubble { background: var(--bubble-ai-bg); color: var(--bubble-ai-text); border: 1px solid var(--border-color); border-bottom-left-radius: 4px; }
+.chat-row.user .chat-bubble a { color: #bfdbfe; }
+.speaker-label { font-size: 0.7rem; margin-bottom: 4px; opacity: 0.7; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; }
+.speaker-avatar { display: inline-block; min-width: 1.6em; margin-right: 6px; padding: 1px 4px; border-radius: 999px; background: rgba(127,127,127,0.2); text-align: center; text-transform: none; letter-spacing: 0; }
+.lane-0 { --lane-color: #2563eb; } .lane-1 { --lane-color: #dc2626; } .lane-2 { --lane-color: #059669; } .lane-3 { --lane-color: #b45309; }
+.lane-4 { --lane-color: #7c3aed; } .lane-5 { --lane-color: #db2777; } .lane-6 { --lane-color: #0e7490; } .lane-7 { --lane-color: #4d7c0f; }
+:host([data-theme="dark"]) .lane-0 { --lane-color: #60a5fa; } :host([data-theme="dark"]) .lane-1 { --lane-color: #f87171; }
+:host([data-theme="dark"]) .lane-2 { --lane-color: #34d399; } :host([data-theme="dark"]) .lane-3 { --lane-color: #fbbf24; }
+:host([data-theme="dark"]) .lane-4 { --lane-color: #a78bfa; } :host([data-theme="dark"]) .lane-5 { --lane-color: #f472b6; }
+:host([data-theme="dark"]) .lane-6 { --lane-color: #22d3ee; } :host([data-theme="dark"]) .lane-7 { --lane-color: #a3e635; }
+.chat-row.party { justify-content: flex-start; }
+.chat-row.party .chat-bubble { background: var(--bubble-ai-bg); color: var(--bubble-ai-text); border: 1px solid var(--border-color); border-bottom-left-radius: 4px; box-shadow: inset 4px 0 0 var(--lane-color), 0 1px 2px rgba(0,0,0,0.1); }
+.chat-row.party .speaker-label { color: var(--lane-color); opacity: 1; }
+.chat-row.party .speaker-avatar, .participant-legend .speaker-avatar { background: var(--lane-color); color: #ffffff; }
+:host([data-theme="dark"]) .chat-row.party .speaker-avatar, :host([data-theme="dark"]) .participant-legend .speaker-avatar { color: #111827; }
+.participant-legend { display: flex; flex-wrap: wrap; gap: 6px 14px; list-style: none; margin: 10px 0 0; padding: 0; font-size: 13px; color: var(--text-muted); }
+.participant-legend .participant { display: flex; align-items: center; gap: 6px; }
+.participant-name { font-weight: 600; color: var(--lane-color); }
+.chat-row.kind-system, .chat-row.kind-tool_call, .chat-row.kind-tool_result, .chat-row.kind-reasoning { justify-content: center; }
+.chat-row .chat-bubble.kind-system, .chat-row .chat-bubble.kind-tool_call, .chat-row .chat-bubble.kind-tool_result, .chat-row .chat-bubble.kind-reasoning { width: 90%; max-width: 90%; padding: 8px 14px; background: transparent; color: var(--text-muted); border: 1px dashed var(--border-color); border-radius: 8px; box-shadow: none; font-size: 14px; }
+.chat-row .chat-bubble.kind-tool_call, .chat-row .chat-bubble.kind-tool_result { border-style: solid; }
+.chat-row .chat-bubble.kind-reasoning { font-style: italic; }
+.kind-details > summary { cursor: pointer; }
+.kind-details[open] > summary { margin-bottom: 6px; }
+.kind-badge { margin-left: 8px; padding: 1px 6px; border: 1px solid currentColor; border-radius: 999px; font-weight: 600; letter-spacing: 0; text-transform: none; }
+.participant-role { font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; opacity: 0.8; }
+.markdown-body > :first-child { margin-top: 0; }
+.markdown-body > :last-child { margin-bottom: 0; }
+.markdown-body p { margin: 0 0 0.5em; }
+.markdown-body pre { background: rgba(0,0,0,0.08); padding: 10px; border-radius: 6px; overflow-x: auto; }
+.markdown-body code { font-family: 'Menlo', 'Monaco', 'Courier New', monospace; font-size: 0.9em; }
+.tok-keyword, .tok-selector { color: var(--tok-keyword); }
+.tok-string { color: var(--tok-string); }
+.tok-number, .tok-literal, .tok-attr, .tok-property { color: var(--tok-number); }
+.tok-comment { color: var(--tok-comment); font-style: italic; }
+.tok-function, .tok-meta { color: var(--tok-function); }
+.tok-type, .tok-variable { color: var(--tok-type); }
+.tok-tag { color: var(--tok-tag); }
+.tok-inserted { color: var(--tok-inserted); }
+.tok-deleted { color: var(--tok-deleted); }
+.markdown-body table { display: block; overflow-x: auto; border-collapse: collapse; margin: 0 0 0.5em; }
+.markdown-body th, .markdown-body td { border: 1px solid var(--border-color); padding: 4px 10px; }
+.markdown-body img { max-width: 100%; height: auto; }
+.markdown-body li:has(> input[type="checkbox"]) { list-style: none; }
+math[display="block"] { margin: 0.5em 0; overflow-x: auto; overflow-y: hidden; }
+.markdown-body blockquote { margin: 0 0 0.5em; padding-left: 12px; border-left: 3px solid var(--border-color); }
+.widget-error { color: #b91c1c; font-size: 14px; }
+`;
+
+/**
+ * Loads a classic script once and resolves when it has executed.
+ */
+function loadScript({ src, integrity }) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        if (integrity) {
+            script.integrity = integrity;
+            script.crossOrigin = 'anonymous';
+        }
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+let dependenciesPromise = null;
+
+/**
+ * Loads marked, DOMPurify, core.js, highlight.js and mathml.js in order.
+ * Order matters: core.js configures marked as soon as it executes, and the
+ * highlighter and math converter attach themselves to BubbleScriptCore.
+ */
+function ensureDependencies() {
+    if (!dependenciesPromise) {
+        dependenciesPromise = DEPENDENCIES.reduce(
+            (chain, dep) => chain.then(() => (dep.isLoaded() ? null : loadScript(dep))),
+            Promise.resolve()
+        );
+    }
+    return dependenciesPromise;
+}
+
+/**
+ * Keeps the roster fields the widget renders. Colours end up in CSS rules,
+ * so only plain hex values pass.
+ */
+function readRoster(roster) {
+    if (!Array.isArray(roster)) return [];
+    const roles = ['user', 'assistant', 'system', 'other'];
+    return roster
+        .filter(speaker => speaker && typeof speaker.name === 'string' && speaker.name.trim())
+        .map(speaker => ({
+            name: speaker.name,
+            aliases: Array.isArray(speaker.aliases) ? speaker.aliases.filter(alias => typeof alias === 'string') : [],
+            role: roles.includes(speaker.role) ? speaker.role : 'other',
+            // SECURE: Only hex colours reach the stylesheet.
+            color: typeof speaker.color === 'string' && /^#[0-9a-f]{6}$/i.test(speaker.color) ? speaker.color.toLowerCase() : '',
+            avatar: typeof speaker.avatar === 'string' ? Array.from(speaker.avatar).slice(0, 4).join('') : ''
+        }));
+}
+
+/**
+ * Reads a conversation from parsed JSON: the editor's saved-draft shape
+ * ({ input, title, date, source }) or a list of segments ({ segments: [...],
+ * roster? } or a bare array).
+ */
+function conversationFromJson(data) {
+    const segments = Array.isArray(data) ? data : data && data.segments;
+
+    if (Array.isArray(segments)) {
+        const { MESSAGE_KINDS } = window.BubbleScriptCore;
+        return {
+            title: data.title,
+            date: data.date,
+            source: data.source,
+            roster: readRoster(data.roster),
+            segments: segments
+                .filter(seg => seg && typeof seg.content === 'string')
+                .map(seg => ({
+                    type: seg.type === 'user' ? 'user' : 'ai',
+                    kind: MESSAGE_KINDS.includes(seg.kind) ? seg.kind : 'message',
+                    speaker: typeof seg.speaker === 'string' ? seg.speaker : (seg.type === 'user' ? 'User' : 'Assistant'),
+                    content: seg.content
+                }))
+        };
+    }
+    if (data && typeof data.input === 'string') {
+        return { title: data.title, date: data.date, source: data.source, format: data.format, text: data.input };
+    }
+    throw new Error('Unrecognized conversation JSON');
+}
+
+/**
+ * Fetches a conversation from a same-origin JSON URL.
+ */
+async function fetchConversation(src) {
+    const url = new URL(src, window.location.href);
+    // SECURE: Only same-origin URLs, so a snippet can't be used to pull arbitrary third-party content.
+    if (url.origin !== window.location.origin) {
+        throw new Error('data-src must point to a same-origin URL');
+    }
+    const response = await fetch(url.href, { credentials: 'same-origin' });
+    if (!response.ok) {
+        throw new Error(`Could not load conversation: ${response.status}`);
+    }
+    return conversationFromJson(await response.json());
+}
+
+/**
+ * Reads the conversation for a container from its attribute, inline blocks or URL.
+ */
+async function readConversation(container) {
+    const meta = {
+        title: container.dataset.title,
+        date: container.dataset.date,
+        source: container.dataset.source,
+        format: container.dataset.format
+    };
+
+    if (container.dataset.conversation) {
+        return { ...meta, text: container.dataset.conversation };
+    }
+
+    const inline = container.querySelector('script[type="text/plain"]');
+    if (inline) {
+        return { ...meta, text: inline.textContent };
+    }
+
+    const inlineJson = container.querySelector('script[type="application/json"]');
+    const src = container.dataset.src;
+    if (inlineJson || src) {
+        let fetched;
+        if (inlineJson) {
+            try {
+                fetched = conversationFromJson(JSON.parse(inlineJson.textContent));
+            } catch (e) {
+                throw new Error(`Inline conversation JSON is invalid: ${e.message}`);
+            }
+        } else {
+            fetched = await fetchConversation(src);
+        }
+        return {
+            ...fetched,
+            title: meta.title || fetched.title,
+            date: meta.date || fetched.date,
+            source: meta.source || fetched.source,
+            format: meta.format || fetched.format
+        };
+    }
+
+    throw new Error('No conversation found. Use data-conversation, an inline <script type="text/plain"> or <script type="application/json">, or data-src.');
+}
+
+/**
+ * @param {ShadowRoot} shadow
+ * @param {string} [extraCss=''] - Rules for this conversation, such as roster colours.
+ */
+function attachStyles(shadow, extraCss = '') {
+    const css = WIDGET_CSS + extraCss;
+    if ('adoptedStyleSheets' in shadow && typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype) {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        shadow.adoptedStyleSheets = [sheet];
+    } else {
+        const style = document.createElement('style');
+        style.textContent = css;
+        shadow.appendChild(style);
+    }
+}
+
+/**
+ * @param {object} conversation
+ * @param {string} [legend=''] - Participant legend HTML, for multi-party conversations.
+ */
+function renderHeader(conversation, legend = '') {
+    const { escapeHtml } = window.BubbleScriptCore;
+    const metaItems = [];
+    if (conversation.date) metaItems.push(`<span>Date: ${escapeHtml(conversation.date)}</span>`);
+    if (conversation.source) metaItems.push(`<span>Source: ${escapeHtml(conversation.source)}</span>`);
+    if (!conversation.title && metaItems.length === 0 && !legend) return '';
+
+    return `
+        <div class="doc-header">
+            ${conversation.title ? `<h2 class="doc-title">${escapeHtml(conversation.title)}</h2>` : ''}
+            ${metaItems.length ? `<div class="meta-row">${metaItems.join('')}</div>` : ''}
+            ${legend}
+        </div>
+    `;
+}
+
+/**
+ * Renders a conversation into the container's shadow root.
+ * @param {HTMLElement} container - The host element.
+ * @param {object} conversation - { title, date, source, format?, roster? } plus either `text` or `segments`.
+ */
+function render(container, conversation) {
+    const { Parsers, renderBubble, renderMarkdown, getParticipants, isMultiParty, renderLegend, findRosterSpeaker, speakerColorRules } = window.BubbleScriptCore;
+    const shadow = container.shadowRoot || container.attachShadow({ mode: 'open' });
+    shadow.innerHTML = '';
+
+    const text = conversation.text || '';
+    const roster = conversation.roster || [];
+    const segments = conversation.segments || Parsers.parseSegments(text, { format: conversation.format, roster });
+
+    // Roster colours, as the editor draws them (see getClassForSpeaker in app.js).
+    const colorRules = new Map();
+    const colorClass = speaker => {
+        const profile = findRosterSpeaker(roster, speaker);
+        if (!profile || !profile.color) return '';
+        const { className, rules } = speakerColorRules(speaker, profile);
+        rules.forEach(([selector, cssText]) => colorRules.set(selector, `.${selector} { ${cssText} }`));
+        return className;
+    };
+
+    let body;
+    let legend = '';
+    if (segments.length <= 1) {
+        body = `<div class="markdown-body">${renderMarkdown(text || (segments[0] && segments[0].content) || '')}</div>`;
+    } else {
+        const participants = getParticipants(segments, roster);
+        const multiParty = isMultiParty(participants);
+        const bySpeaker = new Map(participants.map(p => [p.speaker, p]));
+        if (multiParty) legend = renderLegend(participants, { className: p => colorClass(p.speaker) });
+        body = '<div class="chat-container">' + segments.map(seg => {
+            const profile = findRosterSpeaker(roster, seg.speaker);
+            const participant = multiParty ? bySpeaker.get(seg.speaker) : null;
+            const rowClass = (participant ? `party lane-${participant.lane}` : (seg.type === 'user' ? 'user' : 'ai')) +
+                (profile ? ` role-${profile.role}` : '') +
+                (seg.kind && seg.kind !== 'message' ? ` kind-${seg.kind}` : '');
+            const avatar = participant ? participant.avatar : (profile && profile.avatar) || '';
+            return `<div class="chat-row ${rowClass}">${renderBubble(seg, { className: colorClass(seg.speaker), avatar })}</div>`;
+        }).join('') + '</div>';
+    }
+    attachStyles(shadow, [...colorRules.values()].join('\n'));
+
+    const sheet = document.createElement('div');
+    sheet.className = 'sheet';
+    sheet.setAttribute('role', 'log');
+    sheet.setAttribute('aria-label', conversation.title || 'Chat conversation');
+    sheet.innerHTML = renderHeader(conversation, legend) + body;
+    shadow.appendChild(sheet);
+}
+
+function renderError(container, error) {
+    console.error('BubbleScript widget:', error);
+    const shadow = container.shadowRoot || container.attachShadow({ mode: 'open' });
+    shadow.innerHTML = '';
+    attachStyles(shadow);
+    const message = document.createElement('p');
+    message.className = 'widget-error';
+    message.textContent = `Could not render conversation: ${error.message}`;
+    shadow.appendChild(message);
+}
+
+/**
+ * Mounts the widget on a single container. Safe to call more than once.
+ * @param {HTMLElement} container
+ */
+async function mount(container) {
+    if (container.dataset.bubblescriptMounted) return;
+    container.dataset.bubblescriptMounted = 'true';
+    try {
+        await ensureDependencies();
+        render(container, await readConversation(container));
+    } catch (e) {
+        renderError(container, e);
+    }
+}
+
+function mountAll() {
+    document.querySelectorAll(WIDGET_SELECTOR).forEach(mount);
+}
+
+window.BubbleScriptWidget = { mount, mountAll, render };
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountAll);
+} else {
+    mountAll();
+}
+})();